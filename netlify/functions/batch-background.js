@@ -0,0 +1,36 @@
+/**
+ * Netlify Background Function: works through one batch job (lib/batch.js).
+ *
+ * The "-background" suffix makes Netlify answer 202 straight away and let
+ * the function run for up to 15 minutes. It is started by /api/batch with
+ * POST { id, sig }, sig being an HMAC of the job id, so it cannot be made to
+ * spend model calls from outside. When its time is nearly up it hands what
+ * is left to a fresh invocation.
+ */
+const { connectStateStore } = require("../lib/state-store");
+const { connectBatchStore } = require("../lib/batch-store");
+const { connectCacheStore } = require("../lib/cache");
+const { verifyWorkerSignature, runJob, startWorker } = require("../lib/batch");
+const { safeLog } = require("../lib/security");
+
+const RUN_MS = 13 * 60_000;
+
+exports.handler = async (event) => {
+  connectStateStore(event);
+  connectBatchStore(event);
+  connectCacheStore(event);
+
+  let body;
+  try { body = JSON.parse(event.body || "{}"); } catch { body = {}; }
+  if (event.httpMethod !== "POST" || !verifyWorkerSignature(body.id, body.sig))
+    return { statusCode: 403, body: "" };
+
+  try {
+    const { remaining } = await runJob(body.id, { until: Date.now() + RUN_MS });
+    if (remaining > 0) await startWorker(body.id);
+  } catch (err) {
+    // The job's heartbeat goes stale and the next poll starts a new worker
+    console.error("[batch] Worker failed:", safeLog(err?.message));
+  }
+  return { statusCode: 200, body: "" };
+};
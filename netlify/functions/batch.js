@@ -0,0 +1,166 @@
+/**
+ * Netlify Function: /api/batch — many recipes in one job (lib/batch.js)
+ *
+ * POST { token, type, urls | content | images, targetLanguage,
+ *        sourceLanguage, measurementSystem, glossary? }
+ *   type "url"   — urls: up to 50 recipe page addresses
+ *   type "text"  — content: one text holding several recipes
+ *   type "image" — images: [{ mime, b64, continues? }] photographed pages;
+ *                  continues: true joins a page to the recipe before it
+ *   → { ok: true, jobId, ...status }
+ * With jobId in the body the items are added to that job instead (pages
+ * that did not fit in the first 5 MB request); with { jobId, retry: true }
+ * its failed items are queued again.
+ *
+ * GET ?id=<jobId>[&results=1]
+ *   → { ok: true, id, status: running|done, total, counts, items: [{ index,
+ *       label, url?, pages?, status: queued|working|done|failed, error?, recipe? }] }
+ *   Recipes are only included with results=1.
+ *
+ * POST takes the same guards as /api/translate (origin, per-IP rate limit,
+ * HMAC token). Polling needs no token — a job id is 128 random bits and
+ * only the client that created the job knows it — but is rate limited.
+ */
+const {
+  originAllowed, corsOrigin, clientIp, safeLog, hashIp,
+  createRateLimiter, verifyToken,
+} = require("../lib/security");
+const { connectStateStore } = require("../lib/state-store");
+const { connectBatchStore } = require("../lib/batch-store");
+const {
+  MAX_ITEMS, JOB_ID_RE, batchItems, createJob, addItems, jobStatus, retryFailed,
+  claimStaleJob, startWorker,
+} = require("../lib/batch");
+const { userGlossary } = require("../lib/glossary");
+
+// ── Netlify built-in rate limit ───────────────────────────────────────────────
+exports.config = {
+  path: "/api/batch",
+  rateLimit: {
+    windowSize: 60,
+    maxRequests: 40,
+    aggregateBy: ["ip", "domain"],
+  },
+};
+
+// ── Per-IP rate limiters (belt-and-suspenders, lib/state-store.js) ────────────
+// A client polls every few seconds, but creates jobs rarely.
+const rateLimiter = createRateLimiter({ name: "batch", windowMs: 60_000, max: 10 });
+const pollLimiter = createRateLimiter({ name: "batch-poll", windowMs: 60_000, max: 40 });
+
+function fail(statusCode, error, headers) {
+  return { statusCode, headers, body: JSON.stringify({ ok: false, error }) };
+}
+
+async function poll(event, corsHeaders) {
+  const q = event.queryStringParameters || {};
+  const id = String(q.id || "");
+  if (!JOB_ID_RE.test(id)) return fail(400, "Invalid job id.", corsHeaders);
+  const status = await jobStatus(id, { results: q.results === "1" });
+  if (!status) return fail(404, "Job not found.", corsHeaders);
+  if (status.status === "running" && (await claimStaleJob(id))) await startWorker(id);
+  return { statusCode: 200, headers: { ...corsHeaders, "Cache-Control": "no-store" },
+           body: JSON.stringify({ ok: true, ...status }) };
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+exports.handler = async (event) => {
+  connectStateStore(event);
+  connectBatchStore(event);
+
+  const origin  = event.headers["origin"]  || "";
+  const referer = event.headers["referer"] || "";
+  const ip      = clientIp(event);
+
+  // CORS preflight
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin":  corsOrigin(origin),
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Max-Age": "86400",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "POST" && event.httpMethod !== "GET")
+    return fail(405, "Method not allowed");
+
+  if (!originAllowed(origin, referer)) {
+    console.warn("[batch] Blocked origin:", safeLog(origin), "IP:", safeLog(ip));
+    return fail(403, "Forbidden");
+  }
+
+  const corsHeaders = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": corsOrigin(origin),
+  };
+
+  try {
+    if (event.httpMethod === "GET") {
+      if (!(await pollLimiter.check(ip)))
+        return fail(429, "For manga anrop. Vanta en minut.", { ...corsHeaders, "Retry-After": "60" });
+      return await poll(event, corsHeaders);
+    }
+
+    if (!(event.headers["content-type"] || "").includes("application/json"))
+      return fail(415, "Content-Type must be application/json", corsHeaders);
+
+    if ((event.body || "").length > 5_500_000)
+      return fail(413, "Request too large.", corsHeaders);
+
+    let body;
+    try { body = JSON.parse(event.body || "{}"); }
+    catch { return fail(400, "Invalid JSON body", corsHeaders); }
+
+    if (!(await verifyToken(body.token))) {
+      console.warn("[batch] Invalid or missing token from IP hash:", hashIp(ip));
+      return fail(403, "Invalid or expired request token.", corsHeaders);
+    }
+
+    if (!(await rateLimiter.check(ip))) {
+      console.warn("[batch] Rate limited IP hash:", hashIp(ip));
+      return fail(429, "For manga anrop. Vanta en minut.", { ...corsHeaders, "Retry-After": "60" });
+    }
+
+    const jobId = body.jobId === undefined ? null : String(body.jobId);
+    if (jobId !== null && !JOB_ID_RE.test(jobId)) return fail(400, "Invalid job id.", corsHeaders);
+
+    let id;
+    if (jobId && body.retry === true) {
+      if (!(await jobStatus(jobId))) return fail(404, "Job not found.", corsHeaders);
+      await retryFailed(jobId);
+      id = jobId;
+    } else {
+      const before = jobId ? await jobStatus(jobId) : null;
+      if (jobId && !before) return fail(404, "Job not found.", corsHeaders);
+      const { items, error } = batchItems(body, { firstPage: before ? before.pages + 1 : 1 });
+      if (error) return fail(400, error, corsHeaders);
+      if (before && before.total + items.length > MAX_ITEMS) return fail(400, "Max 50 recipes per batch.", corsHeaders);
+
+      if (before) {
+        await addItems(jobId, items);
+        id = jobId;
+      } else {
+        id = (await createJob({
+          targetLanguage:    String(body.targetLanguage || "Swedish").slice(0, 50).trim(),
+          sourceLanguage:    String(body.sourceLanguage || "auto").slice(0, 50),
+          measurementSystem: String(body.measurementSystem || "metric").slice(0, 10),
+          glossary:          userGlossary(body.glossary),
+        }, items)).id;
+      }
+    }
+
+    // A running worker picks up new items by itself; otherwise start one
+    if (await claimStaleJob(id)) await startWorker(id);
+    return { statusCode: 200, headers: corsHeaders,
+             body: JSON.stringify({ ok: true, jobId: id, ...(await jobStatus(id)) }) };
+
+  } catch (err) {
+    console.error("[batch] Internal error:", safeLog(err?.message));
+    return fail(500, "Batch failed. Please try again.", corsHeaders);
+  }
+};
@@ -0,0 +1,153 @@
+/**
+ * Netlify Function: /api/share and /r/<id> — shared recipe links (lib/share.js)
+ *
+ * POST { token, recipe, srcUrl?, language?, lang?, labels?, expiresInDays? }
+ *   → { ok: true, id, url: "/r/<id>", deleteKey, expiresAt }
+ *   expiresInDays 1–365; without it the link lasts until it is deleted.
+ *
+ * DELETE { id, deleteKey }
+ *   → { ok: true } — only with the key the link was created with.
+ *
+ * GET /r/<id> (netlify.toml sends it here as ?id=<id>)
+ *   → the read-only recipe page as HTML, or a 404 page.
+ *
+ * POST takes the same guards as /api/translate (origin, per-IP rate limit,
+ * HMAC token). The page is public — anyone with the link may read it — but
+ * rate limited; deleting needs no token, the delete key is the proof.
+ */
+const {
+  originAllowed, corsOrigin, clientIp, safeLog, hashIp,
+  createRateLimiter, verifyToken,
+} = require("../lib/security");
+const { connectStateStore } = require("../lib/state-store");
+const { connectShareStore } = require("../lib/share-store");
+const {
+  SHARE_ID_RE, shareInput, createShare, getShare, deleteShare,
+  renderSharePage, renderMissingPage,
+} = require("../lib/share");
+
+// ── Netlify built-in rate limit ───────────────────────────────────────────────
+exports.config = {
+  path: "/api/share",
+  rateLimit: {
+    windowSize: 60,
+    maxRequests: 60,
+    aggregateBy: ["ip", "domain"],
+  },
+};
+
+// ── Per-IP rate limiters (belt-and-suspenders, lib/state-store.js) ────────────
+// Links are made rarely but may be opened by many people behind one address.
+const rateLimiter = createRateLimiter({ name: "share", windowMs: 60_000, max: 10 });
+const pageLimiter = createRateLimiter({ name: "share-page", windowMs: 60_000, max: 60 });
+
+function fail(statusCode, error, headers) {
+  return { statusCode, headers, body: JSON.stringify({ ok: false, error }) };
+}
+
+// The site's address for og:url: the deploy's own URL, else the request's host
+function siteUrl(event) {
+  if (process.env.URL) return process.env.URL.replace(/\/$/, "");
+  const host = event.headers["host"] || "";
+  return /^[\w.-]+(?::\d+)?$/.test(host) ? (/^localhost\b/.test(host) ? "http://" : "https://") + host : "";
+}
+
+async function view(event) {
+  const q = event.queryStringParameters || {};
+  const id = String(q.id || (/\/r\/([^/?#]+)/.exec(event.path || "") || [])[1] || "");
+  const html = { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-cache" };
+  const share = SHARE_ID_RE.test(id) ? await getShare(id) : null;
+  if (!share) return { statusCode: 404, headers: html, body: renderMissingPage() };
+  const base = siteUrl(event);
+  return { statusCode: 200, headers: html, body: renderSharePage(share, { url: base ? base + "/r/" + id : "" }) };
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+exports.handler = async (event) => {
+  connectStateStore(event);
+  connectShareStore(event);
+
+  const origin  = event.headers["origin"]  || "";
+  const referer = event.headers["referer"] || "";
+  const ip      = clientIp(event);
+
+  // CORS preflight
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin":  corsOrigin(origin),
+        "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Max-Age": "86400",
+      },
+      body: "",
+    };
+  }
+
+  // The page: opened from anywhere, so no origin check
+  if (event.httpMethod === "GET") {
+    try {
+      if (!(await pageLimiter.check(ip)))
+        return { statusCode: 429, headers: { "Content-Type": "text/plain; charset=utf-8", "Retry-After": "60" },
+                 body: "For manga anrop. Vanta en minut." };
+      return await view(event);
+    } catch (err) {
+      console.error("[share] Internal error:", safeLog(err?.message));
+      return { statusCode: 500, headers: { "Content-Type": "text/plain; charset=utf-8" }, body: "Something went wrong." };
+    }
+  }
+
+  if (event.httpMethod !== "POST" && event.httpMethod !== "DELETE")
+    return fail(405, "Method not allowed");
+
+  if (!originAllowed(origin, referer)) {
+    console.warn("[share] Blocked origin:", safeLog(origin), "IP:", safeLog(ip));
+    return fail(403, "Forbidden");
+  }
+
+  const corsHeaders = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": corsOrigin(origin),
+  };
+
+  try {
+    if (!(event.headers["content-type"] || "").includes("application/json"))
+      return fail(415, "Content-Type must be application/json", corsHeaders);
+
+    if ((event.body || "").length > 300_000)
+      return fail(413, "Request too large.", corsHeaders);
+
+    let body;
+    try { body = JSON.parse(event.body || "{}"); }
+    catch { return fail(400, "Invalid JSON body", corsHeaders); }
+    if (!body || typeof body !== "object") return fail(400, "Invalid JSON body", corsHeaders);
+
+    if (event.httpMethod === "POST" && !(await verifyToken(body.token))) {
+      console.warn("[share] Invalid or missing token from IP hash:", hashIp(ip));
+      return fail(403, "Invalid or expired request token.", corsHeaders);
+    }
+
+    if (!(await rateLimiter.check(ip))) {
+      console.warn("[share] Rate limited IP hash:", hashIp(ip));
+      return fail(429, "For manga anrop. Vanta en minut.", { ...corsHeaders, "Retry-After": "60" });
+    }
+
+    if (event.httpMethod === "DELETE") {
+      const deleted = await deleteShare(String(body.id || ""), body.deleteKey);
+      if (deleted === null) return fail(404, "Link not found.", corsHeaders);
+      if (!deleted) return fail(403, "Wrong delete key.", corsHeaders);
+      return { statusCode: 200, headers: corsHeaders, body: JSON.stringify({ ok: true }) };
+    }
+
+    const { input, error } = shareInput(body);
+    if (error) return fail(400, error, corsHeaders);
+    const { id, deleteKey, expiresAt } = await createShare(input);
+    return { statusCode: 200, headers: corsHeaders,
+             body: JSON.stringify({ ok: true, id, url: "/r/" + id, deleteKey, expiresAt }) };
+
+  } catch (err) {
+    console.error("[share] Internal error:", safeLog(err?.message));
+    return fail(500, "Sharing failed. Please try again.", corsHeaders);
+  }
+};
@@ -4,12 +4,16 @@
  *        in every /api/translate call.
  *
  * The TOKEN_SECRET never leaves the server — the HTML source contains
- * no secrets at all. An attacker must call /api/token first (rate-limited)
- * and each token expires in 5 minutes and is single-use.
+ * no secrets at all. An attacker must call /api/token first (rate-limited
+ * per client in the shared state store) and each token expires in 5 minutes
+ * and is single-use.
  */
 const crypto = require("crypto");
-
-const TOKEN_TTL_SECONDS = 5 * 60; // 5 minutes
+const {
+  originAllowed, corsOrigin, clientIp, safeLog, hashIp,
+  createRateLimiter, signToken, TOKEN_TTL_SECONDS,
+} = require("../lib/security");
+const { connectStateStore } = require("../lib/state-store");
 
 // Netlify built-in rate limit: generous for page loads but blocks bulk harvesting
 exports.config = {
@@ -21,16 +25,14 @@ exports.config = {
   },
 };
 
-// Allowed origins (same list as translate.js)
-const ALLOWED_ORIGINS = [
-  process.env.SITE_URL,
-  process.env.URL,
-  "http://localhost:8888",
-  "http://localhost:3000",
-].filter(Boolean);
+// Same limit, counted across function instances (lib/state-store.js)
+const rateLimiter = createRateLimiter({ name: "token", windowMs: 60_000, max: 10 });
 
 exports.handler = async (event) => {
+  connectStateStore(event);
+
   const origin = event.headers["origin"] || "";
+  const ip     = clientIp(event);
 
   // Only GET allowed
   if (event.httpMethod !== "GET") {
@@ -38,17 +40,23 @@ exports.handler = async (event) => {
   }
 
   // CORS origin check
-  const originOk = ALLOWED_ORIGINS.some(o => origin.startsWith(o));
-  if (!originOk && origin !== "") {
+  if (!originAllowed(origin, "")) {
+    console.warn("[token] Blocked origin:", safeLog(origin), "IP:", safeLog(ip));
     return { statusCode: 403, body: JSON.stringify({ ok: false, error: "Forbidden" }) };
   }
 
   const corsHeaders = {
     "Content-Type": "application/json",
     "Cache-Control": "no-store, no-cache, must-revalidate", // tokens must not be cached
-    "Access-Control-Allow-Origin": ALLOWED_ORIGINS.includes(origin) ? origin : (ALLOWED_ORIGINS[0] || "null"),
+    "Access-Control-Allow-Origin": corsOrigin(origin),
   };
 
+  if (!(await rateLimiter.check(ip))) {
+    console.warn("[token] Rate limited IP hash:", hashIp(ip));
+    return { statusCode: 429, headers: { ...corsHeaders, "Retry-After": "60" },
+             body: JSON.stringify({ ok: false, error: "For manga anrop. Vanta en minut." }) };
+  }
+
   const secret = process.env.TOKEN_SECRET;
   if (!secret) {
     // If TOKEN_SECRET is not configured, issue a placeholder so the app
@@ -65,8 +73,7 @@ exports.handler = async (event) => {
   const exp   = Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS;
 
   // Sign: HMAC-SHA256( TOKEN_SECRET, nonce:exp )
-  const payload = `${nonce}:${exp}`;
-  const sig = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+  const sig = signToken(secret, nonce, exp);
 
   return {
     statusCode: 200,
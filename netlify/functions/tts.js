@@ -0,0 +1,118 @@
+/**
+ * Netlify Function: /api/tts
+ * POST { text, lang, token } → { ok: true, audio: <base64 MP3>, voice }
+ *
+ * Uses the same guards as /api/translate (origin check, per-IP rate limit,
+ * HMAC token). Because one recipe is read as many short segments, a TTS
+ * token may be reused up to TTS_TOKEN_USES times within its 5-minute TTL.
+ *
+ * Errors come back as { ok: false, error, code } where code is one of
+ * bad_request, forbidden, rate_limited, unsupported_language,
+ * not_configured, timeout, network, upstream — the client uses it to decide
+ * whether to fall back to the browser's own speech synthesis.
+ */
+const {
+  originAllowed, corsOrigin, clientIp, safeLog, hashIp,
+  createRateLimiter, verifyToken,
+} = require("../lib/security");
+const { connectStateStore } = require("../lib/state-store");
+const { pickVoice, getTtsProvider } = require("../lib/tts-providers");
+
+const MAX_TEXT       = 3000; // Azure F0 limit per request
+const TTS_TOKEN_USES = 60;
+
+// ── Netlify built-in rate limit ───────────────────────────────────────────────
+exports.config = {
+  path: "/api/tts",
+  rateLimit: {
+    windowSize: 60,
+    maxRequests: 40,
+    aggregateBy: ["ip", "domain"],
+  },
+};
+
+// ── Per-IP rate limiter (belt-and-suspenders, lib/state-store.js) ─────────────
+// One segment per request, so the limit is much higher than for translate.
+const rateLimiter = createRateLimiter({ name: "tts", windowMs: 60_000, max: 60 });
+
+function fail(statusCode, code, error, headers) {
+  return { statusCode, headers, body: JSON.stringify({ ok: false, error, code }) };
+}
+
+// ── Handler ───────────────────────────────────────────────────────────────────
+exports.handler = async (event) => {
+  connectStateStore(event);
+
+  const origin  = event.headers["origin"]  || "";
+  const referer = event.headers["referer"] || "";
+  const ip      = clientIp(event);
+
+  // CORS preflight
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: 204,
+      headers: {
+        "Access-Control-Allow-Origin":  corsOrigin(origin),
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+        "Access-Control-Max-Age": "86400",
+      },
+      body: "",
+    };
+  }
+
+  if (event.httpMethod !== "POST")
+    return fail(405, "bad_request", "Method not allowed");
+
+  if (!(event.headers["content-type"] || "").includes("application/json"))
+    return fail(415, "bad_request", "Content-Type must be application/json");
+
+  if ((event.body || "").length > 20_000)
+    return fail(413, "bad_request", "Request too large.");
+
+  if (!originAllowed(origin, referer)) {
+    console.warn("[tts] Blocked origin:", safeLog(origin), "IP:", safeLog(ip));
+    return fail(403, "forbidden", "Forbidden");
+  }
+
+  if (!(await rateLimiter.check(ip))) {
+    console.warn("[tts] Rate limited IP hash:", hashIp(ip));
+    return fail(429, "rate_limited", "For manga anrop. Vanta en minut.", { "Retry-After": "60" });
+  }
+
+  const corsHeaders = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": corsOrigin(origin),
+  };
+
+  let body;
+  try { body = JSON.parse(event.body || "{}"); }
+  catch { return fail(400, "bad_request", "Invalid JSON body", corsHeaders); }
+
+  if (!(await verifyToken(body.token, { maxUses: TTS_TOKEN_USES }))) {
+    console.warn("[tts] Invalid or missing token from IP hash:", hashIp(ip));
+    return fail(403, "forbidden", "Invalid or expired request token.", corsHeaders);
+  }
+
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (!text) return fail(400, "bad_request", "No text received.", corsHeaders);
+  if (text.length > MAX_TEXT)
+    return fail(400, "bad_request", "Text too long (max 3000 characters).", corsHeaders);
+
+  const voice = pickVoice(body.lang);
+  if (!voice) return fail(400, "unsupported_language", "Unsupported language.", corsHeaders);
+
+  try {
+    const provider = getTtsProvider();
+    const audio = await provider.synthesize({ text, lang: voice.lang, voice: voice.voice });
+    return {
+      statusCode: 200,
+      headers: { ...corsHeaders, "Cache-Control": "no-store" },
+      body: JSON.stringify({ ok: true, audio: audio.toString("base64"), voice: voice.voice }),
+    };
+  } catch (err) {
+    if (err.code) return fail(err.status || 502, err.code, err.message, corsHeaders);
+    console.error("[tts] Internal error:", safeLog(err?.message));
+    return fail(500, "upstream", "Text-to-speech failed. Please try again.", corsHeaders);
+  }
+};
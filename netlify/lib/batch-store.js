@@ -0,0 +1,110 @@
+/**
+ * Storage for batch jobs (lib/batch.js): the job, one record per item and
+ * the worker's heartbeat.
+ *
+ * The API function that creates and polls a job and the background function
+ * that works through it are separate invocations, so job state cannot live
+ * in a module variable in production.
+ *
+ * A store is { get(key) → Promise<value|null>, set(key, value, ttlSeconds) }.
+ * Choose one with BATCH_STORE:
+ *   memory  — per process (default locally; fine for `netlify dev` and tests)
+ *   file    — JSON files in BATCH_STORE_DIR (default: <tmpdir>/recept-batch)
+ *   blobs   — Netlify Blobs, shared by every function instance of the site
+ *             (default when deployed)
+ */
+const fs   = require("fs/promises");
+const os   = require("os");
+const path = require("path");
+const { deployedOnNetlify } = require("./state-store");
+
+// ── Memory ────────────────────────────────────────────────────────────────────
+function createMemoryBatchStore({ maxEntries = 5000 } = {}) {
+  const entries = new Map(); // key -> { value, expires }
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expires <= Date.now()) { entries.delete(key); return null; }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+// ── File ──────────────────────────────────────────────────────────────────────
+function createFileBatchStore({ dir = path.join(os.tmpdir(), "recept-batch") } = {}) {
+  const fileFor = key => path.join(dir, encodeURIComponent(key).replace(/%/g, "_") + ".json");
+  return {
+    async get(key) {
+      let e;
+      try { e = JSON.parse(await fs.readFile(fileFor(key), "utf8")); } catch { return null; }
+      if (!e || e.expires <= Date.now()) {
+        fs.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so a poll never reads half an item
+      const file = fileFor(key), tmp = file + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify({ value, expires: Date.now() + ttlSeconds * 1000 }));
+      await fs.rename(tmp, file);
+    },
+  };
+}
+
+// ── Netlify Blobs ─────────────────────────────────────────────────────────────
+// `blobs` is a Blobs store (getStore(...)); injectable for tests.
+function createBlobsBatchStore({ name = "batch-jobs", blobs } = {}) {
+  let store = blobs;
+  const getBlobs = () => store || (store = require("@netlify/blobs").getStore({ name, consistency: "strong" }));
+  return {
+    async get(key) {
+      const e = await getBlobs().get(key, { type: "json" });
+      return e && e.expires > Date.now() ? e.value : null;
+    },
+    async set(key, value, ttlSeconds) {
+      await getBlobs().setJSON(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+let shared = null;
+
+// A deployed site needs Blobs: the API and the background function are
+// different instances and would not see each other's memory
+function batchStoreKind(env = process.env) {
+  return (env.BATCH_STORE || (deployedOnNetlify(env) ? "blobs" : "memory")).toLowerCase();
+}
+
+function createBatchStore(env = process.env) {
+  switch (batchStoreKind(env)) {
+    case "file":  return createFileBatchStore(env.BATCH_STORE_DIR ? { dir: env.BATCH_STORE_DIR } : {});
+    case "blobs": return createBlobsBatchStore();
+    default:      return createMemoryBatchStore();
+  }
+}
+
+// One store per function instance, created on first use
+function getBatchStore() {
+  return shared || (shared = createBatchStore());
+}
+
+// Handler-style functions get Blobs credentials on the event; pass them on
+// before the first read. No-op for the other stores.
+function connectBatchStore(event) {
+  if (batchStoreKind() === "blobs" && event && event.blobs)
+    require("@netlify/blobs").connectLambda(event);
+}
+
+module.exports = {
+  createMemoryBatchStore, createFileBatchStore, createBlobsBatchStore,
+  batchStoreKind, createBatchStore, getBatchStore, connectBatchStore,
+};
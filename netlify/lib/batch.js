@@ -0,0 +1,357 @@
+/**
+ * Batch translation jobs: many recipes from one request.
+ *
+ * A batch is a list of URLs, one long text holding several recipes, or
+ * photographed pages. The input is split into items, one recipe each, and
+ * stored as a job (lib/batch-store.js). A background function
+ * (functions/batch-background.js) then translates the items one at a time
+ * while clients poll /api/batch for per-item status and results.
+ *
+ * Model calls from every running job share one pace, counted in the state
+ * store — in Blobs whenever deployed, as each worker is an instance of its
+ * own: at most one per BATCH_INTERVAL_MS (default 2000), which keeps
+ * batches inside Mistral's rate limit with room left for /api/translate.
+ * A rate-limited, timed-out or 5xx call puts the item back in the queue
+ * after a pause of BATCH_RETRY_MS (default 15000), doubled each time, and
+ * it fails for good after MAX_ATTEMPTS.
+ *
+ * Items are queued → working → done | failed. A worker stops before its
+ * time runs out and starts a fresh one for what is left; if it dies instead,
+ * the next poll notices the missing heartbeat and starts another.
+ */
+const crypto = require("crypto");
+const { getBatchStore } = require("./batch-store");
+const { getStateStore, createBlobsStateStore, stateStoreKind, deployedOnNetlify } = require("./state-store");
+const { createCacheStore, cacheTtl, translationCacheKey } = require("./cache");
+const { translateImages, translateText, safeErrorMessage } = require("./translation");
+const { safeLog } = require("./security");
+
+const MAX_ITEMS      = 50;
+const MAX_PAGES      = 4;       // pages per recipe, as for /api/translate
+const MAX_TEXT       = 400_000;
+const MIN_RECIPE     = 20;      // shortest text worth translating
+const MAX_ATTEMPTS   = 4;
+const JOB_TTL        = 7 * 24 * 3600;
+const STALE_MS       = 3 * 60_000;
+const JOB_ID_RE      = /^[0-9a-f]{32}$/;
+
+const keys = {
+  job:    id => `job/${id}`,
+  item:   (id, n) => `job/${id}/item/${n}`,
+  worker: id => `job/${id}/worker`,
+};
+
+function settings(env = process.env) {
+  const ms = (v, d) => { const n = parseInt(v, 10); return n >= 0 ? n : d; };
+  return { intervalMs: ms(env.BATCH_INTERVAL_MS, 2000), retryMs: ms(env.BATCH_RETRY_MS, 15_000) };
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ── Splitting text ────────────────────────────────────────────────────────────
+// A cookbook pasted as text: recipes are separated by a rule line (---, ***,
+// ===), a page break, or failing that found by their ingredient headings.
+const SEPARATOR_RE   = /^\s*(?:[-=*_~#]\s*){3,}$/;
+const INGREDIENTS_RE = /^\s*#*\s*(?:ingredients?|you(?:'ll| will) need|ingredienser|ingredienserna|zutaten|ingrédients|ingredientes|ingredienti|ingrediënten|ingredienten|ainekset|ainesosat)\s*:?\s*$/i;
+const LIST_START_RE  = /^\s*(?:\d+[.)]|[-•*])\s/;
+
+const isTitle = line => {
+  const t = line.trim();
+  return t.length > 0 && t.length <= 80 && !/[.:,;!?]$/.test(t) && !/\d/.test(t) && !LIST_START_RE.test(line);
+};
+
+// Where the recipe whose ingredient heading is on line `head` starts: the
+// farthest of up to three short paragraphs above it (title, description,
+// servings) that opens with a title-like line. Stops at list items, so the
+// previous recipe's numbered steps stay with it.
+function recipeStart(lines, head, floor) {
+  const paras = [];
+  let i = head - 1;
+  while (i > floor && paras.length < 3) {
+    while (i > floor && !lines[i].trim()) i--;
+    if (i <= floor) break;
+    const end = i;
+    while (i > floor && lines[i].trim()) i--;
+    const para = lines.slice(i + 1, end + 1);
+    if (para.length > 3 || para.some(l => l.length > 200 || LIST_START_RE.test(l))) break;
+    paras.push(i + 1);
+  }
+  const titled = paras.filter(p => isTitle(lines[p]));
+  if (titled.length) return titled[titled.length - 1];
+  return paras.length ? paras[0] : head;
+}
+
+function splitRecipes(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").replace(/\f/g, "\n---\n").split("\n");
+  let pieces;
+  if (lines.some(l => SEPARATOR_RE.test(l))) {
+    pieces = [[]];
+    for (const l of lines) SEPARATOR_RE.test(l) ? pieces.push([]) : pieces[pieces.length - 1].push(l);
+  } else {
+    const heads = lines.map((l, i) => INGREDIENTS_RE.test(l) ? i : -1).filter(i => i >= 0);
+    const starts = [0];
+    for (let k = 1; k < heads.length; k++) starts.push(recipeStart(lines, heads[k], heads[k - 1]));
+    pieces = starts.map((s, k) => lines.slice(s, starts[k + 1]));
+  }
+  return pieces.map(p => p.join("\n").trim()).filter(p => p.length >= MIN_RECIPE);
+}
+
+// ── Inputs ────────────────────────────────────────────────────────────────────
+const labelOf = text => text.split("\n").find(l => l.trim()).trim().slice(0, 80);
+
+function urlLabel(url) {
+  try { const u = new URL(url); return (u.hostname.replace(/^www\./, "") + u.pathname).slice(0, 80); }
+  catch { return url.slice(0, 80); }
+}
+
+// Request body → { items } with one input per recipe, or { error }.
+// Pages are numbered from firstPage; a page with continues: true belongs to
+// the recipe on the page before it (up to MAX_PAGES pages per recipe).
+function batchItems({ type, urls, content, images }, { firstPage = 1 } = {}) {
+  let items;
+  if (type === "url") {
+    if (!Array.isArray(urls) || !urls.every(u => typeof u === "string" && u.length <= 2000))
+      return { error: "urls must be a list of URLs." };
+    items = [...new Set(urls.map(u => u.trim()).filter(Boolean))]
+      .map(url => ({ label: urlLabel(url), input: { type: "url", url } }));
+  } else if (type === "text") {
+    if (typeof content !== "string" || content.trim().length < MIN_RECIPE) return { error: "Recipe text too short." };
+    if (content.length > MAX_TEXT) return { error: "Input too long (max 400 000 characters)." };
+    items = splitRecipes(content).map(text => ({ label: labelOf(text), input: { type: "text", content: text } }));
+  } else if (type === "image") {
+    if (!Array.isArray(images) || !images.length) return { error: "No images received." };
+    if (images.reduce((s, img) => s + String(img?.b64 || "").length, 0) > 5_000_000)
+      return { error: "Bilderna ar for stora." };
+    if (!images.every(img => img && /^image\/(jpeg|png|gif|webp)$/.test(String(img.mime || "")) && typeof img.b64 === "string"))
+      return { error: "Unsupported image type." };
+    items = [];
+    images.forEach((img, i) => {
+      const last = items[items.length - 1];
+      const page = { mime: img.mime, b64: img.b64 };
+      if (i > 0 && img.continues === true && last.input.images.length < MAX_PAGES) {
+        last.input.images.push(page);
+        last.pages.push(firstPage + i);
+      } else {
+        items.push({ label: "", pages: [firstPage + i], input: { type: "image", images: [page] } });
+      }
+    });
+  } else {
+    return { error: "type must be text, url or image" };
+  }
+  if (!items.length) return { error: "No recipes found." };
+  if (items.length > MAX_ITEMS) return { error: "Max 50 recipes per batch." };
+  return { items };
+}
+
+// ── Jobs ──────────────────────────────────────────────────────────────────────
+async function writeItems(store, id, from, items) {
+  await Promise.all(items.map((it, i) => store.set(keys.item(id, from + i),
+    { index: from + i, label: it.label, ...(it.pages ? { pages: it.pages } : {}),
+      ...(it.input.type === "url" ? { url: it.input.url } : {}),
+      status: "queued", attempts: 0, input: it.input }, JOB_TTL)));
+}
+
+// options: { targetLanguage, sourceLanguage, measurementSystem, glossary }
+async function createJob(options, items, { store = getBatchStore() } = {}) {
+  const id = crypto.randomBytes(16).toString("hex");
+  const pages = items.reduce((n, it) => n + (it.pages ? it.pages.length : 0), 0);
+  const job = { id, created: Date.now(), options, count: items.length, pages };
+  await writeItems(store, id, 0, items);
+  await store.set(keys.job(id), job, JOB_TTL);
+  return job;
+}
+
+// More items for a job, e.g. the next pages of a photographed cookbook that
+// did not fit in one request. null when there is no such job.
+async function addItems(id, items, { store = getBatchStore() } = {}) {
+  const job = await store.get(keys.job(id));
+  if (!job) return null;
+  await writeItems(store, id, job.count, items);
+  const next = { ...job, count: job.count + items.length,
+    pages: job.pages + items.reduce((n, it) => n + (it.pages ? it.pages.length : 0), 0) };
+  await store.set(keys.job(id), next, JOB_TTL);
+  return next;
+}
+
+async function readItems(store, job) {
+  return Promise.all(Array.from({ length: job.count }, (_, n) => store.get(keys.item(job.id, n))));
+}
+
+// What a poll answers: the job's state and every item's, with the
+// translated recipes only when asked for (they are most of the bytes).
+async function jobStatus(id, { results = false, store = getBatchStore() } = {}) {
+  const job = await store.get(keys.job(id));
+  if (!job) return null;
+  const counts = { queued: 0, working: 0, done: 0, failed: 0 };
+  const items = (await readItems(store, job)).map((it, n) => {
+    if (!it) return { index: n, label: "", status: "failed", error: "Item expired." };
+    counts[it.status]++;
+    const { input, recipe, ...rest } = it;
+    return results && recipe ? { ...rest, recipe } : rest;
+  });
+  const status = counts.queued + counts.working ? "running" : "done";
+  return { id, created: job.created, options: job.options, status, total: job.count, pages: job.pages, counts, items };
+}
+
+// Failed items back in the queue; resolves to how many
+async function retryFailed(id, { store = getBatchStore() } = {}) {
+  const job = await store.get(keys.job(id));
+  if (!job) return 0;
+  let n = 0;
+  for (const it of await readItems(store, job)) {
+    if (!it || it.status !== "failed" || !it.input) continue;
+    const { error, ...rest } = it;
+    await store.set(keys.item(id, it.index), { ...rest, status: "queued", attempts: 0 }, JOB_TTL);
+    n++;
+  }
+  return n;
+}
+
+// ── Worker ────────────────────────────────────────────────────────────────────
+// Hands out model calls at most one per intervalMs across all workers: the
+// first hit on a time slot wins it, the others wait for the next slot.
+async function waitForSlot(intervalMs, store = getStateStore()) {
+  if (!intervalMs) return;
+  for (;;) {
+    const now = Date.now(), slot = Math.floor(now / intervalMs);
+    try {
+      if (await store.hit(`batch-slot/${slot}`, Math.ceil(intervalMs / 1000) + 1) === 1) return;
+    } catch (e) {
+      console.error("[batch] Pace store failed:", safeLog(e.message));
+      return sleep(intervalMs);
+    }
+    await sleep((slot + 1) * intervalMs - now);
+  }
+}
+
+// Workers of parallel jobs run in separate instances, so a per-instance
+// store would give each its own pace. Deployed, the pace is kept in Blobs
+// even when STATE_STORE names another store.
+let paceShared = null;
+function getPaceStore(env = process.env) {
+  if (!deployedOnNetlify(env) || stateStoreKind(env) === "blobs") return getStateStore();
+  return paceShared || (paceShared = createBlobsStateStore({ name: "batch-pace" }));
+}
+
+const cache = createCacheStore();
+
+async function translateItem(input, options, intervalMs, paceStore) {
+  const { targetLanguage: tLang, sourceLanguage: sLang, measurementSystem: mSys, glossary = [] } = options;
+  const cacheKey = translationCacheKey({ ...input, targetLanguage: tLang, sourceLanguage: sLang, measurementSystem: mSys, glossary });
+  const hit = await cache.get(cacheKey).catch(() => null);
+  if (hit) return { ...hit, cached: true };
+  // Every model call takes a slot of its own, a repair call too
+  const pace = () => waitForSlot(intervalMs, paceStore);
+  const out = input.type === "image"
+    ? await translateImages(input.images, tLang, mSys, { glossary, pace })
+    : await translateText(input, tLang, sLang, mSys, { glossary, pace });
+  await cache.set(cacheKey, out, cacheTtl()).catch(e =>
+    console.warn("[batch] Cache write failed:", safeLog(e.message)));
+  return out;
+}
+
+// Worth another try later: the provider was busy, slow or down
+const transient = err => err && (err.status === 429 || err.status >= 500 || /timed out|network error/.test(err.message || ""));
+
+// Works through the job's queued items in order until none are left or
+// `until` (ms timestamp) is near. Resolves to { remaining } queued items.
+async function runJob(id, { until = Infinity, store = getBatchStore(), env = process.env, paceStore = getPaceStore(env) } = {}) {
+  const { intervalMs, retryMs } = settings(env);
+  const owner = crypto.randomBytes(8).toString("hex");
+  const beat = () => store.set(keys.worker(id), { owner, beat: Date.now() }, JOB_TTL);
+  await beat();
+
+  for (let n = 0; ; n++) {
+    const job = await store.get(keys.job(id)); // re-read: items may have been added
+    if (!job || n >= job.count) break;
+    if (Date.now() >= until) break;
+    // Another worker took over (ours was thought dead): leave the rest to it
+    const w = await store.get(keys.worker(id));
+    if (w && w.owner && w.owner !== owner) return { remaining: -1 };
+    await beat();
+
+    let item = await store.get(keys.item(id, n));
+    if (!item || (item.status !== "queued" && item.status !== "working")) continue;
+    while (item.status !== "done" && item.status !== "failed") {
+      item = { ...item, status: "working", attempts: item.attempts + 1 };
+      await store.set(keys.item(id, n), item, JOB_TTL);
+      try {
+        const out = await translateItem(item.input, job.options, intervalMs, paceStore);
+        const { input, ...rest } = item;
+        item = { ...rest, ...out, status: "done" };
+        delete item.ok;
+      } catch (err) {
+        const wait = retryMs * 2 ** (item.attempts - 1);
+        if (transient(err) && item.attempts < MAX_ATTEMPTS) {
+          item = { ...item, status: "queued", error: safeErrorMessage(err) };
+          await store.set(keys.item(id, n), item, JOB_TTL);
+          if (Date.now() + wait >= until) return { remaining: await countQueued(store, id) };
+          await sleep(wait);
+          await beat();
+          continue;
+        }
+        item = { ...item, status: "failed", error: safeErrorMessage(err) };
+      }
+      if (item.status === "done") delete item.error;
+      await store.set(keys.item(id, n), item, JOB_TTL);
+    }
+  }
+  const remaining = await countQueued(store, id);
+  // Idle: items added from now on need a new worker
+  if (!remaining) await store.set(keys.worker(id), { owner: "", beat: 0 }, JOB_TTL);
+  return { remaining };
+}
+
+async function countQueued(store, id) {
+  const job = await store.get(keys.job(id));
+  if (!job) return 0;
+  return (await readItems(store, job)).filter(it => it && (it.status === "queued" || it.status === "working")).length;
+}
+
+// True when a job has work left and no worker has shown signs of life for
+// STALE_MS. Claims the job for a new worker, so parallel polls start one.
+async function claimStaleJob(id, { store = getBatchStore() } = {}) {
+  const w = await store.get(keys.worker(id));
+  if (w && Date.now() - w.beat < STALE_MS) return false;
+  if (!(await countQueued(store, id))) return false;
+  await store.set(keys.worker(id), { owner: "", beat: Date.now() }, JOB_TTL);
+  return true;
+}
+
+// ── Starting the worker ───────────────────────────────────────────────────────
+// The background function only runs jobs it was asked to by one of our own
+// functions: the request carries an HMAC of the job id.
+function workerSignature(id) {
+  return crypto.createHmac("sha256", process.env.TOKEN_SECRET || "").update("batch-worker:" + id).digest("hex");
+}
+
+function verifyWorkerSignature(id, sig) {
+  if (typeof id !== "string" || !JOB_ID_RE.test(id)) return false;
+  if (!process.env.TOKEN_SECRET) return true; // development, as verifyToken
+  try {
+    return crypto.timingSafeEqual(Buffer.from(String(sig), "hex"), Buffer.from(workerSignature(id), "hex"));
+  } catch { return false; }
+}
+
+// Background functions answer 202 at once and keep running, so this only
+// waits for the hand-over. A failure is logged; the next poll retries.
+async function startWorker(id) {
+  const base = process.env.URL || "http://localhost:8888";
+  try {
+    const res = await fetch(base + "/.netlify/functions/batch-background", {
+      method: "POST", headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ id, sig: workerSignature(id) }),
+    });
+    if (!res.ok && res.status !== 202) throw new Error("status " + res.status);
+  } catch (e) {
+    console.error("[batch] Could not start worker:", safeLog(e.message));
+  }
+}
+
+module.exports = {
+  MAX_ITEMS, JOB_ID_RE,
+  splitRecipes, batchItems,
+  createJob, addItems, jobStatus, retryFailed,
+  waitForSlot, runJob, claimStaleJob,
+  workerSignature, verifyWorkerSignature, startWorker,
+};
@@ -0,0 +1,157 @@
+/**
+ * Translation cache — content-addressed, with a TTL.
+ *
+ * The same URL or pasted text translated to the same language with the same
+ * unit system gives the same recipe, so there is no reason to spend another
+ * Mistral call on it. Keys are SHA-256 hashes of the normalized input plus
+ * every option that changes the output.
+ *
+ * A store is { get(key) → Promise<value|null>, set(key, value, ttlSeconds) }.
+ * Choose one with TRANSLATION_CACHE:
+ *   memory  — per function instance (default locally)
+ *   file    — JSON files in TRANSLATION_CACHE_DIR (default: <tmpdir>/recept-cache)
+ *   blobs   — Netlify Blobs, shared by every instance of the site (default
+ *             when deployed: per-instance caches rarely see a repeat)
+ *   off     — no caching
+ * TRANSLATION_CACHE_TTL sets the lifetime in seconds (default 7 days).
+ */
+const crypto = require("crypto");
+const fs     = require("fs/promises");
+const os     = require("os");
+const path   = require("path");
+const { deployedOnNetlify } = require("./state-store");
+
+// Bump when prompts or post-processing change, so old entries are not served.
+const CACHE_VERSION = 3;
+const DEFAULT_TTL   = 7 * 24 * 3600;
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+function createMemoryStore({ maxEntries = 200 } = {}) {
+  const entries = new Map(); // key -> { value, expires }
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (e.expires < Date.now()) { entries.delete(key); return null; }
+      // Re-insert so the Map's insertion order doubles as LRU order
+      entries.delete(key); entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttlSeconds = DEFAULT_TTL) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+function createFileStore({ dir = path.join(os.tmpdir(), "recept-cache") } = {}) {
+  // Keys are hex hashes, but never trust them as file names blindly
+  const fileFor = key => path.join(dir, String(key).replace(/[^a-f0-9]/gi, "").slice(0, 64) + ".json");
+  return {
+    async get(key) {
+      let e;
+      try { e = JSON.parse(await fs.readFile(fileFor(key), "utf8")); } catch { return null; }
+      if (!e || e.expires < Date.now()) {
+        fs.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds = DEFAULT_TTL) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so a concurrent reader never sees half a file
+      const file = fileFor(key), tmp = file + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify({ value, expires: Date.now() + ttlSeconds * 1000 }));
+      await fs.rename(tmp, file);
+    },
+  };
+}
+
+// Blobs has no expiry of its own: the time is stored with the value and an
+// expired entry is deleted when it is next read. `blobs` is a Blobs store
+// (getStore(...)); injectable for tests.
+function createBlobsStore({ name = "translation-cache", blobs } = {}) {
+  let store = blobs;
+  const getBlobs = () => store || (store = require("@netlify/blobs").getStore(name));
+  return {
+    async get(key) {
+      const e = await getBlobs().get(key, { type: "json" });
+      if (!e) return null;
+      if (e.expires < Date.now()) {
+        getBlobs().delete(key).catch(() => {});
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds = DEFAULT_TTL) {
+      await getBlobs().setJSON(key, { value, expires: Date.now() + ttlSeconds * 1000 });
+    },
+  };
+}
+
+const nullStore = { async get() { return null; }, async set() {} };
+
+function cacheStoreKind(env = process.env) {
+  return (env.TRANSLATION_CACHE || (deployedOnNetlify(env) ? "blobs" : "memory")).toLowerCase();
+}
+
+function createCacheStore(env = process.env) {
+  switch (cacheStoreKind(env)) {
+    case "off":   return nullStore;
+    case "file":  return createFileStore(env.TRANSLATION_CACHE_DIR ? { dir: env.TRANSLATION_CACHE_DIR } : {});
+    case "blobs": return createBlobsStore();
+    default:      return createMemoryStore();
+  }
+}
+
+// Handler-style functions get Blobs credentials on the event; pass them on
+// before the first read. No-op for the other stores.
+function connectCacheStore(event) {
+  if (cacheStoreKind() === "blobs" && event && event.blobs)
+    require("@netlify/blobs").connectLambda(event);
+}
+
+function cacheTtl(env = process.env) {
+  const n = parseInt(env.TRANSLATION_CACHE_TTL, 10);
+  return n > 0 ? n : DEFAULT_TTL;
+}
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+const TRACKING_PARAM_RE = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|_ga)$/i;
+
+// Same page → same string: lower-case host, no fragment, no tracking
+// parameters, sorted query, no trailing slash.
+function canonicalUrl(raw) {
+  let u;
+  try { u = new URL(String(raw).trim()); } catch { return String(raw).trim(); }
+  u.hash = "";
+  u.hostname = u.hostname.toLowerCase().replace(/^www\./, "");
+  const params = [...u.searchParams].filter(([k]) => !TRACKING_PARAM_RE.test(k)).sort(([a], [b]) => a.localeCompare(b));
+  u.search = new URLSearchParams(params).toString();
+  if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, "");
+  return u.toString();
+}
+
+function normalizeText(s) {
+  return String(s || "").normalize("NFC").toLowerCase()
+    .replace(/[‘’“”]/g, '"').replace(/\s+/g, " ").trim();
+}
+
+// { type, content, url, images, targetLanguage, sourceLanguage, measurementSystem, glossary? }
+// glossary is the user's own entries: a different glossary, a different recipe
+function translationCacheKey(req) {
+  const h = crypto.createHash("sha256");
+  h.update(JSON.stringify([CACHE_VERSION, req.type, req.targetLanguage, req.sourceLanguage, req.measurementSystem,
+    (req.glossary || []).map(e => [e.source, e.target])]));
+  if (req.type === "url")   h.update(canonicalUrl(req.url));
+  if (req.type === "text")  h.update(normalizeText(req.content));
+  if (req.type === "image") for (const img of req.images || []) h.update(String(img.mime) + ":" + String(img.b64));
+  return h.digest("hex");
+}
+
+module.exports = {
+  createMemoryStore, createFileStore, createBlobsStore,
+  cacheStoreKind, createCacheStore, connectCacheStore, cacheTtl,
+  canonicalUrl, normalizeText, translationCacheKey,
+};
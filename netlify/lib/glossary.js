@@ -0,0 +1,169 @@
+/**
+ * Translation glossaries: the kitchen terms the system prompt fixes for a
+ * target language (lib/translation.js), and the check that a translation
+ * used them (lib/quality.js).
+ *
+ * Each target language of the app has a data file in glossaries/:
+ *   { language, heading, sections: [section] }
+ * where a section is one of
+ *   { name, entries: [[source, target, note?]], check? }  terms; check: false
+ *                                                         for techniques, whose
+ *                                                         wording varies by verb form
+ *   { name, from: "substitutions" }   the hard-to-find ingredients of
+ *                                     public/substitutions.js, by their fixed names
+ *   { name, rules: [text] }           rules of the language's own
+ * source and target may list alternatives separated by "/": any source word
+ * found is to be rendered as one of the targets.
+ *
+ * The user's own entries ([{ source, target }], see userGlossary) come with
+ * the request. They are listed after the built-in ones and win over a
+ * built-in entry for the same source term.
+ */
+const { SUBSTITUTES } = require("../../public/substitutions");
+
+// Static requires, so the bundler packs every file with the functions
+const GLOSSARIES = {
+  swedish:    require("./glossaries/swedish.json"),
+  english:    require("./glossaries/english.json"),
+  danish:     require("./glossaries/danish.json"),
+  norwegian:  require("./glossaries/norwegian.json"),
+  finnish:    require("./glossaries/finnish.json"),
+  german:     require("./glossaries/german.json"),
+  french:     require("./glossaries/french.json"),
+  spanish:    require("./glossaries/spanish.json"),
+  italian:    require("./glossaries/italian.json"),
+  dutch:      require("./glossaries/dutch.json"),
+  portuguese: require("./glossaries/portuguese.json"),
+  polish:     require("./glossaries/polish.json"),
+  russian:    require("./glossaries/russian.json"),
+  greek:      require("./glossaries/greek.json"),
+  turkish:    require("./glossaries/turkish.json"),
+  japanese:   require("./glossaries/japanese.json"),
+  chinese:    require("./glossaries/chinese.json"),
+  korean:     require("./glossaries/korean.json"),
+  thai:       require("./glossaries/thai.json"),
+  arabic:     require("./glossaries/arabic.json"),
+  hindi:      require("./glossaries/hindi.json"),
+};
+
+const MAX_USER_ENTRIES = 50;
+const MAX_SOURCE = 60;
+const MAX_TARGET = 80;
+
+const alternatives = s => s.split("/").map(a => a.trim()).filter(Boolean);
+
+// The built-in glossary for a target language ("Swedish"), or null
+function glossaryFor(targetLanguage) {
+  return GLOSSARIES[String(targetLanguage || "").trim().toLowerCase()] || null;
+}
+
+// ── User entries ──────────────────────────────────────────────────────────────
+// A request's glossary → [{ source, target }]: one line each, no control
+// characters, capped in length and number; later duplicates are dropped.
+function userGlossary(list) {
+  if (!Array.isArray(list)) return [];
+  const clean = (s, max) => typeof s === "string"
+    ? s.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ").trim().slice(0, max) : "";
+  const out = [], seen = new Set();
+  for (const e of list) {
+    const source = clean(e && e.source, MAX_SOURCE), target = clean(e && e.target, MAX_TARGET);
+    if (!source || !target || seen.has(source.toLowerCase())) continue;
+    seen.add(source.toLowerCase());
+    out.push({ source, target });
+    if (out.length === MAX_USER_ENTRIES) break;
+  }
+  return out;
+}
+
+// ── Entries to check ──────────────────────────────────────────────────────────
+// [{ source, target, user? }] a translation can be checked against: the
+// user's entries, then the built-in ones whose source they do not cover
+function glossaryEntries(targetLanguage, user = []) {
+  const own = user.map(e => ({ ...e, user: true }));
+  const taken = new Set(own.flatMap(e => alternatives(e.source.toLowerCase())));
+  const g = glossaryFor(targetLanguage);
+  const builtIn = g ? g.sections
+    .filter(s => s.entries && s.check !== false)
+    .flatMap(s => s.entries.map(([source, target]) => ({ source, target })))
+    .filter(e => !alternatives(e.source.toLowerCase()).some(a => taken.has(a))) : [];
+  return [...own, ...builtIn];
+}
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// The source term as a word of the source line, in the plural too.
+// Explanations in brackets ("clove (garlic)") are for the model only.
+function sourcePattern(source) {
+  const terms = alternatives(source).filter(a => !/[()]/.test(a));
+  if (!terms.length) return null;
+  return new RegExp("(?<![\\p{L}])(?:" + terms.map(escapeRe).join("|") + ")(?:e?s)?(?![\\p{L}])", "iu");
+}
+
+// Words compared without their endings, so "vetemjölet" and "mąki" count
+const stem = w => w.length >= 6 ? w.slice(0, -2) : w.length >= 4 ? w.slice(0, -1) : w;
+
+// Whether the translated text uses one of the targets: every word of it
+// that has three letters or more ("en nypa" needs only "nypa")
+function usesTarget(text, target) {
+  const lower = text.toLowerCase();
+  return alternatives(target.toLowerCase()).some(t => {
+    const words = t.split(/\s+/);
+    const long = words.filter(w => w.length >= 3);
+    return (long.length ? long : words).every(w => lower.includes(stem(w)));
+  });
+}
+
+// [{ field, term, expected }] for every source term a translated line renders
+// some other way; lines are compared with the source the model copied next
+// to them (ingredienser[i].original, stegOriginal[i])
+function glossaryMisses(recipe, entries) {
+  const checks = entries.map(e => ({ ...e, re: sourcePattern(e.source) })).filter(e => e.re);
+  const pairs = [
+    ...recipe.ingredienser.map((ing, i) =>
+      [`ingredienser[${i}].ingrediens`, ing.original, (ing.mangd ? ing.mangd + " " : "") + ing.ingrediens]),
+    ...recipe.steg.map((s, i) => [`steg[${i}]`, (recipe.stegOriginal || [])[i], s]),
+  ];
+  const out = [];
+  for (const [field, original, text] of pairs) {
+    if (!original) continue;
+    const seen = new Set();
+    for (const e of checks) {
+      const m = e.re.exec(original);
+      if (!m || usesTarget(text, e.target)) continue;
+      // A shorter entry the same words already answered for
+      if (seen.has(m[0].toLowerCase())) continue;
+      seen.add(m[0].toLowerCase());
+      out.push({ field, term: m[0], expected: alternatives(e.target)[0] });
+    }
+  }
+  return out;
+}
+
+// ── Prompt ────────────────────────────────────────────────────────────────────
+const entryLine = ([source, target, note]) => `- ${source} -> ${target}` + (note ? ` (${note})` : "");
+
+// The glossary part of the system prompt; "" for a language without one and
+// no user entries
+function glossarySection(targetLanguage, user = []) {
+  const g = glossaryFor(targetLanguage);
+  const parts = [];
+  if (g) {
+    parts.push(g.heading);
+    for (const s of g.sections) {
+      const lines = s.from === "substitutions" ? SUBSTITUTES.map(x => entryLine([x.en, x.namn]))
+        : s.rules ? s.rules.map(r => "- " + r)
+        : s.entries.map(entryLine);
+      parts.push(s.name + ":\n" + lines.join("\n"));
+    }
+  }
+  if (user.length)
+    parts.push("USER GLOSSARY - the user's own terms; they override the lists above:\n" +
+      user.map(e => entryLine([e.source, e.target])).join("\n"));
+  return parts.join("\n\n");
+}
+
+module.exports = {
+  MAX_USER_ENTRIES,
+  glossaryFor, userGlossary, glossaryEntries, glossaryMisses, glossarySection,
+};
@@ -0,0 +1,244 @@
+/**
+ * Chat-completion backends for /api/translate, with failover.
+ *
+ * LLM_PROVIDERS is a comma-separated list tried in order (default "mistral").
+ * When a provider is rate limited (429), out of quota (402), times out, is
+ * unreachable, answers 5xx or has no API key, the next one is tried; other
+ * errors (bad key, bad request) are reported straight away.
+ *
+ *   mistral  — MISTRAL_API_KEY, MISTRAL_TEXT_MODEL, MISTRAL_VISION_MODEL
+ *   openai   — any OpenAI-compatible /v1/chat/completions endpoint:
+ *              OPENAI_BASE_URL (default https://api.openai.com/v1),
+ *              OPENAI_API_KEY, OPENAI_TEXT_MODEL, OPENAI_VISION_MODEL
+ *   ollama   — local Ollama server: OLLAMA_URL (default http://localhost:11434),
+ *              OLLAMA_TEXT_MODEL, OLLAMA_VISION_MODEL
+ *   fake     — no network; returns FAKE_LLM_RESPONSE or a canned recipe.
+ *              For tests and offline development.
+ *
+ * Every provider takes OpenAI-style messages (image parts as data: URLs)
+ * and resolves to the assistant's text. With an onDelta callback the reply
+ * is streamed and each piece of text is passed to it as it arrives; failover
+ * then only happens before the first piece.
+ *
+ * A deadline (ms timestamp) bounds a call: completeWithFailover shares one
+ * across every provider it tries, so a failover after a timeout still ends
+ * inside the function's own time limit (netlify.toml).
+ */
+
+const TIMEOUT_MS = 28_000;
+
+// Errors whose message starts with "<label> API:" are safe to show the user
+function apiError(label, message, { status = 0, retryable = false } = {}) {
+  const err = new Error(label + " API: " + message);
+  err.status = status;
+  err.retryable = retryable;
+  return err;
+}
+
+// Calls onLine for every line of a streamed response body
+async function readLines(body, onLine) {
+  const reader = body.getReader(), decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    const lines = buf.split("\n");
+    buf = lines.pop();
+    for (const line of lines) onLine(line.replace(/\r$/, ""));
+  }
+  buf += decoder.decode();
+  if (buf) onLine(buf);
+}
+
+// With onLine, a successful response body is streamed line by line (the
+// timeout then covers the whole body); error responses are always read as JSON.
+async function postJson(label, url, headers, body, onLine, deadline = Date.now() + TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
+  const failed = e => e.name === "AbortError"
+    ? apiError(label, "request timed out.", { retryable: true })
+    : apiError(label, "network error.", { retryable: true });
+  try {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST", signal: controller.signal,
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify(body),
+      });
+    } catch (e) { throw failed(e); }
+
+    if (onLine && res.ok && res.body) {
+      try { await readLines(res.body, onLine); } catch (e) { throw failed(e); }
+      return { res, data: null };
+    }
+    let data = null;
+    try { data = await res.json(); } catch { data = null; }
+    return { res, data };
+  } finally { clearTimeout(timer); }
+}
+
+// Shared mapping of HTTP failures for the OpenAI-style APIs
+function checkResponse(label, res, data, { quotaHint = "", keyName = "" } = {}) {
+  if (res.ok) return;
+  const errCode = data?.error?.code || "";
+  const errMsg  = data?.error?.message || "";
+  if (errCode === "usage_exceeded" || errCode === "insufficient_quota" || errMsg.includes("usage_exceeded") || res.status === 402)
+    throw apiError(label, "gratiskvoten ar slut." + quotaHint, { status: 402, retryable: true });
+  if (res.status === 429)
+    throw apiError(label, "for manga anrop. Vanta en minut.", { status: 429, retryable: true });
+  if (res.status === 401)
+    throw apiError(label, "ogiltig nyckel." + (keyName ? " Kontrollera " + keyName + "." : ""), { status: 401 });
+  throw apiError(label, "fel " + res.status + ".", { status: res.status, retryable: res.status >= 500 });
+}
+
+// ── OpenAI-style chat completions (Mistral, OpenAI and compatibles) ───────────
+function createChatCompletionsProvider({ name, label, url, apiKey, textModel, visionModel, keyName, quotaHint }) {
+  return {
+    name, label, textModel, visionModel,
+    async complete({ messages, vision = false, useJsonMode = true, onDelta, deadline }) {
+      if (!apiKey) throw apiError(label, keyName + " not configured.", { retryable: true });
+      const body = { model: vision ? visionModel : textModel, messages, temperature: 0.10, max_tokens: 3500 };
+      if (useJsonMode) body.response_format = { type: "json_object" };
+      if (onDelta) body.stream = true;
+      // Streamed replies are server-sent events: "data: {chunk}" … "data: [DONE]"
+      let streamed = "";
+      const { res, data } = await postJson(label, url, { "Authorization": "Bearer " + apiKey }, body, onDelta && (line => {
+        if (!line.startsWith("data:")) return;
+        const payload = line.slice(5).trim();
+        if (payload === "[DONE]") return;
+        let chunk;
+        try { chunk = JSON.parse(payload); } catch { return; }
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) { streamed += delta; onDelta(delta); }
+      }), deadline);
+      checkResponse(label, res, data, { quotaHint, keyName });
+      const text = onDelta ? streamed : data?.choices?.[0]?.message?.content;
+      if (!text) throw new Error("Could not parse model response.");
+      return text;
+    },
+  };
+}
+
+function mistralProvider(env) {
+  return createChatCompletionsProvider({
+    name: "mistral", label: "Mistral", keyName: "MISTRAL_API_KEY",
+    url:         "https://api.mistral.ai/v1/chat/completions",
+    apiKey:      env.MISTRAL_API_KEY,
+    textModel:   env.MISTRAL_TEXT_MODEL   || "mistral-small-latest",
+    visionModel: env.MISTRAL_VISION_MODEL || "pixtral-12b",
+    quotaHint:   " Ga till console.mistral.ai.",
+  });
+}
+
+function openaiProvider(env) {
+  const base = (env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+  return createChatCompletionsProvider({
+    name: "openai", label: "OpenAI", keyName: "OPENAI_API_KEY",
+    url:         base + "/chat/completions",
+    apiKey:      env.OPENAI_API_KEY,
+    textModel:   env.OPENAI_TEXT_MODEL   || "gpt-4o-mini",
+    visionModel: env.OPENAI_VISION_MODEL || env.OPENAI_TEXT_MODEL || "gpt-4o-mini",
+  });
+}
+
+// ── Ollama (native /api/chat) ─────────────────────────────────────────────────
+// Ollama wants images as bare base64 strings on the message, not content parts.
+function toOllamaMessage(m) {
+  if (!Array.isArray(m.content)) return { role: m.role, content: String(m.content) };
+  const text = m.content.filter(p => p.type === "text").map(p => p.text).join("\n");
+  const images = m.content.filter(p => p.type === "image_url")
+    .map(p => String(p.image_url?.url || "").replace(/^data:[^,]*,/, ""));
+  return images.length ? { role: m.role, content: text, images } : { role: m.role, content: text };
+}
+
+function ollamaProvider(env) {
+  const base = (env.OLLAMA_URL || "http://localhost:11434").replace(/\/+$/, "");
+  const label = "Ollama";
+  const textModel   = env.OLLAMA_TEXT_MODEL   || "llama3.1";
+  const visionModel = env.OLLAMA_VISION_MODEL || "llava";
+  return {
+    name: "ollama", label, textModel, visionModel,
+    async complete({ messages, vision = false, useJsonMode = true, onDelta, deadline }) {
+      const body = {
+        model: vision ? visionModel : textModel,
+        messages: messages.map(toOllamaMessage),
+        stream: !!onDelta,
+        options: { temperature: 0.10, num_predict: 3500 },
+      };
+      if (useJsonMode) body.format = "json";
+      // Streamed replies are one JSON object per line
+      let streamed = "";
+      const { res, data } = await postJson(label, base + "/api/chat", {}, body, onDelta && (line => {
+        let chunk;
+        try { chunk = JSON.parse(line); } catch { return; }
+        const delta = chunk?.message?.content;
+        if (delta) { streamed += delta; onDelta(delta); }
+      }), deadline);
+      if (!res.ok) {
+        if (res.status === 404) throw apiError(label, "modellen finns inte. Kor 'ollama pull " + body.model + "'.", { status: 404, retryable: true });
+        throw apiError(label, "fel " + res.status + ".", { status: res.status, retryable: res.status === 429 || res.status >= 500 });
+      }
+      const text = onDelta ? streamed : data?.message?.content;
+      if (!text) throw new Error("Could not parse model response.");
+      return text;
+    },
+  };
+}
+
+// ── Fake (offline) ────────────────────────────────────────────────────────────
+const CANNED_RECIPE = {
+  titel: "Chokladkakor",
+  beskrivning: "",
+  detectedLanguage: "engelska",
+  meta: { portioner: "24 kakor", totaltid: "30 minuter", svarighetsgrad: "Lätt" },
+  ingredienser: [
+    { grupp: "", mangd: "1 cup", ingrediens: "smör" },
+    { grupp: "", mangd: "2 1/4 cups", ingrediens: "vetemjöl" },
+  ],
+  steg: ["Sätt ugnen på 350°F.", "Blanda allt och grädda i 10 minuter."],
+  noteringar: "",
+};
+
+function fakeProvider(env) {
+  return {
+    name: "fake", label: "Fake", textModel: "fake-text", visionModel: "fake-vision",
+    async complete({ onDelta } = {}) {
+      const text = env.FAKE_LLM_RESPONSE || JSON.stringify(CANNED_RECIPE);
+      if (onDelta) for (let i = 0; i < text.length; i += 40) onDelta(text.slice(i, i + 40));
+      return text;
+    },
+  };
+}
+
+const FACTORIES = { mistral: mistralProvider, openai: openaiProvider, ollama: ollamaProvider, fake: fakeProvider };
+
+function getProviders(env = process.env) {
+  const names = String(env.LLM_PROVIDERS || "mistral").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const providers = names.filter(n => FACTORIES[n]).map(n => FACTORIES[n](env));
+  return providers.length ? providers : [mistralProvider(env)];
+}
+
+// Tries each configured provider in turn; rethrows the last error when all
+// fail or the deadline has passed. Once a provider has streamed text to
+// onDelta there is no failover.
+async function completeWithFailover({ messages, vision = false, useJsonMode = true, onDelta, deadline = Date.now() + TIMEOUT_MS }, providers = getProviders()) {
+  let lastErr, started = false;
+  const relay = onDelta && (d => { started = true; onDelta(d); });
+  for (const p of providers) {
+    try {
+      return await p.complete({ messages, vision, useJsonMode, onDelta: relay, deadline });
+    } catch (err) {
+      lastErr = err;
+      if (!err.retryable || started || Date.now() >= deadline) throw err;
+      console.warn("[llm] " + p.name + " unavailable:", String(err.message).slice(0, 80));
+    }
+  }
+  throw lastErr;
+}
+
+module.exports = {
+  getProviders, completeWithFailover, createChatCompletionsProvider,
+  mistralProvider, openaiProvider, ollamaProvider, fakeProvider, CANNED_RECIPE,
+};
@@ -0,0 +1,134 @@
+/**
+ * Checks on a translated recipe against the rules the system prompt sets
+ * (lib/translation.js), which nothing else enforces:
+ *
+ *   abbreviation — Latin shorthand (q.s., ad lib.) anywhere, or a kitchen
+ *                  abbreviation of the target language (msk, dl, EL) outside
+ *                  the amounts, where those are the units lib/units.js and
+ *                  public/quantity.js work with
+ *   untranslated — an English cooking word left in a recipe meant for
+ *                  another language
+ *   imperial     — cups, ounces, °F… still there after metric conversion
+ *   count        — fewer or more ingredients/steps than the page's
+ *                  structured recipe data lists
+ *   glossary     — a term of the target language's glossary or the user's
+ *                  own (lib/glossary.js) rendered some other way
+ *
+ * checkRecipe runs on the recipe as the model wrote it, before conversion:
+ * lib/units.js writes "dl" and "msk" itself, and those are not the model's
+ * doing. Each problem is { code, field, term? , expected?, found? }, field
+ * being a path such as "steg[2]" or "ingredienser[0].ingrediens".
+ */
+const { convertRecipe } = require("./units");
+const { glossaryEntries, glossaryMisses } = require("./glossary");
+
+// ── Rules ─────────────────────────────────────────────────────────────────────
+const LATIN = /(?<![\p{L}])(?:q\.\s?[sbp]\.?|ad\s?lib\.?|opt\.)(?![\p{L}])/giu;
+
+// Kitchen abbreviations per target language; "ca" and unit symbols (g, ml)
+// are fine
+const ABBREVIATIONS = [
+  [/^(?:swed|svensk)/i, /(?<![\p{L}])(?:msk|tsk|krm|dl)(?![\p{L}])/giu],
+  [/^(?:dan|dansk)/i,   /(?<![\p{L}])(?:spsk|tsk|dl)(?![\p{L}])/giu],
+  [/^(?:norw|norsk)/i,  /(?<![\p{L}])(?:ss|ts|dl)(?![\p{L}])/giu],
+  [/^(?:germ|deutsch)/i, /(?<![\p{L}])(?:EL|TL|Msp)(?![\p{L}])\.?/gu],
+];
+
+// English words that are no word of any other target language ("salt",
+// "butter", "oven", "bake" are left out for that reason)
+const ENGLISH = new RegExp("(?<![\\p{L}])(?:" + [
+  "the", "with", "into", "then", "until", "meanwhile",
+  "preheat", "whisk(?:ing)?", "stir(?:ring)?", "simmer(?:ing)?", "sprinkle", "drizzle", "garnish",
+  "cook(?:ing)?", "heat", "add", "chopped", "minced", "diced", "sliced",
+  "skillet", "saucepan", "bowl", "flour", "sugar", "cream", "eggs", "onions?", "garlic", "chicken", "beef",
+].join("|") + ")(?![\\p{L}])", "giu");
+
+const IMPERIAL = /(?<![\p{L}])(?:cups?|tbsps?|tsps?|tablespoons?|teaspoons?|ounces?|oz|lbs?|pounds?|sticks?|pints?|quarts?|gallons?|inch(?:es)?|fahrenheit|gas\s?mark)(?![\p{L}])|\d\s*°\s*F(?![\p{L}])/giu;
+
+// ── Fields ────────────────────────────────────────────────────────────────────
+// [path, text] for every translated field; amounts only when wanted
+function fields(recipe, { amounts = true } = {}) {
+  const out = [
+    ["titel", recipe.titel], ["beskrivning", recipe.beskrivning],
+    ["meta.portioner", recipe.meta.portioner], ["meta.totaltid", recipe.meta.totaltid],
+  ];
+  recipe.ingredienser.forEach((ing, i) => {
+    if (ing.grupp) out.push([`ingredienser[${i}].grupp`, ing.grupp]);
+    if (amounts) out.push([`ingredienser[${i}].mangd`, ing.mangd]);
+    out.push([`ingredienser[${i}].ingrediens`, ing.ingrediens]);
+  });
+  recipe.steg.forEach((s, i) => out.push([`steg[${i}]`, s]));
+  out.push(["noteringar", recipe.noteringar]);
+  return out.filter(([, text]) => text);
+}
+
+function findTerms(list, re, code) {
+  const out = [];
+  for (const [field, text] of list) {
+    const seen = new Set();
+    for (const m of text.matchAll(re)) {
+      const term = m[0].trim();
+      if (seen.has(term.toLowerCase())) continue;
+      seen.add(term.toLowerCase());
+      out.push({ code, field, term });
+    }
+  }
+  return out;
+}
+
+// ── Check ─────────────────────────────────────────────────────────────────────
+// source (optional) = { ingredients: [line], steps: [line], ordered }; counts
+// are only compared with structured page data, where one line is one item.
+// glossary = the user's own entries, [{ source, target }].
+function checkRecipe(recipe, { targetLanguage = "Swedish", measurementSystem = "metric", source, glossary = [] } = {}) {
+  const lang = String(targetLanguage);
+  const problems = findTerms(fields(recipe), LATIN, "abbreviation");
+
+  // "2 msk" in mangd is what the converter writes for "2 tbsp", and the only
+  // spelling scaling and the shopping list understand
+  const abbr = ABBREVIATIONS.find(([langRe]) => langRe.test(lang));
+  if (abbr) problems.push(...findTerms(fields(recipe, { amounts: false }), abbr[1], "abbreviation"));
+
+  // Amounts keep their English units until they are converted
+  if (!/^english/i.test(lang))
+    problems.push(...findTerms(fields(recipe, { amounts: false }), ENGLISH, "untranslated"));
+
+  if (measurementSystem === "metric") {
+    const converted = convertRecipe(JSON.parse(JSON.stringify(recipe)), lang);
+    problems.push(...findTerms(fields(converted), IMPERIAL, "imperial"));
+  }
+
+  if (source && source.ordered) {
+    const counts = [["ingredienser", source.ingredients, recipe.ingredienser], ["steg", source.steps, recipe.steg]];
+    for (const [field, lines, items] of counts)
+      if (lines.length && lines.length !== items.length)
+        problems.push({ code: "count", field, expected: lines.length, found: items.length });
+  }
+
+  for (const miss of glossaryMisses(recipe, glossaryEntries(lang, glossary)))
+    problems.push({ code: "glossary", ...miss });
+  return problems;
+}
+
+// ── Repair prompt ─────────────────────────────────────────────────────────────
+const FIXES = {
+  abbreviation: p => `${p.field}: "${p.term}" is an abbreviation; write the full word`,
+  untranslated: p => `${p.field}: "${p.term}" is not translated`,
+  imperial:     p => `${p.field}: "${p.term}" could not be converted; write the amount with digits and the unit exactly as in the source, e.g. "1 cup"`,
+  count:        p => `${p.field}: the source has ${p.expected} ${p.field === "steg" ? "steps" : "ingredient lines"}, ` +
+                     `the translation ${p.found}; give exactly one entry per source line, none merged, split or dropped`,
+  glossary:     p => `${p.field}: "${p.term}" must be translated as "${p.expected}"`,
+};
+
+// The follow-up message asking the model to correct its own reply
+function buildRepairPrompt(reply, problems, recipeText) {
+  return (
+    "Your translation breaks these rules:\n" +
+    problems.map(p => "- " + FIXES[p.code](p)).join("\n") +
+    "\n\nFix only these problems and change nothing else. Return ONLY the whole corrected JSON object.\n\n" +
+    "TRANSLATION:\n" + reply.slice(0, 20000) +
+    (recipeText ? "\n\nRECIPE:\n" + recipeText.slice(0, 12000) : "")
+  );
+}
+
+module.exports = { checkRecipe, buildRepairPrompt };
@@ -0,0 +1,313 @@
+/**
+ * Structured recipe extraction from a fetched HTML page.
+ *
+ * Recipe blogs wrap a few hundred words of recipe in thousands of words of
+ * stories, ads and comments. Most of them also publish the recipe in a
+ * machine-readable form, so we try those first and send the model only the
+ * clean recipe:
+ *
+ *   jsonld     — <script type="application/ld+json"> with @type Recipe
+ *   microdata  — itemscope itemtype="schema.org/Recipe" + itemprop
+ *   wprm       — WP Recipe Maker plugin markup (wprm-recipe-*)
+ *   tasty      — Tasty Recipes plugin markup (tasty-recipes-*)
+ *   text       — fallback: all tags stripped, first 15 000 characters
+ *
+ * extractRecipe(html) → { method, text }, plus the ingredient and step lines
+ * as found ({ ingredients, steps }) for the structured methods. No DOM
+ * library is available in the function bundle, so the HTML helpers below are
+ * small regex/tag scanners.
+ */
+
+const MAX_TEXT        = 15000;
+const MAX_INGREDIENTS = 200;
+const MAX_STEPS       = 100;
+
+// ── HTML helpers ──────────────────────────────────────────────────────────────
+const NAMED_ENTITIES = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", frac12: "½", frac14: "¼", frac34: "¾", deg: "°", hellip: "…", ndash: "–", mdash: "—", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“" };
+
+function decodeEntities(s) {
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const cp = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return cp > 0 && cp < 0x110000 ? String.fromCodePoint(cp) : " ";
+    }
+    return NAMED_ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function htmlToText(html) {
+  return decodeEntities(String(html || "")
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, " ")
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, " ")
+    .replace(/<[^>]+>/g, " "))
+    .replace(/\s{2,}/g, " ").trim();
+}
+
+function getAttr(attrs, name) {
+  const m = new RegExp("\\b" + name + "\\s*=\\s*(?:\"([^\"]*)\"|'([^']*)'|([^\\s>]+))", "i").exec(attrs);
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3]) : null;
+}
+
+function hasClass(attrs, cls) {
+  const c = getAttr(attrs, "class");
+  return !!c && c.split(/\s+/).includes(cls);
+}
+
+const VOID_TAGS = new Set(["meta", "link", "img", "br", "hr", "input", "source", "wbr"]);
+
+// Every element whose start tag satisfies test(tag, attrs), in document order,
+// with its inner HTML (matched by counting nested tags of the same name).
+function findElements(html, test) {
+  const out = [];
+  const startRe = /<([a-z][a-z0-9]*)\b([^>]*)>/gi;
+  let m;
+  while ((m = startRe.exec(html))) {
+    const tag = m[1].toLowerCase(), attrs = m[2];
+    if (!test(tag, attrs)) continue;
+    const start = m.index + m[0].length;
+    if (VOID_TAGS.has(tag) || attrs.endsWith("/")) { out.push({ tag, attrs, inner: "", index: m.index }); continue; }
+    const tagRe = new RegExp("<(/?)" + tag + "\\b[^>]*>", "gi");
+    tagRe.lastIndex = start;
+    let depth = 1, t, end = html.length;
+    while ((t = tagRe.exec(html))) {
+      depth += t[1] ? -1 : 1;
+      if (depth === 0) { end = t.index; break; }
+    }
+    out.push({ tag, attrs, inner: html.slice(start, end), index: m.index });
+  }
+  return out;
+}
+
+const byClass = (html, cls) => findElements(html, (_, a) => hasClass(a, cls));
+const firstText = (html, cls) => { const e = byClass(html, cls)[0]; return e ? htmlToText(e.inner) : ""; };
+
+// ── ISO 8601 durations (PT1H30M → "1 h 30 min") ───────────────────────────────
+function formatDuration(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:[\d.]+S)?)?$/i.exec(String(iso || "").trim());
+  if (!m) return htmlToText(iso);
+  const d = +(m[1] || 0), hrs = +(m[2] || 0), min = +(m[3] || 0);
+  const totalH = d * 24 + hrs + Math.floor(min / 60), restMin = min % 60;
+  return [totalH && totalH + " h", restMin && restMin + " min"].filter(Boolean).join(" ");
+}
+
+// ── Payload ───────────────────────────────────────────────────────────────────
+// r = { title, description, yield, prepTime, cookTime, totalTime, notes,
+//       ingredients: [{ group, text }], steps: [{ group, text }] }
+// → { text, ingredients: [line], steps: [line] }, or null without both lists
+function buildPayload(r) {
+  const ingredients = r.ingredients.filter(i => i.text).slice(0, MAX_INGREDIENTS);
+  const steps       = r.steps.filter(s => s.text).slice(0, MAX_STEPS);
+  if (!ingredients.length || !steps.length) return null;
+
+  const lines = [];
+  if (r.title)       lines.push("TITLE: " + r.title);
+  if (r.description) lines.push("DESCRIPTION: " + r.description);
+  if (r.yield)       lines.push("YIELD: " + r.yield);
+  if (r.prepTime)    lines.push("PREP TIME: " + r.prepTime);
+  if (r.cookTime)    lines.push("COOK TIME: " + r.cookTime);
+  if (r.totalTime)   lines.push("TOTAL TIME: " + r.totalTime);
+
+  lines.push("", "INGREDIENTS:");
+  let group = "";
+  for (const i of ingredients) {
+    if (i.group && i.group !== group) { lines.push(i.group.toUpperCase() + ":"); group = i.group; }
+    lines.push("- " + i.text);
+  }
+
+  lines.push("", "INSTRUCTIONS:");
+  group = "";
+  steps.forEach((s, n) => {
+    if (s.group && s.group !== group) { lines.push(s.group.toUpperCase() + ":"); group = s.group; }
+    lines.push((n + 1) + ". " + s.text);
+  });
+
+  if (r.notes) lines.push("", "NOTES: " + r.notes);
+  return {
+    text: lines.join("\n").slice(0, MAX_TEXT),
+    ingredients: ingredients.map(i => i.text),
+    steps: steps.map(s => s.text),
+  };
+}
+
+// ── JSON-LD ───────────────────────────────────────────────────────────────────
+function isRecipeNode(node) {
+  const t = node && node["@type"];
+  return Array.isArray(t) ? t.includes("Recipe") : t === "Recipe";
+}
+
+function findRecipeNode(node, depth = 0) {
+  if (!node || typeof node !== "object" || depth > 6) return null;
+  if (Array.isArray(node)) {
+    for (const n of node) { const r = findRecipeNode(n, depth + 1); if (r) return r; }
+    return null;
+  }
+  if (isRecipeNode(node)) return node;
+  for (const key of ["@graph", "mainEntity", "mainEntityOfPage", "itemListElement", "item"]) {
+    const r = findRecipeNode(node[key], depth + 1);
+    if (r) return r;
+  }
+  return null;
+}
+
+function ldText(v) {
+  if (v == null) return "";
+  if (Array.isArray(v)) return ldText(v.find(x => x != null && String(x).trim()));
+  if (typeof v === "object") return ldText(v.text ?? v.name ?? v["@value"]);
+  return htmlToText(String(v));
+}
+
+function ldSteps(v, group = "", out = [], depth = 0) {
+  if (v == null || depth > 4) return out;
+  if (typeof v === "string") {
+    // A single string is usually "1. Do this.\n2. Do that." or one <p> per step
+    const parts = v.split(/\n+|<\/p>|<br\s*\/?>/i).map(htmlToText).filter(Boolean);
+    for (const p of parts) out.push({ group, text: p });
+    return out;
+  }
+  if (Array.isArray(v)) { for (const x of v) ldSteps(x, group, out, depth + 1); return out; }
+  if (typeof v === "object") {
+    const type = v["@type"];
+    if (type === "HowToSection" || (Array.isArray(type) && type.includes("HowToSection")) || v.itemListElement)
+      return ldSteps(v.itemListElement, ldText(v.name) || group, out, depth + 1);
+    const text = ldText(v.text ?? v.name);
+    if (text) out.push({ group, text });
+  }
+  return out;
+}
+
+function fromJsonLd(html) {
+  const blocks = findElements(html, (tag, a) => tag === "script" && /application\/ld\+json/i.test(getAttr(a, "type") || ""));
+  for (const b of blocks) {
+    let data;
+    try { data = JSON.parse(b.inner.trim()); } catch { continue; }
+    const r = findRecipeNode(data);
+    if (!r) continue;
+    const ingredients = [].concat(r.recipeIngredient || r.ingredients || [])
+      .map(i => ({ group: "", text: ldText(i) }));
+    const payload = buildPayload({
+      title:       ldText(r.name),
+      description: ldText(r.description),
+      // recipeYield is often ["24", "24 cookies"] — keep the descriptive one
+      yield:       [].concat(r.recipeYield ?? []).map(ldText).sort((a, b) => b.length - a.length)[0] || "",
+      prepTime:    r.prepTime  ? formatDuration(ldText(r.prepTime))  : "",
+      cookTime:    r.cookTime  ? formatDuration(ldText(r.cookTime))  : "",
+      totalTime:   r.totalTime ? formatDuration(ldText(r.totalTime)) : "",
+      notes:       "",
+      ingredients,
+      steps:       ldSteps(r.recipeInstructions),
+    });
+    if (payload) return payload;
+  }
+  return null;
+}
+
+// ── Microdata ─────────────────────────────────────────────────────────────────
+function propValue(el) {
+  return htmlToText(getAttr(el.attrs, "content") ?? getAttr(el.attrs, "datetime") ?? el.inner);
+}
+
+function fromMicrodata(html) {
+  const scopes = findElements(html, (_, a) => /schema\.org\/Recipe\b/i.test(getAttr(a, "itemtype") || ""));
+  for (const scope of scopes) {
+    const props = name => findElements(scope.inner, (_, a) => (getAttr(a, "itemprop") || "").split(/\s+/).includes(name));
+    const one   = name => { const e = props(name)[0]; return e ? propValue(e) : ""; };
+    const time  = name => { const v = one(name); return v && /^P/i.test(v) ? formatDuration(v) : v; };
+
+    let steps = [];
+    for (const el of props("recipeInstructions")) {
+      // Either one element per step, or one container holding <li>/<p> steps
+      const items = findElements(el.inner, tag => tag === "li" || tag === "p");
+      if (items.length) steps.push(...items.map(i => ({ group: "", text: htmlToText(i.inner) })));
+      else steps.push({ group: "", text: propValue(el) });
+    }
+
+    const payload = buildPayload({
+      title:       one("name"),
+      description: one("description"),
+      yield:       one("recipeYield"),
+      prepTime:    time("prepTime"),
+      cookTime:    time("cookTime"),
+      totalTime:   time("totalTime"),
+      notes:       "",
+      ingredients: [...props("recipeIngredient"), ...props("ingredients")].map(e => ({ group: "", text: propValue(e) })),
+      steps,
+    });
+    if (payload) return payload;
+  }
+  return null;
+}
+
+// ── WP Recipe Maker ───────────────────────────────────────────────────────────
+function wprmList(html, groupCls, itemCls) {
+  const groups = byClass(html, groupCls);
+  const scopes = groups.length ? groups : [{ inner: html }];
+  const out = [];
+  for (const g of scopes) {
+    const group = groups.length ? firstText(g.inner, "wprm-recipe-group-name") : "";
+    for (const el of byClass(g.inner, itemCls)) out.push({ group, text: htmlToText(el.inner) });
+  }
+  return out;
+}
+
+function fromWprm(html) {
+  const container = byClass(html, "wprm-recipe-container")[0] || byClass(html, "wprm-recipe")[0];
+  if (!container) return null;
+  const c = container.inner;
+  const servings = [firstText(c, "wprm-recipe-servings"), firstText(c, "wprm-recipe-servings-unit")].filter(Boolean).join(" ");
+  return buildPayload({
+    title:       firstText(c, "wprm-recipe-name"),
+    description: firstText(c, "wprm-recipe-summary"),
+    yield:       servings,
+    prepTime:    firstText(c, "wprm-recipe-prep_time-container"),
+    cookTime:    firstText(c, "wprm-recipe-cook_time-container"),
+    totalTime:   firstText(c, "wprm-recipe-total_time-container"),
+    notes:       firstText(c, "wprm-recipe-notes"),
+    ingredients: wprmList(c, "wprm-recipe-ingredient-group", "wprm-recipe-ingredient"),
+    steps:       wprmList(c, "wprm-recipe-instruction-group", "wprm-recipe-instruction-text"),
+  });
+}
+
+// ── Tasty Recipes ─────────────────────────────────────────────────────────────
+// Groups are plain <h3>/<h4> headings between the <li> items.
+function tastyList(html) {
+  const out = [];
+  let group = "";
+  for (const el of findElements(html, tag => tag === "li" || tag === "h3" || tag === "h4")) {
+    const text = htmlToText(el.inner);
+    if (el.tag === "li") out.push({ group, text });
+    else group = text;
+  }
+  return out;
+}
+
+function fromTasty(html) {
+  const container = byClass(html, "tasty-recipes")[0];
+  if (!container) return null;
+  const c = container.inner;
+  const section = cls => { const e = byClass(c, cls + "-body")[0] || byClass(c, cls)[0]; return e ? e.inner : ""; };
+  return buildPayload({
+    title:       firstText(c, "tasty-recipes-title"),
+    description: htmlToText(section("tasty-recipes-description")),
+    yield:       firstText(c, "tasty-recipes-yield"),
+    prepTime:    firstText(c, "tasty-recipes-prep-time"),
+    cookTime:    firstText(c, "tasty-recipes-cook-time"),
+    totalTime:   firstText(c, "tasty-recipes-total-time"),
+    notes:       htmlToText(section("tasty-recipes-notes")),
+    ingredients: tastyList(section("tasty-recipes-ingredients")),
+    steps:       tastyList(section("tasty-recipes-instructions")),
+  });
+}
+
+// ── Entry point ───────────────────────────────────────────────────────────────
+const EXTRACTORS = [["jsonld", fromJsonLd], ["microdata", fromMicrodata], ["wprm", fromWprm], ["tasty", fromTasty]];
+
+function extractRecipe(html) {
+  for (const [method, fn] of EXTRACTORS) {
+    let payload = null;
+    try { payload = fn(html); } catch { payload = null; } // malformed markup → try the next path
+    if (payload) return { method, ...payload };
+  }
+  return { method: "text", text: htmlToText(html).slice(0, MAX_TEXT) };
+}
+
+module.exports = { extractRecipe, htmlToText, decodeEntities, formatDuration };
@@ -0,0 +1,207 @@
+/**
+ * SSRF-safe page fetching for URL translations.
+ *
+ * A hostname string says little about where a request goes: a public name
+ * can resolve to 10.x or 169.254.169.254, "2130706433" and "0x7f.1" are
+ * 127.0.0.1, and a harmless first hop can redirect anywhere. So every hop
+ * is checked the same way:
+ *   1. HTTPS only, no blocked hostnames (localhost, *.internal, metadata…)
+ *   2. IP literals are checked after the URL parser has normalized them
+ *   3. Hostnames are resolved and every address must be public
+ * Redirects are followed by hand (max MAX_REDIRECTS), the body is read as a
+ * stream and cut off at MAX_PAGE_BYTES, and only HTML is accepted.
+ *
+ * fetch() resolves the name again when it connects, so a DNS-rebinding
+ * server with a zero TTL can still race the check; the timeout, body cap
+ * and HTML-only rule limit what such a request can return.
+ */
+const dns = require("dns");
+const net = require("net");
+
+const FETCH_TIMEOUT_MS = 10_000;
+const MAX_REDIRECTS    = 5;
+const MAX_PAGE_BYTES   = 3_000_000;
+
+const BLOCKED_HOST_RE = /^(localhost|.*\.local|.*\.internal|.*\.localhost|metadata\.google\.internal)$/i;
+const HTML_TYPE_RE    = /^\s*(text\/html|application\/xhtml\+xml)\s*(;|$)/i;
+
+// ── Address ranges ────────────────────────────────────────────────────────────
+// IPv4 as [first octets…, prefix length]
+const BLOCKED_V4 = [
+  [0, 8],            // "this" network
+  [10, 8],           // private
+  [100, 64, 10],     // carrier-grade NAT (also Alibaba metadata 100.100.100.200)
+  [127, 8],          // loopback
+  [169, 254, 16],    // link-local (AWS/GCP/Azure metadata)
+  [172, 16, 12],     // private
+  [192, 0, 0, 24],   // IETF protocol assignments
+  [192, 0, 2, 24],   // documentation
+  [192, 88, 99, 24], // 6to4 relay
+  [192, 168, 16],    // private
+  [198, 18, 15],     // benchmarking
+  [198, 51, 100, 24],// documentation
+  [203, 0, 113, 24], // documentation
+  [224, 4],          // multicast
+  [240, 4],          // reserved + broadcast
+];
+
+function v4ToInt(ip) {
+  return ip.split(".").reduce((n, o) => n * 256 + Number(o), 0);
+}
+
+function isPrivateV4(ip) {
+  const n = v4ToInt(ip);
+  return BLOCKED_V4.some(r => {
+    const bits = r[r.length - 1];
+    const base = r.slice(0, -1).concat([0, 0, 0, 0]).slice(0, 4).join(".");
+    const mask = bits === 0 ? 0 : (0xffffffff << (32 - bits)) >>> 0;
+    return ((n & mask) >>> 0) === ((v4ToInt(base) & mask) >>> 0);
+  });
+}
+
+// "::ffff:7f00:1" → [0,0,0,0,0,0xffff,0x7f00,1]; null if not IPv6
+function parseV6(ip) {
+  let s = String(ip).replace(/^\[|\]$/g, "").replace(/%.*$/, "");
+  if (net.isIPv6(s) === false) return null;
+  const tail = s.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const n = v4ToInt(tail[1]);
+    s = s.slice(0, -tail[1].length) + (n >>> 16).toString(16) + ":" + (n & 0xffff).toString(16);
+  }
+  const [head, rest] = s.split("::");
+  const a = head ? head.split(":") : [];
+  const b = rest ? rest.split(":") : [];
+  const fill = s.includes("::") ? Array(8 - a.length - b.length).fill("0") : [];
+  return [...a, ...fill, ...b].map(g => parseInt(g, 16));
+}
+
+function embeddedV4(hi, lo) {
+  return [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff].join(".");
+}
+
+function isPrivateV6(ip) {
+  const g = parseV6(ip);
+  if (!g) return true;
+  const zeros = n => g.slice(0, n).every(x => x === 0);
+  if (zeros(8)) return true;                                         // ::
+  if (zeros(7) && g[7] === 1) return true;                           // ::1
+  if (zeros(5) && g[5] === 0xffff) return isPrivateV4(embeddedV4(g[6], g[7])); // ::ffff:a.b.c.d
+  if (zeros(6)) return isPrivateV4(embeddedV4(g[6], g[7]));          // ::a.b.c.d (deprecated)
+  if (g[0] === 0x64 && g[1] === 0xff9b) return isPrivateV4(embeddedV4(g[6], g[7])); // NAT64
+  if (g[0] === 0x2002) return isPrivateV4(embeddedV4(g[1], g[2]));   // 6to4
+  if ((g[0] & 0xfe00) === 0xfc00) return true;                       // fc00::/7 ULA
+  if ((g[0] & 0xffc0) === 0xfe80) return true;                       // fe80::/10 link-local
+  if ((g[0] & 0xffc0) === 0xfec0) return true;                       // fec0::/10 site-local
+  if ((g[0] & 0xff00) === 0xff00) return true;                       // multicast
+  if (g[0] === 0x2001 && g[1] === 0x0db8) return true;               // documentation
+  if (g[0] === 0x0100 && g[1] === 0 && g[2] === 0 && g[3] === 0) return true; // 100::/64 discard-only
+  return false;
+}
+
+// True for anything that is not a public unicast address
+function isPrivateAddress(ip) {
+  const s = String(ip || "").replace(/^\[|\]$/g, "");
+  if (net.isIPv4(s)) return isPrivateV4(s);
+  if (net.isIPv6(s.replace(/%.*$/, ""))) return isPrivateV6(s);
+  return true;
+}
+
+// ── Per-hop checks ────────────────────────────────────────────────────────────
+function assertSafeUrl(rawUrl) {
+  let parsed;
+  try { parsed = new URL(rawUrl); } catch { throw new Error("Invalid URL format."); }
+  if (parsed.protocol !== "https:") throw new Error("Only HTTPS URLs are allowed.");
+  if (parsed.username || parsed.password) throw new Error("URL must not contain credentials.");
+  const host = parsed.hostname.toLowerCase().replace(/\.$/, "");
+  if (BLOCKED_HOST_RE.test(host)) throw new Error("URL points to a blocked or private address.");
+  // The URL parser has already turned decimal, octal and hex forms into dotted quads
+  const literal = host.replace(/^\[|\]$/g, "");
+  if (net.isIP(literal) && isPrivateAddress(literal))
+    throw new Error("URL points to a blocked or private address.");
+  return parsed;
+}
+
+async function assertPublicHost(parsed) {
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return; // literal, already checked
+  let addrs;
+  try { addrs = await dns.promises.lookup(host, { all: true, verbatim: true }); }
+  catch { throw new Error("Could not fetch URL (host not found)."); }
+  if (!addrs.length || addrs.some(a => isPrivateAddress(a.address)))
+    throw new Error("URL points to a blocked or private address.");
+}
+
+// ── Body reader with a size cap ───────────────────────────────────────────────
+// Pages over the cap are cut off rather than rejected: recipe data sits in
+// the <head> or early in the body, and extraction copes with partial HTML.
+async function readCapped(res, maxBytes) {
+  if (!res.body) return "";
+  const reader  = res.body.getReader();
+  const decoder = new TextDecoder("utf-8");
+  let html = "", bytes = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    const room = maxBytes - bytes;
+    bytes += value.byteLength;
+    html += decoder.decode(value.byteLength > room ? value.subarray(0, room) : value, { stream: true });
+    if (bytes >= maxBytes) {
+      reader.cancel().catch(() => {});
+      console.warn("[safe-fetch] Page cut off at", maxBytes, "bytes");
+      return html; // a character split at the cut is dropped, not replaced
+    }
+  }
+  return html + decoder.decode();
+}
+
+// ── Fetch ─────────────────────────────────────────────────────────────────────
+async function fetchPageHtml(url, { maxRedirects = MAX_REDIRECTS, maxBytes = MAX_PAGE_BYTES } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+      let parsed;
+      try {
+        parsed = assertSafeUrl(current);
+        await assertPublicHost(parsed);
+      } catch (e) {
+        throw hop === 0 ? e : new Error("Unsafe redirect: " + e.message);
+      }
+
+      let res;
+      try {
+        res = await fetch(parsed.href, {
+          signal: controller.signal,
+          headers: { "User-Agent": "Mozilla/5.0 (compatible; Receptbot/1.0)", "Accept": "text/html,application/xhtml+xml" },
+          redirect: "manual",
+        });
+      } catch (e) {
+        if (e.name === "AbortError") throw new Error("URL fetch timed out.");
+        throw new Error("Could not fetch URL.");
+      }
+
+      if (res.status >= 300 && res.status < 400 && res.headers.get("location")) {
+        res.body?.cancel().catch(() => {});
+        if (hop >= maxRedirects) throw new Error("URL redirected too many times.");
+        try { current = new URL(res.headers.get("location"), parsed.href).href; }
+        catch { throw new Error("Unsafe redirect: Invalid URL format."); }
+        continue;
+      }
+
+      if (!res.ok) throw new Error("Could not fetch page (HTTP " + res.status + ").");
+      const type = res.headers.get("content-type");
+      if (type && !HTML_TYPE_RE.test(type)) {
+        res.body?.cancel().catch(() => {});
+        throw new Error("URL is not an HTML page.");
+      }
+      try { return await readCapped(res, maxBytes); }
+      catch (e) {
+        if (e.name === "AbortError") throw new Error("URL fetch timed out.");
+        throw new Error("Could not fetch URL.");
+      }
+    }
+  } finally { clearTimeout(timer); }
+}
+
+module.exports = { assertSafeUrl, isPrivateAddress, fetchPageHtml, MAX_PAGE_BYTES, MAX_REDIRECTS };
@@ -0,0 +1,119 @@
+/**
+ * Shared request guards for the Netlify functions.
+ *
+ * translate.js and tts.js both run the same checks before doing any work:
+ * CORS origin, per-IP rate limit, HMAC token. Keeping them in one place
+ * means a fix to one guard protects every endpoint. token.js shares the
+ * origin list, signing and rate limiter.
+ */
+const crypto = require("crypto");
+const { getStateStore } = require("./state-store");
+
+// ── Allowed origins ───────────────────────────────────────────────────────────
+const ALLOWED_ORIGINS = [
+  process.env.SITE_URL, process.env.URL,
+  "http://localhost:8888", "http://localhost:3000",
+].filter(Boolean);
+
+function originAllowed(origin, referer) {
+  if (ALLOWED_ORIGINS.some(o => origin.startsWith(o) || (referer || "").startsWith(o))) return true;
+  return origin === "";
+}
+
+function corsOrigin(origin) {
+  return ALLOWED_ORIGINS.includes(origin) ? origin : (ALLOWED_ORIGINS[0] || "null");
+}
+
+function clientIp(event) {
+  return event.headers["x-forwarded-for"]?.split(",")[0].trim()
+      || event.headers["client-ip"]
+      || "unknown";
+}
+
+// ── Log-safe string (prevents log injection via CRLF/ANSI codes) ──────────────
+function safeLog(s) {
+  return String(s || "").replace(/[\r\n\t\x1b]/g, " ").slice(0, 120);
+}
+
+// ── Per-IP rate limiter ───────────────────────────────────────────────────────
+// IPs are SHA-256 hashed before storage (privacy / GDPR). Counts live in the
+// shared state store (lib/state-store.js) in fixed windows of windowMs.
+function hashIp(ip) {
+  return crypto.createHash("sha256").update(ip || "unknown").digest("hex").slice(0, 16);
+}
+
+function createRateLimiter({ name, windowMs = 60_000, max = 8, store } = {}) {
+  // Resolves true when the request is allowed. A store failure lets the
+  // request through: the Netlify limit in each function's config still applies.
+  async function check(ip) {
+    const win = Math.floor(Date.now() / windowMs);
+    try {
+      const count = await (store || getStateStore()).hit(`rl/${name}/${hashIp(ip)}/${win}`, Math.ceil(windowMs / 1000));
+      return count <= max;
+    } catch (e) {
+      console.error("[security] Rate limit store failed:", safeLog(e.message));
+      return true;
+    }
+  }
+
+  return { check };
+}
+
+// ── HMAC token verification ───────────────────────────────────────────────────
+// Frontend fetches a token from /api/token just before each call.
+// Token = { nonce, exp, sig } where sig = HMAC-SHA256(TOKEN_SECRET, nonce:exp)
+// A nonce may be used maxUses times (default 1); uses are counted in the
+// shared state store until the token's expiry + 30 s buffer, so a nonce
+// cannot be replayed against another function instance.
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+function signToken(secret, nonce, exp) {
+  return crypto.createHmac("sha256", secret).update(`${nonce}:${exp}`).digest("hex");
+}
+
+async function verifyToken(tokenObj, { maxUses = 1, store } = {}) {
+  const secret = process.env.TOKEN_SECRET;
+  if (!secret) return true; // TOKEN_SECRET not configured → skip check (development)
+
+  if (!tokenObj || typeof tokenObj !== "object") return false;
+  const { nonce, exp, sig } = tokenObj;
+  if (!nonce || !exp || !sig) return false;
+  if (typeof nonce !== "string" || !/^[0-9a-f]{32}$/.test(nonce)) return false;
+  if (typeof sig !== "string" || typeof exp !== "number") return false;
+
+  // Check expiry
+  const now = Math.floor(Date.now() / 1000);
+  if (exp < now || exp > now + TOKEN_TTL_SECONDS + 10) return false; // expired or suspiciously far future
+
+  // Verify signature — timing-safe comparison. Done before counting the
+  // use, so forged tokens cannot burn real nonces.
+  const expected = signToken(secret, nonce, exp);
+  let valid = false;
+  try {
+    valid = crypto.timingSafeEqual(Buffer.from(sig, "hex"), Buffer.from(expected, "hex"));
+  } catch { valid = false; }
+  if (!valid) return false;
+
+  // Count the use — one atomic hit, so two parallel requests cannot both
+  // be the first. A store failure rejects the token (fail closed).
+  try {
+    const uses = await (store || getStateStore()).hit("nonce/" + nonce, exp - now + 30);
+    return uses <= maxUses;
+  } catch (e) {
+    console.error("[security] Nonce store failed:", safeLog(e.message));
+    return false;
+  }
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  TOKEN_TTL_SECONDS,
+  originAllowed,
+  corsOrigin,
+  clientIp,
+  safeLog,
+  hashIp,
+  createRateLimiter,
+  signToken,
+  verifyToken,
+};
@@ -0,0 +1,120 @@
+/**
+ * Storage for shared recipes (lib/share.js): one record per link.
+ *
+ * A link outlives the function instance that created it, so production
+ * needs a store every instance reads. Unlike the batch store a record may
+ * live forever (ttlSeconds null) and can be deleted by its owner.
+ *
+ * A store is { get(key) → Promise<value|null>, set(key, value, ttlSeconds|null),
+ * delete(key) }. Choose one with SHARE_STORE:
+ *   file    — JSON files in SHARE_STORE_DIR (default: <tmpdir>/recept-share);
+ *             the default locally, so links survive a restart of `netlify dev`
+ *   memory  — per process (tests)
+ *   blobs   — Netlify Blobs, shared by every function instance of the site;
+ *             the default when deployed, where /tmp is per instance
+ */
+const fs   = require("fs/promises");
+const os   = require("os");
+const path = require("path");
+const { deployedOnNetlify } = require("./state-store");
+
+const expiresAt = ttlSeconds => ttlSeconds ? Date.now() + ttlSeconds * 1000 : null;
+const expired   = e => e.expires != null && e.expires <= Date.now();
+
+// ── Memory ────────────────────────────────────────────────────────────────────
+function createMemoryShareStore({ maxEntries = 5000 } = {}) {
+  const entries = new Map(); // key -> { value, expires }
+  return {
+    async get(key) {
+      const e = entries.get(key);
+      if (!e) return null;
+      if (expired(e)) { entries.delete(key); return null; }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expires: expiresAt(ttlSeconds) });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+// ── File ──────────────────────────────────────────────────────────────────────
+function createFileShareStore({ dir = path.join(os.tmpdir(), "recept-share") } = {}) {
+  const fileFor = key => path.join(dir, encodeURIComponent(key).replace(/%/g, "_") + ".json");
+  return {
+    async get(key) {
+      let e;
+      try { e = JSON.parse(await fs.readFile(fileFor(key), "utf8")); } catch { return null; }
+      if (!e || expired(e)) {
+        fs.unlink(fileFor(key)).catch(() => {});
+        return null;
+      }
+      return e.value;
+    },
+    async set(key, value, ttlSeconds) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so a page view never reads half a recipe
+      const file = fileFor(key), tmp = file + "." + process.pid + ".tmp";
+      await fs.writeFile(tmp, JSON.stringify({ value, expires: expiresAt(ttlSeconds) }));
+      await fs.rename(tmp, file);
+    },
+    async delete(key) {
+      await fs.unlink(fileFor(key)).catch(() => {});
+    },
+  };
+}
+
+// ── Netlify Blobs ─────────────────────────────────────────────────────────────
+// `blobs` is a Blobs store (getStore(...)); injectable for tests.
+function createBlobsShareStore({ name = "shared-recipes", blobs } = {}) {
+  let store = blobs;
+  const getBlobs = () => store || (store = require("@netlify/blobs").getStore({ name, consistency: "strong" }));
+  return {
+    async get(key) {
+      const e = await getBlobs().get(key, { type: "json" });
+      return e && !expired(e) ? e.value : null;
+    },
+    async set(key, value, ttlSeconds) {
+      await getBlobs().setJSON(key, { value, expires: expiresAt(ttlSeconds) });
+    },
+    async delete(key) {
+      await getBlobs().delete(key);
+    },
+  };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+let shared = null;
+
+function shareStoreKind(env = process.env) {
+  return (env.SHARE_STORE || (deployedOnNetlify(env) ? "blobs" : "file")).toLowerCase();
+}
+
+function createShareStore(env = process.env) {
+  switch (shareStoreKind(env)) {
+    case "memory": return createMemoryShareStore();
+    case "blobs":  return createBlobsShareStore();
+    default:       return createFileShareStore(env.SHARE_STORE_DIR ? { dir: env.SHARE_STORE_DIR } : {});
+  }
+}
+
+// One store per function instance, created on first use
+function getShareStore() {
+  return shared || (shared = createShareStore());
+}
+
+// Handler-style functions get Blobs credentials on the event; pass them on
+// before the first read. No-op for the other stores.
+function connectShareStore(event) {
+  if (shareStoreKind() === "blobs" && event && event.blobs)
+    require("@netlify/blobs").connectLambda(event);
+}
+
+module.exports = {
+  createMemoryShareStore, createFileShareStore, createBlobsShareStore,
+  shareStoreKind, createShareStore, getShareStore, connectShareStore,
+};
@@ -0,0 +1,212 @@
+/**
+ * Shared recipes: a translated recipe stored under a short link, /r/<id>,
+ * that anyone with the link can read, scale, print and have read aloud, and
+ * that only its owner can delete.
+ *
+ * The recipe is stored as validateRecipe (lib/translation.js) shapes a
+ * model's answer, so a link carries no field the app did not make and no
+ * text longer than a translation could hold. The id is 96 random bits in
+ * base64url — 16 characters, too many to guess. The owner gets a delete
+ * key once, with the link; only its SHA-256 is stored. A link lives until
+ * it is deleted or, when asked for, for 1–365 days (lib/share-store.js).
+ *
+ * The page is plain HTML with Open Graph tags, so link previews, reading
+ * and printing work without scripts; public/share-page.js adds the scale
+ * control and reading aloud. Its labels come from the app that shared the
+ * recipe, in the language it was shown in.
+ */
+const crypto = require("crypto");
+const { getShareStore } = require("./share-store");
+const { validateRecipe } = require("./translation");
+
+const SHARE_ID_RE  = /^[A-Za-z0-9_-]{16}$/;
+const KEY_RE       = /^[A-Za-z0-9_-]{32}$/;
+const MAX_DAYS     = 365;
+const DAY          = 24 * 3600;
+
+// Texts on the page; the app sends them in its own language
+const DEFAULT_LABELS = {
+  ingredients: "Ingredienser", steps: "Gör så här", stepWord: "Steg", notes: "Tips & noteringar",
+  scale: "Portioner", readAloud: "Läs upp", stop: "Stoppa", print: "Skriv ut",
+  source: "Originalrecept", expires: "Länken gäller till", app: "Receptöversättaren",
+};
+
+const keys = { share: id => `share/${id}` };
+
+const randomId = bytes => crypto.randomBytes(bytes).toString("base64url");
+const hashKey  = key => crypto.createHash("sha256").update(key).digest("hex");
+
+// ── Input ─────────────────────────────────────────────────────────────────────
+function httpUrl(s) {
+  try {
+    const u = new URL(String(s || ""));
+    return /^https?:$/.test(u.protocol) && u.href.length <= 2000 ? u.href : "";
+  } catch { return ""; }
+}
+
+function shareLabels(labels) {
+  const out = { ...DEFAULT_LABELS };
+  if (labels && typeof labels === "object")
+    for (const k of Object.keys(DEFAULT_LABELS))
+      if (typeof labels[k] === "string" && labels[k].trim()) out[k] = labels[k].trim().slice(0, 60);
+  return out;
+}
+
+// A POST body → { input } ready for createShare, or { error }
+//   { recipe, srcUrl?, language?, lang?, labels?, expiresInDays? }
+// language is the recipe's language as the app names it ("Swedish"), lang
+// its BCP 47 tag for <html lang> and the voice that reads it aloud.
+function shareInput(body) {
+  let recipe;
+  try { recipe = validateRecipe(body && body.recipe); }
+  catch { return { error: "Invalid recipe." }; }
+
+  const days = body.expiresInDays == null || body.expiresInDays === 0 ? null : body.expiresInDays;
+  if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= MAX_DAYS))
+    return { error: "Expiry must be 1-365 days." };
+
+  const language = String(body.language || "").slice(0, 50);
+  const lang = /^[a-z]{2,3}(?:-[A-Z]{2})?$/.test(body.lang || "") ? body.lang : "";
+  return {
+    input: {
+      recipe, source: httpUrl(body.srcUrl), language, lang,
+      labels: shareLabels(body.labels), days,
+    },
+  };
+}
+
+// ── Links ─────────────────────────────────────────────────────────────────────
+// → { id, deleteKey, expiresAt }; expiresAt is null for a link that lasts
+async function createShare({ days, ...input }, { store = getShareStore() } = {}) {
+  const id = randomId(12), deleteKey = randomId(24);
+  const created = Date.now(), expiresAt = days ? new Date(created + days * DAY * 1000).toISOString() : null;
+  await store.set(keys.share(id), { id, ...input, created, expiresAt, keyHash: hashKey(deleteKey) }, days ? days * DAY : null);
+  return { id, deleteKey, expiresAt };
+}
+
+// The shared recipe without its key hash, or null
+async function getShare(id, { store = getShareStore() } = {}) {
+  if (typeof id !== "string" || !SHARE_ID_RE.test(id)) return null;
+  const share = await store.get(keys.share(id));
+  if (!share) return null;
+  const { keyHash, ...rest } = share;
+  return rest;
+}
+
+// true when deleted, false for the wrong key, null when there is no such link
+async function deleteShare(id, deleteKey, { store = getShareStore() } = {}) {
+  if (typeof id !== "string" || !SHARE_ID_RE.test(id)) return null;
+  const share = await store.get(keys.share(id));
+  if (!share) return null;
+  if (typeof deleteKey !== "string" || !KEY_RE.test(deleteKey)) return false;
+  const given = Buffer.from(hashKey(deleteKey), "hex"), stored = Buffer.from(share.keyHash, "hex");
+  if (!crypto.timingSafeEqual(given, stored)) return false;
+  await store.delete(keys.share(id));
+  return true;
+}
+
+// ── Page ──────────────────────────────────────────────────────────────────────
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+const esc = s => String(s == null ? "" : s).replace(/[&<>"']/g, c => ESCAPES[c]);
+// JSON inside <script>: no "</script>" or "<!--" can end it early
+const scriptJson = v => JSON.stringify(v).replace(/</g, "\\u003c");
+
+const STYLE =
+  "body{margin:0;background:#f5f0e8;color:#2a2a2a;font-family:Georgia,serif}" +
+  "main{max-width:720px;margin:0 auto;padding:24px 20px 48px}" +
+  "h1{font-family:'Palatino Linotype',Georgia,serif;color:#2d4a3e;font-size:30px;margin:0 0 8px}" +
+  "h2{font:bold 11px sans-serif;letter-spacing:.12em;text-transform:uppercase;color:#b85c38;" +
+  "border-bottom:1px solid #d4c9b5;padding-bottom:4px;margin:28px 0 10px}" +
+  "h3{font:bold 12px sans-serif;color:#2d4a3e;margin:14px 0 4px}" +
+  ".desc{font-style:italic;color:#6b6258;line-height:1.6}.meta{font:12px sans-serif;color:#6b6258}" +
+  "ul{list-style:none;padding:0;margin:0}li{line-height:1.8}ul li{border-bottom:1px dotted #d4c9b5}" +
+  "ol{padding-left:22px}ol li{margin-bottom:10px;font-family:sans-serif;font-size:14px}" +
+  ".amount{display:inline-block;min-width:90px;font-weight:bold;color:#2d4a3e}" +
+  ".notes{white-space:pre-line;font-family:sans-serif;font-size:13px;color:#6b6258}" +
+  ".speaking{background:#f0e2c8}footer{margin-top:32px;font:11px sans-serif;color:#8a8078}" +
+  "footer a{color:#2d4a3e}.bar{display:flex;flex-wrap:wrap;gap:6px;align-items:center;margin-bottom:18px}" +
+  ".bar button{padding:6px 11px;border-radius:5px;border:1.5px solid #2d4a3e;background:transparent;" +
+  "color:#2d4a3e;font:bold 11px sans-serif;cursor:pointer}.bar button[aria-pressed=true]{background:#2d4a3e;color:#ede6d6}" +
+  ".bar .label{font:bold 10px sans-serif;letter-spacing:.08em;text-transform:uppercase;color:#6b6258;margin-right:2px}" +
+  ".bar .gap{flex:1}" +
+  "@media print{body{background:#fff}.bar{display:none}main{padding:0}.speaking{background:none}" +
+  "h2{color:#000}a{color:#000;text-decoration:none}}";
+
+function page({ lang, title, head = "", body }) {
+  return "<!DOCTYPE html><html lang=\"" + esc(lang || "sv") + "\"><head><meta charset=\"utf-8\">" +
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">" +
+    "<meta name=\"robots\" content=\"noindex\"><title>" + esc(title) + "</title>" + head +
+    "<link rel=\"icon\" href=\"/icon.svg\"><style>" + STYLE + "</style></head><body><main>" + body + "</main></body></html>";
+}
+
+// The first sentences of the description, or the ingredients, for previews
+function summary(recipe) {
+  const text = recipe.beskrivning || recipe.ingredienser.map(i => i.ingrediens).join(", ");
+  return text.length > 200 ? text.slice(0, 197).replace(/\s+\S*$/, "") + " …" : text;
+}
+
+function ingredientList(recipe) {
+  let html = "", group = null;
+  recipe.ingredienser.forEach((ing, i) => {
+    if (ing.grupp !== group) {
+      if (group !== null) html += "</ul>";
+      if (ing.grupp) html += "<h3>" + esc(ing.grupp) + "</h3>";
+      html += "<ul>";
+      group = ing.grupp;
+    }
+    html += "<li data-i=\"" + i + "\"><span class=\"amount\">" + esc(ing.mangd) + "</span> " + esc(ing.ingrediens) + "</li>";
+  });
+  return html + "</ul>";
+}
+
+// The whole read-only page; url is the link's absolute address
+function renderSharePage(share, { url = "" } = {}) {
+  const { recipe, labels: L } = share;
+  const m = recipe.meta;
+  const description = summary(recipe);
+  const head =
+    "<meta name=\"description\" content=\"" + esc(description) + "\">" +
+    "<meta property=\"og:type\" content=\"article\">" +
+    "<meta property=\"og:site_name\" content=\"" + esc(L.app) + "\">" +
+    "<meta property=\"og:title\" content=\"" + esc(recipe.titel) + "\">" +
+    "<meta property=\"og:description\" content=\"" + esc(description) + "\">" +
+    (url ? "<meta property=\"og:url\" content=\"" + esc(url) + "\">" : "") +
+    "<meta name=\"twitter:card\" content=\"summary\">";
+  const meta = [
+    m.portioner && "<span id=\"portions\">" + esc(m.portioner) + "</span>", esc(m.totaltid), esc(m.svarighetsgrad),
+  ].filter(Boolean);
+  const footer = [
+    share.source ? esc(L.source) + ": <a href=\"" + esc(share.source) + "\" rel=\"noopener nofollow\">" + esc(share.source.replace(/^https?:\/\/(www\.)?/, "").split("/")[0]) + "</a>" : "",
+    share.expiresAt ? esc(L.expires) + " " + esc(share.expiresAt.slice(0, 10)) : "",
+    "<a href=\"/\">" + esc(L.app) + "</a>",
+  ].filter(Boolean);
+  const data = { recipe, language: share.language, lang: share.lang, labels: L };
+  const body =
+    "<div class=\"bar\" id=\"controls\" hidden></div>" +
+    "<article><h1>" + esc(recipe.titel) + "</h1>" +
+    (recipe.beskrivning ? "<p class=\"desc\">" + esc(recipe.beskrivning) + "</p>" : "") +
+    (meta.length ? "<p class=\"meta\">" + meta.join(" · ") + "</p>" : "") +
+    "<h2>" + esc(L.ingredients) + "</h2>" + ingredientList(recipe) +
+    "<h2>" + esc(L.steps) + "</h2><ol>" + recipe.steg.map((s, i) => "<li data-s=\"" + i + "\">" + esc(s) + "</li>").join("") + "</ol>" +
+    (recipe.noteringar ? "<h2>" + esc(L.notes) + "</h2><p class=\"notes\" id=\"notes\">" + esc(recipe.noteringar) + "</p>" : "") +
+    "</article><footer>" + footer.join(" · ") + "</footer>" +
+    "<script type=\"application/json\" id=\"share-data\">" + scriptJson(data) + "</script>" +
+    "<script src=\"/quantity.js\"></script><script src=\"/share-page.js\"></script>";
+  return page({ lang: share.lang, title: recipe.titel, head, body });
+}
+
+// Deleted, expired or never there; the labels went with the recipe
+function renderMissingPage() {
+  return page({
+    title: DEFAULT_LABELS.app,
+    body: "<h1>Receptet finns inte</h1><p class=\"desc\">Länken har tagits bort eller gått ut. " +
+      "<span lang=\"en\">This recipe link has been deleted or has expired.</span></p>" +
+      "<footer><a href=\"/\">" + esc(DEFAULT_LABELS.app) + "</a></footer>",
+  });
+}
+
+module.exports = {
+  SHARE_ID_RE, MAX_DAYS, DEFAULT_LABELS,
+  shareInput, createShare, getShare, deleteShare,
+  renderSharePage, renderMissingPage,
+};
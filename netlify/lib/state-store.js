@@ -0,0 +1,173 @@
+/**
+ * Shared counters for the request guards: rate-limit windows and token
+ * nonces.
+ *
+ * In-memory Maps reset on every cold start and are not shared between
+ * parallel function instances, so a nonce could be replayed against another
+ * instance and per-IP limits were per instance. A store moves that state
+ * somewhere all instances see.
+ *
+ * A store is { hit(key, ttlSeconds) → Promise<count> }: atomically add one
+ * to the counter under key — starting a new counter with the given lifetime
+ * if there is none or it has expired — and return the new value. Both the
+ * rate limiter ("is this the Nth request in the window?") and the nonce
+ * check ("is this the Nth use?") are a single hit.
+ *
+ * Choose one with STATE_STORE:
+ *   memory  — per function instance (default locally; fine for `netlify dev`)
+ *   file    — JSON files in STATE_STORE_DIR (default: <tmpdir>/recept-state),
+ *             shared by processes on one machine; lock file per key
+ *   blobs   — Netlify Blobs, shared by every instance of the site;
+ *             compare-and-swap on the blob's ETag (default when deployed)
+ */
+const fs   = require("fs/promises");
+const os   = require("os");
+const path = require("path");
+
+// ── Memory ────────────────────────────────────────────────────────────────────
+function createMemoryStateStore({ maxEntries = 5000 } = {}) {
+  const entries = new Map(); // key -> { count, expires }
+
+  function prune(now) {
+    for (const [k, e] of entries) if (e.expires <= now) entries.delete(k);
+    // Still full of live entries: drop the oldest rather than grow forever
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  return {
+    async hit(key, ttlSeconds) {
+      const now = Date.now();
+      let e = entries.get(key);
+      if (!e || e.expires <= now) {
+        e = { count: 0, expires: now + ttlSeconds * 1000 };
+        entries.set(key, e);
+        if (entries.size > maxEntries) prune(now);
+      }
+      return ++e.count;
+    },
+  };
+}
+
+// ── File ──────────────────────────────────────────────────────────────────────
+const LOCK_STALE_MS = 2000;
+const LOCK_WAIT_MS  = 5000;
+
+function createFileStateStore({ dir = path.join(os.tmpdir(), "recept-state") } = {}) {
+  const fileFor = key => path.join(dir, encodeURIComponent(key).replace(/%/g, "_") + ".json");
+  let writes = 0;
+
+  // O_EXCL create is atomic on local file systems: whoever creates the
+  // lock file owns the key until it is removed.
+  async function lock(file) {
+    const lockFile = file + ".lock";
+    const started = Date.now();
+    for (;;) {
+      try { await (await fs.open(lockFile, "wx")).close(); return lockFile; }
+      catch (e) { if (e.code !== "EEXIST") throw e; }
+      const st = await fs.stat(lockFile).catch(() => null);
+      if (st && Date.now() - st.mtimeMs > LOCK_STALE_MS) { await fs.unlink(lockFile).catch(() => {}); continue; }
+      if (Date.now() - started > LOCK_WAIT_MS) throw new Error("State store lock timeout.");
+      await new Promise(r => setTimeout(r, 5 + Math.random() * 10));
+    }
+  }
+
+  async function prune() {
+    const now = Date.now();
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      if (!name.endsWith(".json")) continue;
+      const f = path.join(dir, name);
+      try { if (JSON.parse(await fs.readFile(f, "utf8")).expires <= now) await fs.unlink(f); } catch {}
+    }
+  }
+
+  return {
+    async hit(key, ttlSeconds) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const lockFile = await lock(file);
+      let count;
+      try {
+        const now = Date.now();
+        let e = null;
+        try { e = JSON.parse(await fs.readFile(file, "utf8")); } catch {}
+        if (!e || e.expires <= now) e = { count: 0, expires: now + ttlSeconds * 1000 };
+        count = ++e.count;
+        const tmp = file + "." + process.pid + ".tmp";
+        await fs.writeFile(tmp, JSON.stringify(e));
+        await fs.rename(tmp, file);
+      } finally {
+        await fs.unlink(lockFile).catch(() => {});
+      }
+      if (++writes % 200 === 0) prune().catch(() => {});
+      return count;
+    },
+  };
+}
+
+// ── Netlify Blobs ─────────────────────────────────────────────────────────────
+const CAS_ATTEMPTS = 10;
+
+// `blobs` is a Blobs store (getStore(...)); injectable for tests.
+function createBlobsStateStore({ name = "request-guards", blobs } = {}) {
+  let store = blobs;
+  const getBlobs = () => store || (store = require("@netlify/blobs").getStore({ name, consistency: "strong" }));
+
+  return {
+    async hit(key, ttlSeconds) {
+      const s = getBlobs();
+      for (let attempt = 0; attempt < CAS_ATTEMPTS; attempt++) {
+        const now = Date.now();
+        const cur = await s.getWithMetadata(key, { type: "json" });
+        const live = cur && cur.data && cur.data.expires > now;
+        const next = live
+          ? { count: cur.data.count + 1, expires: cur.data.expires }
+          : { count: 1, expires: now + ttlSeconds * 1000 };
+        // Only write if nobody else has since the read; otherwise re-read
+        const { modified } = await s.setJSON(key, next, cur ? { onlyIfMatch: cur.etag } : { onlyIfNew: true });
+        if (modified) return next.count;
+        await new Promise(r => setTimeout(r, Math.random() * 20 * (attempt + 1)));
+      }
+      throw new Error("State store contention.");
+    },
+  };
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+let shared = null;
+
+// True in a deployed function (Lambda runtime or Blobs context), false under
+// `netlify dev` and in tests — for stores whose default differs there
+function deployedOnNetlify(env = process.env) {
+  return !env.NETLIFY_DEV && !!(env.AWS_LAMBDA_FUNCTION_NAME || env.NETLIFY_BLOBS_CONTEXT);
+}
+
+// Deployed, per-instance memory would give every instance its own nonce
+// counts and rate windows — the very thing the store is for
+function stateStoreKind(env = process.env) {
+  return (env.STATE_STORE || (deployedOnNetlify(env) ? "blobs" : "memory")).toLowerCase();
+}
+
+function createStateStore(env = process.env) {
+  switch (stateStoreKind(env)) {
+    case "file":  return createFileStateStore(env.STATE_STORE_DIR ? { dir: env.STATE_STORE_DIR } : {});
+    case "blobs": return createBlobsStateStore();
+    default:      return createMemoryStateStore();
+  }
+}
+
+// One store per function instance, created on first use
+function getStateStore() {
+  return shared || (shared = createStateStore());
+}
+
+// Handler-style functions get Blobs credentials on the event; pass them on
+// before the first hit. Deployed, batch pacing uses Blobs whatever the store.
+function connectStateStore(event) {
+  if ((stateStoreKind() === "blobs" || deployedOnNetlify()) && event && event.blobs)
+    require("@netlify/blobs").connectLambda(event);
+}
+
+module.exports = {
+  createMemoryStateStore, createFileStateStore, createBlobsStateStore,
+  stateStoreKind, createStateStore, getStateStore, connectStateStore, deployedOnNetlify,
+};
@@ -0,0 +1,68 @@
+/**
+ * Server-sent events for /api/translate's streaming mode.
+ *
+ * createEventStream() gives a Readable to hand back as the response body
+ * (wrapped with stream() from @netlify/functions) plus send/close helpers.
+ * Each event is one frame:
+ *
+ *   event: progress
+ *   data: {"stage":"translating"}
+ *
+ * parsePartialJson() turns the model's half-written JSON into the object
+ * it describes so far, so fields can be shown before the reply is done.
+ */
+const { PassThrough } = require("stream");
+
+// ── Event stream ──────────────────────────────────────────────────────────────
+function createEventStream() {
+  const stream = new PassThrough();
+  return {
+    stream,
+    // JSON.stringify never emits a raw newline, so data fits on one line
+    send(event, data) {
+      if (!stream.writableEnded) stream.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!stream.writableEnded) stream.end();
+    },
+  };
+}
+
+// ── Partial JSON ──────────────────────────────────────────────────────────────
+// Scans from the first "{" tracking strings and open brackets, and remembers
+// the last point where the text can be cut and closed into valid JSON: just
+// after an opening or closing bracket, or just before a comma. Values still
+// being written — an unfinished string, number or key — are left out.
+// Returns null when nothing usable has arrived yet.
+function parsePartialJson(text) {
+  const start = String(text || "").indexOf("{");
+  if (start < 0) return null;
+  const stack = [];
+  let inString = false, escaped = false, cut = -1, closers = "";
+
+  for (let i = start; i < text.length; i++) {
+    const c = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (c === "\\") escaped = true;
+      else if (c === '"') inString = false;
+      continue;
+    }
+    if (c === '"') inString = true;
+    else if (c === "{" || c === "[") {
+      stack.push(c === "{" ? "}" : "]");
+      cut = i + 1; closers = stack.slice().reverse().join("");
+    } else if (c === "}" || c === "]") {
+      stack.pop();
+      cut = i + 1; closers = stack.slice().reverse().join("");
+      if (!stack.length) break;
+    } else if (c === ",") {
+      cut = i; closers = stack.slice().reverse().join("");
+    }
+  }
+  if (cut < 0) return null;
+
+  try { return JSON.parse(text.slice(start, cut) + closers); } catch { return null; }
+}
+
+module.exports = { createEventStream, parsePartialJson };
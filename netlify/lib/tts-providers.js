@@ -0,0 +1,123 @@
+/**
+ * Speech backends for /api/tts.
+ *
+ * A provider is { name, synthesize({ text, lang, voice }) → Promise<Buffer> }
+ * returning MP3 bytes. Pick one with TTS_PROVIDER:
+ *   azure  — Azure Speech REST API (SSML in, MP3 out). Needs AZURE_SPEECH_KEY
+ *            and AZURE_SPEECH_REGION.
+ *   local  — returns a short silent MP3 without any network call. Used in
+ *            tests and local development.
+ * With TTS_PROVIDER unset, azure is used when AZURE_SPEECH_KEY is present.
+ *
+ * Errors carry a machine-readable `code` and an HTTP `status` so the function
+ * can hand them to the client as-is.
+ */
+
+// ── Voices per BCP-47 code (same codes as LANG_TO_BCP47 in index.html) ────────
+const VOICES = {
+  "sv-SE": "sv-SE-SofieNeural",     "en-US": "en-US-JennyNeural",
+  "en-GB": "en-GB-SoniaNeural",     "da-DK": "da-DK-ChristelNeural",
+  "nb-NO": "nb-NO-PernilleNeural",  "fi-FI": "fi-FI-NooraNeural",
+  "de-DE": "de-DE-KatjaNeural",     "fr-FR": "fr-FR-DeniseNeural",
+  "es-ES": "es-ES-ElviraNeural",    "it-IT": "it-IT-ElsaNeural",
+  "nl-NL": "nl-NL-ColetteNeural",   "pt-PT": "pt-PT-RaquelNeural",
+  "pt-BR": "pt-BR-FranciscaNeural", "pl-PL": "pl-PL-ZofiaNeural",
+  "ru-RU": "ru-RU-SvetlanaNeural",  "el-GR": "el-GR-AthinaNeural",
+  "tr-TR": "tr-TR-EmelNeural",      "ja-JP": "ja-JP-NanamiNeural",
+  "zh-CN": "zh-CN-XiaoxiaoNeural",  "ko-KR": "ko-KR-SunHiNeural",
+  "th-TH": "th-TH-PremwadeeNeural", "ar-SA": "ar-SA-ZariyahNeural",
+  "hi-IN": "hi-IN-SwaraNeural",
+};
+
+const LANG_RE = /^([a-z]{2,3})(?:-([A-Za-z]{2}))?$/;
+
+// Exact match first, then any voice for the same primary language ("sv" → sv-SE).
+function pickVoice(lang) {
+  const m = LANG_RE.exec(String(lang || ""));
+  if (!m) return null;
+  const code = m[2] ? `${m[1]}-${m[2].toUpperCase()}` : m[1];
+  if (VOICES[code]) return { lang: code, voice: VOICES[code] };
+  const key = Object.keys(VOICES).find(k => k.startsWith(m[1] + "-"));
+  return key ? { lang: key, voice: VOICES[key] } : null;
+}
+
+function ttsError(code, status, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function buildSsml(text, lang, voice) {
+  return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${lang}">` +
+    `<voice name="${voice}">${escapeXml(text)}</voice></speak>`;
+}
+
+// ── Azure Speech (SSML REST) ──────────────────────────────────────────────────
+const azureProvider = {
+  name: "azure",
+  async synthesize({ text, lang, voice }) {
+    const key    = process.env.AZURE_SPEECH_KEY;
+    const region = process.env.AZURE_SPEECH_REGION || "swedencentral";
+    if (!key) throw ttsError("not_configured", 503, "TTS: AZURE_SPEECH_KEY not configured.");
+    if (!/^[a-z0-9]+$/.test(region)) throw ttsError("not_configured", 503, "TTS: invalid AZURE_SPEECH_REGION.");
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 8_000);
+    let res;
+    try {
+      res = await fetch(`https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`, {
+        method: "POST", signal: controller.signal,
+        headers: {
+          "Ocp-Apim-Subscription-Key": key,
+          "Content-Type": "application/ssml+xml",
+          "X-Microsoft-OutputFormat": "audio-24khz-48kbitrate-mono-mp3",
+          "User-Agent": "Receptbot/1.0",
+        },
+        body: buildSsml(text, lang, voice),
+      });
+    } catch (e) {
+      if (e.name === "AbortError") throw ttsError("timeout", 504, "TTS: request timed out.");
+      throw ttsError("network", 502, "TTS: network error.");
+    } finally { clearTimeout(timer); }
+
+    if (res.status === 429) throw ttsError("rate_limited", 429, "TTS: for manga anrop. Vanta en minut.");
+    if (res.status === 401 || res.status === 403)
+      throw ttsError("not_configured", 503, "TTS: ogiltig nyckel. Kontrollera AZURE_SPEECH_KEY.");
+    if (!res.ok) throw ttsError("upstream", 502, "TTS: fel " + res.status + ".");
+
+    const audio = Buffer.from(await res.arrayBuffer());
+    if (!audio.length) throw ttsError("upstream", 502, "TTS: empty audio.");
+    return audio;
+  },
+};
+
+// ── Local stand-in ────────────────────────────────────────────────────────────
+// MPEG-1 Layer III, 128 kbit/s, 44.1 kHz: a 4-byte header plus zeroed side
+// info and main data decodes as ~26 ms of silence. Ten frames ≈ a quarter second.
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(413)]);
+
+const localProvider = {
+  name: "local",
+  async synthesize() {
+    return Buffer.concat(Array(10).fill(SILENT_FRAME));
+  },
+};
+
+const PROVIDERS = { azure: azureProvider, local: localProvider };
+
+function getTtsProvider() {
+  const name = (process.env.TTS_PROVIDER || (process.env.AZURE_SPEECH_KEY ? "azure" : "")).toLowerCase();
+  if (!name) throw ttsError("not_configured", 503, "TTS: no speech provider configured.");
+  const provider = PROVIDERS[name];
+  if (!provider) throw ttsError("not_configured", 503, "TTS: unknown provider.");
+  return provider;
+}
+
+module.exports = { VOICES, pickVoice, buildSsml, ttsError, getTtsProvider, azureProvider, localProvider };
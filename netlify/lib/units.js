@@ -0,0 +1,161 @@
+/**
+ * Deterministic metric conversion for translated recipes.
+ *
+ * The model is told to copy amounts and temperatures verbatim ("1 cup",
+ * "2 sticks", "350°F", "gas mark 4"); this module converts them afterwards,
+ * so the numbers never depend on the model doing arithmetic.
+ *
+ *   - ingredienser[].mangd → kitchen units of the target language
+ *     (Swedish: dl, msk, tsk, krm, g, kg, l). The original is kept in
+ *     mangdOriginal so the UI can show both.
+ *   - Cups of ingredients Swedish recipes weigh (butter, chocolate,
+ *     cheese, nuts…) become grams via the density table.
+ *   - °F, gas marks and inch sizes are converted everywhere in steg[] and
+ *     noteringar too.
+ *
+ * Amounts already in metric units are left untouched.
+ */
+
+// ── Unit tables ───────────────────────────────────────────────────────────────
+const VOLUME_ML = { cup: 236.6, tbsp: 14.79, tsp: 4.93, floz: 29.57, pint: 473.2, quart: 946.4, gallon: 3785 };
+const WEIGHT_G  = { oz: 28.35, lb: 453.6, stick: 113.4 };
+
+// Longest alternatives first. Swedish/Norwegian words are accepted in case the
+// model translated the unit anyway.
+const UNIT_ALTS = [
+  ["floz",   "fluid ounces?|fl\\.?\\s?oz\\.?"],
+  ["cup",    "cups?|koppar|kopp|kopper"],
+  ["tbsp",   "tablespoons?|tbsps?\\.?|tbl?s\\.?"],
+  ["tsp",    "teaspoons?|tsps?\\.?"],
+  ["oz",     "ounces?|oz\\.?|uns"],
+  ["lb",     "pounds?|lbs?\\.?|pund"],
+  ["stick",  "sticks?"],
+  ["pint",   "pints?|pt\\.?"],
+  ["quart",  "quarts?|qts?\\.?"],
+  ["gallon", "gallons?|gal\\.?"],
+  ["inch",   "inch(?:es)?|tum|″|\""],
+];
+const UNIT_RE_SRC = UNIT_ALTS.map(([, re]) => re).join("|");
+
+function unitKey(token) {
+  const t = token.toLowerCase();
+  for (const [key, re] of UNIT_ALTS) if (new RegExp("^(?:" + re + ")$", "i").test(t)) return key;
+  return null;
+}
+
+// ── Numbers and kitchen units ─────────────────────────────────────────────────
+// Shared with the app, which parses, scales and writes amounts the same way
+const {
+  FRAC_CHARS, NUM_SRC, RANGE_SEP_SRC, parseNumber,
+  getLocale, roundTo, formatGrams, formatMl, formatRange,
+} = require("../../public/quantity");
+
+// ── Ingredient densities ──────────────────────────────────────────────────────
+// Ingredients Swedish recipes give by weight, with grams per deciliter. Larger
+// volumes of these become grams; everything else stays a volume.
+const WEIGHED = [
+  [/jordnötssmör|peanut butter/i,                                            108],
+  [/färskost|cream cheese/i,                                                 98],
+  [/smör|\bbutter\b/i,                                                       96],
+  [/choklad|chocolate/i,                                                     72],
+  [/\bost\b|riven ost|parmesan|cheddar|mozzarella|cheese/i,                  42],
+  [/nötter|valnöt|pekannöt|hasselnöt|mandl|cashew|pistasch|\bnuts?\b|walnut|pecan|almond|hazelnut/i, 50],
+  [/russin|raisin/i,                                                         61],
+];
+
+function gramsPerDl(ingredient) {
+  const row = WEIGHED.find(([re]) => re.test(ingredient || ""));
+  return row ? row[1] : null;
+}
+
+// ── Quantity conversion ───────────────────────────────────────────────────────
+const QTY_RE = () => new RegExp(
+  `(${NUM_SRC})(?:${RANGE_SEP_SRC}(${NUM_SRC}))?\\s*-?\\s*(${UNIT_RE_SRC})(?![\\p{L}])`, "giu");
+
+// Returns the converted text for one matched quantity, or null to leave it.
+function convertQuantity(minStr, maxStr, unitToken, ingredient, loc) {
+  const unit = unitKey(unitToken);
+  const min = parseNumber(minStr), max = maxStr ? parseNumber(maxStr) : null;
+  if (!unit || !isFinite(min) || (max != null && !isFinite(max))) return null;
+
+  if (unit === "inch") return formatRange(min, max, n => Math.round(n * 2.54) + " cm");
+
+  if (WEIGHT_G[unit]) return formatRange(min * WEIGHT_G[unit], max != null ? max * WEIGHT_G[unit] : null, g => formatGrams(g, loc));
+
+  const ml = VOLUME_ML[unit];
+  // Small spoon amounts stay spoons ("2 msk smör"); from 3 tbsp up, weigh
+  const density = ingredient && min * ml >= 44 ? gramsPerDl(ingredient) : null;
+  if (density) {
+    const toG = n => n * ml / 100 * density;
+    return formatRange(toG(min), max != null ? toG(max) : null, g => formatGrams(g, loc));
+  }
+  return formatRange(min * ml, max != null ? max * ml : null, v => formatMl(v, loc));
+}
+
+function convertQuantities(text, ingredient, loc) {
+  return text.replace(QTY_RE(), (m, a, b, unit) => convertQuantity(a, b, unit, ingredient, loc) ?? m);
+}
+
+// ── Temperatures and pan sizes ────────────────────────────────────────────────
+// Standard oven settings (same steps as Swedish oven dials); others → nearest 5.
+const OVEN_F_TO_C = { 250: 125, 275: 135, 300: 150, 325: 165, 350: 175, 375: 190, 400: 200, 425: 220, 450: 230, 475: 240, 500: 250 };
+const GAS_MARK_C  = { 1: 140, 2: 150, 3: 170, 4: 180, 5: 190, 6: 200, 7: 220, 8: 230, 9: 240 };
+
+function fToC(f) {
+  if (OVEN_F_TO_C[f]) return OVEN_F_TO_C[f];
+  const c = (f - 32) * 5 / 9;
+  return f >= 200 ? roundTo(c, 5) : Math.round(c);
+}
+
+const TEMP_RE = /(\d{2,3})(?:\s*(?:-|–|to|till)\s*(\d{2,3}))?\s*(?:°|º|degrees?|grader|deg\.?)?\s*(?:F\b|Fahrenheit)/g;
+const GAS_RE  = /\b(?:gas\s*mark|gasmärke|gas\s*nivå)\s*(\d)\b/gi;
+const PAN_RE  = /(\d+(?:[.,]\d+)?)\s*(?:x|×|by)\s*(\d+(?:[.,]\d+)?)(?:\s*(?:x|×|by)\s*(\d+(?:[.,]\d+)?))?\s*-?\s*(?:inch(?:es)?|tum|″|")(?![\p{L}])/giu;
+
+function convertTemperatures(text) {
+  return text
+    .replace(TEMP_RE, (m, a, b) => {
+      const lo = fToC(+a);
+      return (b ? lo + "–" + fToC(+b) : String(lo)) + "°C";
+    })
+    .replace(GAS_RE, (m, n) => GAS_MARK_C[n] ? GAS_MARK_C[n] + "°C" : m);
+}
+
+function convertPanSizes(text) {
+  return text.replace(PAN_RE, (m, ...dims) => {
+    const cm = dims.slice(0, 3).filter(Boolean).map(d => Math.round(parseNumber(d) * 2.54));
+    return cm.join("x") + " cm";
+  });
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+function convertText(text, targetLanguage) {
+  const loc = getLocale(targetLanguage);
+  return convertQuantities(convertPanSizes(convertTemperatures(String(text || ""))), null, loc);
+}
+
+function convertAmount(mangd, ingredient, targetLanguage) {
+  const loc = getLocale(targetLanguage);
+  let s = String(mangd || "");
+  // "1 cup (2 sticks)" — once the leading amount converts, an equivalent in
+  // parentheses is redundant; "1 (14 oz) can" keeps its parenthetical.
+  if (new RegExp(`^\\s*(?:[^\\d${FRAC_CHARS}]*\\s)?${QTY_RE().source}`, "iu").test(s))
+    s = s.replace(/\s*\(([^)]*)\)/g, (m, inner) => QTY_RE().test(inner) ? "" : m);
+  s = convertQuantities(convertPanSizes(convertTemperatures(s)), ingredient, loc);
+  return s.replace(/\s{2,}/g, " ").trim();
+}
+
+// Converts a validated recipe in place and returns it.
+function convertRecipe(recipe, targetLanguage) {
+  for (const ing of recipe.ingredienser || []) {
+    const converted = convertAmount(ing.mangd, ing.ingrediens, targetLanguage);
+    if (converted && converted !== ing.mangd) {
+      ing.mangdOriginal = ing.mangd;
+      ing.mangd = converted;
+    }
+  }
+  recipe.steg = (recipe.steg || []).map(s => convertText(s, targetLanguage));
+  if (recipe.noteringar) recipe.noteringar = convertText(recipe.noteringar, targetLanguage);
+  return recipe;
+}
+
+module.exports = { parseNumber, convertAmount, convertText, convertRecipe, fToC, getLocale };
@@ -0,0 +1,142 @@
+/**
+ * Cooking mode: timers found in the step text and spoken commands.
+ *
+ *   findDurations("Grädda 9–11 minuter.", "Swedish")
+ *     → [{ label: "9–11 minuter", seconds: 540, at: 7, end: 19 }]
+ *   matchVoiceCommand("nästa steg") → "next"
+ *
+ * Durations are read with the words of the recipe's language only — its
+ * number words for one ("en timme", "eine Stunde"), its units and its range
+ * words — so "one at a time" in an English recipe is not a Danish hour.
+ * Articles ("a", "an") are not numbers; "an hour" gets no timer, "1 hour"
+ * does. A language without its own table gets digits and h/min/s. A range
+ * counts down to the shorter time: better to look too early than too late.
+ *
+ * Commands are known in every UI language, whatever language the speech
+ * recognition listens in.
+ * index.html loads this file as window.RecipeCooking; the tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RecipeCooking = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ── Languages ─────────────────────────────────────────────────────────────
+  // one: number words for 1; hour/min/sec: units; range: words between two
+  // numbers ("5 till 10 minuter"); half: half an hour as one phrase
+  const LANGUAGES = {
+    swedish: {
+      one: "en|ett", range: "till|eller", half: "halvtimme|en halv timme",
+      hour: "h|tim|timme|timmar", min: "min|minut|minuter", sec: "s|sek|sekund|sekunder",
+    },
+    english: {
+      one: "one", range: "to|or", half: "half an hour|half-hour",
+      hour: "h|hrs?|hours?", min: "mins?|minutes?", sec: "s|secs?|seconds?",
+    },
+    danish: {
+      one: "en|et", range: "til|eller", half: "en halv time",
+      hour: "t|time|timer", min: "min|minut|minutter", sec: "s|sek|sekund|sekunder",
+    },
+    norwegian: {
+      one: "en|ett|ei", range: "til|eller", half: "en halv time",
+      hour: "t|time|timer", min: "min|minutt|minutter", sec: "s|sek|sekund|sekunder",
+    },
+    finnish: {
+      one: "yksi", range: "tai", half: "puoli tuntia|puolen tunnin",
+      hour: "h|t|tunti|tuntia|tunnin", min: "min|minuutti|minuuttia|minuutin", sec: "s|sek|sekunti|sekuntia|sekunnin",
+    },
+    german: {
+      one: "eine?|einer", range: "bis|oder", half: "eine halbe stunde|einer halben stunde",
+      hour: "h|std|stunden?", min: "min|minuten?", sec: "s|sek|sekunden?",
+    },
+    french: {
+      one: "une?", range: "à|ou", half: "une demi-heure|demi-heure",
+      hour: "h|heures?", min: "mn|min|minutes?", sec: "s|sec|secondes?",
+    },
+    spanish: {
+      one: "una?", range: "a|o", half: "media hora",
+      hour: "h|horas?", min: "min|minutos?", sec: "s|seg|segundos?",
+    },
+    italian: {
+      one: "una?|uno", range: "a|o", half: "mezz'ora|mezzora|mezz’ora",
+      hour: "h|ora|ore", min: "min|minuto|minuti", sec: "s|sec|secondo|secondi",
+    },
+    dutch: {
+      one: "een|één", range: "tot|à|of", half: "een half uur|half uur",
+      hour: "u|uur", min: "min|minuut|minuten", sec: "s|sec|seconde|seconden",
+    },
+    portuguese: {
+      one: "uma?|um", range: "a|ou", half: "meia hora",
+      hour: "h|horas?", min: "min|minutos?", sec: "s|seg|segundos?",
+    },
+  };
+  const FALLBACK = { one: "", range: "", half: "", hour: "h", min: "min", sec: "s" };
+
+  // ── Durations ─────────────────────────────────────────────────────────────
+  const DIGITS = "\\d+\\/\\d+|\\d+(?:[.,]\\d+)?(?:\\s*½|\\s+1\\/2)?|½";
+  const patterns = {};
+
+  function patternsFor(language) {
+    const key = String(language || "").trim().toLowerCase();
+    if (patterns[key]) return patterns[key];
+    const L = LANGUAGES[key] || FALLBACK;
+    const num = "(" + DIGITS + (L.one ? "|" + L.one : "") + ")";
+    const range = "-|–|—" + (L.range ? "|" + L.range : "");
+    return (patterns[key] = {
+      units: [[3600, new RegExp("^(?:" + L.hour + ")$", "iu")], [60, new RegExp("^(?:" + L.min + ")$", "iu")],
+        [1, new RegExp("^(?:" + L.sec + ")$", "iu")]],
+      duration: new RegExp("(?<![\\p{L}\\d\\/.,])" + num + "(?:\\s*(?:" + range + ")\\s*" + num + ")?\\s*(" +
+        [L.hour, L.min, L.sec].join("|") + ")\\.?(?![\\p{L}])", "giu"),
+      half: L.half ? new RegExp("(?<![\\p{L}])(?:" + L.half + ")(?![\\p{L}])", "giu") : null,
+    });
+  }
+
+  function durationNumber(s) {
+    s = s.trim();
+    if (!/^[\d½]/.test(s)) return 1; // en, one, eine …
+    const frac = s.match(/^(\d+)\/(\d+)$/);
+    if (frac) return +frac[1] / +frac[2];
+    const whole = s.match(/^\d+(?:[.,]\d+)?/);
+    return (whole ? parseFloat(whole[0].replace(",", ".")) : 0) + (/½|\s1\/2$/.test(s) ? 0.5 : 0);
+  }
+
+  // [{ label, seconds, at, end }] in the order they appear in the text;
+  // language is the recipe's target language ("Swedish")
+  function findDurations(text, language) {
+    text = String(text || "");
+    const P = patternsFor(language);
+    const out = P.half ? [...text.matchAll(P.half)].map(m => ({ label: m[0], seconds: 1800, at: m.index, end: m.index + m[0].length })) : [];
+    for (const m of text.matchAll(P.duration)) {
+      if (out.some(d => m.index < d.end && m.index + m[0].length > d.at)) continue; // "en halv timme" is in already
+      const [mult] = P.units.find(([, re]) => re.test(m[3]));
+      const secs = Math.round(durationNumber(m[1]) * mult);
+      if (secs > 0 && secs <= 86400) out.push({ label: m[0].trim().replace(/\.$/, ""), seconds: secs, at: m.index, end: m.index + m[0].length });
+    }
+    return out.sort((a, b) => a.at - b.at);
+  }
+
+  function formatClock(secs) {
+    secs = Math.max(0, Math.ceil(secs));
+    const hh = Math.floor(secs / 3600), mm = Math.floor(secs % 3600 / 60), ss = secs % 60;
+    const p = n => String(n).padStart(2, "0");
+    return hh ? hh + ":" + p(mm) + ":" + p(ss) : mm + ":" + p(ss);
+  }
+
+  // ── Voice commands ────────────────────────────────────────────────────────
+  const VOICE_COMMANDS = [
+    ["timer", ["timer", "ajastin", "minuteur", "temporizador", "minutero"]],
+    ["next", ["nästa", "next", "næste", "neste", "seuraava", "weiter", "nächste", "suivant", "siguiente", "avanti", "prossimo", "volgende", "framåt"]],
+    ["prev", ["tillbaka", "föregående", "back", "previous", "tilbage", "tilbake", "takaisin", "edellinen", "zurück", "retour", "précédent", "atrás", "anterior", "indietro", "terug", "vorige"]],
+    ["repeat", ["upprepa", "igen", "repeat", "again", "gentag", "gjenta", "toista", "wiederholen", "wiederhole", "répète", "répéter", "repite", "repetir", "ripeti", "herhaal"]],
+  ];
+
+  // "timer" | "next" | "prev" | "repeat" | null
+  function matchVoiceCommand(transcript) {
+    const words = String(transcript || "").toLowerCase().split(/[^\p{L}]+/u);
+    const hit = VOICE_COMMANDS.find(([, ws]) => ws.some(w => words.includes(w)));
+    return hit ? hit[0] : null;
+  }
+
+  return { findDurations, formatClock, matchVoiceCommand };
+});
@@ -0,0 +1,185 @@
+/**
+ * Food composition table for the nutrition estimate (nutrition.js): common
+ * recipe ingredients with energy and nutrients per 100 g edible part, after
+ * Livsmedelsverket's food composition database (Livsmedelsdatabasen,
+ * https://www.livsmedelsverket.se/livsmedelsdatabasen, CC BY 4.0).
+ *
+ * This is a hand-made excerpt with rounded values, one row per kind of
+ * ingredient a recipe names ("vetemjöl", "lax") rather than per product.
+ * The values are UNVERIFIED: they were typed in by hand, not generated from
+ * an export, carry no food IDs and have not been checked against the
+ * database row by row. The app says so wherever it shows or exports the
+ * estimate (nutPerServing, nutWhole and nutNote in index.html). To replace
+ * it, export the database and regenerate FOODS in the same shape, keeping
+ * the food IDs; nutrition.js only reads the rows.
+ *
+ *   [re, namn, [kcal, protein, fett, kolhydrater, salt], gPerDl, pieces]
+ *
+ *   re       Swedish and English names of the ingredient, lower case. First
+ *            match wins, so narrow rows ("kokosmjölk", "äggula") come before
+ *            broad ones ("mjölk", "ägg").
+ *   gPerDl   grams per deciliter, for amounts given as a volume; null when
+ *            a volume says too little about the weight (leaves, pasta)
+ *   pieces   grams per counted unit: st (one of them), klyfta, burk, skiva,
+ *            paket, knippe
+ *
+ * index.html loads this file as window.NutritionData; nutrition.js requires
+ * it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.NutritionData = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const FOODS = [
+    // ── Mjöl, gryn och bröd ─────────────────────────────────────────────────
+    [/grahamsmjöl|whole ?wheat flour/,                 "Grahamsmjöl",        [326, 12.5, 2.2, 60, 0],     55],
+    [/rågmjöl|rye flour/,                               "Rågmjöl",            [318, 8.1, 1.7, 64, 0],      55],
+    [/dinkelmjöl|spelt flour/,                          "Dinkelmjöl",         [345, 13, 2.4, 65, 0],       60],
+    [/potatismjöl|potato starch/,                       "Potatismjöl",        [345, 0.1, 0.1, 84, 0],      65],
+    [/maizena|majsstärkelse|cornstarch|corn starch/,    "Majsstärkelse",      [360, 0.3, 0.1, 88, 0],      50],
+    [/vetemjöl|^mjöl$|flour/,                           "Vetemjöl",           [343, 10.4, 1.5, 70, 0],     60],
+    [/havregryn|oats|oatmeal/,                          "Havregryn",          [371, 13, 6.9, 60, 0],       35],
+    [/ströbröd|panko|breadcrumbs/,                      "Ströbröd",           [380, 12, 4, 72, 1.3],       40],
+    [/bulgur/,                                          "Bulgur",             [350, 12, 1.5, 70, 0],       80],
+    [/couscous/,                                        "Couscous",           [360, 12.8, 1.5, 72, 0],     80],
+    [/quinoa/,                                          "Quinoa",             [370, 14, 6, 64, 0],         85],
+    [/\bris\b|risotto|jasmin|basmati|\brice\b/,         "Ris, okokt",         [351, 7, 0.6, 78, 0],        85],
+    [/nudlar|noodles/,                                  "Nudlar, torra",      [360, 11, 2, 73, 0.1],       null],
+    [/pasta|spaghetti|makaroner|penne|tagliatelle|fusilli|lasagne|macaroni/, "Pasta, torr", [355, 12.5, 1.5, 70, 0], null],
+    [/tortilla/,                                        "Tortillabröd",       [300, 8, 7, 50, 1.2],        null, { st: 40 }],
+    [/bröd|bread|toast/,                                "Bröd, ljust",        [260, 9, 3.5, 48, 1],        null, { skiva: 35 }],
+
+    // ── Socker och bakning ──────────────────────────────────────────────────
+    [/florsocker|powdered sugar|icing sugar/,           "Florsocker",         [400, 0, 0, 100, 0],         60],
+    [/farinsocker|brunt socker|muscovado|brown sugar/,  "Farinsocker",        [390, 0, 0, 97, 0.1],        70],
+    [/vaniljsocker/,                                    "Vaniljsocker",       [400, 0, 0, 100, 0],         65],
+    [/socker(?!ärt)|sugar(?! snap)/,                    "Strösocker",         [400, 0, 0, 100, 0],         85],
+    [/honung|honey/,                                    "Honung",             [320, 0.3, 0, 80, 0],        140],
+    [/lönnsirap|maple syrup/,                           "Lönnsirap",          [260, 0, 0.1, 67, 0],        130],
+    [/sirap|syrup/,                                     "Sirap",              [320, 0, 0, 80, 0.1],        140],
+    [/kakao|cocoa/,                                     "Kakao",              [380, 20, 22, 13, 0.1],      40],
+    [/mjölkchoklad|milk chocolate/,                     "Mjölkchoklad",       [540, 7, 31, 57, 0.2],       72],
+    [/choklad|chocolate/,                               "Choklad, mörk",      [540, 6, 35, 48, 0],         72],
+    [/bakpulver|baking powder/,                         "Bakpulver",          [110, 0, 0, 27, 27],         80],
+    [/bikarbonat|natron|baking soda/,                   "Bikarbonat",         [0, 0, 0, 0, 68],            90],
+    [/torrjäst|dry yeast|instant yeast/,                "Torrjäst",           [330, 40, 5, 35, 0.1],       60,   { paket: 12 }],
+    [/jäst|yeast/,                                      "Jäst",               [100, 12, 1.5, 8, 0.1],      null, { paket: 50 }],
+
+    // ── Mejeri och ägg ──────────────────────────────────────────────────────
+    [/kokosmjölk|kokosgrädde|coconut milk|coconut cream/, "Kokosmjölk",       [190, 1.8, 19, 3, 0],        100,  { burk: 400 }],
+    [/havredryck|havremjölk|oat milk/,                  "Havredryck",         [45, 1, 1.5, 6.7, 0.1],      103],
+    [/lättmjölk|skim milk|skimmed milk/,                "Lättmjölk",          [36, 3.5, 0.5, 4.9, 0.1],    103],
+    [/mellanmjölk/,                                     "Mellanmjölk",        [46, 3.5, 1.5, 4.8, 0.1],    103],
+    [/filmjölk|buttermilk/,                             "Filmjölk",           [60, 3.4, 3, 4.3, 0.1],      103],
+    [/mjölk|\bmilk\b/,                                  "Mjölk, 3 %",         [60, 3.4, 3, 4.8, 0.1],      103],
+    [/matlagningsgrädde|cooking cream|light cream/,     "Matlagningsgrädde",  [160, 2.9, 15, 3.9, 0.1],    100],
+    [/gräddfil|sour cream/,                             "Gräddfil",           [140, 3, 12, 3.9, 0.1],      100],
+    [/cr[èe]me fra[îi]che/,                             "Crème fraiche",      [330, 2.2, 34, 2.8, 0.1],    100],
+    [/grekisk yoghurt|turkisk yoghurt|greek yog/,       "Yoghurt, grekisk",   [125, 4, 10, 4, 0.1],        103],
+    [/yoghurt|yogurt/,                                  "Yoghurt, naturell",  [62, 3.7, 3, 4.6, 0.1],      103],
+    [/kvarg|quark/,                                     "Kvarg",              [60, 11, 0.2, 3.6, 0.1],     105],
+    [/keso|cottage cheese/,                             "Keso",               [100, 12, 4, 2.5, 0.7],      100],
+    [/färskost|cream cheese|philadelphia/,              "Färskost",           [240, 5.5, 23, 3, 0.8],      98],
+    [/grädde|\bcream\b/,                                "Vispgrädde",         [370, 2.1, 40, 2.9, 0.1],    100],
+    [/jordnötssmör|peanut butter/,                      "Jordnötssmör",       [600, 25, 50, 15, 0.9],      108],
+    [/margarin/,                                        "Margarin",           [720, 0, 80, 0.5, 1.2],      96],
+    [/smördeg|puff pastry/,                             "Smördeg",            [390, 5.5, 25, 36, 1],       null],
+    [/smör|butter/,                                     "Smör",               [740, 0.6, 82, 0.6, 1.2],    96],
+    [/parmesan|pecorino|grana padano/,                  "Parmesan",           [400, 33, 29, 0, 1.6],       42],
+    [/mozzarella/,                                      "Mozzarella",         [260, 18, 20, 1, 0.5],       40,   { st: 125 }],
+    [/feta|halloumi/,                                   "Fetaost",            [270, 15, 23, 0.5, 2.8],     40],
+    [/(?:^|[\s-])\p{L}*ost(?![\p{L}])|cheddar|cheese/u, "Hårdost, 28 %",    [380, 26, 30, 0, 1.6],       42,   { skiva: 10 }],
+    [/äggula|äggulor|egg yolks?/,                       "Äggula",             [320, 16, 28, 0.5, 0.1],     null, { st: 17 }],
+    [/äggvita|äggvitor|egg whites?/,                    "Äggvita",            [45, 10.5, 0.1, 0.5, 0.5],   null, { st: 33 }],
+    [/ägg|\beggs?\b/,                                   "Ägg",                [137, 12.5, 9.7, 0.5, 0.4],  null, { st: 55 }],
+
+    // ── Oljor ───────────────────────────────────────────────────────────────
+    [/kokosolja|coconut oil/,                           "Kokosolja",          [890, 0, 99, 0, 0],          92],
+    [/olja|\boil\b/,                                    "Olja",               [884, 0, 100, 0, 0],         91],
+
+    // ── Grönsaker ───────────────────────────────────────────────────────────
+    [/vitlök|garlic/,                                   "Vitlök",             [130, 6, 0.5, 27, 0],        null, { klyfta: 5, st: 40 }],
+    [/salladslök|vårlök|scallions?|spring onions?|green onions?/, "Salladslök", [30, 1.8, 0.2, 5, 0],      null, { st: 15, knippe: 100 }],
+    [/purjolök|leeks?/,                                 "Purjolök",           [35, 1.5, 0.3, 6, 0],        null, { st: 150 }],
+    [/schalottenlök|shallots?/,                         "Schalottenlök",      [70, 2.5, 0.1, 14, 0],       null, { st: 30 }],
+    [/rödlök|red onions?/,                              "Rödlök",             [40, 1.2, 0.1, 8, 0],        null, { st: 80 }],
+    [/lök|onions?/,                                     "Gul lök",            [40, 1.2, 0.1, 8, 0],        null, { st: 100 }],
+    [/sötpotatis|sweet potato/,                         "Sötpotatis",         [86, 1.6, 0.1, 19, 0.1],     null, { st: 300 }],
+    [/potatis|potato/,                                  "Potatis",            [77, 2, 0.1, 16, 0],         null, { st: 100 }],
+    [/morot|morötter|carrots?/,                         "Morot",              [38, 0.7, 0.2, 7.5, 0.1],    null, { st: 70 }],
+    [/krossade tomater|passerade tomater|tomatkross|crushed tomatoes|canned tomatoes|chopped tomatoes|passata/, "Krossade tomater", [24, 1.2, 0.2, 3.5, 0.3], 100, { burk: 400, paket: 500 }],
+    [/tomatpuré|tomato paste/,                          "Tomatpuré",          [90, 4.5, 0.5, 15, 0.3],     110],
+    [/soltorkade tomater|sun-?dried tomato/,            "Soltorkade tomater", [215, 3, 19, 6, 2],          null],
+    [/körsbärstomat|cherry tomato/,                     "Körsbärstomater",    [20, 0.9, 0.2, 3, 0],        null, { st: 15 }],
+    [/tomat|tomato/,                                    "Tomat",              [20, 0.9, 0.2, 3, 0],        null, { st: 100 }],
+    [/paprikapulver|paprika powder|smoked paprika/,     "Paprikapulver",      [300, 14, 13, 34, 0.1],      45],
+    [/paprika|bell peppers?/,                           "Paprika",            [30, 1, 0.3, 5, 0],          null, { st: 150 }],
+    [/gurka|cucumber/,                                  "Gurka",              [12, 0.7, 0.1, 2, 0],        null, { st: 300 }],
+    [/zucchini|squash|courgette/,                       "Zucchini",           [17, 1.3, 0.3, 2.5, 0],      null, { st: 250 }],
+    [/aubergine|eggplant/,                              "Aubergine",          [22, 1, 0.2, 3.5, 0],        null, { st: 300 }],
+    [/spenat|spinach/,                                  "Spenat",             [23, 2.6, 0.4, 1.5, 0.2],    null],
+    [/broccoli/,                                        "Broccoli",           [35, 3.6, 0.4, 3.5, 0.1],    null, { st: 350 }],
+    [/blomkål|cauliflower/,                             "Blomkål",            [27, 2, 0.3, 3.5, 0.1],      null, { st: 600 }],
+    [/champinjon|svamp|mushrooms?/,                     "Champinjoner",       [25, 3, 0.3, 1.2, 0],        null, { st: 20 }],
+    [/ingefära|ginger/,                                 "Ingefära",           [80, 1.8, 0.8, 15, 0],       null],
+    [/chili|jalapeño|jalapeno/,                         "Chili",              [40, 2, 0.4, 7, 0],          null, { st: 10 }],
+    [/kikärt|chickpeas?/,                               "Kikärter, kokta",    [120, 7, 2.5, 16, 0.5],      75,   { burk: 230 }],
+    [/linser|lentils?/,                                 "Linser, torra",      [340, 24, 1.5, 50, 0],       85],
+    [/bönor|beans/,                                     "Bönor, kokta",       [110, 7.5, 0.5, 15, 0.4],    75,   { burk: 230 }],
+
+    // ── Frukt, bär och nötter ───────────────────────────────────────────────
+    [/citronsaft|citronjuice|lemon juice/,              "Citronsaft",         [25, 0.4, 0.2, 6, 0],        100],
+    [/limesaft|limejuice|lime juice/,                   "Limesaft",           [25, 0.4, 0.1, 7, 0],        100],
+    [/citron|lemon/,                                    "Citron",             [35, 1, 0.3, 6, 0],          null, { st: 120 }],
+    [/lime/,                                            "Lime",               [30, 0.7, 0.2, 8, 0],        null, { st: 70 }],
+    [/äpple|äpplen|apples?/,                            "Äpple",              [55, 0.3, 0.2, 12, 0],       null, { st: 150 }],
+    [/banan|banana/,                                    "Banan",              [95, 1.1, 0.3, 21, 0],       null, { st: 120 }],
+    [/blåbär|blueberr/,                                 "Blåbär",             [50, 0.7, 0.6, 10, 0],       60],
+    [/hallon|raspberr/,                                 "Hallon",             [45, 1.2, 0.7, 8, 0],        55],
+    [/jordgubb|strawberr/,                              "Jordgubbar",         [35, 0.7, 0.4, 6, 0],        60],
+    [/russin|raisins?/,                                 "Russin",             [300, 3, 0.5, 70, 0.1],      61],
+    [/kokosflingor|riven kokos|desiccated coconut|shredded coconut/, "Kokosflingor", [650, 6.5, 64, 7, 0], 35],
+    [/valnöt|walnuts?|pekannöt|pecans?/,                "Valnötter",          [680, 15, 65, 7, 0],         50],
+    [/mandel|mandlar|almonds?/,                         "Mandel",             [600, 21, 52, 8, 0],         50],
+    [/nötter|hasselnöt|cashew|pistasch|\bnuts\b|hazelnuts?/, "Nötter",        [620, 16, 55, 10, 0],        50],
+    [/sesamfrön|sesame seeds/,                          "Sesamfrön",          [600, 18, 50, 12, 0],        60],
+
+    // ── Kött, fisk och tofu ─────────────────────────────────────────────────
+    // Stock first: "kycklingbuljong" is no chicken
+    [/(?:buljong|fond)tärning|stock cube|bouillon cube/, "Buljongtärning",  [250, 10, 10, 25, 50],       null, { st: 10 }],
+    [/buljong|fond(?![\p{L}])|\bstock\b|broth/u,          "Buljong, färdig",    [5, 0.5, 0.2, 0.5, 0.9],     100],
+    [/nötfärs|ground beef|minced beef|beef mince/,      "Nötfärs, 10 %",      [180, 20, 10, 0, 0.2],       null],
+    [/fläskfärs|ground pork|minced pork/,               "Fläskfärs",          [250, 17, 20, 0, 0.2],       null],
+    [/färs(?!k)|mince\b|ground meat/,                   "Blandfärs",          [230, 18, 17, 0, 0.2],       null],
+    [/kycklingfilé|kycklingbröst|chicken breast/,       "Kycklingfilé",       [105, 23, 1.2, 0, 0.2],      null, { st: 125 }],
+    [/kyckling|chicken/,                                "Kyckling",           [170, 18, 11, 0, 0.2],       null],
+    [/bacon|pancetta/,                                  "Bacon",              [330, 15, 30, 0, 3],         null, { skiva: 15, paket: 140 }],
+    [/skinka|\bham\b/,                                  "Skinka, kokt",       [110, 19, 3, 1, 2.2],        null, { skiva: 15 }],
+    [/lax|salmon/,                                      "Lax",                [200, 20, 13, 0, 0.1],       null, { st: 125 }],
+    [/torsk|cod\b/,                                     "Torsk",              [75, 17, 0.7, 0, 0.2],       null, { st: 125 }],
+    [/räkor|shrimps?|prawns?/,                          "Räkor, skalade",     [80, 17, 1, 0, 2],           null],
+    [/tofu/,                                            "Tofu",               [120, 12, 7, 2, 0],          null],
+
+    // ── Kryddor, såser och vätskor ──────────────────────────────────────────
+    [/sojasås|soja|soy sauce/,                          "Sojasås",            [60, 8, 0, 6, 16],           115],
+    [/vinäger|vinegar/,                                 "Vinäger",            [20, 0, 0, 0.5, 0],          100],
+    [/vitt vin|rött vin|\bvin\b|\bwine\b/,              "Vin",                [70, 0.1, 0, 2.5, 0],        100],
+    [/senap|mustard/,                                   "Senap",              [150, 6, 8, 12, 3],          110],
+    [/ketchup/,                                         "Ketchup",            [110, 1.5, 0.2, 24, 2],      115],
+    [/majonnäs|mayonnaise|mayo\b/,                      "Majonnäs",           [700, 1.5, 77, 1.5, 1.2],    95],
+    [/pesto/,                                           "Pesto",              [450, 5, 45, 5, 2.5],        100],
+    [/oliver|olives/,                                   "Oliver",             [140, 1, 14, 1, 3.5],        null],
+    [/flingsalt|salt|sea salt/,                         "Salt",               [0, 0, 0, 0, 100],           120],
+    [/peppar|pepper\b/,                                 "Svartpeppar",        [255, 11, 3.3, 39, 0.1],     50],
+    [/kanel|cinnamon/,                                  "Kanel",              [250, 4, 1.2, 55, 0],        50],
+    [/kardemumma|cardamom/,                             "Kardemumma",         [310, 11, 7, 40, 0.1],       50],
+    [/vatten|water/,                                    "Vatten",             [0, 0, 0, 0, 0],             100],
+  ];
+
+  // The nutrients of a row, in the order of its values
+  const NUTRIENTS = ["kcal", "protein", "fett", "kolhydrater", "salt"];
+
+  return { FOODS, NUTRIENTS };
+});
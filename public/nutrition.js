@@ -0,0 +1,155 @@
+/**
+ * Nutrition estimate for a translated recipe: energy, protein, fat,
+ * carbohydrates and salt per serving, from the food table in
+ * nutrition-data.js.
+ *
+ *   estimate(recipe, { scale }) → {
+ *     servings,          portions at this scale (meta.portioner), or null
+ *     total, perServing  { kcal, protein, fett, kolhydrater, salt };
+ *                        perServing is null without servings
+ *     items:     [{ index, food, grams }]           what was counted
+ *     missing:   [{ index, ingrediens, reason }]    left out
+ *     uncertain: [{ index, ingrediens, reason }]    counted on a guess
+ *   }
+ *
+ * Each ingredient is matched by its name (ingrediens) and, failing that, by
+ * its source line (original), and weighed: grams as written, volumes by the
+ * food's grams per deciliter, counted things ("2 ägg", "1 burk") by its
+ * piece weights. Reasons:
+ *
+ *   missing    unknown — no food matches the name
+ *              amount  — no amount to weigh ("salt efter smak")
+ *              unit    — the unit cannot be weighed for this food
+ *   uncertain  range   — "2–3 dl" counted as the middle, 2,5 dl
+ *              source  — matched by the source line only
+ *
+ * The recipe is weighed unscaled and the sums multiplied by the scale, so
+ * rounded scaled amounts ("½ lök") do not move the result.
+ * index.html loads this file after quantity.js and nutrition-data.js as
+ * window.Nutrition; the tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./quantity"), require("./nutrition-data"));
+  else root.Nutrition = factory(root.RecipeQuantity, root.NutritionData);
+})(typeof self !== "undefined" ? self : this, function (Q, D) {
+  "use strict";
+
+  const { FOODS, NUTRIENTS } = D;
+
+  // ── Matching ──────────────────────────────────────────────────────────────
+  // "Smör, rumsvarmt (till formen)" → "smör": the food, not how it is used
+  function foodName(ingrediens) {
+    return String(ingrediens || "").replace(/\([^)]*\)/g, "").split(",")[0].replace(/\s+/g, " ").trim().toLowerCase();
+  }
+
+  function toFood([re, namn, values, gPerDl, pieces]) {
+    const per100 = {};
+    NUTRIENTS.forEach((k, i) => { per100[k] = values[i]; });
+    return { namn, per100, gPerDl: gPerDl || null, pieces: pieces || {} };
+  }
+
+  // The food a name or source line stands for, or null
+  function matchFood(text) {
+    const t = String(text || "").toLowerCase();
+    const row = t && FOODS.find(([re]) => re.test(t));
+    return row ? toFood(row) : null;
+  }
+
+  // ── Weighing ──────────────────────────────────────────────────────────────
+  // Imperial units the model copies verbatim, in ml or g (as lib/units.js)
+  const IMPERIAL = [
+    [/^(?:cups?|koppar|kopp|kopper)$/,           "ml", 236.6],
+    [/^(?:tablespoons?|tbsps?\.?|tbl?s\.?)$/,    "ml", 14.79],
+    [/^(?:teaspoons?|tsps?\.?)$/,                "ml", 4.93],
+    [/^(?:fluid ounces?|fl\.?\s?oz\.?)$/,        "ml", 29.57],
+    [/^pints?$/,                                 "ml", 473.2],
+    [/^quarts?$/,                                "ml", 946.4],
+    [/^gallons?$/,                               "ml", 3785],
+    [/^(?:ounces?|oz\.?)$/,                      "g",  28.35],
+    [/^(?:pounds?|lbs?\.?)$/,                    "g",  453.6],
+    [/^sticks?$/,                                "g",  113.4],
+  ];
+
+  // Counted units by the piece weight they use; a pinch is a pinch of
+  // anything
+  const PIECE_UNITS = [
+    [/^(?:st|stk|stycken)?$/,                                        "st"],
+    [/^(?:klyftor|klyfta|cloves?)$/,                                 "klyfta"],
+    [/^(?:burkar|burk|cans?)$/,                                      "burk"],
+    [/^(?:skivor|skiva|slices?)$/,                                   "skiva"],
+    [/^(?:förp\.?|förpackningar|förpackning|paket|påsar|påse|packages?)$/, "paket"],
+    [/^(?:knippen|knippe|bunch(?:es)?)$/,                            "knippe"],
+  ];
+  const PINCH = /^(?:nypor|nypa|pinch(?:es)?)$/;
+  const PINCH_G = 0.5;
+
+  // Grams of one amount of a food, or null when the unit cannot be weighed
+  function gramsPer(q, food, language) {
+    const unit = q.enhet.toLowerCase();
+    const base = Q.baseAmount(q, language);
+    let g = null, ml = null;
+    if (base.enhet === "g") g = base.min / q.min;
+    else if (base.enhet === "ml") ml = base.min / q.min;
+    else {
+      const imp = IMPERIAL.find(([re]) => re.test(unit));
+      if (imp && imp[1] === "g") g = imp[2];
+      else if (imp) ml = imp[2];
+    }
+    if (g) return g;
+    if (ml) return food.gPerDl ? ml / 100 * food.gPerDl : null;
+    if (PINCH.test(unit)) return PINCH_G;
+    const piece = PIECE_UNITS.find(([re]) => re.test(unit));
+    return piece && food.pieces[piece[1]] || null;
+  }
+
+  // ── Estimate ──────────────────────────────────────────────────────────────
+  function zero() {
+    const out = {};
+    for (const k of NUTRIENTS) out[k] = 0;
+    return out;
+  }
+
+  function estimate(recipe, { scale = 1, language } = {}) {
+    recipe = recipe || {};
+    const lang = language || recipe._tLang;
+    const total = zero(), items = [], missing = [], uncertain = [];
+    (recipe.ingredienser || []).forEach((ing, index) => {
+      const ingrediens = String(ing.ingrediens || "").trim();
+      if (!ingrediens) return;
+      let food = matchFood(foodName(ingrediens)), bySource = false;
+      if (!food && ing.original) bySource = !!(food = matchFood(ing.original));
+      if (!food) return missing.push({ index, ingrediens, reason: "unknown" });
+
+      const q = Q.quantityOf(ing);
+      if (q.min == null) return missing.push({ index, ingrediens, reason: "amount" });
+      const per = q.skalbar ? gramsPer(q, food, lang) : null;
+      if (!per) return missing.push({ index, ingrediens, reason: "unit" });
+      if (bySource) uncertain.push({ index, ingrediens, reason: "source" });
+      if (q.max !== q.min) uncertain.push({ index, ingrediens, reason: "range" });
+
+      const grams = (q.min + q.max) / 2 * per * scale;
+      items.push({ index, food: food.namn, grams });
+      for (const k of NUTRIENTS) total[k] += food.per100[k] * grams / 100;
+    });
+
+    const servings = Q.portionsOf(Q.scalePortions(String((recipe.meta || {}).portioner || ""), scale));
+    let perServing = null;
+    if (servings) {
+      perServing = zero();
+      for (const k of NUTRIENTS) perServing[k] = total[k] / servings;
+    }
+    return { servings, total, perServing, items, missing, uncertain };
+  }
+
+  // ── Display ───────────────────────────────────────────────────────────────
+  // "512 kcal", "1,2 g": energy in whole kcal, grams with one decimal
+  // below 10
+  function formatNutrient(key, value, language) {
+    if (key === "kcal") return Math.round(value) + " kcal";
+    const n = value < 10 ? Math.round(value * 10) / 10 : Math.round(value);
+    const s = String(n);
+    return (Q.getLocale(language).comma ? s.replace(".", ",") : s) + " g";
+  }
+
+  return { FOODS, NUTRIENTS, foodName, matchFood, estimate, formatNutrient };
+});
@@ -0,0 +1,112 @@
+/**
+ * Offline support in the app: translations asked for without a connection
+ * wait in a queue and are sent once it returns, and the latest translations
+ * are kept so they can be opened again offline. The app shell itself is
+ * cached by sw.js.
+ *
+ * The app keeps both lists in IndexedDB; here they work on any store
+ *   { all() → Promise<[entry]>, put(entry), delete(id) }
+ * so the tests can use one in memory.
+ *
+ *   queue entry   { id, queuedAt, payload, srcUrl, label }
+ *   recent entry  { id, savedAt, recipe, srcUrl }
+ *
+ * payload is the /api/translate body without its token, which is fetched
+ * when the entry is sent.
+ *
+ * index.html loads this file as window.Offline; the tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Offline = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const RECENT_MAX = 20;
+
+  let seq = 0;
+  function newId(ms) {
+    return ms.toString(36) + "-" + (++seq).toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  // ── Network errors ────────────────────────────────────────────────────────
+  // The app marks fetch's own rejections with offline: true; otherwise the
+  // browsers' messages for "no answer" (Chrome, Firefox, Safari). Anything
+  // the server said, even 5xx, is an answer.
+  function isNetworkError(err) {
+    if (!err) return false;
+    if (err.offline === true) return true;
+    return err.name === "TypeError" && /failed to fetch|networkerror|network error|load failed/i.test(err.message || "");
+  }
+
+  // What a waiting translation is called in the app
+  function queueLabel(payload) {
+    if (payload.type === "url") return String(payload.url || "").replace(/^https?:\/\/(www\.)?/, "").slice(0, 60);
+    if (payload.type === "image") return "📷 " + (payload.images || []).length;
+    const line = String(payload.content || "").split("\n").map(s => s.trim()).find(Boolean) || "";
+    return line.slice(0, 60);
+  }
+
+  // ── Queue ─────────────────────────────────────────────────────────────────
+  function createQueue(store) {
+    let running = null;
+    const all = async () => (await store.all()).sort((a, b) => a.queuedAt - b.queuedAt || (a.id < b.id ? -1 : 1));
+
+    async function add(payload, { srcUrl = null, now = Date.now() } = {}) {
+      const entry = { id: newId(now), queuedAt: now, payload, srcUrl: srcUrl || null, label: queueLabel(payload) };
+      await store.put(entry);
+      return entry;
+    }
+
+    // Sends the waiting entries oldest first with send(payload) → Promise of
+    // the recipe. An entry leaves the queue once the server has answered:
+    // onDone(entry, recipe) or onFail(entry, error). A network error ends the
+    // run and keeps it and the rest for next time. Calls during a run share
+    // it. Resolves to the number of entries still waiting.
+    function flush(send, { onDone = () => {}, onFail = () => {} } = {}) {
+      if (running) return running;
+      running = (async () => {
+        try {
+          for (const entry of await all()) {
+            let recipe;
+            try {
+              recipe = await send(entry.payload);
+            } catch (err) {
+              if (isNetworkError(err)) break;
+              await store.delete(entry.id);
+              onFail(entry, err);
+              continue;
+            }
+            await store.delete(entry.id);
+            onDone(entry, recipe);
+          }
+          return (await store.all()).length;
+        } finally {
+          running = null;
+        }
+      })();
+      return running;
+    }
+
+    return { all, add, remove: id => store.delete(id), flush };
+  }
+
+  // ── Recent translations ───────────────────────────────────────────────────
+  async function recentList(store) {
+    return (await store.all()).sort((a, b) => (b.savedAt || "").localeCompare(a.savedAt || "") || (a.id < b.id ? 1 : -1));
+  }
+
+  // The same recipe translated again replaces its older entry; beyond max
+  // the oldest go. Resolves to the new entry.
+  async function addRecent(store, recipe, { srcUrl = null, max = RECENT_MAX, now = new Date() } = {}) {
+    const key = (r, src) => [r.titel, r._tLang, src || ""].join("\n");
+    const entry = { id: newId(now.getTime()), savedAt: now.toISOString(), recipe, srcUrl: srcUrl || null };
+    for (const old of await store.all())
+      if (key(old.recipe || {}, old.srcUrl) === key(recipe, entry.srcUrl)) await store.delete(old.id);
+    await store.put(entry);
+    for (const old of (await recentList(store)).slice(max)) await store.delete(old.id);
+    return entry;
+  }
+
+  return { RECENT_MAX, isNetworkError, queueLabel, createQueue, recentList, addRecent };
+});
@@ -0,0 +1,310 @@
+/**
+ * Ingredient amounts as numbers instead of text.
+ *
+ *   parseQuantity("ca 2–3 dl") → { min: 2, max: 3, enhet: "dl", skalbar: true,
+ *                                  prefix: "ca ", suffix: "" }
+ *
+ *   min/max        the amount; equal unless it is a range, null without a number
+ *   enhet          the unit as written ("dl", "cups", "burk"); "" for a count
+ *   skalbar        false for sizes and temperatures ("18 cm", "200°C") and for
+ *                  amounts without a number ("efter smak")
+ *   prefix/suffix  the text around the amount, kept when it is rewritten
+ *
+ * translate.js attaches one to every ingredient as kvantitet, parsed from the
+ * final (converted) mangd. The app scales from it and parses amounts that
+ * came without one — library entries saved earlier, imported files — with
+ * the same function. Scaled amounts move to the unit a cook would use
+ * (16 msk → 2,4 dl) with the kitchen units lib/units.js converts into, and
+ * counted things round to halves or whole numbers.
+ * index.html loads this file as window.RecipeQuantity; lib/units.js and the
+ * tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RecipeQuantity = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ── Numbers ───────────────────────────────────────────────────────────────
+  const UNICODE_FRACTIONS = { "¼": 0.25, "½": 0.5, "¾": 0.75, "⅓": 1 / 3, "⅔": 2 / 3, "⅛": 0.125, "⅜": 0.375, "⅝": 0.625, "⅞": 0.875 };
+  const FRAC_CHARS = Object.keys(UNICODE_FRACTIONS).join("");
+
+  // 1 1/2 · 1½ · 1/2 · ½ · 2,5 · 2.5 · 3
+  const NUM_SRC = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\s*[${FRAC_CHARS}]|\\d+\\/\\d+|[${FRAC_CHARS}]|\\d+(?:[.,]\\d+)?)`;
+  const RANGE_SEP_SRC = "\\s*(?:-|–|—|to|till|à)\\s*";
+
+  function parseNumber(s) {
+    s = String(s).trim();
+    let m;
+    if ((m = /^(\d+)\s+(\d+)\/(\d+)$/.exec(s))) return +m[1] + m[2] / m[3];
+    if ((m = new RegExp(`^(\\d+)\\s*([${FRAC_CHARS}])$`).exec(s))) return +m[1] + UNICODE_FRACTIONS[m[2]];
+    if ((m = /^(\d+)\/(\d+)$/.exec(s))) return m[2] > 0 ? m[1] / m[2] : NaN;
+    if (UNICODE_FRACTIONS[s] !== undefined) return UNICODE_FRACTIONS[s];
+    return parseFloat(s.replace(",", "."));
+  }
+
+  // Languages that write 2.5 rather than 2,5
+  const DOT_DECIMAL = new Set(["English", "Japanese", "Chinese", "Korean", "Thai", "Hindi", "Arabic"]);
+
+  // Kitchen numbers: halves, thirds and quarters as fractions, else one decimal
+  function formatNumber(n, language) {
+    if (!(n > 0)) return "0";
+    const whole = Math.floor(n), frac = n - whole;
+    const fracs = [[0.25, "¼"], [1 / 3, "⅓"], [0.5, "½"], [2 / 3, "⅔"], [0.75, "¾"]];
+    for (const [v, s] of fracs) if (Math.abs(frac - v) < 0.04) return whole > 0 ? whole + " " + s : s;
+    if (Math.abs(n - Math.round(n)) < 0.05) return String(Math.round(n));
+    const s = String(Math.round(n * 10) / 10);
+    return DOT_DECIMAL.has(language) ? s : s.replace(".", ",");
+  }
+
+  // ── Kitchen units by language ─────────────────────────────────────────────
+  // dl: whether the language measures volume in deciliters; tbsp/tsp/ml1: the
+  // local spoon names (null → write the volume in ml); comma: decimal comma.
+  const LOCALES = {
+    Swedish:   { dl: true,  tbsp: "msk",  tsp: "tsk", ml1: "krm" },
+    Norwegian: { dl: true,  tbsp: "ss",   tsp: "ts",  ml1: null },
+    Danish:    { dl: true,  tbsp: "spsk", tsp: "tsk", ml1: null },
+    Finnish:   { dl: true,  tbsp: "rkl",  tsp: "tl",  ml1: "mm" },
+    German:    { dl: false, tbsp: "EL",   tsp: "TL",  ml1: null },
+    Dutch:     { dl: false, tbsp: "el",   tsp: "tl",  ml1: null },
+  };
+
+  function getLocale(targetLanguage) {
+    const lang = String(targetLanguage || "Swedish");
+    const key = Object.keys(LOCALES).find(k => lang.toLowerCase().startsWith(k.toLowerCase()))
+             || (/svensk/i.test(lang) ? "Swedish" : null);
+    const base = key ? LOCALES[key] : { dl: false, tbsp: null, tsp: null, ml1: null };
+    return { ...base, comma: !DOT_DECIMAL.has(lang) };
+  }
+
+  // ── Formatting ────────────────────────────────────────────────────────────
+  const GLYPHS = [[0.25, "¼"], [0.5, "½"], [0.75, "¾"]];
+
+  function roundTo(n, step) { return Math.round(n / step) * step; }
+
+  function formatDecimal(n, loc) {
+    const s = String(Math.round(n * 10) / 10);
+    return loc.comma ? s.replace(".", ",") : s;
+  }
+
+  // Spoon amounts read better as fractions: "1 ½ msk", "¼ tsk"
+  function formatFraction(n, step) {
+    const v = Math.max(step, roundTo(n, step));
+    const whole = Math.floor(v), frac = v - whole;
+    const g = GLYPHS.find(([f]) => Math.abs(frac - f) < 0.01);
+    if (!g) return String(whole);
+    return whole ? whole + " " + g[1] : g[1];
+  }
+
+  function formatGrams(g, loc) {
+    if (g >= 1000) return formatDecimal(g / 1000, loc) + " kg";
+    const step = g < 50 ? 1 : g < 250 ? 5 : 10;
+    return Math.max(1, roundTo(g, step)) + " g";
+  }
+
+  function formatMl(ml, loc) {
+    if (ml >= 1000) return formatDecimal(ml / 1000, loc) + " l";
+    if (loc.dl && ml >= 75) return formatDecimal(ml / 100, loc) + " dl";
+    if (loc.tbsp && ml < 75) {
+      if (ml >= 14) return formatFraction(ml / 15, 0.5) + " " + loc.tbsp;
+      if (ml >= 2.5 || !loc.ml1) return formatFraction(ml / 5, 0.25) + " " + loc.tsp;
+      return formatFraction(ml, 0.5) + " " + loc.ml1;
+    }
+    const step = ml < 5 ? 0.5 : ml < 100 ? 5 : 10;
+    return formatDecimal(Math.max(0.5, roundTo(ml, step)), loc) + " ml";
+  }
+
+  // Formats a single value or a min–max range in one unit, e.g. "2–3 dl".
+  function formatRange(min, max, fmt) {
+    const a = fmt(min);
+    if (max == null || max === min) return a;
+    const b = fmt(max);
+    const unit = b.slice(b.lastIndexOf(" "));
+    return a.endsWith(unit) ? a.slice(0, -unit.length) + "–" + b : a + "–" + b;
+  }
+
+  // ── Units ─────────────────────────────────────────────────────────────────
+  // Kitchen units of the target languages, imperial units the model copies
+  // verbatim, and the packages and pieces recipes count in. Longest first.
+  const PIECES_SRC = "stycken|stk|st|burkar|burk|förp\\.?|förpackningar|förpackning|paket" +
+    "|påsar|påse|klyftor|klyfta|skivor|skiva|knippen|knippe|krukor|kruka|nypor|nypa" +
+    "|cans?|cloves?|slices?|pinch(?:es)?|bunch(?:es)?|packages?";
+  const UNITS_SRC = [
+    "liter|litre|ml|cl|dl|l", "kilo|kg|hg|gram|g",
+    "msk|tsk|krm|spsk|ss|ts|rkl|tl|mm|el",
+    "cups?|koppar|kopp|kopper", "tablespoons?|tbsps?\\.?|tbl?s\\.?", "teaspoons?|tsps?\\.?",
+    "fluid ounces?|fl\\.?\\s?oz\\.?", "ounces?|oz\\.?", "pounds?|lbs?\\.?", "sticks?",
+    "pints?|quarts?|gallons?", PIECES_SRC,
+    // sizes and temperatures: recognised so they are not scaled
+    "cm|centimeter|inch(?:es)?|tum|″|\"", "°\\s*[CF]?|grader|degrees?",
+  ].join("|");
+  const UNSCALABLE = /^(?:cm|centimeter|inch(?:es)?|tum|″|"|°\s*[CF]?|grader|degrees?)$/i;
+  const PIECES = new RegExp(`^(?:${PIECES_SRC})?$`, "i");
+
+  // Metric units a scaled amount may move between; the language's own spoons
+  // (getLocale) count as 15, 5 and 1 ml
+  const METRIC_ML = { ml: 1, cl: 10, dl: 100, l: 1000, liter: 1000, litre: 1000 };
+  const METRIC_G  = { g: 1, gram: 1, hg: 100, kg: 1000, kilo: 1000 };
+
+  function mlPerUnit(unit, loc) {
+    const u = unit.toLowerCase();
+    if (METRIC_ML[u]) return METRIC_ML[u];
+    if (loc.tbsp && u === loc.tbsp.toLowerCase()) return 15;
+    if (loc.tsp && u === loc.tsp.toLowerCase()) return 5;
+    if (loc.ml1 && u === loc.ml1.toLowerCase()) return 1;
+    return null;
+  }
+
+  const PREFIX_SRC = "ca\\.?|cirka|circa|ungefär|omkring|about|around|approx\\.?|approximately|etwa|ungefähr|environ|ongeveer|omtrent|noin";
+
+  const QUANTITY_RE = new RegExp(
+    `^(\\s*(?:(?:${PREFIX_SRC})\\s*)?)(${NUM_SRC})(?:${RANGE_SEP_SRC}(${NUM_SRC}))?(?:\\s*(${UNITS_SRC})(?![\\p{L}]))?`, "iu");
+
+  // ── Parsing ───────────────────────────────────────────────────────────────
+  function parseQuantity(mangd) {
+    const text = String(mangd || "");
+    const m = QUANTITY_RE.exec(text);
+    let min = m ? parseNumber(m[2]) : NaN, max = m && m[3] ? parseNumber(m[3]) : min;
+    if (!isFinite(min) || !isFinite(max)) {
+      return { min: null, max: null, enhet: "", skalbar: false, prefix: text, suffix: "" };
+    }
+    if (max < min) [min, max] = [max, min];
+    const enhet = (m[4] || "").trim();
+    return {
+      min, max, enhet,
+      skalbar: !UNSCALABLE.test(enhet),
+      prefix:  m[1],
+      suffix:  text.slice(m[0].length),
+    };
+  }
+
+  // Eggs, cans and cloves: counted rather than measured
+  function isCounted(q) {
+    return !!q && q.min != null && PIECES.test(q.enhet);
+  }
+
+  // Things that only come whole: half an egg is not something to buy or crack
+  const WHOLE_RE = /(?:^|[^\p{L}])(?:ägg|eggs?|æg|eier?|œufs?|oeufs?|huevos?|uov[ao]|ovos?|jaj(?:ka|ko|ek)|(?:kanan)?mun(?:a|aa|at))(?![\p{L}])/iu;
+
+  function isWhole(ingrediens) {
+    return WHOLE_RE.test(String(ingrediens || ""));
+  }
+
+  // ── Scaling and display ───────────────────────────────────────────────────
+  function scaleQuantity(q, factor) {
+    if (!q || !q.skalbar || factor === 1) return q;
+    return { ...q, min: q.min * factor, max: q.max * factor };
+  }
+
+  // Counted things in halves below two ("½ lök", "1 ½ burk"), whole from
+  // there; things that only come whole ("2 ägg") in whole numbers, at least one
+  function roundCount(n, whole) {
+    if (whole) return Math.max(1, Math.round(n));
+    return n < 2 ? Math.max(0.5, Math.round(n * 2) / 2) : Math.round(n);
+  }
+
+  // A scaled amount in the unit a cook would use: 16 msk → 2,4 dl,
+  // 1200 g → 1,2 kg. Units the language does not use, imperial units and
+  // counts stay as they are. options.whole rounds counts to whole numbers.
+  function normalizeQuantity(q, language, options = {}) {
+    if (!q || q.min == null) return q;
+    if (isCounted(q)) return { ...q, min: roundCount(q.min, options.whole), max: roundCount(q.max, options.whole) };
+    const loc = getLocale(language);
+    const g = METRIC_G[q.enhet.toLowerCase()], ml = mlPerUnit(q.enhet, loc);
+    if (!g && !ml) return q;
+    const text = g
+      ? formatRange(q.min * g, q.max * g, v => formatGrams(v, loc))
+      : formatRange(q.min * ml, q.max * ml, v => formatMl(v, loc));
+    const n = parseQuantity(text);
+    // "800 g–1,2 kg" does not parse back as one range; keep the old unit
+    if (n.min == null || n.suffix) return q;
+    return { ...n, prefix: q.prefix, suffix: q.suffix };
+  }
+
+  // An amount in ml or g when it is a metric volume or weight (spoons of the
+  // given language included), else in its own unit — for summing amounts
+  // of the same ingredient across recipes
+  function baseAmount(q, language) {
+    if (!q || q.min == null) return null;
+    const g = METRIC_G[q.enhet.toLowerCase()], ml = mlPerUnit(q.enhet, getLocale(language));
+    if (g)  return { enhet: "g",  min: q.min * g,  max: q.max * g };
+    if (ml) return { enhet: "ml", min: q.min * ml, max: q.max * ml };
+    return { enhet: q.enhet.toLowerCase(), min: q.min, max: q.max };
+  }
+
+  // Metric amounts as decimals ("7,5 dl", "1,2 kg"), everything else as
+  // kitchen fractions ("1 ½ msk", "¾ cup")
+  function formatQuantity(q, language) {
+    if (!q || q.min == null) return q ? q.prefix + q.suffix : "";
+    const u = q.enhet.toLowerCase();
+    const fmt = METRIC_ML[u] || METRIC_G[u] ? v => formatDecimal(v, getLocale(language)) : v => formatNumber(v, language);
+    const a = fmt(q.min), b = fmt(q.max);
+    const amount = a === b ? a : a + "–" + b;
+    return q.prefix + amount + (q.enhet ? " " + q.enhet : "") + q.suffix;
+  }
+
+  // The parsed amount of an ingredient: the one translate.js sent, or
+  // parsed now for recipes that came without one
+  function quantityOf(ing) {
+    return (ing && ing.kvantitet) || parseQuantity(ing && ing.mangd);
+  }
+
+  // An ingredient for a portion factor, mangd and kvantitet both scaled and
+  // normalized; unchanged when there is nothing to scale
+  function scaleIngredient(ing, factor, language) {
+    const q = quantityOf(ing);
+    if (!ing.mangd || factor === 1 || !q.skalbar) return ing;
+    const scaled = normalizeQuantity(scaleQuantity(q, factor), language, { whole: isWhole(ing.ingrediens) });
+    return { ...ing, mangd: formatQuantity(scaled, language), kvantitet: scaled };
+  }
+
+  function scaledAmount(ing, factor, language) {
+    return ing ? scaleIngredient(ing, factor, language).mangd : "";
+  }
+
+  // ── Portions ──────────────────────────────────────────────────────────────
+  // The number of servings meta.portioner starts with ("24 st", "4–6
+  // portioner" → 4), or null
+  function portionsOf(portioner) {
+    const q = parseQuantity(portioner);
+    return q.skalbar && q.min > 0 ? q.min : null;
+  }
+
+  function scalePortions(portioner, factor) {
+    const q = parseQuantity(portioner);
+    if (!q.skalbar || factor === 1) return portioner;
+    const n = v => Math.max(1, Math.round(v * factor));
+    return formatQuantity({ ...q, min: n(q.min), max: n(q.max) });
+  }
+
+  // ── Review after scaling ──────────────────────────────────────────────────
+  // Scaling changes amounts only. Baking times and pan sizes do not follow a
+  // factor, so steps and notes that mention them are pointed out instead.
+  const SIZE_RE = /\d\s*(?:x|×)\s*\d|\d\s*(?:cm|inch|tum|″)|springform|bakform|långpanna|ugnsform|\bform(?:en)?\b|\b(?:pan|tin|baking dish)\b|\bblech\b|\bmoule\b|\bmolde\b|\bteglia\b|\bbakvorm\b|vuoka/i;
+  const OVEN_RE = /grädda|\bbaka|\bugn|\bbake|\broast|\boven|\bback|\bofen|cuire|\bfour\b|hornea|horno|cuoc|\bforno|uuni|paista/i;
+  const TIME_RE = /\d\s*(?:min|h\b|tim|hour|std|stund|heure|hora|ora\b|uur|tunti)/i;
+
+  // { steg: [indexes], noteringar: bool, ingredienser: [indexes] } of the
+  // places a cook should check after changing the number of portions
+  function scaleReview(recipe) {
+    const flagged = s => SIZE_RE.test(s) || (OVEN_RE.test(s) && TIME_RE.test(s));
+    const indexes = (list, test) => (list || []).reduce((out, x, i) => test(x) ? out.concat(i) : out, []);
+    return {
+      steg:         indexes(recipe.steg, s => flagged(String(s))),
+      noteringar:   flagged(String(recipe.noteringar || "")),
+      ingredienser: indexes(recipe.ingredienser, i => {
+        const q = quantityOf(i);
+        return q.min != null && !q.skalbar;
+      }),
+    };
+  }
+
+  return {
+    UNICODE_FRACTIONS, FRAC_CHARS, NUM_SRC, RANGE_SEP_SRC, DOT_DECIMAL,
+    parseNumber, formatNumber,
+    getLocale, roundTo, formatGrams, formatMl, formatRange,
+    parseQuantity, isCounted, isWhole, scaleQuantity, normalizeQuantity, baseAmount, formatQuantity,
+    quantityOf, scaleIngredient, scaledAmount,
+    portionsOf, scalePortions, scaleReview,
+  };
+});
@@ -0,0 +1,488 @@
+/**
+ * Recipe export formats: schema.org Recipe JSON-LD, Paprika (.paprikarecipe),
+ * Markdown with YAML front matter and Cooklang — each with a reader for the
+ * same format, so exported files can be read back.
+ *
+ * Works on the recipe as the app shows it ({titel, beskrivning, meta,
+ * ingredienser, steg, noteringar}, already scaled) plus metadata
+ * {source, fetchedAt, language, nutrition}. Every reader returns
+ * { recipe, meta }.
+ *
+ * nutrition is the app's estimate (nutrition.js) as
+ * { perServing, kcal, protein, fett, kolhydrater, salt, text, note }, text
+ * being the line the app shows and note the caveat that the values are
+ * unverified, which JSON-LD carries as the description. It is written, not
+ * read back: the app estimates again from the ingredients.
+ * index.html loads this file as window.RecipeFormats; the tests require it.
+ *
+ * What a format cannot carry is lost on the way through it:
+ *   JSON-LD — ingredient groups and difficulty (schema.org has neither);
+ *             a total time like "1 h 30 min" becomes an ISO 8601 duration
+ *   JSON-LD and Paprika keep amount and ingredient on one line; readers
+ *             split them again at the leading quantity and a known unit
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RecipeFormats = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ── Shared ────────────────────────────────────────────────────────────────
+  const DEFAULT_LABELS = { ingredients: "Ingredients", steps: "Instructions", notes: "Notes" };
+
+  function normalize(r) {
+    r = r || {};
+    const meta = r.meta || {};
+    return {
+      titel:       String(r.titel || ""),
+      beskrivning: String(r.beskrivning || ""),
+      meta: {
+        portioner:      String(meta.portioner || ""),
+        totaltid:       String(meta.totaltid || ""),
+        svarighetsgrad: String(meta.svarighetsgrad || ""),
+      },
+      ingredienser: (r.ingredienser || []).map(i => ({
+        grupp:      String(i.grupp || ""),
+        mangd:      String(i.mangd || "").trim(),
+        ingrediens: String(i.ingrediens || "").trim(),
+      })),
+      steg:        (r.steg || []).map(s => String(s).replace(/\s*\n\s*/g, " ").trim()).filter(Boolean),
+      noteringar:  String(r.noteringar || "").trim(),
+    };
+  }
+
+  function slug(s) {
+    return String(s || "recept").replace(/[^a-z0-9]/gi, "-").toLowerCase();
+  }
+
+  // Units a reader may take as part of the amount in "2,4 dl vetemjöl"
+  const UNITS = [
+    "ml", "cl", "dl", "l", "liter", "g", "gram", "hg", "kg", "msk", "tsk", "krm", "st", "förp", "paket",
+    "burk", "burkar", "nypa", "klyfta", "klyftor", "skiva", "skivor", "knippe", "kruka",
+    "cups?", "tbsp", "tsp", "tablespoons?", "teaspoons?", "oz", "ounces?", "lbs?", "pounds?", "cans?", "pinch",
+    "sticks?", "cloves?", "el", "tl", "spsk", "ss", "ts", "stk", "prise", "cs", "cc", "cda", "cdta", "cucchiai[oe]?",
+  ];
+  const UNIT_RE = new RegExp("^(?:" + UNITS.join("|") + ")\\.?$", "i");
+  const QTY_RE  = /^(?:(?:ca\.?|cirka|about|approx\.?)\s+)?[\d½¼¾⅓⅔⅛][\d\s.,/½¼¾⅓⅔⅛–-]*/i;
+
+  function splitQuantity(text) {
+    const q = text.match(QTY_RE);
+    return q ? [q[0].trim(), text.slice(q[0].length).trim()] : ["", text];
+  }
+
+  function splitIngredientLine(line) {
+    const text = String(line || "").trim();
+    let [mangd, rest] = splitQuantity(text);
+    const word = rest.split(/\s+/)[0];
+    if (mangd && word && UNIT_RE.test(word)) {
+      mangd += " " + word;
+      rest = rest.slice(word.length).trim();
+    }
+    return { grupp: "", mangd, ingrediens: rest };
+  }
+
+  // The text formats list ungrouped ingredients first, so a group heading
+  // never has to be closed again
+  function orderedIngredients(r) {
+    return r.ingredienser.filter(i => !i.grupp).concat(r.ingredienser.filter(i => i.grupp));
+  }
+
+  function ingredientLine(i) {
+    return [i.mangd, i.ingrediens].filter(Boolean).join(" ");
+  }
+
+  // Front matter with every value written as a JSON string — valid YAML,
+  // and read back with JSON.parse
+  function frontMatter(fields) {
+    const lines = Object.entries(fields).filter(([, v]) => v).map(([k, v]) => k + ": " + JSON.stringify(String(v)));
+    return "---\n" + lines.join("\n") + "\n---\n";
+  }
+
+  function parseFrontMatter(text) {
+    text = String(text || "").replace(/^\uFEFF/, "");
+    const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!m) return { fields: {}, body: text };
+    const fields = {};
+    for (const line of m[1].split(/\r?\n/)) {
+      const kv = line.match(/^([\w -]+?):\s*(.*)$/);
+      if (!kv) continue;
+      let v = kv[2].trim();
+      if (v.startsWith('"')) { try { v = JSON.parse(v); } catch {} }
+      else if (/^'.*'$/.test(v)) v = v.slice(1, -1).replace(/''/g, "'");
+      fields[kv[1].trim().toLowerCase()] = v;
+    }
+    return { fields, body: text.slice(m[0].length) };
+  }
+
+  // Recipe and metadata from the front matter keys both text formats use
+  function fromFields(f) {
+    const recipe = normalize({
+      titel: f.title, beskrivning: f.description,
+      meta: { portioner: f.servings, totaltid: f.time, svarighetsgrad: f.difficulty },
+    });
+    return { recipe, meta: { source: f.source || "", fetchedAt: f.fetched || "", language: f.language || "" } };
+  }
+
+  function toFields(r, { source, fetchedAt, language, nutrition } = {}) {
+    return {
+      title: r.titel, description: r.beskrivning,
+      servings: r.meta.portioner, time: r.meta.totaltid, difficulty: r.meta.svarighetsgrad,
+      nutrition: nutrition && nutrition.text,
+      source, fetched: fetchedAt, language,
+    };
+  }
+
+  // schema.org NutritionInformation, which is per serving; sodium is salt
+  // divided by 2.5
+  function nutritionInformation(n) {
+    const g = v => Math.round(v * 10) / 10 + " g";
+    const info = {
+      "@type": "NutritionInformation",
+      calories: Math.round(n.kcal) + " kcal",
+      proteinContent: g(n.protein), fatContent: g(n.fett),
+      carbohydrateContent: g(n.kolhydrater), sodiumContent: g(n.salt / 2.5),
+    };
+    if (n.note) info.description = n.note;
+    return info;
+  }
+
+  // ── Durations (JSON-LD) ───────────────────────────────────────────────────
+  const HOUR_WORDS = "h|hrs?|hours?|tim|timmar|timme|timer|time|stunden?|std|heures?|horas?|ore|ora|uur|tuntia?";
+  const MIN_WORDS  = "min|mins|minutes?|minuter|minut|minutter|minutt|minuten|minuti|minutos?|minuuttia?";
+  const PART_RE    = new RegExp("(\\d+(?:[.,]\\d+)?)\\s*(" + HOUR_WORDS + "|" + MIN_WORDS + ")\\.?(?![\\p{L}])", "giu");
+  const HOUR_RE    = new RegExp("^(?:" + HOUR_WORDS + ")$", "i");
+
+  // "1 timme 30 minuter" → "PT1H30M"; null for anything with other words in it
+  function toIsoDuration(text) {
+    let minutes = 0, found = false;
+    const rest = String(text || "").replace(PART_RE, (_, n, unit) => {
+      found = true;
+      minutes += parseFloat(n.replace(",", ".")) * (HOUR_RE.test(unit) ? 60 : 1);
+      return " ";
+    });
+    if (!found || rest.replace(/(?<![\p{L}])(och|and|og|und|et|y|e|en|ja)(?![\p{L}])|[\s,+&]/giu, "")) return null;
+    const total = Math.round(minutes), h = Math.floor(total / 60), m = total % 60;
+    return total ? "PT" + (h ? h + "H" : "") + (m ? m + "M" : "") : null;
+  }
+
+  // "PT1H30M" → "1 h 30 min"; anything else is returned as it is
+  function fromIsoDuration(value) {
+    const m = String(value || "").match(/^P(?:(\d+)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!m || !(m[1] || m[2] || m[3] || m[4])) return String(value || "");
+    const total = Math.round((+m[1] || 0) * 1440 + (+m[2] || 0) * 60 + (+m[3] || 0) + (+m[4] || 0) / 60);
+    const h = Math.floor(total / 60), min = total % 60;
+    return [h && h + " h", min && min + " min"].filter(Boolean).join(" ") || "0 min";
+  }
+
+  // ── schema.org JSON-LD ────────────────────────────────────────────────────
+  function toJsonLd(recipe, { source, fetchedAt, language, nutrition } = {}) {
+    const r = normalize(recipe);
+    const ld = { "@context": "https://schema.org", "@type": "Recipe", name: r.titel };
+    if (r.beskrivning) ld.description = r.beskrivning;
+    if (r.meta.portioner) ld.recipeYield = r.meta.portioner;
+    if (r.meta.totaltid) ld.totalTime = toIsoDuration(r.meta.totaltid) || r.meta.totaltid;
+    ld.recipeIngredient = r.ingredienser.map(ingredientLine);
+    ld.recipeInstructions = r.steg.map(text => ({ "@type": "HowToStep", text }));
+    if (r.noteringar) ld.comment = { "@type": "Comment", text: r.noteringar };
+    if (nutrition && nutrition.perServing) ld.nutrition = nutritionInformation(nutrition);
+    if (source) ld.isBasedOn = source;
+    if (fetchedAt) ld.dateCreated = fetchedAt;
+    if (language) ld.inLanguage = language;
+    return ld;
+  }
+
+  function findRecipeNode(data) {
+    if (Array.isArray(data)) {
+      for (const d of data) { const r = findRecipeNode(d); if (r) return r; }
+      return null;
+    }
+    if (!data || typeof data !== "object") return null;
+    if ([].concat(data["@type"] || []).includes("Recipe")) return data;
+    return data["@graph"] ? findRecipeNode(data["@graph"]) : null;
+  }
+
+  // Steps may be strings, HowToSteps or HowToSections of steps
+  function instructionTexts(v) {
+    if (!v) return [];
+    if (typeof v === "string") return v.split(/\n+/);
+    if (Array.isArray(v)) return v.flatMap(instructionTexts);
+    if (v.itemListElement) return instructionTexts(v.itemListElement);
+    return [v.text || v.name || ""];
+  }
+
+  function fromJsonLd(input) {
+    const node = findRecipeNode(typeof input === "string" ? JSON.parse(input) : input);
+    if (!node) throw new Error("No schema.org Recipe found.");
+    const text = v => (Array.isArray(v) ? v[0] : v) == null ? "" : String(Array.isArray(v) ? v[0] : v);
+    const comment = [].concat(node.comment || [])[0];
+    const recipe = normalize({
+      titel: text(node.name),
+      beskrivning: text(node.description),
+      meta: { portioner: text(node.recipeYield), totaltid: fromIsoDuration(text(node.totalTime)) },
+      ingredienser: [].concat(node.recipeIngredient || []).map(splitIngredientLine),
+      steg: instructionTexts(node.recipeInstructions),
+      noteringar: comment ? (typeof comment === "string" ? comment : comment.text) : "",
+    });
+    const source = text(node.isBasedOn && node.isBasedOn.url || node.isBasedOn || node.url);
+    return { recipe, meta: { source, fetchedAt: text(node.dateCreated), language: text(node.inLanguage) } };
+  }
+
+  // ── Paprika ───────────────────────────────────────────────────────────────
+  // A .paprikarecipe file is one gzipped JSON recipe. Ingredients and
+  // directions are plain text; a line ending in ":" starts an ingredient
+  // group and an empty line ends it.
+  function toPaprika(recipe, { source, fetchedAt, language, nutrition } = {}) {
+    const r = normalize(recipe);
+    const lines = [];
+    let group = "";
+    for (const i of r.ingredienser) {
+      if (i.grupp !== group) lines.push(i.grupp ? i.grupp + ":" : "");
+      group = i.grupp;
+      lines.push(ingredientLine(i));
+    }
+    let host = "";
+    try { host = source ? new URL(source).hostname.replace(/^www\./, "") : ""; } catch {}
+    return {
+      uid: newUid(), name: r.titel, description: r.beskrivning,
+      ingredients: lines.join("\n"), directions: r.steg.join("\n\n"), notes: r.noteringar,
+      servings: r.meta.portioner, total_time: r.meta.totaltid, prep_time: "", cook_time: "",
+      difficulty: r.meta.svarighetsgrad, rating: 0, categories: language ? [language] : [],
+      source: host, source_url: source || "", created: fetchedAt ? fetchedAt + " 00:00:00" : "",
+      image_url: "", photo: "", photo_hash: "", photo_data: null, photos: [], nutritional_info: (nutrition && nutrition.text) || "", hash: "",
+    };
+  }
+
+  function fromPaprika(input) {
+    const p = typeof input === "string" ? JSON.parse(input) : (input || {});
+    const ingredienser = [];
+    let group = "";
+    for (const raw of String(p.ingredients || "").split(/\r?\n/)) {
+      const line = raw.trim();
+      if (!line) { group = ""; continue; }
+      if (line.endsWith(":") && !QTY_RE.test(line)) { group = line.slice(0, -1).trim(); continue; }
+      ingredienser.push({ ...splitIngredientLine(line), grupp: group });
+    }
+    const recipe = normalize({
+      titel: p.name, beskrivning: p.description,
+      meta: { portioner: p.servings, totaltid: p.total_time, svarighetsgrad: p.difficulty },
+      ingredienser,
+      steg: String(p.directions || "").split(/\r?\n\s*\r?\n|\r?\n/),
+      noteringar: p.notes,
+    });
+    const meta = {
+      source: String(p.source_url || ""),
+      fetchedAt: String(p.created || "").slice(0, 10),
+      language: String((p.categories || [])[0] || ""),
+    };
+    return { recipe, meta };
+  }
+
+  function newUid() {
+    const c = typeof crypto !== "undefined" ? crypto : null;
+    if (c && c.randomUUID) return c.randomUUID().toUpperCase();
+    return Date.now().toString(16).toUpperCase() + "-" + Math.random().toString(16).slice(2).toUpperCase();
+  }
+
+  async function gzip(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  async function gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+  }
+
+  // The file itself: Paprika's content hash is SHA-256 of the JSON
+  async function paprikaFile(recipe, meta) {
+    const p = toPaprika(recipe, meta);
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify(p)));
+    p.hash = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("").toUpperCase();
+    return gzip(JSON.stringify(p));
+  }
+
+  async function readPaprikaFile(bytes) {
+    return fromPaprika(await gunzip(bytes));
+  }
+
+  // ── Markdown ──────────────────────────────────────────────────────────────
+  // Front matter for tools like Obsidian, then the recipe as readable text.
+  // The reader goes by structure, not headings, so any language reads back.
+  function toMarkdown(recipe, meta = {}, labels = DEFAULT_LABELS) {
+    const r = normalize(recipe);
+    const out = [frontMatter(toFields(r, meta)), "# " + r.titel, ""];
+    if (r.beskrivning) out.push(r.beskrivning, "");
+    out.push("## " + labels.ingredients, "");
+    let group = "";
+    for (const i of orderedIngredients(r)) {
+      if (i.grupp !== group) { out.push("", "### " + i.grupp, ""); group = i.grupp; }
+      out.push("- " + (i.mangd ? "**" + i.mangd + "** " : "") + i.ingrediens);
+    }
+    out.push("", "## " + labels.steps, "");
+    r.steg.forEach((s, n) => out.push((n + 1) + ". " + s));
+    if (r.noteringar) out.push("", "## " + labels.notes, "", r.noteringar);
+    return out.join("\n").replace(/\n{3,}/g, "\n\n") + "\n";
+  }
+
+  function fromMarkdown(text) {
+    const { fields, body } = parseFrontMatter(text);
+    const { recipe, meta } = fromFields(fields);
+    const sections = [];
+    let cur = null;
+    for (const line of body.split(/\r?\n/)) {
+      if (/^# /.test(line)) { if (!recipe.titel) recipe.titel = line.slice(2).trim(); cur = null; continue; }
+      if (/^## /.test(line)) { sections.push(cur = { lines: [] }); continue; }
+      if (cur) cur.lines.push(line);
+      else if (line.trim() && !fields.description) recipe.beskrivning = (recipe.beskrivning + " " + line.trim()).trim();
+    }
+    for (const { lines } of sections) {
+      const filled = lines.filter(l => l.trim());
+      if (filled.some(l => /^\s*[-*] /.test(l))) {
+        let group = "";
+        for (const l of filled) {
+          const g = l.match(/^### (.*)$/);
+          if (g) { group = g[1].trim(); continue; }
+          const item = l.match(/^\s*[-*] (?:\*\*(.*?)\*\* )?(.*)$/);
+          if (!item) continue;
+          recipe.ingredienser.push({ grupp: group, mangd: (item[1] || "").trim(), ingrediens: item[2].trim() });
+        }
+      } else if (filled.length && /^\d+[.)] /.test(filled[0])) {
+        for (const l of filled) {
+          const step = l.match(/^\d+[.)] (.*)$/);
+          if (step) recipe.steg.push(step[1].trim());
+          else if (recipe.steg.length) recipe.steg[recipe.steg.length - 1] += " " + l.trim();
+        }
+      } else if (filled.length) {
+        recipe.noteringar = (recipe.noteringar ? recipe.noteringar + "\n\n" : "") + lines.join("\n").trim();
+      }
+    }
+    return { recipe, meta };
+  }
+
+  // ── Cooklang ──────────────────────────────────────────────────────────────
+  // Cooklang marks ingredients inside the steps (@vetemjöl{2,4%dl}). Our
+  // steps are plain text, so the ingredients come first as paragraphs of
+  // their own — one per group, under a "= group" section — followed by the
+  // steps and the notes ("> ").
+  const COOK_SPECIAL = /[@#~{}%\\]/g;
+
+  function cookEscape(s) {
+    return s.replace(COOK_SPECIAL, "\\$&").replace(/-(?=-)/g, "\\-").replace(/\[(?=-)/g, "\\[");
+  }
+
+  function cookUnescape(s) {
+    return s.replace(/\\(.)/g, "$1");
+  }
+
+  function cookIngredient(i) {
+    const [qty, unit] = splitQuantity(i.mangd);
+    const amount = qty ? cookEscape(qty) + (unit ? "%" + cookEscape(unit) : "") : cookEscape(i.mangd);
+    return "@" + cookEscape(i.ingrediens) + "{" + amount + "}";
+  }
+
+  function toCooklang(recipe, meta = {}, labels = DEFAULT_LABELS) {
+    const r = normalize(recipe);
+    const out = [frontMatter(toFields(r, meta))];
+    let group = null, para = [];
+    for (const i of orderedIngredients(r)) {
+      if (i.grupp !== group) {
+        if (para.length) out.push(para.join("\n"), "");
+        if (i.grupp) out.push("= " + cookEscape(i.grupp), "");
+        group = i.grupp; para = [];
+      }
+      para.push(cookIngredient(i));
+    }
+    if (para.length) out.push(para.join("\n"), "");
+    out.push("= " + cookEscape(labels.steps), "");
+    for (const s of r.steg) out.push(cookEscape(s).replace(/^([=>])/, "\\$1"), "");
+    if (r.noteringar) out.push(r.noteringar.split(/\r?\n/).map(l => "> " + l).join("\n"), "");
+    return out.join("\n").replace(/\n+$/, "\n");
+  }
+
+  // Text and ingredients of a step: "@name{qty%unit}", "@word", "#tool{}" and
+  // "~{time}" become plain words
+  const COOK_TOKEN = /(?<!\\)([@#])((?:[^{}@#~\\]|\\.)+?)\{((?:[^{}\\]|\\.)*)\}|(?<!\\)([@#])((?:[^\s@#~{}\\.,;:!?]|\\.)+)|(?<!\\)~(?:(?:[^{}\\]|\\.)*?)\{((?:[^{}\\]|\\.)*)\}/g;
+
+  function cookAmount(raw) {
+    const [qty, unit] = raw.split(/(?<!\\)%/);
+    return cookUnescape([qty, unit].filter(v => v && v.trim()).map(v => v.trim()).join(" "));
+  }
+
+  function parseCookStep(text) {
+    const ingredients = [];
+    const plain = text.replace(COOK_TOKEN, (_, sigil, name, amount, sigil2, word, time) => {
+      if (time !== undefined) return cookAmount(time);
+      const n = cookUnescape((name || word).trim());
+      if ((sigil || sigil2) === "@") ingredients.push({ grupp: "", mangd: amount ? cookAmount(amount) : "", ingrediens: n });
+      return n;
+    });
+    return { text: cookUnescape(plain), ingredients };
+  }
+
+  function fromCooklang(text) {
+    const { fields, body } = parseFrontMatter(text);
+    // Older files use ">> key: value" lines instead of front matter
+    for (const [, k, v] of body.matchAll(/^>>\s*([^:\n]+):\s*(.*)$/gm)) fields[k.trim().toLowerCase()] ??= v.trim();
+    const { recipe, meta } = fromFields(fields);
+    const notes = [], inline = [];
+    let section = "", hasList = false;
+    // Strip comments, then read paragraph by paragraph
+    const lines = body.replace(/\[-[\s\S]*?-\]/g, "").split(/\r?\n/).map(l => l.replace(/(^|[^\\])--.*$/, "$1"));
+    let para = [];
+    const flush = () => {
+      if (!para.length) return;
+      if (para.every(l => /^@(?:[^{}\\]|\\.)+\{(?:[^{}\\]|\\.)*\}$/.test(l.trim()))) {
+        hasList = true;
+        for (const l of para) recipe.ingredienser.push({ ...parseCookStep(l.trim()).ingredients[0], grupp: section });
+      } else {
+        const step = parseCookStep(para.map(l => l.trim()).join(" "));
+        recipe.steg.push(step.text.trim());
+        inline.push(...step.ingredients);
+      }
+      para = [];
+    };
+    for (const line of lines) {
+      const t = line.trim();
+      if (/^>>/.test(t)) continue;
+      if (/^=+/.test(t)) { flush(); section = cookUnescape(t.replace(/^=+|=+$/g, "").trim()); continue; }
+      if (/^>/.test(t)) { flush(); notes.push(t.replace(/^>\s?/, "")); continue; }
+      if (!t) { flush(); continue; }
+      para.push(t.replace(/^\\([=>])/, "$1"));
+    }
+    flush();
+    // Files written elsewhere only mark ingredients inside the steps
+    if (!hasList) recipe.ingredienser = inline;
+    recipe.noteringar = notes.join("\n");
+    return { recipe, meta };
+  }
+
+  // ── Export ────────────────────────────────────────────────────────────────
+  const FORMATS = {
+    jsonld:   { ext: ".json",          type: "application/ld+json" },
+    paprika:  { ext: ".paprikarecipe", type: "application/octet-stream" },
+    markdown: { ext: ".md",            type: "text/markdown; charset=utf-8" },
+    cooklang: { ext: ".cook",          type: "text/plain; charset=utf-8" },
+  };
+
+  // One recipe in one format as { blob, filename }
+  async function exportRecipe(format, recipe, meta, labels) {
+    const f = FORMATS[format];
+    if (!f) throw new Error("Unknown format: " + format);
+    const name = slug(recipe && recipe.titel) + f.ext;
+    let data;
+    if (format === "jsonld")        data = JSON.stringify(toJsonLd(recipe, meta), null, 2);
+    else if (format === "paprika")  data = await paprikaFile(recipe, meta);
+    else if (format === "markdown") data = toMarkdown(recipe, meta, labels);
+    else                            data = toCooklang(recipe, meta, labels);
+    return { blob: new Blob([data], { type: f.type }), filename: name };
+  }
+
+  return {
+    FORMATS, exportRecipe,
+    toJsonLd, fromJsonLd, toIsoDuration, fromIsoDuration,
+    toPaprika, fromPaprika, paprikaFile, readPaprikaFile,
+    toMarkdown, fromMarkdown,
+    toCooklang, fromCooklang,
+    splitIngredientLine,
+  };
+});
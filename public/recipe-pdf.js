@@ -0,0 +1,828 @@
+/**
+ * Recipe PDF with embedded TrueType fonts, so every language in LANGS —
+ * Cyrillic, Greek, CJK, Thai, Arabic, Devanagari — prints as text rather
+ * than question marks.
+ *
+ * parseFont() reads a .ttf (glyf outlines; CFF-based .otf is not read).
+ * Each font a document uses is subset to its glyphs — unused outlines are
+ * dropped while glyph ids stay put — and embedded as a CIDFontType2 with
+ * Identity-H encoding and a ToUnicode map, so text can still be copied.
+ *
+ * Layout measures real glyph advances, breaks lines at word boundaries
+ * (Intl.Segmenter where available, which also finds Thai and Japanese word
+ * breaks) and falls back from one font to the next per character. Shaping
+ * is deliberately small: Arabic letters get their joining forms and
+ * lam-alef ligatures from the font's GSUB table, Devanagari gets the
+ * pre-base vowel sign i moved and the font's conjunct and half-form
+ * ligatures; contextual lookups and mark positioning (GPOS) are not
+ * applied. Right-to-left paragraphs are right-aligned and reordered word
+ * by word, keeping numbers and Latin words left-to-right.
+ *
+ * index.html loads this file as window.RecipePdf; the tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RecipePdf = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ── Font files ────────────────────────────────────────────────────────────
+  // Files in public/fonts/, served from the site itself (licence in
+  // public/fonts/OFL.txt): the regular weight of each Noto font, put there
+  // at build time by scripts/fetch-fonts.js
+  const FONT_FILES = {
+    base:       "NotoSans-Regular.ttf",
+    arabic:     "NotoSansArabic-Regular.ttf",
+    devanagari: "NotoSansDevanagari-Regular.ttf",
+    thai:       "NotoSansThai-Regular.ttf",
+    japanese:   "NotoSansJP-Regular.ttf",
+    chinese:    "NotoSansSC-Regular.ttf",
+    korean:     "NotoSansKR-Regular.ttf",
+  };
+
+  // Language tags for line breaking and the document's /Lang
+  const LOCALES = {
+    Swedish: "sv", English: "en", Danish: "da", Norwegian: "nb", Finnish: "fi", German: "de", French: "fr",
+    Spanish: "es", Italian: "it", Dutch: "nl", Portuguese: "pt", Polish: "pl", Russian: "ru", Greek: "el",
+    Turkish: "tr", Japanese: "ja", Chinese: "zh", Korean: "ko", Thai: "th", Arabic: "ar", Hindi: "hi",
+  };
+
+  const ARABIC_RE     = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+  const RTL_RE        = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+  const DEVANAGARI_RE = /[\u0900-\u097F]/;
+  const THAI_RE       = /[\u0E00-\u0E7F]/;
+  const KANA_RE       = /[\u3040-\u30FF]/;
+  const HANGUL_RE     = /[\u1100-\u11FF\u3130-\u318F\uAC00-\uD7AF]/;
+  const HAN_RE        = /[\u3400-\u4DBF\u4E00-\u9FFF]/;
+
+  // Font keys a text needs, in fallback order; Han goes to the Japanese,
+  // Korean or Chinese font depending on the recipe's language
+  function fontsFor(text, language) {
+    text = String(text || "");
+    const keys = ["base"];
+    if (ARABIC_RE.test(text))     keys.push("arabic");
+    if (DEVANAGARI_RE.test(text)) keys.push("devanagari");
+    if (THAI_RE.test(text))       keys.push("thai");
+    if (KANA_RE.test(text) || HAN_RE.test(text) || HANGUL_RE.test(text)) {
+      if (language === "Japanese" || (!language && KANA_RE.test(text))) keys.push("japanese");
+      else if (language === "Korean" || (!language && HANGUL_RE.test(text))) keys.push("korean");
+      else keys.push("chinese");
+      if (HANGUL_RE.test(text) && !keys.includes("korean")) keys.push("korean");
+    }
+    return keys;
+  }
+
+  // ── TrueType ──────────────────────────────────────────────────────────────
+  function tagAt(data, o) {
+    return String.fromCharCode(data[o], data[o + 1], data[o + 2], data[o + 3]);
+  }
+
+  function parseFont(bytes) {
+    // A plain Uint8Array even for a Node Buffer, whose slice() would not copy
+    const data = ArrayBuffer.isView(bytes) ? new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.byteLength) : new Uint8Array(bytes);
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    if (data.length < 12) throw new Error("Not a TrueType font.");
+    const version = tagAt(data, 0);
+    if (version === "wOFF" || version === "wOF2") throw new Error("WOFF fonts are not supported; use a .ttf file.");
+    if (version === "OTTO") throw new Error("CFF-based OpenType fonts are not supported; use a .ttf file.");
+    if (view.getUint32(0) !== 0x00010000 && version !== "true") throw new Error("Not a TrueType font.");
+
+    const tables = {};
+    for (let i = 0, n = view.getUint16(4); i < n; i++) {
+      const o = 12 + i * 16;
+      tables[tagAt(data, o)] = { offset: view.getUint32(o + 8), length: view.getUint32(o + 12) };
+    }
+    for (const t of ["head", "hhea", "maxp", "hmtx", "loca", "glyf"])
+      if (!tables[t]) throw new Error("Font has no " + t + " table.");
+
+    const head = tables.head.offset, hhea = tables.hhea.offset;
+    const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+    const numberOfHMetrics = view.getUint16(hhea + 34);
+    const longLoca = view.getInt16(head + 50) === 1;
+
+    const advances = new Uint16Array(numGlyphs);
+    for (let g = 0; g < numGlyphs; g++)
+      advances[g] = view.getUint16(tables.hmtx.offset + Math.min(g, numberOfHMetrics - 1) * 4);
+
+    const loca = new Uint32Array(numGlyphs + 1);
+    for (let g = 0; g <= numGlyphs; g++)
+      loca[g] = longLoca ? view.getUint32(tables.loca.offset + g * 4) : view.getUint16(tables.loca.offset + g * 2) * 2;
+
+    const os2 = tables["OS/2"] && tables["OS/2"].offset;
+    return {
+      data, view, tables, numGlyphs, numberOfHMetrics, advances, loca,
+      unitsPerEm: view.getUint16(head + 18),
+      bbox:       [view.getInt16(head + 36), view.getInt16(head + 38), view.getInt16(head + 40), view.getInt16(head + 42)],
+      ascent:     view.getInt16(hhea + 4),
+      descent:    view.getInt16(hhea + 6),
+      capHeight:  os2 && view.getUint16(os2) >= 2 ? view.getInt16(os2 + 88) : view.getInt16(hhea + 4),
+      name:       postScriptName(data, view, tables.name) || "Font",
+      cmap:       tables.cmap ? parseCmap(view, tables.cmap.offset) : new Map(),
+      gsub:       tables.GSUB ? parseGsub(data, view, tables.GSUB.offset) : null,
+    };
+  }
+
+  // Unicode code point → glyph id, from the best Unicode subtable
+  function parseCmap(view, base) {
+    const subtables = [];
+    for (let i = 0, n = view.getUint16(base + 2); i < n; i++) {
+      const o = base + 4 + i * 8;
+      const platform = view.getUint16(o), encoding = view.getUint16(o + 2), at = base + view.getUint32(o + 4);
+      const format = view.getUint16(at);
+      if ((platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) && (format === 4 || format === 12))
+        subtables.push({ format, at });
+    }
+    const best = subtables.find(s => s.format === 12) || subtables[0];
+    const map = new Map();
+    if (!best) return map;
+    const at = best.at;
+    if (best.format === 12) {
+      for (let i = 0, n = view.getUint32(at + 12); i < n; i++) {
+        const o = at + 16 + i * 12;
+        const start = view.getUint32(o), end = view.getUint32(o + 4), gid = view.getUint32(o + 8);
+        for (let c = start; c <= end; c++) map.set(c, gid + c - start);
+      }
+      return map;
+    }
+    const segs = view.getUint16(at + 6) / 2;
+    const ends = at + 14, starts = ends + segs * 2 + 2, deltas = starts + segs * 2, ranges = deltas + segs * 2;
+    for (let i = 0; i < segs; i++) {
+      const start = view.getUint16(starts + i * 2), end = view.getUint16(ends + i * 2);
+      const delta = view.getInt16(deltas + i * 2), rangeOffset = view.getUint16(ranges + i * 2);
+      for (let c = start; c <= end && c !== 0xFFFF; c++) {
+        let gid;
+        if (!rangeOffset) gid = (c + delta) & 0xFFFF;
+        else {
+          gid = view.getUint16(ranges + i * 2 + rangeOffset + (c - start) * 2);
+          if (gid) gid = (gid + delta) & 0xFFFF;
+        }
+        if (gid) map.set(c, gid);
+      }
+    }
+    return map;
+  }
+
+  function postScriptName(data, view, table) {
+    if (!table) return "";
+    const base = table.offset, strings = base + view.getUint16(base + 4);
+    for (let i = 0, n = view.getUint16(base + 2); i < n; i++) {
+      const o = base + 6 + i * 12;
+      if (view.getUint16(o + 6) !== 6) continue;
+      const platform = view.getUint16(o), len = view.getUint16(o + 8), at = strings + view.getUint16(o + 10);
+      let s = "";
+      if (platform === 3 || platform === 0) for (let j = 0; j < len; j += 2) s += String.fromCharCode(view.getUint16(at + j));
+      else for (let j = 0; j < len; j++) s += String.fromCharCode(data[at + j]);
+      return s.replace(/[^\x21-\x7E]|[[\](){}<>/%#]/g, "");
+    }
+    return "";
+  }
+
+  function glyphAdvance(font, gid) {
+    return font.advances[gid] || 0;
+  }
+
+  // Glyph ids a composite glyph is built from
+  function glyphComponents(font, gid) {
+    const { view, loca, tables } = font;
+    const start = tables.glyf.offset + loca[gid];
+    if (loca[gid + 1] <= loca[gid] || view.getInt16(start) >= 0) return [];
+    const out = [];
+    let o = start + 10, flags;
+    do {
+      flags = view.getUint16(o);
+      out.push(view.getUint16(o + 2));
+      o += 4 + (flags & 0x0001 ? 4 : 2);
+      if (flags & 0x0008) o += 2;
+      else if (flags & 0x0040) o += 4;
+      else if (flags & 0x0080) o += 8;
+    } while (flags & 0x0020);
+    return out;
+  }
+
+  // ── Subsetting ────────────────────────────────────────────────────────────
+  // A font with only the given glyphs' outlines (plus .notdef and the parts
+  // of composite glyphs). Glyph ids do not change, so text already laid out
+  // with the full font stays valid; the tail past the highest id is cut.
+  function subsetFont(font, gids) {
+    const keep = new Set([0]);
+    const todo = [...gids].filter(g => g < font.numGlyphs);
+    while (todo.length) {
+      const g = todo.pop();
+      if (keep.has(g)) continue;
+      keep.add(g);
+      todo.push(...glyphComponents(font, g));
+    }
+    const numGlyphs = Math.max(...keep) + 1;
+    const { data, view, tables, loca } = font;
+
+    const glyphs = [];
+    const newLoca = new Uint8Array((numGlyphs + 1) * 4), locaView = new DataView(newLoca.buffer);
+    let size = 0;
+    for (let g = 0; g < numGlyphs; g++) {
+      locaView.setUint32(g * 4, size);
+      if (!keep.has(g) || loca[g + 1] <= loca[g]) continue;
+      const bytes = data.subarray(tables.glyf.offset + loca[g], tables.glyf.offset + loca[g + 1]);
+      glyphs.push(bytes);
+      size += bytes.length;
+      if (size % 4) { glyphs.push(new Uint8Array(4 - size % 4)); size += 4 - size % 4; }
+    }
+    locaView.setUint32(numGlyphs * 4, size);
+
+    const hmtx = new Uint8Array(numGlyphs * 4), hmtxView = new DataView(hmtx.buffer);
+    const hm = tables.hmtx.offset, n = font.numberOfHMetrics;
+    for (let g = 0; g < numGlyphs; g++) {
+      hmtxView.setUint16(g * 4, glyphAdvance(font, g));
+      hmtxView.setInt16(g * 4 + 2, g < n ? view.getInt16(hm + g * 4 + 2) : view.getInt16(hm + n * 4 + (g - n) * 2));
+    }
+
+    const copy = tag => data.slice(tables[tag].offset, tables[tag].offset + tables[tag].length);
+    const head = copy("head"), hhea = copy("hhea"), maxp = copy("maxp");
+    new DataView(head.buffer).setUint32(8, 0);   // checkSumAdjustment, set below
+    new DataView(head.buffer).setInt16(50, 1);   // long loca
+    new DataView(hhea.buffer).setUint16(34, numGlyphs);
+    new DataView(maxp.buffer).setUint16(4, numGlyphs);
+
+    const out = { head, hhea, maxp, hmtx, loca: newLoca, glyf: concat(glyphs) };
+    for (const tag of ["cvt ", "fpgm", "prep"]) if (tables[tag]) out[tag] = copy(tag);
+    const file = sfnt(out);
+    new DataView(file.buffer).setUint32(headOffset(file) + 8, (0xB1B0AFBA - checksum(file)) >>> 0);
+    return file;
+  }
+
+  function checksum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 4)
+      sum = (sum + ((bytes[i] << 24) | ((bytes[i + 1] || 0) << 16) | ((bytes[i + 2] || 0) << 8) | (bytes[i + 3] || 0))) >>> 0;
+    return sum;
+  }
+
+  function headOffset(file) {
+    const view = new DataView(file.buffer);
+    for (let i = 0, n = view.getUint16(4); i < n; i++)
+      if (tagAt(file, 12 + i * 16) === "head") return view.getUint32(12 + i * 16 + 8);
+    return 0;
+  }
+
+  // Tables → an sfnt file with the directory, checksums and 4-byte padding
+  function sfnt(tables) {
+    const tags = Object.keys(tables).sort();
+    const entrySelector = Math.floor(Math.log2(tags.length)), searchRange = 2 ** entrySelector * 16;
+    let offset = 12 + tags.length * 16;
+    const dir = new Uint8Array(offset), view = new DataView(dir.buffer);
+    view.setUint32(0, 0x00010000);
+    view.setUint16(4, tags.length);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, tags.length * 16 - searchRange);
+    const parts = [dir];
+    tags.forEach((tag, i) => {
+      const t = tables[tag], o = 12 + i * 16;
+      for (let j = 0; j < 4; j++) dir[o + j] = tag.charCodeAt(j);
+      view.setUint32(o + 4, checksum(t));
+      view.setUint32(o + 8, offset);
+      view.setUint32(o + 12, t.length);
+      const padded = (t.length + 3) & ~3;
+      parts.push(t, new Uint8Array(padded - t.length));
+      offset += padded;
+    });
+    return concat(parts);
+  }
+
+  function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) { out.set(p, o); o += p.length; }
+    return out;
+  }
+
+  // ── GSUB ──────────────────────────────────────────────────────────────────
+  // Scripts, features and lookups; only single (1) and ligature (4)
+  // substitutions are applied, also when wrapped in an extension (7)
+  function parseGsub(data, view, base) {
+    const scriptList = base + view.getUint16(base + 4);
+    const featureList = base + view.getUint16(base + 6);
+    const lookupList = base + view.getUint16(base + 8);
+
+    const scripts = {};
+    for (let i = 0, n = view.getUint16(scriptList); i < n; i++) {
+      const o = scriptList + 2 + i * 6;
+      const script = scriptList + view.getUint16(o + 4);
+      let langSys = view.getUint16(script);
+      if (!langSys && view.getUint16(script + 2)) langSys = view.getUint16(script + 8); // first language
+      if (!langSys) continue;
+      const ls = script + langSys, features = [];
+      for (let j = 0, m = view.getUint16(ls + 4); j < m; j++) features.push(view.getUint16(ls + 6 + j * 2));
+      scripts[tagAt(data, o)] = features;
+    }
+
+    const features = [];
+    for (let i = 0, n = view.getUint16(featureList); i < n; i++) {
+      const o = featureList + 2 + i * 6, f = featureList + view.getUint16(o + 4), lookups = [];
+      for (let j = 0, m = view.getUint16(f + 2); j < m; j++) lookups.push(view.getUint16(f + 4 + j * 2));
+      features.push({ tag: tagAt(data, o), lookups });
+    }
+
+    const lookups = [];
+    for (let i = 0, n = view.getUint16(lookupList); i < n; i++) {
+      const l = lookupList + view.getUint16(lookupList + 2 + i * 2);
+      let type = view.getUint16(l);
+      const subtables = [];
+      for (let j = 0, m = view.getUint16(l + 4); j < m; j++) {
+        let st = l + view.getUint16(l + 6 + j * 2);
+        if (type === 7) {
+          subtables.push({ type: view.getUint16(st + 2), at: st + view.getUint32(st + 4) });
+          continue;
+        }
+        subtables.push({ type, at: st });
+      }
+      lookups.push(subtables);
+    }
+    return { view, scripts, features, lookups };
+  }
+
+  function coverageIndex(view, at, gid) {
+    if (view.getUint16(at) === 1) {
+      let lo = 0, hi = view.getUint16(at + 2) - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1, g = view.getUint16(at + 4 + mid * 2);
+        if (g === gid) return mid;
+        if (g < gid) lo = mid + 1; else hi = mid - 1;
+      }
+      return -1;
+    }
+    for (let i = 0, n = view.getUint16(at + 2); i < n; i++) {
+      const o = at + 4 + i * 6;
+      if (gid >= view.getUint16(o) && gid <= view.getUint16(o + 2)) return view.getUint16(o + 4) + gid - view.getUint16(o);
+    }
+    return -1;
+  }
+
+  // Lookup indices of a feature for the first of the scripts the font has
+  function featureLookups(gsub, scriptTags, tag) {
+    const script = scriptTags.map(s => gsub.scripts[s]).find(Boolean) || gsub.scripts.DFLT || [];
+    const out = [];
+    for (const fi of script) {
+      const f = gsub.features[fi];
+      if (f && f.tag === tag) out.push(...f.lookups);
+    }
+    return out.sort((a, b) => a - b);
+  }
+
+  function singleSub(view, st, gid) {
+    const idx = coverageIndex(view, st + view.getUint16(st + 2), gid);
+    if (idx < 0) return gid;
+    return view.getUint16(st) === 1 ? (gid + view.getInt16(st + 4)) & 0xFFFF : view.getUint16(st + 6 + idx * 2);
+  }
+
+  // Ligature starting at glyphs[i] as { gid, count }, or null
+  function ligatureSub(view, st, glyphs, i) {
+    const idx = coverageIndex(view, st + view.getUint16(st + 2), glyphs[i].gid);
+    if (idx < 0 || idx >= view.getUint16(st + 4)) return null;
+    const set = st + view.getUint16(st + 6 + idx * 2);
+    for (let j = 0, n = view.getUint16(set); j < n; j++) {
+      const lig = set + view.getUint16(set + 2 + j * 2), count = view.getUint16(lig + 2);
+      if (i + count > glyphs.length) continue;
+      let ok = true;
+      for (let k = 1; k < count && ok; k++) ok = glyphs[i + k].gid === view.getUint16(lig + 4 + (k - 1) * 2);
+      if (ok) return { gid: view.getUint16(lig), count };
+    }
+    return null;
+  }
+
+  // Applies a feature's lookups; `only` limits single substitutions to the
+  // glyphs it accepts (used for the Arabic positional forms)
+  function applyFeature(font, glyphs, scriptTags, tag, only) {
+    const gsub = font.gsub;
+    if (!gsub) return;
+    const view = gsub.view;
+    for (const li of featureLookups(gsub, scriptTags, tag)) {
+      for (const st of gsub.lookups[li] || []) {
+        if (st.type === 1) {
+          for (const g of glyphs) if (!only || only(g)) g.gid = singleSub(view, st.at, g.gid);
+        } else if (st.type === 4) {
+          for (let i = 0; i < glyphs.length; i++) {
+            const lig = ligatureSub(view, st.at, glyphs, i);
+            if (!lig) continue;
+            const parts = glyphs.slice(i, i + lig.count);
+            glyphs.splice(i, lig.count, { gid: lig.gid, text: parts.map(p => p.text).join(""), form: parts[0].form });
+          }
+        }
+      }
+    }
+  }
+
+  // ── Shaping ───────────────────────────────────────────────────────────────
+  // Arabic joining: letters joining only to the previous letter, letters
+  // joining both ways and the marks joining looks through
+  const RIGHT_JOINING = /[\u0622-\u0625\u0627\u0629\u062F-\u0632\u0648\u0671-\u0673\u0675-\u0677\u0688-\u0699\u06C0\u06C3-\u06CB\u06CD\u06CF\u06D2\u06D3\u06D5\u06EE\u06EF\u0759-\u075B\u076B\u076C\u0771\u0773\u0774\u0778\u0779]/;
+  const DUAL_JOINING  = /[\u0626\u0628\u062A-\u062E\u0633-\u063F\u0640-\u0647\u0649\u064A\u066E\u066F\u0678-\u0687\u069A-\u06BF\u06C1\u06C2\u06CC\u06CE\u06D0\u06D1\u06FA-\u06FC\u06FF\u0750-\u0758\u075C-\u076A\u076D-\u0770\u0772\u0775-\u0777\u077A-\u077F]/;
+  const TRANSPARENT   = /\p{Mn}/u;
+
+  function arabicForms(glyphs) {
+    const joinType = g => DUAL_JOINING.test(g.text) ? "D" : RIGHT_JOINING.test(g.text) ? "R" : TRANSPARENT.test(g.text) ? "T" : "U";
+    const types = glyphs.map(joinType);
+    const neighbour = (i, step) => {
+      for (let j = i + step; j >= 0 && j < glyphs.length; j += step) if (types[j] !== "T") return types[j];
+      return "U";
+    };
+    glyphs.forEach((g, i) => {
+      const t = types[i];
+      if (t === "T" || t === "U") return;
+      const joinsPrev = neighbour(i, -1) === "D";
+      const joinsNext = t === "D" && (neighbour(i, 1) === "D" || neighbour(i, 1) === "R");
+      g.form = joinsPrev && joinsNext ? "medi" : joinsPrev ? "fina" : joinsNext ? "init" : "isol";
+    });
+  }
+
+  const DEVA_CONSONANT = /[\u0915-\u0939\u0958-\u095F\u0978-\u097F]/;
+
+  // Vowel sign i (U+093F) is written after its consonant cluster but drawn before it
+  function reorderDevanagari(glyphs) {
+    for (let i = 1; i < glyphs.length; i++) {
+      if (glyphs[i].text !== "\u093F") continue;
+      let j = i - 1;
+      if (glyphs[j].text === "\u093C") j--;
+      if (j < 0 || !DEVA_CONSONANT.test(glyphs[j].text)) continue;
+      while (j >= 2 && glyphs[j - 1].text === "\u094D" && DEVA_CONSONANT.test(glyphs[j - 2].text)) j -= 2;
+      glyphs.splice(j, 0, glyphs.splice(i, 1)[0]);
+    }
+  }
+
+  const MIRRORED = { "(": ")", ")": "(", "[": "]", "]": "[", "{": "}", "}": "{", "<": ">", ">": "<", "«": "»", "»": "«" };
+
+  // One run of text in one font → glyphs in visual order with their advances
+  function shapeRun(font, text, rtl) {
+    const glyphs = Array.from(text, ch => {
+      const c = rtl && MIRRORED[ch] ? MIRRORED[ch] : ch;
+      return { gid: font.cmap.get(c.codePointAt(0)) || 0, text: ch };
+    });
+    if (ARABIC_RE.test(text)) {
+      arabicForms(glyphs);
+      for (const form of ["isol", "fina", "medi", "init"])
+        applyFeature(font, glyphs, ["arab"], form, g => g.form === form);
+      applyFeature(font, glyphs, ["arab"], "rlig");
+    }
+    if (DEVANAGARI_RE.test(text)) {
+      reorderDevanagari(glyphs);
+      for (const tag of ["nukt", "akhn", "blwf", "half", "pstf", "vatu", "cjct", "pres", "abvs", "blws", "psts", "haln"])
+        applyFeature(font, glyphs, ["dev2", "deva"], tag);
+    }
+    for (const g of glyphs) g.advance = glyphAdvance(font, g.gid);
+    if (rtl) glyphs.reverse();
+    return glyphs;
+  }
+
+  // ── Line layout ───────────────────────────────────────────────────────────
+  const ZERO_WIDTH = /[\p{M}\u200B-\u200F]/u;
+
+  // Splits text into runs that one font can draw, trying fonts in order;
+  // spaces and combining marks stay with the run they are in
+  function fontRuns(text, fonts) {
+    const runs = [];
+    for (const ch of text) {
+      const cp = ch.codePointAt(0);
+      const last = runs[runs.length - 1];
+      if (last && (/\s/.test(ch) || ZERO_WIDTH.test(ch))) { last.text += ch; continue; }
+      const fi = Math.max(0, fonts.findIndex(f => f.cmap.has(cp)));
+      if (last && last.font === fi) last.text += ch;
+      else runs.push({ font: fi, text: ch });
+    }
+    return runs;
+  }
+
+  function direction(text) {
+    if (RTL_RE.test(text)) return "R";
+    return /[\p{L}\p{N}]/u.test(text) ? "L" : "N";
+  }
+
+  // Paragraph direction from the first letter, as the Unicode bidi rules do
+  function isRtl(text) {
+    const first = String(text || "").match(/\p{L}/u);
+    return !!first && RTL_RE.test(first[0]);
+  }
+
+  function wordSegments(text, locale) {
+    if (typeof Intl !== "undefined" && Intl.Segmenter) {
+      try {
+        return Array.from(new Intl.Segmenter(locale || undefined, { granularity: "word" }).segment(text), s => s.segment);
+      } catch {}
+    }
+    return text.split(/(\s+|[\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF])/).filter(Boolean);
+  }
+
+  // Segments of a paragraph, each with its own direction. Lines break at
+  // spaces, and between two words where the script writes none (Thai,
+  // Chinese, Japanese); punctuation stays glued to its word, so "salt,"
+  // never breaks before the comma
+  function segments(text, locale) {
+    const wordLike = t => /[\p{L}\p{N}]/u.test(t), space = t => /^\s+$/.test(t);
+    return wordSegments(text, locale).map((seg, i, all) => ({
+      text: seg,
+      glue: i > 0 && !space(seg) && !space(all[i - 1]) && !(wordLike(seg) && wordLike(all[i - 1])),
+    }));
+  }
+
+  // Paragraph → lines of tokens { dir, runs: [{ font, glyphs, width }], width },
+  // each line in visual order and no wider than `width` points
+  function layoutParagraph(text, { fonts, size, width, rtl = false, locale }) {
+    const segs = segments(String(text || "").replace(/[\u0000-\u001F]+/g, " "), locale);
+    const dirs = segs.map(s => direction(s.text));
+    // Neutral segments between two of the same direction take that direction
+    const resolved = dirs.map((d, i) => {
+      if (d !== "N") return d;
+      let before = null, after = null;
+      for (let j = i - 1; j >= 0 && !before; j--) if (dirs[j] !== "N") before = dirs[j];
+      for (let j = i + 1; j < dirs.length && !after; j++) if (dirs[j] !== "N") after = dirs[j];
+      return before && before === after ? before : rtl ? "R" : "L";
+    });
+
+    const scale = f => size / fonts[f].unitsPerEm;
+    const measure = (text, dir) => {
+      const runs = fontRuns(text, fonts).map(r => {
+        const glyphs = shapeRun(fonts[r.font], r.text, dir === "R");
+        return { font: r.font, glyphs, width: glyphs.reduce((w, g) => w + g.advance, 0) * scale(r.font) };
+      });
+      if (dir === "R") runs.reverse();
+      return { text, dir, space: /^\s+$/.test(text), runs, width: runs.reduce((w, r) => w + r.width, 0) };
+    };
+
+    // Glued segments form one word for line breaking
+    const words = [];
+    segs.forEach((seg, i) => {
+      const token = measure(seg.text, resolved[i]);
+      const last = words[words.length - 1];
+      if (seg.glue && last) { last.tokens.push(token); last.width += token.width; }
+      else words.push({ tokens: [token], width: token.width, space: token.space });
+    });
+
+    const lines = [];
+    let line = [], used = 0;
+    const flush = () => {
+      while (line.length && line[line.length - 1].space) used -= line.pop().width;
+      if (line.length) lines.push({ tokens: visualOrder(line, rtl), width: used });
+      line = []; used = 0;
+    };
+    for (const word of words) {
+      if (word.space && !line.length) continue;
+      if (!word.space && used + word.width > width && line.length) flush();
+      if (!word.space && word.width > width) {
+        // Longer than a whole line (a URL, say): break it between characters
+        for (const t of word.tokens) for (const ch of Array.from(t.text)) {
+          const part = measure(ch, t.dir);
+          if (used + part.width > width && line.length) flush();
+          line.push(part); used += part.width;
+        }
+        continue;
+      }
+      line.push(...word.tokens); used += word.width;
+    }
+    flush();
+    return lines;
+  }
+
+  // Reverses runs of right-to-left tokens (and, in a right-to-left
+  // paragraph, the whole line, with left-to-right tokens reversed back)
+  function visualOrder(tokens, rtl) {
+    let items = tokens.map(t => ({ t, level: rtl ? (t.dir === "L" ? 2 : 1) : (t.dir === "R" ? 1 : 0) }));
+    for (let level = Math.max(0, ...items.map(i => i.level)); level >= 1; level--) {
+      for (let i = 0; i < items.length;) {
+        if (items[i].level < level) { i++; continue; }
+        let j = i;
+        while (j < items.length && items[j].level >= level) j++;
+        items = items.slice(0, i).concat(items.slice(i, j).reverse(), items.slice(j));
+        i = j;
+      }
+    }
+    return items.map(i => i.t);
+  }
+
+
+  // ── PDF ───────────────────────────────────────────────────────────────────
+  const PAGE = { width: 595, height: 842, margin: 55 }; // A4 in points
+  const COLUMN_GAP = 22;
+  const GREEN = [45, 74, 62], ORANGE = [184, 92, 56], GREY = [107, 98, 88], LIGHT = [130, 120, 110], INK = [30, 30, 30];
+
+  const enc = s => new TextEncoder().encode(s);
+  const num = n => String(Math.round(n * 100) / 100);
+  const hex4 = n => n.toString(16).toUpperCase().padStart(4, "0");
+  const rgb = c => c.map(v => num(v / 255)).join(" ");
+
+  async function deflate(bytes) {
+    if (typeof CompressionStream === "undefined") return null;
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // UTF-16BE hex for ToUnicode
+  function utf16Hex(text) {
+    let out = "";
+    for (let i = 0; i < text.length; i++) out += hex4(text.charCodeAt(i));
+    return out;
+  }
+
+  function toUnicodeCMap(map) {
+    const entries = [...map].sort((a, b) => a[0] - b[0]);
+    let body = "";
+    for (let i = 0; i < entries.length; i += 100) {
+      const chunk = entries.slice(i, i + 100);
+      body += chunk.length + " beginbfchar\n" + chunk.map(([g, t]) => "<" + hex4(g) + "> <" + utf16Hex(t) + ">").join("\n") + "\nendbfchar\n";
+    }
+    return "/CIDInit /ProcSet findresource begin\n12 dict begin\nbegincmap\n" +
+      "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def\n" +
+      "/CMapName /Adobe-Identity-UCS def\n/CMapType 2 def\n" +
+      "1 begincodespacerange\n<0000> <FFFF>\nendcodespacerange\n" + body +
+      "endcmap\nCMapName currentdict /CMapResource defineresource pop\nend\nend";
+  }
+
+  // Widths array for the glyphs used, in 1/1000 em
+  function widthsArray(font, gids) {
+    const sorted = [...gids].sort((a, b) => a - b);
+    const parts = [];
+    for (let i = 0; i < sorted.length;) {
+      let j = i;
+      while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+      const ws = sorted.slice(i, j + 1).map(g => Math.round(glyphAdvance(font, g) * 1000 / font.unitsPerEm));
+      parts.push(sorted[i] + " [" + ws.join(" ") + "]");
+      i = j + 1;
+    }
+    return "[" + parts.join(" ") + "]";
+  }
+
+  // Six capital letters naming the subset, as the PDF spec asks
+  function subsetTag(gids) {
+    let h = 2166136261;
+    for (const g of [...gids].sort((a, b) => a - b)) h = Math.imul(h ^ g, 16777619) >>> 0;
+    let tag = "";
+    for (let i = 0; i < 6; i++) { tag += String.fromCharCode(65 + h % 26); h = Math.floor(h / 26); }
+    return tag;
+  }
+
+  // Objects numbered as they are added; Catalog and Pages are 1 and 2
+  function pdfDocument() {
+    const objects = [null, null, null];
+    return {
+      add(body, stream) { objects.push({ body, stream }); return objects.length - 1; },
+      set(n, body) { objects[n] = { body }; },
+      bytes(info) {
+        const parts = [enc("%PDF-1.7\n%âãÏÓ\n")];
+        let length = parts[0].length;
+        const offsets = [];
+        for (let n = 1; n < objects.length; n++) {
+          offsets[n] = length;
+          const { body, stream } = objects[n];
+          const chunk = stream
+            ? [enc(n + " 0 obj\n" + body + "\nstream\n"), stream, enc("\nendstream\nendobj\n")]
+            : [enc(n + " 0 obj\n" + body + "\nendobj\n")];
+          for (const c of chunk) { parts.push(c); length += c.length; }
+        }
+        let xref = "xref\n0 " + objects.length + "\n0000000000 65535 f \n";
+        for (let n = 1; n < objects.length; n++) xref += String(offsets[n]).padStart(10, "0") + " 00000 n \n";
+        xref += "trailer\n<< /Size " + objects.length + " /Root 1 0 R" + (info ? " /Info " + info + " 0 R" : "") + " >>\nstartxref\n" + length + "\n%%EOF";
+        parts.push(enc(xref));
+        return concat(parts);
+      },
+    };
+  }
+
+  async function streamObject(doc, dict, bytes) {
+    const packed = await deflate(bytes);
+    if (packed) return doc.add("<< " + dict + " /Length " + packed.length + " /Filter /FlateDecode >>", packed);
+    return doc.add("<< " + dict + " /Length " + bytes.length + " >>", bytes);
+  }
+
+  async function embedFont(doc, font, used) {
+    const gids = [...used.keys()];
+    const name = subsetTag(gids) + "+" + font.name;
+    const file = subsetFont(font, gids);
+    const k = 1000 / font.unitsPerEm;
+    const fontFile = await streamObject(doc, "/Length1 " + file.length, file);
+    const toUnicode = await streamObject(doc, "", enc(toUnicodeCMap(used)));
+    const descriptor = doc.add("<< /Type /FontDescriptor /FontName /" + name + " /Flags 4" +
+      " /FontBBox [" + font.bbox.map(v => Math.round(v * k)).join(" ") + "] /ItalicAngle 0" +
+      " /Ascent " + Math.round(font.ascent * k) + " /Descent " + Math.round(font.descent * k) +
+      " /CapHeight " + Math.round(font.capHeight * k) + " /StemV 80 /FontFile2 " + fontFile + " 0 R >>");
+    const cidFont = doc.add("<< /Type /Font /Subtype /CIDFontType2 /BaseFont /" + name +
+      " /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>" +
+      " /FontDescriptor " + descriptor + " 0 R /CIDToGIDMap /Identity /W " + widthsArray(font, gids) + " >>");
+    return doc.add("<< /Type /Font /Subtype /Type0 /BaseFont /" + name + " /Encoding /Identity-H" +
+      " /DescendantFonts [" + cidFont + " 0 R] /ToUnicode " + toUnicode + " 0 R >>");
+  }
+
+  // ── Recipe ────────────────────────────────────────────────────────────────
+  // Blocks of the recipe: the header spans the page, ingredients and steps
+  // go to columns "a" and "b" (one after the other in single-column mode).
+  // nutrition { title, lines } follows the ingredients.
+  function recipeBlocks(recipe, labels, nutrition) {
+    const blocks = [];
+    const add = (area, text, size, bold, color, indent, spaceBefore) =>
+      blocks.push({ area, text: String(text || ""), size, bold, color, indent: indent || 0, spaceBefore: spaceBefore || 0 });
+    add("head", recipe.titel || "Recept", 20, true, GREEN, 0, 0);
+    if (recipe.beskrivning) add("head", recipe.beskrivning, 10, false, GREY, 0, 8);
+    const m = recipe.meta || {};
+    const metaLine = [m.portioner, m.totaltid && (labels.total ? labels.total + ": " : "") + m.totaltid, m.svarighetsgrad].filter(Boolean).join("   |   ");
+    if (metaLine) add("head", metaLine, 9, false, LIGHT, 0, 6);
+
+    add("a", labels.ingredients, 13, true, ORANGE, 0, 16);
+    let group = "";
+    for (const ing of recipe.ingredienser || []) {
+      if (ing.grupp && ing.grupp !== group) { add("a", ing.grupp.toUpperCase(), 8, true, GREY, 0, 8); group = ing.grupp; }
+      add("a", "– " + (ing.mangd ? ing.mangd + "   " : "") + (ing.ingrediens || ""), 10, false, INK, 8, 0);
+    }
+    if (nutrition && nutrition.lines && nutrition.lines.length) {
+      add("a", nutrition.title, 9, true, GREY, 0, 14);
+      for (const line of nutrition.lines) add("a", line, 9, false, GREY, 8, 2);
+    }
+    add("b", labels.steps, 13, true, ORANGE, 0, 16);
+    (recipe.steg || []).forEach((s, i) => add("b", (i + 1) + ".  " + s, 10, false, INK, 8, 4));
+    if (recipe.noteringar) {
+      add("b", labels.notes, 11, true, ORANGE, 0, 16);
+      for (const p of String(recipe.noteringar).split(/\n+/)) add("b", p, 10, false, GREY, 8, 4);
+    }
+    return blocks;
+  }
+
+  // The recipe as PDF bytes. `fonts` are parsed fonts in fallback order
+  // (see fontsFor); `columns` puts the ingredients beside the steps.
+  async function recipePdf(recipe, { fonts, labels = {}, columns = false, language, nutrition } = {}) {
+    if (!fonts || !fonts.length) throw new Error("No fonts to embed.");
+    recipe = recipe || {};
+    const rtl = isRtl(String(recipe.titel || "") + " " + (recipe.steg || []).join(" "));
+    const locale = language && LOCALES[language];
+    const { width: PW, height: PH, margin: M } = PAGE;
+    const full = PW - 2 * M;
+    const narrow = Math.round((full - COLUMN_GAP) * 0.38);
+    const area = {
+      head: { x: M, width: full },
+      a:    columns ? { x: rtl ? PW - M - narrow : M, width: narrow } : { x: M, width: full },
+      b:    columns ? { x: rtl ? M : M + narrow + COLUMN_GAP, width: full - narrow - COLUMN_GAP } : { x: M, width: full },
+    };
+
+    // Places lines page by page; returns where the area ended
+    const ops = [];
+    const place = (blocks, start) => {
+      let { page, y } = start;
+      for (const b of blocks) {
+        y -= b.spaceBefore;
+        if (!b.text) continue;
+        const { x, width } = area[b.area];
+        const lh = b.size * 1.5;
+        for (const line of layoutParagraph(b.text, { fonts, size: b.size, width: width - b.indent, rtl, locale })) {
+          if (y - lh < M) { page++; y = PH - M; }
+          const left = rtl ? x + width - b.indent - line.width : x + b.indent;
+          ops.push({ page, x: left, y: y - b.size, line, block: b });
+          y -= lh;
+        }
+      }
+      return { page, y };
+    };
+    const blocks = recipeBlocks(recipe, labels, nutrition);
+    const top = place(blocks.filter(b => b.area === "head"), { page: 0, y: PH - M });
+    let end;
+    if (columns) {
+      const a = place(blocks.filter(b => b.area === "a"), top);
+      const b = place(blocks.filter(b => b.area === "b"), top);
+      end = a.page > b.page ? a : b;
+    } else end = place(blocks.filter(b => b.area !== "head"), top);
+
+    // Content streams, noting which glyphs each font needs and their text
+    const used = fonts.map(() => new Map());
+    const pages = Array.from({ length: end.page + 1 }, () => []);
+    for (const op of ops) {
+      const { block } = op;
+      const out = pages[op.page];
+      out.push(rgb(block.color) + " rg " + rgb(block.color) + " RG");
+      out.push(block.bold ? "2 Tr " + num(block.size * 0.035) + " w" : "0 Tr");
+      let x = op.x;
+      for (const token of op.line.tokens) {
+        for (const run of token.runs) {
+          if (run.glyphs.length) {
+            for (const g of run.glyphs) if (!used[run.font].has(g.gid)) used[run.font].set(g.gid, g.text);
+            out.push("BT /F" + run.font + " " + num(block.size) + " Tf " + num(x) + " " + num(op.y) + " Td <" +
+              run.glyphs.map(g => hex4(g.gid)).join("") + "> Tj ET");
+          }
+          x += run.width;
+        }
+      }
+    }
+
+    const doc = pdfDocument();
+    const fontRefs = [];
+    for (let i = 0; i < fonts.length; i++) if (used[i].size) fontRefs.push("/F" + i + " " + (await embedFont(doc, fonts[i], used[i])) + " 0 R");
+    const resources = "<< /Font << " + fontRefs.join(" ") + " >> >>";
+    const kids = [];
+    for (const content of pages) {
+      const stream = await streamObject(doc, "", enc(content.join("\n")));
+      kids.push(doc.add("<< /Type /Page /Parent 2 0 R /MediaBox [0 0 " + PW + " " + PH + "] /Contents " + stream + " 0 R /Resources " + resources + " >>"));
+    }
+    const info = doc.add("<< /Title <FEFF" + utf16Hex(String(recipe.titel || "")) + "> >>");
+    doc.set(1, "<< /Type /Catalog /Pages 2 0 R" + (locale ? " /Lang (" + locale + ")" : "") + " >>");
+    doc.set(2, "<< /Type /Pages /Kids [" + kids.map(k => k + " 0 R").join(" ") + "] /Count " + kids.length + " >>");
+    return doc.bytes(info);
+  }
+
+  return {
+    FONT_FILES, fontsFor,
+    parseFont, subsetFont,
+    layoutParagraph, recipePdf,
+  };
+});
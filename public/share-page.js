@@ -0,0 +1,131 @@
+/**
+ * The scale control and reading aloud on a shared recipe's page (/r/<id>,
+ * rendered by netlify/lib/share.js).
+ *
+ * The page is complete without this file — it only adds buttons. The
+ * recipe comes as JSON in <script id="share-data">: { recipe, language,
+ * lang, labels }. Amounts are scaled with quantity.js as in the app, and
+ * read by the browser's own voice for lang (speechSynthesis); the app's
+ * server voices need a token the page does not have.
+ *
+ *   segments(recipe, labels, { scale, language }) → [{ text, target }]
+ *     target is the element to highlight: "i<n>" ingredient, "s<n>" step,
+ *     "notes", or null
+ *
+ * The page loads this file after quantity.js and starts it; the tests
+ * require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./quantity"));
+  else {
+    root.SharePage = factory(root.RecipeQuantity);
+    root.SharePage.start(root.document, root);
+  }
+})(typeof self !== "undefined" ? self : this, function (Q) {
+  "use strict";
+
+  const SCALES = [0.5, 1, 2, 3];
+
+  // ── Reading aloud ─────────────────────────────────────────────────────────
+  function segments(recipe, labels, { scale = 1, language } = {}) {
+    const out = [{ text: recipe.titel, target: null }];
+    out.push({ text: labels.ingredients, target: null });
+    recipe.ingredienser.forEach((ing, i) => {
+      const mangd = Q.scaledAmount(ing, scale, language);
+      out.push({ text: (mangd ? mangd + " " : "") + ing.ingrediens, target: "i" + i });
+    });
+    out.push({ text: labels.steps, target: null });
+    recipe.steg.forEach((s, i) => out.push({ text: labels.stepWord + " " + (i + 1) + ". " + s, target: "s" + i }));
+    if (recipe.noteringar) out.push({ text: labels.notes + ". " + recipe.noteringar, target: "notes" });
+    return out;
+  }
+
+  // ── Page ──────────────────────────────────────────────────────────────────
+  function start(doc, win) {
+    const dataEl = doc && doc.getElementById("share-data");
+    const bar = doc && doc.getElementById("controls");
+    if (!dataEl || !bar) return;
+    const { recipe, language, lang, labels } = JSON.parse(dataEl.textContent);
+    const speech = win.speechSynthesis;
+    let scale = 1, reading = false;
+
+    const el = target => target === "notes" ? doc.getElementById("notes")
+      : target ? doc.querySelector(target[0] === "i" ? `[data-i="${target.slice(1)}"]` : `[data-s="${target.slice(1)}"]`) : null;
+    const button = (text, onClick) => {
+      const b = doc.createElement("button");
+      b.type = "button"; b.textContent = text; b.onclick = onClick;
+      return b;
+    };
+    const span = (cls, text) => {
+      const s = doc.createElement("span");
+      s.className = cls; s.textContent = text || "";
+      return s;
+    };
+
+    // Scale: every amount and the portions, as the app shows them
+    const portions = doc.getElementById("portions");
+    const scaleButtons = [];
+    function setScale(f) {
+      scale = f;
+      recipe.ingredienser.forEach((ing, i) => {
+        const amount = el("i" + i) && el("i" + i).querySelector(".amount");
+        if (amount) amount.textContent = Q.scaledAmount(ing, f, language);
+      });
+      if (portions) portions.textContent = Q.scalePortions(recipe.meta.portioner, f);
+      scaleButtons.forEach(b => b.setAttribute("aria-pressed", String(+b.dataset.scale === f)));
+    }
+    if (Q.portionsOf(recipe.meta.portioner)) {
+      bar.appendChild(span("label", labels.scale));
+      for (const f of SCALES) {
+        const b = button(f === 0.5 ? "½×" : f + "×", () => setScale(f));
+        b.dataset.scale = String(f);
+        scaleButtons.push(b);
+        bar.appendChild(b);
+      }
+      setScale(1);
+    }
+    bar.appendChild(span("gap"));
+
+    // Read aloud: one utterance per line, the line being read highlighted
+    let current = null;
+    const mark = e => {
+      if (current) current.classList.remove("speaking");
+      current = e;
+      if (e) { e.classList.add("speaking"); e.scrollIntoView({ block: "center", behavior: "smooth" }); }
+    };
+    let readBtn = null;
+    function stop() {
+      reading = false;
+      speech.cancel();
+      mark(null);
+      readBtn.textContent = "🔊 " + labels.readAloud;
+    }
+    function read() {
+      if (reading) return stop();
+      speech.cancel();
+      reading = true;
+      readBtn.textContent = "■ " + labels.stop;
+      const segs = segments(recipe, labels, { scale, language });
+      const next = i => {
+        if (!reading) return;
+        if (i >= segs.length) return stop();
+        const u = new win.SpeechSynthesisUtterance(segs[i].text);
+        if (lang) u.lang = lang;
+        u.onend = () => next(i + 1);
+        u.onerror = () => stop();
+        mark(el(segs[i].target));
+        speech.speak(u);
+      };
+      next(0);
+    }
+    if (speech && win.SpeechSynthesisUtterance) {
+      readBtn = button("🔊 " + labels.readAloud, read);
+      bar.appendChild(readBtn);
+    }
+
+    bar.appendChild(button("🖨 " + labels.print, () => win.print()));
+    bar.hidden = false;
+  }
+
+  return { SCALES, segments, start };
+});
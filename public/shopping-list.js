@@ -0,0 +1,214 @@
+/**
+ * Shopping lists: the ingredients of one or more recipes merged into one
+ * list, grouped by the sections of a Swedish grocery store.
+ *
+ * A list is plain data, which the app keeps in localStorage so it can be
+ * ticked off in the shop without a connection:
+ *
+ *   { language, recipes: [titel…], checked: { key: true },
+ *     items: [{ key, name, section, basvara, parts: [{ enhet, min, max }],
+ *               recipes: [titel…] }] }
+ *
+ * parts are the amounts of an item summed per unit. Metric volumes and
+ * weights are summed in ml and g (RecipeQuantity.baseAmount), so 2 msk from
+ * one recipe and 1 dl from another make one amount; an item without parts
+ * has no amount ("salt"). basvara marks pantry staples the list can hide.
+ *
+ * index.html loads this file after quantity.js as window.ShoppingList; the
+ * tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./quantity"));
+  else root.ShoppingList = factory(root.RecipeQuantity);
+})(typeof self !== "undefined" ? self : this, function (Q) {
+  "use strict";
+
+  // ── Sections ──────────────────────────────────────────────────────────────
+  // In the order of a walk through the store
+  const SECTIONS = ["frukt", "brod", "mejeri", "kott", "frys", "skafferi", "kryddor", "ovrigt"];
+  const SECTION_NAMES = {
+    frukt: "Frukt & grönt", brod: "Bröd", mejeri: "Mejeri", kott: "Kött & fisk",
+    frys: "Frys", skafferi: "Skafferi", kryddor: "Kryddor", ovrigt: "Övrigt",
+  };
+
+  // First match wins, so the narrow rules ("krossade tomater", "kokosmjölk",
+  // "paprikapulver") come before the broad ones. Names are lower case.
+  const SECTION_RULES = [
+    ["frys",     /fryst|frozen|\bglass\b|ice cream/],
+    ["kryddor",  /pulver|malen|mald|kanel|kardemumma|muskot|spiskummin|oregano|curry|chiliflakes|vanilj|kryddpeppar|nejlika|lagerblad|saffran|salt\b|peppar\b|pepparkorn|cinnamon|cumin|nutmeg|paprika powder|\bspices?\b|^pepper$|(?:black|white|ground|cayenne) pepper|pepper flakes|peppercorn|bay lea/],
+    ["skafferi", /krossade|passerade|puré|konserv|kokos|coconut|buljong|\bfond\b|stock\b|broth|jordnötssmör|peanut butter|sylt|\bjam\b|canned|tinned/],
+    ["mejeri",   /mjölk|grädde|smör|ost\b|yoghurt|crème fraîche|creme fraiche|gräddfil|kvarg|keso|ägg|milk|cream|butter|cheese|yogh?urt|\beggs?\b/],
+    ["kott",     /kött|färs|kyckling|fläsk|bacon|skinka|korv|biff|lamm|kalv|fisk|lax|torsk|räk|tonfisk|meat|chicken|beef|pork|fish|salmon|shrimp|prawn|\bham\b|sausage|mince/],
+    ["brod",     /bröd|tortilla|bulle|baguette|knäcke|bread|\bbuns?\b|\bpita/],
+    ["frukt",    /lök|tomat|potatis|morot|morötter|paprika|gurka|sallad|spenat|kål|broccoli|squash|zucchini|aubergine|svamp|champinjon|selleri|purjo|ingefära|chili|citron|lime|apelsin|äpple|päron|banan|bär\b|jordgubb|hallon|avokado|persilja|dill|basilika|koriander|mynta|färsk|onion|garlic|tomato|potato|carrot|(?:bell|red|green|yellow|sweet) peppers?|cucumber|lettuce|spinach|cabbage|mushroom|celery|leek|ginger|lemon|orange|apple|pear|banana|berr|avocado|parsley|basil|cilantro|coriander|mint|fresh/],
+    ["skafferi", /mjöl|socker|sirap|honung|pasta|spaghetti|nudlar|\bris\b|gryn|havre|olja|vinäger|soja|senap|ketchup|bönor|linser|kikärt|nötter|mandel|russin|bakpulver|bikarbonat|jäst|kakao|choklad|flour|sugar|syrup|honey|noodle|\brice\b|oats|\boil\b|vinegar|soy|mustard|beans|lentil|chickpea|\bnuts?\b|almond|raisin|baking|yeast|cocoa|chocolate/],
+  ];
+
+  // What most kitchens already have
+  const STAPLES = /^(?:salt|flingsalt|havssalt|(?:nymald |svart|vit)?peppar|salt och peppar|vatten|(?:oliv|raps|mat|neutral )?olja|(?:strö)?socker|vetemjöl|water|(?:black )?pepper|salt and pepper|(?:olive |vegetable )?oil|sugar|(?:all-purpose )?flour)$/;
+
+  function sectionOf(name) {
+    const n = String(name || "").toLowerCase();
+    const rule = SECTION_RULES.find(([, re]) => re.test(n));
+    return rule ? rule[0] : "ovrigt";
+  }
+
+  // "2 st" and a bare "2" both count pieces, and are summed as one
+  const PIECE_UNITS = /^(?:st|stk|stycken)$/;
+
+  function partUnit(enhet) {
+    return PIECE_UNITS.test(enhet) ? "" : enhet;
+  }
+
+  // "Smör, rumsvarmt (till formen)" → "Smör": what to buy, not how to use it
+  function itemName(ingrediens) {
+    return String(ingrediens || "").replace(/\([^)]*\)/g, "").split(",")[0].replace(/\s+/g, " ").trim();
+  }
+
+  // ── Building ──────────────────────────────────────────────────────────────
+  function emptyList() {
+    return { language: "", recipes: [], items: [], checked: {} };
+  }
+
+  // The list with one more recipe's ingredients merged in, at the recipe's
+  // portion factor. Sizes and temperatures ("18 cm form") are listed
+  // without an amount.
+  function addRecipe(list, recipe, { scale = 1, language } = {}) {
+    list = list || emptyList();
+    const lang = language || recipe._tLang || list.language;
+    const titel = String(recipe.titel || "");
+    const items = list.items.map(i => ({ ...i, parts: i.parts.map(p => ({ ...p })), recipes: i.recipes.slice() }));
+    for (const ing of recipe.ingredienser || []) {
+      const name = itemName(ing.ingrediens);
+      if (!name) continue;
+      const key = name.toLowerCase();
+      let item = items.find(i => i.key === key);
+      if (!item) {
+        item = { key, name, section: sectionOf(key), basvara: STAPLES.test(key), parts: [], recipes: [] };
+        items.push(item);
+      }
+      const q = Q.quantityOf(Q.scaleIngredient(ing, scale, lang));
+      const amount = q.skalbar ? Q.baseAmount(q, lang) : null;
+      if (amount) {
+        amount.enhet = partUnit(amount.enhet);
+        const part = item.parts.find(p => p.enhet === amount.enhet);
+        if (part) { part.min += amount.min; part.max += amount.max; }
+        else item.parts.push(amount);
+      }
+      if (titel && !item.recipes.includes(titel)) item.recipes.push(titel);
+    }
+    return {
+      ...list,
+      language: list.language || lang || "",
+      recipes:  titel ? list.recipes.concat(titel) : list.recipes,
+      items,
+      checked:  { ...list.checked },
+    };
+  }
+
+  // ── Reading ───────────────────────────────────────────────────────────────
+  // "2,4 dl + 2 burk"; ml and g in the units of the list's language
+  function formatAmount(item, language) {
+    const loc = Q.getLocale(language);
+    return item.parts.map(p =>
+      p.enhet === "ml" ? Q.formatRange(p.min, p.max, v => Q.formatMl(v, loc)) :
+      p.enhet === "g"  ? Q.formatRange(p.min, p.max, v => Q.formatGrams(v, loc)) :
+      Q.formatQuantity({ min: p.min, max: p.max, enhet: p.enhet, prefix: "", suffix: "" }, language)
+    ).join(" + ");
+  }
+
+  // [{ section, items }] in store order, items by name; staples left out
+  // when hideStaples is set
+  function bySection(list, { hideStaples = false } = {}) {
+    const items = list.items.filter(i => !(hideStaples && i.basvara));
+    return SECTIONS
+      .map(section => ({
+        section,
+        items: items.filter(i => i.section === section).sort((a, b) => a.name.localeCompare(b.name, "sv")),
+      }))
+      .filter(g => g.items.length);
+  }
+
+  // ── Export ────────────────────────────────────────────────────────────────
+  function toText(list, { title = "", sectionNames = SECTION_NAMES, hideStaples = false } = {}) {
+    const lines = [];
+    if (title) lines.push(title);
+    if (list.recipes.length) lines.push(list.recipes.join(", "));
+    for (const { section, items } of bySection(list, { hideStaples })) {
+      lines.push("", (sectionNames[section] || SECTION_NAMES[section]).toUpperCase());
+      for (const i of items) {
+        const amount = formatAmount(i, list.language);
+        lines.push((list.checked[i.key] ? "☑ " : "☐ ") + (amount ? amount + " " : "") + i.name);
+      }
+    }
+    return lines.join("\n").trim();
+  }
+
+  const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+  const esc = s => String(s).replace(/[&<>"]/g, c => ESCAPES[c]);
+
+  // A page to print and bring to the shop: two columns, a box per item
+  function printHtml(list, { title = "", sectionNames = SECTION_NAMES, hideStaples = false } = {}) {
+    const groups = bySection(list, { hideStaples }).map(({ section, items }) =>
+      `<section><h2>${esc(sectionNames[section] || SECTION_NAMES[section])}</h2><ul>` +
+      items.map(i => {
+        const amount = formatAmount(i, list.language);
+        return `<li${list.checked[i.key] ? ' class="done"' : ""}>${amount ? "<b>" + esc(amount) + "</b> " : ""}${esc(i.name)}</li>`;
+      }).join("") + "</ul></section>").join("");
+    return "<!DOCTYPE html><html><head><meta charset=\"utf-8\"><title>" + esc(title) + "</title><style>" +
+      "body{font-family:Georgia,serif;margin:24px;color:#222}h1{font-size:20px;margin:0 0 4px}" +
+      "p{font:12px sans-serif;color:#666;margin:0 0 16px}main{columns:2;column-gap:32px}" +
+      "section{break-inside:avoid;margin-bottom:14px}h2{font:bold 11px sans-serif;letter-spacing:.12em;" +
+      "text-transform:uppercase;border-bottom:1px solid #999;padding-bottom:3px;margin:0 0 6px}" +
+      "ul{list-style:none;margin:0;padding:0}li{font-size:13px;line-height:1.9}" +
+      "li:before{content:'';display:inline-block;width:10px;height:10px;border:1px solid #444;margin-right:8px}" +
+      "li.done{text-decoration:line-through;color:#888}</style></head><body>" +
+      `<h1>${esc(title)}</h1><p>${esc(list.recipes.join(", "))}</p><main>${groups}</main></body></html>`;
+  }
+
+  // ── Sharing ───────────────────────────────────────────────────────────────
+  // A list as URL-safe base64 of compact JSON, for a link's #fragment
+  const round = n => Math.round(n * 100) / 100;
+
+  function encodeList(list) {
+    const json = JSON.stringify({
+      l: list.language, r: list.recipes,
+      i: list.items.map(i => [i.name, i.section, i.basvara ? 1 : 0, i.parts.map(p => [p.enhet, round(p.min), round(p.max)])]),
+      c: Object.keys(list.checked).filter(k => list.checked[k]),
+    });
+    let bin = "";
+    for (const b of new TextEncoder().encode(json)) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function decodeList(text) {
+    let data;
+    try {
+      const bin = atob(String(text).replace(/-/g, "+").replace(/_/g, "/"));
+      data = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0))));
+    } catch { data = null; }
+    if (!data || !Array.isArray(data.i)) throw new Error("Not a shopping list.");
+    const items = data.i.filter(Array.isArray).map(([name, section, basvara, parts]) => ({
+      key: String(name).toLowerCase(), name: String(name),
+      section: SECTIONS.includes(section) ? section : sectionOf(name),
+      basvara: !!basvara,
+      parts: (Array.isArray(parts) ? parts : [])
+        .filter(p => Array.isArray(p) && isFinite(p[1]) && isFinite(p[2]))
+        .map(([enhet, min, max]) => ({ enhet: String(enhet), min: +min, max: +max })),
+      recipes: [],
+    }));
+    const checked = {};
+    for (const k of Array.isArray(data.c) ? data.c : []) checked[String(k)] = true;
+    return {
+      language: String(data.l || ""),
+      recipes: Array.isArray(data.r) ? data.r.map(String) : [],
+      items, checked,
+    };
+  }
+
+  return {
+    SECTIONS, SECTION_NAMES,
+    sectionOf, itemName, emptyList, addRecipe,
+    formatAmount, bySection, toText, printHtml, encodeList, decodeList,
+  };
+});
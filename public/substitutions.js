@@ -0,0 +1,222 @@
+/**
+ * Ingredients of American recipes that Swedish grocery stores rarely stock,
+ * with what to use instead.
+ *
+ *   suggest(recipe) → [{ index, id, ingrediens, why, ratio, lines, text }]
+ *   applySubstitution(recipe, index) → the recipe with ingredient `index`
+ *                                      replaced by the lines
+ *
+ * lines are the replacement ingredients for the amount in the recipe
+ * ("2 dl" self-rising flour → 2 dl vetemjöl, 1 ½ tsk bakpulver, 1 krm
+ * salt), or null when the amount cannot be converted ("efter smak", an
+ * unknown unit); ratio is the rule itself ("1 dl → …") and is always there.
+ *
+ * Each entry of SUBSTITUTES gives its replacement one of two ways:
+ *   same      one ingredient in the same amount ("digestivekex")
+ *   ml / g    [per 100, "ml" | "g", ingrediens] for every 100 ml or 100 g of
+ *             the original; pieces turns a can into grams, per sets the
+ *             amount the ratio is shown for (default 100)
+ * namn is the Swedish name lib/translation.js tells the model to use, so
+ * translations do not invent one; re also knows the English name and the
+ * usual translations, and is tried on the source line (original) too.
+ *
+ * Suggestions are for Swedish recipes only: the replacements are Swedish
+ * products with Swedish names. Replaced lines carry ersatt: id and are not
+ * suggested again.
+ * index.html loads this file after quantity.js as window.Substitutions;
+ * lib/translation.js and the tests require it.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./quantity"));
+  else root.Substitutions = factory(root.RecipeQuantity);
+})(typeof self !== "undefined" ? self : this, function (Q) {
+  "use strict";
+
+  // ── Knowledge base ────────────────────────────────────────────────────────
+  // First match wins, so "dark corn syrup" comes before "corn syrup" and
+  // "pumpkin pie spice" before "pumpkin"
+  const SUBSTITUTES = [
+    {
+      id: "self-rising-flour", en: "self-rising flour", namn: "självjäsande vetemjöl",
+      re: /self[- ]?ris|self[- ]?rais|självjäsande|självhöjande/,
+      why: "Säljs inte i Sverige; vetemjöl med bakpulver och salt blir detsamma.",
+      ml: [[100, "ml", "vetemjöl"], [3.75, "ml", "bakpulver"], [0.5, "ml", "salt"]],
+      g:  [[100, "g", "vetemjöl"], [6, "ml", "bakpulver"], [0.8, "ml", "salt"]],
+    },
+    {
+      id: "cake-flour", en: "cake flour", namn: "proteinfattigt vetemjöl",
+      re: /cake flour|proteinfattigt vetemjöl|kakmjöl|tårtmjöl/,
+      why: "Finns sällan i butik; lite majsstärkelse i vanligt vetemjöl ger samma mjuka smet.",
+      ml: [[87.5, "ml", "vetemjöl"], [12.5, "ml", "majsstärkelse (maizena)"]],
+      g:  [[87, "g", "vetemjöl"], [13, "g", "majsstärkelse (maizena)"]],
+    },
+    {
+      id: "half-and-half", en: "half-and-half", namn: "hälften mjölk, hälften grädde",
+      re: /half[- ]and[- ]half|half ?& ?half|hälften mjölk,? hälften grädde/,
+      why: "Säljs inte i Sverige; blanda lika delar mjölk och vispgrädde.",
+      ml: [[50, "ml", "mjölk"], [50, "ml", "vispgrädde"]],
+      g:  [[50, "g", "mjölk"], [50, "g", "vispgrädde"]],
+    },
+    {
+      id: "graham-crackers", en: "graham crackers", namn: "grahamskex",
+      re: /graham crackers?|grahamskex|grahamskakor/,
+      why: "Finns sällan; digestivekex har nästan samma smak och konsistens.",
+      same: "digestivekex",
+    },
+    {
+      id: "pumpkin-pie-spice", en: "pumpkin pie spice", namn: "pumpapajkrydda",
+      re: /pumpkin (?:pie )?spice|pumpapajkrydda/,
+      why: "Säljs inte färdigblandad; blanda själv.",
+      ml: [[50, "ml", "kanel"], [25, "ml", "malen ingefära"], [12.5, "ml", "riven muskotnöt"], [12.5, "ml", "mald kryddnejlika"]],
+      per: 5,
+    },
+    {
+      id: "canned-pumpkin", en: "canned pumpkin", namn: "pumpapuré på burk",
+      re: /canned pumpkin|pumpkin pur[ée]e|pumpapuré|pumpa på burk|konserverad pumpa/,
+      why: "Finns sällan på burk; ugnsbakad och mixad butternutpumpa fungerar likadant.",
+      g:  [[100, "g", "butternutpumpa, ugnsbakad och mixad"]],
+      ml: [[100, "ml", "butternutpumpa, ugnsbakad och mixad"]],
+      pieces: { burk: 425 },
+    },
+    {
+      id: "shortening", en: "vegetable shortening (Crisco)", namn: "vegetabiliskt bakfett",
+      re: /shortening|crisco|vegetabiliskt (?:bak|mat)fett/,
+      why: "Säljs inte i Sverige; kokosfett är fast vid rumstemperatur på samma sätt.",
+      same: "kokosfett",
+    },
+    {
+      id: "dark-corn-syrup", en: "dark corn syrup", namn: "mörk majssirap",
+      re: /dark corn syrup|mörk majssirap/,
+      why: "Finns sällan; mörk sirap ger samma fukt och en liknande smak.",
+      same: "mörk sirap",
+    },
+    {
+      id: "corn-syrup", en: "corn syrup", namn: "glykos",
+      re: /corn syrup|majssirap|glykos|\bkaro\b/,
+      why: "Glykos finns mest i specialbutiker; ljus sirap fungerar i de flesta recept.",
+      same: "ljus sirap",
+    },
+    {
+      id: "molasses", en: "molasses", namn: "melass",
+      re: /molasses|melass/,
+      why: "Finns sällan i vanlig butik; mörk sirap är det närmaste.",
+      same: "mörk sirap",
+    },
+    {
+      id: "unsweetened-chocolate", en: "unsweetened chocolate", namn: "osötad choklad",
+      re: /unsweetened (?:baking )?chocolate|baking chocolate|osötad (?:bak)?choklad/,
+      why: "Säljs sällan; kakao och smör ger samma chokladsmak och fetthalt.",
+      g:  [[55, "g", "kakao"], [50, "g", "smör"]],
+    },
+    {
+      id: "evaporated-milk", en: "evaporated milk", namn: "evaporerad mjölk",
+      re: /evaporated milk|evaporerad mjölk|indunstad mjölk/,
+      why: "Finns sällan; koka ihop dubbla mängden mjölk till hälften.",
+      ml: [[200, "ml", "mjölk, ihopkokt till hälften"]],
+      g:  [[200, "g", "mjölk, ihopkokt till hälften"]],
+    },
+    {
+      id: "espresso-powder", en: "instant espresso powder", namn: "snabbespressopulver",
+      re: /espresso powder|instant espresso|snabbespresso|espressopulver/,
+      why: "Finns sällan; vanligt snabbkaffe ger samma kaffesmak.",
+      same: "snabbkaffe",
+    },
+  ];
+
+  const SWEDISH = /^(?:swed|svensk)/i;
+  const CANS = /^(?:burkar|burk|cans?)$/i;
+
+  // ── Matching ──────────────────────────────────────────────────────────────
+  function findSubstitute(ing) {
+    if (!ing || ing.ersatt) return null;
+    const texts = [ing.ingrediens, ing.original].filter(Boolean).map(t => String(t).toLowerCase());
+    return SUBSTITUTES.find(s => texts.some(t => s.re.test(t))) || null;
+  }
+
+  // ── Amounts ───────────────────────────────────────────────────────────────
+  // Half a deciliter stays a volume ("½ dl", "50 ml") rather than spoons
+  function formatPart(value, unit, loc) {
+    if (unit === "g") return Q.formatGrams(value, loc);
+    if (Math.abs(value - 50) < 0.5) return loc.dl ? "½ dl" : "50 ml";
+    return Q.formatMl(value, loc);
+  }
+
+  // A range that would span two units ("3 ½ msk–1 dl") is written in ml
+  function partLines(parts, min, max, loc) {
+    const plain = { ...loc, dl: false, tbsp: null, tsp: null, ml1: null };
+    return parts.map(([per100, unit, ingrediens]) => {
+      const range = l => Q.formatRange(min * per100 / 100, max * per100 / 100, v => formatPart(v, unit, l));
+      let mangd = range(loc);
+      if (Q.parseQuantity(mangd).suffix) mangd = range(plain);
+      return { mangd, ingrediens };
+    });
+  }
+
+  const joinLines = lines => lines.map(l => (l.mangd ? l.mangd + " " : "") + l.ingrediens).join(" + ");
+
+  // "1 dl → 1 dl vetemjöl + ¾ tsk bakpulver + ½ krm salt"
+  function ratioText(sub, language) {
+    if (sub.same) return "→ " + sub.same;
+    const loc = Q.getLocale(language);
+    const [parts, unit] = sub.ml ? [sub.ml, "ml"] : [sub.g, "g"];
+    const per = sub.per || 100;
+    return formatPart(per, unit, loc) + " → " + joinLines(partLines(parts, per, per, loc));
+  }
+
+  // The replacement lines for the ingredient's amount, or null
+  function replacementLines(sub, ing, language) {
+    if (sub.same) return [{ mangd: String(ing.mangd || ""), ingrediens: sub.same }];
+    const q = Q.quantityOf(ing);
+    if (q.min == null || !q.skalbar) return null;
+    const loc = Q.getLocale(language);
+    let base = Q.baseAmount(q, language);
+    if (CANS.test(q.enhet) && sub.pieces && sub.pieces.burk)
+      base = { enhet: "g", min: q.min * sub.pieces.burk, max: q.max * sub.pieces.burk };
+    const parts = base.enhet === "ml" ? sub.ml : base.enhet === "g" ? sub.g : null;
+    return parts ? partLines(parts, base.min, base.max, loc) : null;
+  }
+
+  // ── Suggestions ───────────────────────────────────────────────────────────
+  function suggest(recipe, { language } = {}) {
+    recipe = recipe || {};
+    const lang = language || recipe._tLang || "Swedish";
+    if (!SWEDISH.test(lang)) return [];
+    const out = [];
+    (recipe.ingredienser || []).forEach((ing, index) => {
+      const sub = findSubstitute(ing);
+      if (!sub) return;
+      const lines = replacementLines(sub, ing, lang);
+      out.push({
+        index, id: sub.id, ingrediens: String(ing.ingrediens || ""), why: sub.why,
+        ratio: ratioText(sub, lang), lines, text: lines ? joinLines(lines) : "",
+      });
+    });
+    return out;
+  }
+
+  // The recipe with ingredient `index` replaced by its suggestion's lines.
+  // The first line keeps the source line; warnings that point at later
+  // ingredients move with them. Unchanged when there is nothing to apply.
+  function applySubstitution(recipe, index, { language } = {}) {
+    const s = suggest(recipe, { language }).find(x => x.index === index);
+    if (!s || !s.lines) return recipe;
+    const ing = recipe.ingredienser[index];
+    const lines = s.lines.map((l, i) => {
+      const out = { grupp: ing.grupp || "", mangd: l.mangd, ingrediens: l.ingrediens, kvantitet: Q.parseQuantity(l.mangd), ersatt: s.id };
+      if (i === 0 && ing.original) out.original = ing.original;
+      return out;
+    });
+    const ingredienser = recipe.ingredienser.slice(0, index).concat(lines, recipe.ingredienser.slice(index + 1));
+    const out = { ...recipe, ingredienser };
+    if (recipe.warnings) {
+      const shift = lines.length - 1;
+      out.warnings = recipe.warnings.map(w => {
+        const m = /^ingredienser\[(\d+)\]/.exec(w.field || "");
+        return m && +m[1] > index ? { ...w, field: w.field.replace(m[0], "ingredienser[" + (+m[1] + shift) + "]") } : w;
+      });
+    }
+    return out;
+  }
+
+  return { SUBSTITUTES, findSubstitute, ratioText, suggest, applySubstitution };
+});
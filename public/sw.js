@@ -0,0 +1,99 @@
+/**
+ * Service worker: the app keeps working without a connection.
+ *
+ *   - The app shell (index.html, the UMD modules and the vendored React in
+ *     /vendor/) is cached at install. Pages and modules are fetched from the
+ *     network first, so a deploy is picked up on the next visit, and come
+ *     from the cache when the network fails or is slower than SLOW_MS.
+ *   - PDF fonts (/fonts/) are cached the first time they are used; the base
+ *     font is fetched at install, so a PDF of a Latin-script recipe can be
+ *     made offline from the start.
+ *   - /api/ is never cached. Translations asked for offline wait in the
+ *     app's queue (offline.js) instead. Shared recipe pages (/r/) are left
+ *     to the network too, so a deleted link does not live on here.
+ *
+ * Bump VERSION when SHELL changes; old shell caches are removed on activate.
+ */
+const VERSION     = "v4";
+const SHELL_CACHE = "recept-shell-" + VERSION;
+const FONT_CACHE  = "recept-fonts";
+const SLOW_MS     = 4000;
+
+const SHELL = [
+  "/",
+  "/quantity.js",
+  "/shopping-list.js",
+  "/recipe-formats.js",
+  "/recipe-pdf.js",
+  "/offline.js",
+  "/nutrition-data.js",
+  "/nutrition.js",
+  "/substitutions.js",
+  "/cooking.js",
+  "/vendor/react-18.2.0.production.min.js",
+  "/vendor/react-dom-18.2.0.production.min.js",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/icon-maskable.svg",
+];
+
+// RecipePdf.FONT_FILES.base, as index.html asks for it
+const BASE_FONT = "/fonts/NotoSans-Regular.ttf";
+
+// ── Install and activate ──────────────────────────────────────────────────────
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    await (await caches.open(SHELL_CACHE)).addAll(SHELL);
+    // Best effort: the app works without it, only offline PDFs need it
+    caches.open(FONT_CACHE).then(c => c.add(BASE_FONT)).catch(() => {});
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    for (const name of await caches.keys())
+      if (name !== SHELL_CACHE && name !== FONT_CACHE) await caches.delete(name);
+    await self.clients.claim();
+  })());
+});
+
+// ── Fetch ─────────────────────────────────────────────────────────────────────
+// Network with a time limit; the cached copy when the network fails or is
+// too slow. Fresh answers update the cache. Pages fall back to the app at
+// "/", which is the only page stored.
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  const path = new URL(request.url).pathname;
+  const network = fetch(request).then(res => {
+    if (res.ok && (!fallbackUrl || path === fallbackUrl)) cache.put(fallbackUrl || request, res.clone()).catch(() => {});
+    return res;
+  });
+  const slow = new Promise(resolve => setTimeout(resolve, SLOW_MS));
+  const first = await Promise.race([network.catch(() => null), slow]);
+  if (first) return first;
+  const cached = await cache.match(fallbackUrl || request, { ignoreSearch: true });
+  return cached || network;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) cache.put(request, res.clone()).catch(() => {});
+  return res;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/") || url.pathname.startsWith("/.netlify/") || url.pathname.startsWith("/r/")) return;
+
+  if (request.mode === "navigate") event.respondWith(networkFirst(request, "/"));
+  else if (url.pathname.startsWith("/fonts/")) event.respondWith(cacheFirst(request, FONT_CACHE));
+  // Vendored files carry their version in the name and never change
+  else if (url.pathname.startsWith("/vendor/")) event.respondWith(cacheFirst(request, SHELL_CACHE));
+  else if (SHELL.includes(url.pathname)) event.respondWith(networkFirst(request));
+});
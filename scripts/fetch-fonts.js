@@ -0,0 +1,61 @@
+/**
+ * Puts the PDF fonts (public/recipe-pdf.js FONT_FILES) in public/fonts/.
+ *
+ * The Noto fonts are about 23 MB, so they are not kept in git: the build
+ * (`npm run fonts`, run by netlify.toml) fetches each one from the npm
+ * registry, where @expo-google-fonts publishes the Google Fonts files, and
+ * keeps only the regular weight. Versions are pinned and every file is
+ * checked against its SHA-256 before it is written; files already in place
+ * with the right hash are left alone.
+ */
+const crypto = require("crypto");
+const fs     = require("fs");
+const os     = require("os");
+const path   = require("path");
+const { execFileSync } = require("child_process");
+
+const DIR = path.join(__dirname, "../public/fonts");
+
+// [file in public/fonts, package, version, sha256]
+const FONTS = [
+  ["NotoSans-Regular.ttf",           "noto-sans",            "0.4.2", "fe8c022f48d8dd29f17b744d16f9346f4357e16f7d4f7be58b000ae7c291b614"],
+  ["NotoSansArabic-Regular.ttf",     "noto-sans-arabic",     "0.4.3", "252629ca0e87b6233851249b8cbf7b43445211a8caf199f1b306a19202251508"],
+  ["NotoSansDevanagari-Regular.ttf", "noto-sans-devanagari", "0.4.1", "084a94d89eb54aafb93a056e15425c34fd859f6342875165d304837b3bcfc2d2"],
+  ["NotoSansThai-Regular.ttf",       "noto-sans-thai",       "0.4.2", "9acb585d8662ca4ed1b1cf5889dfa1393f8555103b3986e1ea1e3af4faef70bd"],
+  ["NotoSansJP-Regular.ttf",         "noto-sans-jp",         "0.4.3", "d930d5d52d15231c283089760f84584272ad5e37e14607ba0d19c798e7a9caec"],
+  ["NotoSansSC-Regular.ttf",         "noto-sans-sc",         "0.4.3", "d45f67f0a7c0ca3f256950777ce6a61cc7ce5f9696d02900cbbaac25f8aa7d16"],
+  ["NotoSansKR-Regular.ttf",         "noto-sans-kr",         "0.4.3", "8cbc9b353bb9ce848fd69bb6a507319dfacc659cf5fd643db5d88f3c4970e1dd"],
+];
+
+const sha256 = bytes => crypto.createHash("sha256").update(bytes).digest("hex");
+
+// "NotoSansSC-Regular.ttf" → "package/400Regular/NotoSansSC_400Regular.ttf"
+function entryOf(file) {
+  return "package/400Regular/" + file.replace(/-Regular\.ttf$/, "_400Regular.ttf");
+}
+
+function fetchFont([file, pkg, version, hash], tmp) {
+  const target = path.join(DIR, file);
+  if (fs.existsSync(target) && sha256(fs.readFileSync(target)) === hash) return false;
+  const tgz = execFileSync("npm", ["pack", `@expo-google-fonts/${pkg}@${version}`, "--silent", "--pack-destination", tmp],
+    { encoding: "utf8" }).trim().split("\n").pop();
+  execFileSync("tar", ["-xzf", path.join(tmp, tgz), "-C", tmp, entryOf(file)]);
+  const bytes = fs.readFileSync(path.join(tmp, entryOf(file)));
+  if (sha256(bytes) !== hash) throw new Error(`${file}: unexpected SHA-256 in @expo-google-fonts/${pkg}@${version}`);
+  fs.writeFileSync(target, bytes);
+  return true;
+}
+
+function main() {
+  fs.mkdirSync(DIR, { recursive: true });
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "recept-fonts-"));
+  try {
+    for (const font of FONTS) console.log((fetchFont(font, tmp) ? "fetched " : "ok      ") + font[0]);
+  } finally {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { FONTS };
@@ -0,0 +1,272 @@
+/**
+ * /api/batch and the batch worker — splitting a cookbook into recipes,
+ * creating and extending jobs, the queue with its retries and pace, and
+ * per-item status for polling clients.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const {
+  freshRequire, event, parse, makeToken,
+  mockFetch, restoreFetch, mockDns, restoreDns,
+  jsonResponse, htmlResponse, chatReply, RECIPE,
+} = require("./helpers");
+const { splitRecipes, waitForSlot } = require("../netlify/lib/batch");
+const { createMemoryStateStore, createFileStateStore } = require("../netlify/lib/state-store");
+const { batchStoreKind } = require("../netlify/lib/batch-store");
+
+process.env.TOKEN_SECRET      = "test-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "off";
+process.env.BATCH_INTERVAL_MS = "0";
+process.env.BATCH_RETRY_MS    = "0";
+
+const MISTRAL = "https://api.mistral.ai/v1/chat/completions";
+const WORKER  = "http://localhost:8888/.netlify/functions/batch-background";
+const PAGE    = '<script type="application/ld+json">{"@type":"Recipe","name":"Pancakes",' +
+  '"recipeIngredient":["1 cup flour","2 eggs"],"recipeInstructions":["Whisk.","Fry."]}</script>';
+
+const COOKBOOK = `Pancakes
+Thin and quick.
+
+Ingredients
+1 cup flour
+2 eggs
+
+Method
+1. Whisk everything.
+2. Fry in butter.
+
+Oat cookies
+
+Serves 4
+
+Ingredients:
+2 cups oats
+1 egg
+
+Steps
+Mix and bake for 10 minutes.`;
+
+// batch.js and batch-background.js loaded together, so they share the
+// in-memory job store the way one `netlify dev` process does
+let batch, worker;
+beforeEach(() => {
+  batch  = freshRequire("netlify/functions/batch.js");
+  worker = require(path.join(__dirname, "../netlify/functions/batch-background.js"));
+  mockDns();
+});
+afterEach(() => { restoreFetch(); restoreDns(); });
+
+function post(body) {
+  return batch.handler(event({ body: { token: makeToken(), ...body } }));
+}
+
+function poll(id, results) {
+  return batch.handler({ ...event({ method: "GET" }), queryStringParameters: { id, ...(results ? { results: "1" } : {}) } });
+}
+
+// Mistral answers with `reply(n)` for the nth call; the worker trigger is
+// recorded but not run, so each test drives the worker itself
+function backend(reply = () => chatReply(JSON.stringify(RECIPE))) {
+  let n = 0;
+  return mockFetch(url => {
+    if (url === MISTRAL) return reply(++n);
+    if (url === WORKER) return new Response(null, { status: 202 });
+    if (url.endsWith("/missing")) return htmlResponse("gone", { status: 404 });
+    if (url.startsWith("https://recipes.example.com/")) return htmlResponse(PAGE);
+    throw new Error("unexpected fetch " + url);
+  });
+}
+
+const runWorker = calls => {
+  const started = calls.filter(c => c.url === WORKER).pop();
+  return worker.handler(event({ body: started.body }));
+};
+
+// ── Splitting ─────────────────────────────────────────────────────────────────
+describe("splitRecipes", () => {
+  test("recipes found by their ingredient headings keep their titles", () => {
+    const parts = splitRecipes(COOKBOOK);
+    assert.equal(parts.length, 2);
+    assert.match(parts[0], /^Pancakes\n[\s\S]*2\. Fry in butter\.$/);
+    assert.match(parts[1], /^Oat cookies\n\nServes 4\n/);
+  });
+
+  test("rule lines and page breaks separate recipes; scraps are dropped", () => {
+    const parts = splitRecipes("Soup\nIngredients\n1 onion\nBoil it all.\n---\nBread\nflour, water, salt\n\f\nok\n");
+    assert.deepEqual(parts.map(p => p.split("\n")[0]), ["Soup", "Bread"]);
+  });
+
+  test("a single recipe stays whole", () => {
+    assert.deepEqual(splitRecipes("Pancakes\nIngredients\n1 cup flour\nWhisk and fry."),
+      ["Pancakes\nIngredients\n1 cup flour\nWhisk and fry."]);
+  });
+});
+
+// ── Jobs ──────────────────────────────────────────────────────────────────────
+describe("POST /api/batch", () => {
+  test("a URL list becomes a job and its worker is started", async () => {
+    const calls = backend();
+    const res = await post({ type: "url", urls: ["https://recipes.example.com/a", "https://recipes.example.com/b", "https://recipes.example.com/a"] });
+    assert.equal(res.statusCode, 200);
+    const data = parse(res);
+    assert.match(data.jobId, /^[0-9a-f]{32}$/);
+    assert.equal(data.total, 2);
+    assert.deepEqual(data.items.map(i => [i.label, i.status]),
+      [["recipes.example.com/a", "queued"], ["recipes.example.com/b", "queued"]]);
+    assert.equal(calls.filter(c => c.url === WORKER).length, 1);
+    assert.equal(calls.find(c => c.url === WORKER).body.id, data.jobId);
+  });
+
+  test("input is checked before a job is made", async () => {
+    backend();
+    assert.equal(parse(await post({ type: "text", content: "short" })).error, "Recipe text too short.");
+    assert.equal(parse(await post({ type: "url", urls: "https://a.example" })).error, "urls must be a list of URLs.");
+    const many = Array.from({ length: 51 }, (_, i) => "https://recipes.example.com/" + i);
+    assert.equal(parse(await post({ type: "url", urls: many })).error, "Max 50 recipes per batch.");
+    assert.equal(parse(await post({ type: "image", images: [{ mime: "image/svg+xml", b64: "x" }] })).error, "Unsupported image type.");
+    assert.equal((await batch.handler(event({ body: { type: "url", urls: [] } }))).statusCode, 403);
+  });
+
+  test("pages are grouped into recipes, and later pages extend the job", async () => {
+    backend();
+    const img = (continues) => ({ mime: "image/jpeg", b64: "AAAA", continues });
+    const first = parse(await post({ type: "image", images: [img(), img(true), img()] }));
+    assert.deepEqual(first.items.map(i => i.pages), [[1, 2], [3]]);
+    const more = parse(await post({ jobId: first.jobId, type: "image", images: [img(true), img(true)] }));
+    assert.equal(more.jobId, first.jobId);
+    assert.deepEqual(more.items.map(i => i.pages), [[1, 2], [3], [4, 5]]);
+    assert.equal((await post({ jobId: "f".repeat(32), type: "image", images: [img()] })).statusCode, 404);
+  });
+});
+
+// ── Worker and polling ────────────────────────────────────────────────────────
+describe("worker", () => {
+  test("translates every item; polls show per-item status and results", async () => {
+    const calls = backend();
+    const { jobId } = parse(await post({ type: "url", urls: ["https://recipes.example.com/a", "https://recipes.example.com/missing"] }));
+    assert.equal((await runWorker(calls)).statusCode, 200);
+
+    const data = parse(await poll(jobId));
+    assert.equal(data.status, "done");
+    assert.deepEqual(data.counts, { queued: 0, working: 0, done: 1, failed: 1 });
+    assert.equal(data.items[0].recipe, undefined);
+    assert.match(data.items[1].error, /^Could not fetch/);
+
+    const full = parse(await poll(jobId, true));
+    assert.equal(full.items[0].recipe.titel, "Pannkakor");
+    assert.equal(full.items[0].extraction, "jsonld");
+  });
+
+  test("a long text is split and each recipe translated on its own", async () => {
+    const calls = backend();
+    const { jobId, items } = parse(await post({ type: "text", content: COOKBOOK, targetLanguage: "Swedish" }));
+    assert.deepEqual(items.map(i => i.label), ["Pancakes", "Oat cookies"]);
+    await runWorker(calls);
+    const sent = calls.filter(c => c.url === MISTRAL).map(c => c.body.messages[1].content);
+    assert.equal(sent.length, 2);
+    assert.match(sent[1], /Oat cookies/);
+    assert.doesNotMatch(sent[1], /Pancakes/);
+    assert.equal(parse(await poll(jobId)).counts.done, 2);
+  });
+
+  test("a repair call waits for a pacing slot of its own", async () => {
+    const at = [];
+    const calls = backend(n => {
+      at.push(Date.now());
+      return chatReply(JSON.stringify(n === 1 ? { ...RECIPE, steg: ["Preheat ugnen."] } : RECIPE));
+    });
+    const { jobId } = parse(await post({ type: "text", content: "Pancakes\n1 cup flour\nWhisk.", targetLanguage: "Swedish" }));
+    process.env.BATCH_INTERVAL_MS = "40";
+    try { await runWorker(calls); } finally { process.env.BATCH_INTERVAL_MS = "0"; }
+    assert.equal(at.length, 2);
+    assert.notEqual(Math.floor(at[0] / 40), Math.floor(at[1] / 40));
+    assert.equal(parse(await poll(jobId)).counts.done, 1);
+  });
+
+  test("a rate-limited item goes back in the queue and is tried again", async () => {
+    const calls = backend(n => n === 1
+      ? jsonResponse({ message: "Rate limit exceeded" }, 429)
+      : chatReply(JSON.stringify(RECIPE)));
+    const { jobId } = parse(await post({ type: "url", urls: ["https://recipes.example.com/a"] }));
+    await runWorker(calls);
+    const item = parse(await poll(jobId)).items[0];
+    assert.equal(item.status, "done");
+    assert.equal(item.attempts, 2);
+    assert.equal(item.error, undefined);
+  });
+
+  test("an item fails after its last attempt and can be queued again", async () => {
+    let down = true;
+    const calls = backend(() => down ? jsonResponse({}, 503) : chatReply(JSON.stringify(RECIPE)));
+    const { jobId } = parse(await post({ type: "url", urls: ["https://recipes.example.com/a"] }));
+    await runWorker(calls);
+    let item = parse(await poll(jobId)).items[0];
+    assert.deepEqual([item.status, item.attempts], ["failed", 4]);
+    assert.equal(item.error, "Mistral API: fel 503.");
+
+    down = false;
+    const retried = parse(await post({ jobId, retry: true }));
+    assert.equal(retried.items[0].status, "queued");
+    await runWorker(calls);
+    item = parse(await poll(jobId)).items[0];
+    assert.equal(item.status, "done");
+  });
+
+  test("the worker only runs jobs it was started for", async () => {
+    const res = await worker.handler(event({ body: { id: "a".repeat(32), sig: "00" } }));
+    assert.equal(res.statusCode, 403);
+  });
+
+  test("polling an unknown or malformed id", async () => {
+    assert.equal((await poll("a".repeat(32))).statusCode, 404);
+    assert.equal(parse(await poll("../etc")).error, "Invalid job id.");
+  });
+});
+
+// ── Pace ──────────────────────────────────────────────────────────────────────
+describe("batch store", () => {
+  test("deployed functions default to Blobs, local runs to memory", () => {
+    assert.equal(batchStoreKind({}), "memory");
+    assert.equal(batchStoreKind({ NETLIFY_DEV: "true", AWS_LAMBDA_FUNCTION_NAME: "batch" }), "memory");
+    assert.equal(batchStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "batch-background" }), "blobs");
+    assert.equal(batchStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "batch", BATCH_STORE: "File" }), "file");
+  });
+});
+
+describe("waitForSlot", () => {
+  test("two callers never get the same time slot", async () => {
+    const store = createMemoryStateStore();
+    const slots = await Promise.all([1, 2, 3].map(() => waitForSlot(40, store).then(() => Math.floor(Date.now() / 40))));
+    assert.equal(new Set(slots).size, 3);
+  });
+
+  test("parallel jobs in two worker instances share one pace through the store", async () => {
+    const at = [];
+    mockFetch(url => {
+      assert.equal(url, MISTRAL);
+      at.push(Date.now());
+      return chatReply(JSON.stringify(RECIPE));
+    });
+    // Two background workers: separate modules, job stores and store clients,
+    // with the pace in storage both of them see (Blobs when deployed)
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pace-test-"));
+    const env = { BATCH_INTERVAL_MS: "40", BATCH_RETRY_MS: "0" };
+    const workers = ["Pancakes", "Waffles"].map(name => {
+      const lib = freshRequire("netlify/lib/batch.js");
+      const { createMemoryBatchStore } = freshRequire("netlify/lib/batch-store.js");
+      return { lib, store: createMemoryBatchStore(), paceStore: createFileStateStore({ dir }), name };
+    });
+    await Promise.all(workers.map(async ({ lib, store, paceStore, name }) => {
+      const { items } = lib.batchItems({ type: "text", content: `${name}\nIngredients\n1 cup flour\n---\n${name} II\nIngredients\n2 eggs` });
+      const job = await lib.createJob({ targetLanguage: "Swedish", sourceLanguage: "auto", measurementSystem: "metric" }, items, { store });
+      await lib.runJob(job.id, { store, paceStore, env });
+    }));
+    assert.equal(at.length, 4);
+    assert.equal(new Set(at.map(t => Math.floor(t / 40))).size, 4);
+  });
+});
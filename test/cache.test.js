@@ -0,0 +1,176 @@
+/**
+ * lib/cache.js — keys that treat the same page and text as the same
+ * request, the memory, file and Blobs stores with their TTL, and how
+ * /api/translate answers from the cache.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { freshRequire, event, parse, makeToken, mockFetch, restoreFetch, mockDns, restoreDns, htmlResponse, chatReply, RECIPE } = require("./helpers");
+const {
+  createMemoryStore, createFileStore, createBlobsStore, createCacheStore, cacheStoreKind, cacheTtl,
+  canonicalUrl, translationCacheKey,
+} = require("../netlify/lib/cache");
+
+process.env.TOKEN_SECRET      = "test-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "memory";
+
+const MISTRAL  = "https://api.mistral.ai/v1/chat/completions";
+const PAGE_URL = "https://recipes.example.com/pancakes";
+const TEXT     = "Pancakes\n1 cup flour\n2 eggs\nWhisk everything and fry in butter.";
+const PAGE     = '<script type="application/ld+json">{"@type":"Recipe","name":"Pancakes",' +
+  '"recipeIngredient":["1 cup flour","2 eggs"],"recipeInstructions":["Whisk.","Fry."]}</script>';
+
+const OPTIONS = { targetLanguage: "Swedish", sourceLanguage: "auto", measurementSystem: "metric" };
+const urlKey  = url => translationCacheKey({ type: "url", url, ...OPTIONS });
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// In-memory stand-in for a Netlify Blobs store
+function fakeBlobs() {
+  const blobs = new Map();
+  return {
+    blobs,
+    async get(key) { return blobs.has(key) ? JSON.parse(blobs.get(key)) : null; },
+    async setJSON(key, data) { blobs.set(key, JSON.stringify(data)); },
+    async delete(key) { blobs.delete(key); },
+  };
+}
+
+// ── Keys ──────────────────────────────────────────────────────────────────────
+describe("cache keys", () => {
+  test("the same page behind tracking parameters, www. and a fragment is one key", () => {
+    assert.equal(canonicalUrl("https://WWW.Recipes.example.com/pancakes/?utm_source=pin&b=2&a=1&fbclid=x#comments"),
+      "https://recipes.example.com/pancakes?a=1&b=2");
+    const key = urlKey(PAGE_URL);
+    for (const url of [
+      PAGE_URL + "?utm_source=newsletter&utm_medium=email&utm_campaign=fall",
+      "https://www.recipes.example.com/pancakes",
+      PAGE_URL + "#recipe",
+      " https://RECIPES.example.com/pancakes/ ",
+    ]) assert.equal(urlKey(url), key, url);
+    // A different page or a query that selects something is a different key
+    assert.notEqual(urlKey("https://recipes.example.com/waffles"), key);
+    assert.notEqual(urlKey(PAGE_URL + "?servings=8"), key);
+  });
+
+  test("text differing in case, quotes and spacing is one key; options are part of it", () => {
+    const key = translationCacheKey({ type: "text", content: TEXT, ...OPTIONS });
+    assert.equal(translationCacheKey({ type: "text", content: "  " + TEXT.toUpperCase().replace(/\n/g, "\n\n"), ...OPTIONS }), key);
+    assert.notEqual(translationCacheKey({ type: "text", content: TEXT, ...OPTIONS, targetLanguage: "German" }), key);
+    assert.notEqual(translationCacheKey({ type: "text", content: TEXT, ...OPTIONS, measurementSystem: "imperial" }), key);
+    assert.notEqual(translationCacheKey({ type: "text", content: TEXT, ...OPTIONS,
+      glossary: [{ source: "flour", target: "vetemjöl" }] }), key);
+  });
+});
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+for (const [name, make] of [
+  ["memory", () => createMemoryStore()],
+  ["file",   () => createFileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), "cache-test-")) })],
+  ["blobs",  () => createBlobsStore({ blobs: fakeBlobs() })],
+]) {
+  describe(name + " store", () => {
+    test("returns what was stored until its TTL has passed", async () => {
+      const s = make();
+      await s.set("ab12", { titel: "Pannkakor" }, 0.05);
+      await s.set("cd34", { titel: "Våfflor" }, 60);
+      assert.deepEqual(await s.get("ab12"), { titel: "Pannkakor" });
+      await sleep(80);
+      assert.equal(await s.get("ab12"), null);
+      assert.deepEqual(await s.get("cd34"), { titel: "Våfflor" });
+      assert.equal(await s.get("ef56"), null);
+    });
+  });
+}
+
+describe("store selection", () => {
+  test("memory by default, off stores nothing; the TTL defaults to a week", async () => {
+    const off = createCacheStore({ TRANSLATION_CACHE: "off" });
+    await off.set("ab12", { titel: "x" }, 60);
+    assert.equal(await off.get("ab12"), null);
+    const mem = createCacheStore({});
+    await mem.set("ab12", { titel: "x" }, 60);
+    assert.deepEqual(await mem.get("ab12"), { titel: "x" });
+    assert.equal(cacheTtl({}), 7 * 24 * 3600);
+    assert.equal(cacheTtl({ TRANSLATION_CACHE_TTL: "3600" }), 3600);
+    assert.equal(cacheTtl({ TRANSLATION_CACHE_TTL: "-1" }), 7 * 24 * 3600);
+  });
+
+  test("Blobs when deployed, so every instance sees the same cache", () => {
+    assert.equal(cacheStoreKind({}), "memory");
+    assert.equal(cacheStoreKind({ NETLIFY_DEV: "true", AWS_LAMBDA_FUNCTION_NAME: "translate" }), "memory");
+    assert.equal(cacheStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "translate" }), "blobs");
+    assert.equal(cacheStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "translate", TRANSLATION_CACHE: "Off" }), "off");
+  });
+
+  test("an expired Blobs entry is deleted when it is read", async () => {
+    const blobs = fakeBlobs();
+    const s = createBlobsStore({ blobs });
+    await s.set("ab12", { titel: "Pannkakor" }, -1);
+    assert.equal(blobs.blobs.size, 1);
+    assert.equal(await s.get("ab12"), null);
+    await sleep(0);
+    assert.equal(blobs.blobs.size, 0);
+  });
+});
+
+// ── /api/translate ────────────────────────────────────────────────────────────
+describe("POST /api/translate with the cache on", () => {
+  let translate;
+  beforeEach(() => { translate = freshRequire("netlify/functions/translate.js"); mockDns(); });
+  afterEach(() => { restoreFetch(); restoreDns(); });
+
+  const post = (body, opts = {}) =>
+    translate.handler(event({ ...opts, body: { token: makeToken(), ...OPTIONS, ...body } }));
+
+  function backend() {
+    return mockFetch(url => {
+      if (url === MISTRAL) return chatReply(JSON.stringify(RECIPE));
+      if (url.startsWith(PAGE_URL)) return htmlResponse(PAGE);
+      throw new Error("unexpected fetch " + url);
+    });
+  }
+  const modelCalls = calls => calls.filter(c => c.url === MISTRAL).length;
+
+  test("a repeated request is answered from the cache without a model call", async () => {
+    const calls = backend();
+    const first = parse(await post({ type: "text", content: TEXT }));
+    assert.equal(first.cached, undefined);
+    const again = parse(await post({ type: "text", content: TEXT + "  " }));
+    assert.equal(again.cached, true);
+    assert.deepEqual(again.recipe, first.recipe);
+    assert.equal(modelCalls(calls), 1);
+    // Another target language is another translation
+    assert.equal(parse(await post({ type: "text", content: TEXT, targetLanguage: "German" })).cached, undefined);
+    assert.equal(modelCalls(calls), 2);
+  });
+
+  test("a shared link with tracking parameters hits the cached page", async () => {
+    const calls = backend();
+    await post({ type: "url", url: PAGE_URL });
+    const again = parse(await post({ type: "url", url: "https://www.recipes.example.com/pancakes?utm_source=pin#recipe" }));
+    assert.equal(again.cached, true);
+    assert.equal(calls.length, 2); // the page and one model call, both for the first request
+  });
+
+  test("cache hits do not use up the per-IP limit", async () => {
+    const calls = backend();
+    const ip = "198.51.100.20";
+    assert.equal((await post({ type: "text", content: TEXT }, { ip })).statusCode, 200);
+    for (let i = 0; i < 10; i++) {
+      const res = await post({ type: "text", content: TEXT }, { ip });
+      assert.equal(res.statusCode, 200);
+      assert.equal(parse(res).cached, true);
+    }
+    // Seven more new translations fit in the limit of eight
+    for (let i = 0; i < 7; i++)
+      assert.equal((await post({ type: "text", content: TEXT + " " + i }, { ip })).statusCode, 200);
+    assert.equal((await post({ type: "text", content: TEXT + " more" }, { ip })).statusCode, 429);
+    assert.equal(modelCalls(calls), 8);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * public/cooking.js — timers read from step text in the recipe's language,
+ * and the spoken commands of cooking mode.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const C = require("../public/cooking");
+
+const found = (text, lang) => C.findDurations(text, lang).map(d => [d.label, d.seconds]);
+
+// ── Durations ─────────────────────────────────────────────────────────────────
+describe("findDurations", () => {
+  test("numbers, ranges and fractions in the recipe's language", () => {
+    assert.deepEqual(found("Grädda 9–11 minuter. Låt vila 1 ½ timme.", "Swedish"), [["9–11 minuter", 540], ["1 ½ timme", 5400]]);
+    assert.deepEqual(found("Bake for 25 to 30 minutes, then rest 1/2 hour.", "English"), [["25 to 30 minutes", 1500], ["1/2 hour", 1800]]);
+    assert.deepEqual(found("Backen Sie 1,5 Std. und lassen Sie 10 Sek. stehen", "German"), [["1,5 Std", 5400], ["10 Sek", 10]]);
+    assert.deepEqual(found("Cuire 5 à 7 min.", "french"), [["5 à 7 min", 300]]);
+  });
+
+  test("number words for one and half an hour, as the language says them", () => {
+    assert.deepEqual(found("Låt jäsa en timme, sedan en halv timme till.", "Swedish"), [["en timme", 3600], ["en halv timme", 1800]]);
+    assert.deepEqual(found("Lad hæve en time", "Danish"), [["en time", 3600]]);
+    assert.deepEqual(found("Simmer one hour, then half an hour uncovered.", "English"), [["one hour", 3600], ["half an hour", 1800]]);
+    assert.deepEqual(found("Dejar reposar una hora y media hora más.", "Spanish"), [["una hora", 3600], ["media hora", 1800]]);
+  });
+
+  test("articles are not numbers, and other languages' units are not units", () => {
+    assert.deepEqual(found("Add the eggs one at a time.", "English"), []);
+    assert.deepEqual(found("Simmer for an hour.", "English"), []);
+    assert.deepEqual(found("Ajouter un à un les œufs, cuire à feu doux", "French"), []);
+    // "time" is an hour in Danish and Norwegian only
+    assert.deepEqual(found("Rør en ad gangen, 2 time", "Norwegian"), [["2 time", 7200]]);
+    assert.deepEqual(found("Stir 2 time", "English"), []);
+  });
+
+  test("a language without its own words gets digits and h/min/s", () => {
+    assert.deepEqual(found("Pieczemy 40 min, potem 1 h", "Polish"), [["40 min", 2400], ["1 h", 3600]]);
+    assert.deepEqual(found("Piec jedną godzinę", "Polish"), []);
+  });
+
+  test("nothing over a day, nothing that is part of a word or number", () => {
+    assert.deepEqual(found("Marinate 48 hours", "English"), []);
+    assert.deepEqual(found("Turn the 3 hourglasses, wait 3.5 h", "English"), [["3.5 h", 12600]]);
+    assert.deepEqual(found("", "Swedish"), []);
+    assert.deepEqual(found(null), []);
+  });
+});
+
+describe("formatClock", () => {
+  test("minutes and seconds, hours when there are any", () => {
+    assert.equal(C.formatClock(65), "1:05");
+    assert.equal(C.formatClock(3725), "1:02:05");
+    assert.equal(C.formatClock(-3), "0:00");
+  });
+});
+
+// ── Voice commands ────────────────────────────────────────────────────────────
+describe("matchVoiceCommand", () => {
+  test("commands in any UI language, as whole words", () => {
+    assert.equal(C.matchVoiceCommand("Nästa steg"), "next");
+    assert.equal(C.matchVoiceCommand("zurück bitte"), "prev");
+    assert.equal(C.matchVoiceCommand("répète"), "repeat");
+    assert.equal(C.matchVoiceCommand("start the timer"), "timer");
+    assert.equal(C.matchVoiceCommand("nextdoor"), null);
+    assert.equal(C.matchVoiceCommand(""), null);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Translation glossaries (lib/glossary.js) — one data file per target
+ * language, the user's own entries, how both end up in the system prompt and
+ * the check that a translation used them, through /api/translate.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { freshRequire, event, parse, makeToken, mockFetch, restoreFetch, chatReply, RECIPE } = require("./helpers");
+const { glossaryFor, userGlossary, glossaryEntries, glossarySection } = require("../netlify/lib/glossary");
+const { checkRecipe } = require("../netlify/lib/quality");
+const { buildSystemPrompt } = require("../netlify/lib/translation");
+
+process.env.TOKEN_SECRET      = "test-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "off";
+
+const MISTRAL = "https://api.mistral.ai/v1/chat/completions";
+
+// The target languages index.html offers
+const LANGS = ["Swedish", "English", "Danish", "Norwegian", "Finnish", "German", "French", "Spanish", "Italian",
+  "Dutch", "Portuguese", "Polish", "Russian", "Greek", "Turkish", "Japanese", "Chinese", "Korean", "Thai",
+  "Arabic", "Hindi"];
+
+const CREAM = {
+  ...RECIPE,
+  ingredienser: [
+    { grupp: "", mangd: "1 tsk", ingrediens: "bakpulver", original: "1 tsp baking soda" },
+    { grupp: "", mangd: "2 dl", ingrediens: "grädde", original: "1 cup heavy cream" },
+    { grupp: "", mangd: "3", ingrediens: "salladslökar", original: "3 scallions" },
+  ],
+  steg: ["Låt svalna på ett galler.", "Vispa grädden."],
+  stegOriginal: ["Cool on a wire rack.", "Whip the heavy cream."],
+};
+
+// ── Data ──────────────────────────────────────────────────────────────────────
+describe("glossary files", () => {
+  test("every target language has one, in the shape the prompt and check expect", () => {
+    for (const lang of LANGS) {
+      const g = glossaryFor(lang);
+      assert.ok(g, lang);
+      assert.equal(g.language, lang);
+      assert.ok(g.heading && g.sections.length, lang);
+      for (const s of g.sections) {
+        assert.ok(s.name, lang);
+        if (s.entries) for (const e of s.entries)
+          assert.ok(e.length >= 2 && e.length <= 3 && e.every(x => typeof x === "string" && x.trim()), lang + ": " + e);
+        else assert.ok(s.from === "substitutions" || Array.isArray(s.rules), lang + ": " + s.name);
+      }
+    }
+    assert.equal(glossaryFor("swedish"), glossaryFor("Swedish"));
+    assert.equal(glossaryFor("Klingon"), null);
+  });
+
+  test("the prompt lists the language's terms and the user's after them", () => {
+    const user = [{ source: "heavy cream", target: "vispgrädde 40%" }];
+    const sv = buildSystemPrompt("Swedish", "metric", user);
+    assert.match(sv, /SVENSK KOKSSVENSKA/);
+    assert.match(sv, /- baking soda -> bikarbonat \(EJ bakpulver!\)/);
+    assert.match(sv, /USER GLOSSARY[^\n]*\n- heavy cream -> vispgrädde 40%/);
+    assert.ok(!sv.includes("VOCABULARY GUIDANCE"));
+
+    const de = buildSystemPrompt("German", "metric");
+    assert.match(de, /VOCABULARY GUIDANCE/);
+    assert.match(de, /- baking soda -> Natron \(NICHT Backpulver!\)/);
+    assert.ok(!de.includes("USER GLOSSARY"));
+    // A language without a file still gets the user's entries
+    assert.equal(glossarySection("Klingon", user), "USER GLOSSARY - the user's own terms; they override the lists above:\n" +
+      "- heavy cream -> vispgrädde 40%");
+  });
+});
+
+// ── User entries ──────────────────────────────────────────────────────────────
+describe("userGlossary", () => {
+  test("keeps single-line entries, once each and at most 50", () => {
+    assert.deepEqual(userGlossary([
+      { source: " heavy\ncream ", target: "vispgrädde 40%" },
+      { source: "Heavy Cream", target: "grädde" },
+      { source: "", target: "x" },
+      { source: "x".repeat(100), target: "y".repeat(100) },
+      "stray", null,
+    ]), [
+      { source: "heavy cream", target: "vispgrädde 40%" },
+      { source: "x".repeat(60), target: "y".repeat(80) },
+    ]);
+    assert.deepEqual(userGlossary("heavy cream=grädde"), []);
+    assert.equal(userGlossary(Array.from({ length: 80 }, (_, i) => ({ source: "t" + i, target: "u" }))).length, 50);
+  });
+
+  test("a user entry replaces the built-in one for the same term", () => {
+    const entries = glossaryEntries("Swedish", [{ source: "heavy cream", target: "vispgrädde 40%" }]);
+    assert.deepEqual(entries.filter(e => /heavy cream/.test(e.source)), [
+      { source: "heavy cream", target: "vispgrädde 40%", user: true },
+    ]);
+    // Techniques are for the prompt only
+    assert.ok(!entries.some(e => e.source === "knead"));
+  });
+});
+
+// ── Check ─────────────────────────────────────────────────────────────────────
+describe("glossary check", () => {
+  test("finds source terms rendered some other way, in ingredients and steps", () => {
+    const problems = checkRecipe(CREAM, { targetLanguage: "Swedish", measurementSystem: "imperial" })
+      .filter(p => p.code === "glossary");
+    assert.deepEqual(problems, [
+      { code: "glossary", field: "ingredienser[0].ingrediens", term: "baking soda", expected: "bikarbonat" },
+      { code: "glossary", field: "ingredienser[1].ingrediens", term: "heavy cream", expected: "vispgrädde" },
+      { code: "glossary", field: "steg[1]", term: "heavy cream", expected: "vispgrädde" },
+    ]);
+  });
+
+  test("inflected and plural forms count; the user's target is checked instead", () => {
+    const fixed = {
+      ...CREAM,
+      ingredienser: [
+        { grupp: "", mangd: "1 tsk", ingrediens: "bikarbonat", original: "1 tsp baking soda" },
+        { grupp: "", mangd: "2 dl", ingrediens: "vispgrädde", original: "1 cup heavy cream" },
+        { grupp: "", mangd: "3", ingrediens: "salladslökar", original: "3 scallions" },
+      ],
+      steg: ["Låt svalna på gallret.", "Vispa vispgrädden."],
+    };
+    const glossary = c => checkRecipe(fixed, { targetLanguage: "Swedish", measurementSystem: "imperial", glossary: c })
+      .filter(p => p.code === "glossary");
+    assert.deepEqual(glossary([]), []);
+    assert.deepEqual(glossary([{ source: "heavy cream", target: "vispgrädde 40%" }]).map(p => p.field),
+      ["ingredienser[1].ingrediens", "steg[1]"]);
+    // Without the source lines there is nothing to compare
+    const { stegOriginal, ...bare } = CREAM;
+    assert.deepEqual(checkRecipe({ ...bare, ingredienser: bare.ingredienser.map(({ original, ...i }) => i) },
+      { targetLanguage: "Swedish", measurementSystem: "imperial" }).filter(p => p.code === "glossary"), []);
+  });
+});
+
+// ── /api/translate ────────────────────────────────────────────────────────────
+describe("POST /api/translate with a glossary", () => {
+  let translate;
+  beforeEach(() => { translate = freshRequire("netlify/functions/translate.js"); });
+  afterEach(() => restoreFetch());
+
+  test("sends the user's entries to the model and reports what it still got wrong", async () => {
+    // The model copies each step next to its translation
+    const { stegOriginal, ...rest } = CREAM;
+    const reply = { ...rest, steg: rest.steg.map((text, i) => ({ text, original: stegOriginal[i] })) };
+    const calls = mockFetch(url => {
+      if (url === MISTRAL) return chatReply(JSON.stringify(reply));
+      throw new Error("unexpected fetch " + url);
+    });
+    const res = await translate.handler(event({ body: {
+      token: makeToken(), type: "text", content: "Cream\n1 tsp baking soda\n1 cup heavy cream\n3 scallions\nWhip the heavy cream.",
+      targetLanguage: "Swedish", measurementSystem: "imperial",
+      glossary: [{ source: "heavy cream", target: "vispgrädde 40%" }],
+    } }));
+    const { recipe } = parse(res);
+    assert.equal(calls.length, 2);
+    assert.match(calls[0].body.messages[0].content, /- heavy cream -> vispgrädde 40%/);
+    assert.match(calls[1].body.messages[1].content, /ingredienser\[1\]\.ingrediens: "heavy cream" must be translated as "vispgrädde 40%"/);
+    assert.deepEqual(recipe.warnings.filter(w => w.code === "glossary").map(w => [w.field, w.expected]), [
+      ["ingredienser[0].ingrediens", "bikarbonat"],
+      ["ingredienser[1].ingrediens", "vispgrädde 40%"],
+      ["steg[1]", "vispgrädde 40%"],
+    ]);
+  });
+});
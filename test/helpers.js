@@ -0,0 +1,141 @@
+/**
+ * Shared helpers for the function tests: synthetic Netlify events, scriptable
+ * fetch and DNS mocks, and real HMAC tokens.
+ */
+const crypto = require("crypto");
+const dns    = require("dns");
+const path   = require("path");
+
+const ROOT   = path.join(__dirname, "..");
+const ORIGIN = "http://localhost:8888";
+
+// Loads a function or lib module with a clean module cache, so in-memory
+// state (rate limiter, nonce store, translation cache) starts empty.
+function freshRequire(rel) {
+  for (const k of Object.keys(require.cache))
+    if (k.startsWith(path.join(ROOT, "netlify"))) delete require.cache[k];
+  return require(path.join(ROOT, rel));
+}
+
+let ipCounter = 0;
+// Each call gets its own client IP unless one is given, so tests do not
+// share rate-limit windows.
+function event({ method = "POST", body, headers = {}, ip } = {}) {
+  return {
+    httpMethod: method,
+    headers: {
+      "origin": ORIGIN,
+      "content-type": "application/json",
+      "x-forwarded-for": ip || "203.0.113." + (++ipCounter % 250),
+      ...headers,
+    },
+    body: body === undefined ? undefined : (typeof body === "string" ? body : JSON.stringify(body)),
+  };
+}
+
+function parse(res) {
+  return JSON.parse(res.body);
+}
+
+// ── Tokens ────────────────────────────────────────────────────────────────────
+function makeToken(secret = process.env.TOKEN_SECRET, { exp, nonce } = {}) {
+  nonce = nonce || crypto.randomBytes(16).toString("hex");
+  exp   = exp   || Math.floor(Date.now() / 1000) + 300;
+  const sig = crypto.createHmac("sha256", secret).update(`${nonce}:${exp}`).digest("hex");
+  return { nonce, exp, sig };
+}
+
+// ── fetch mock ────────────────────────────────────────────────────────────────
+// route(url, init) returns a Response (or throws to simulate network errors).
+// Every call is recorded in the returned array, with a JSON body parsed and
+// any other body (SSML) as it was sent.
+const realFetch = global.fetch;
+
+function parseBody(body) {
+  try { return JSON.parse(body); } catch { return body; }
+}
+
+function mockFetch(route) {
+  const calls = [];
+  global.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init, body: init.body ? parseBody(init.body) : null });
+    return route(String(url), init);
+  };
+  return calls;
+}
+
+function restoreFetch() {
+  global.fetch = realFetch;
+}
+
+// ── DNS mock ──────────────────────────────────────────────────────────────────
+// resolve(host) returns an address or a list of addresses; throwing
+// simulates NXDOMAIN. Used by lib/safe-fetch.js before every page fetch.
+const realLookup = dns.promises.lookup;
+
+function mockDns(resolve = () => "93.184.215.14") {
+  dns.promises.lookup = async (host) => {
+    const out = await resolve(host);
+    return [].concat(out).map(address => ({ address, family: address.includes(":") ? 6 : 4 }));
+  };
+}
+
+function restoreDns() {
+  dns.promises.lookup = realLookup;
+}
+
+function redirectResponse(location, status = 302) {
+  return new Response(null, { status, headers: { location } });
+}
+
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { "content-type": "application/json" } });
+}
+
+function htmlResponse(html, { status = 200, type = "text/html; charset=utf-8" } = {}) {
+  return new Response(html, { status, headers: { "content-type": type } });
+}
+
+// Chat-completions reply as Mistral and OpenAI send it
+function chatReply(content) {
+  return jsonResponse({ choices: [{ message: { role: "assistant", content } }] });
+}
+
+// The same reply streamed (stream: true) as server-sent events, a few
+// characters per chunk
+function chatStream(content, { size = 16 } = {}) {
+  const frames = [];
+  for (let i = 0; i < content.length; i += size)
+    frames.push("data: " + JSON.stringify({ choices: [{ delta: { content: content.slice(i, i + size) } }] }) + "\n\n");
+  frames.push("data: [DONE]\n\n");
+  const bytes = frames.map(f => new TextEncoder().encode(f));
+  return new Response(new ReadableStream({
+    pull(controller) { bytes.length ? controller.enqueue(bytes.shift()) : controller.close(); },
+  }), { headers: { "content-type": "text/event-stream" } });
+}
+
+function abortError() {
+  const e = new Error("The operation was aborted");
+  e.name = "AbortError";
+  return e;
+}
+
+// A minimal model answer that passes validateRecipe
+const RECIPE = {
+  titel: "Pannkakor",
+  beskrivning: "Tunna pannkakor.",
+  detectedLanguage: "engelska",
+  meta: { portioner: "4", totaltid: "30 minuter", svarighetsgrad: "Lätt" },
+  ingredienser: [
+    { grupp: "", mangd: "1 cup", ingrediens: "vetemjöl" },
+    { grupp: "", mangd: "2", ingrediens: "ägg" },
+  ],
+  steg: ["Vispa ihop allt.", "Stek i smör."],
+  noteringar: "",
+};
+
+module.exports = {
+  ORIGIN, freshRequire, event, parse, makeToken,
+  mockFetch, restoreFetch, mockDns, restoreDns,
+  redirectResponse, jsonResponse, htmlResponse, chatReply, chatStream, abortError, RECIPE,
+};
@@ -0,0 +1,205 @@
+/**
+ * lib/llm-providers.js — failover between providers on rate limits, quota,
+ * timeouts and server errors within one deadline, no failover once a reply
+ * is streaming, and the request and reply shapes of the OpenAI-style and
+ * Ollama APIs.
+ */
+const { test, describe, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockFetch, restoreFetch, jsonResponse, chatReply, chatStream, abortError } = require("./helpers");
+const {
+  getProviders, completeWithFailover, mistralProvider, openaiProvider, ollamaProvider, fakeProvider, CANNED_RECIPE,
+} = require("../netlify/lib/llm-providers");
+
+const MISTRAL  = "https://api.mistral.ai/v1/chat/completions";
+const MESSAGES = [{ role: "system", content: "Translate." }, { role: "user", content: "Pancakes" }];
+const FAKE     = JSON.stringify(CANNED_RECIPE);
+
+const mistral = () => mistralProvider({ MISTRAL_API_KEY: "test-key" });
+const fake    = () => fakeProvider({});
+
+afterEach(() => restoreFetch());
+
+// ── Failover ──────────────────────────────────────────────────────────────────
+describe("completeWithFailover", () => {
+  for (const [what, answer] of [
+    ["rate limited (429)",  () => jsonResponse({ message: "Requests rate limit exceeded" }, 429)],
+    ["out of quota (402)",  () => jsonResponse({}, 402)],
+    ["usage exceeded",      () => jsonResponse({ error: { code: "usage_exceeded" } }, 403)],
+    ["a server error",      () => jsonResponse({}, 503)],
+    ["timed out",           () => { throw abortError(); }],
+    ["unreachable",         () => { throw new TypeError("fetch failed"); }],
+  ]) {
+    test("tries the next provider when the first is " + what, async (t) => {
+      t.mock.method(console, "warn", () => {});
+      const calls = mockFetch(answer);
+      assert.equal(await completeWithFailover({ messages: MESSAGES }, [mistral(), fake()]), FAKE);
+      assert.equal(calls.length, 1);
+      assert.match(console.warn.mock.calls[0].arguments.join(" "), /^\[llm\] mistral unavailable: Mistral API:/);
+    });
+  }
+
+  test("a provider without a key is skipped", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const calls = mockFetch(() => { throw new Error("no request expected"); });
+    assert.equal(await completeWithFailover({ messages: MESSAGES }, [mistralProvider({}), fake()]), FAKE);
+    assert.equal(calls.length, 0);
+  });
+
+  test("a bad key (401) or a bad request is reported at once", async () => {
+    for (const [status, error] of [[401, /^Mistral API: ogiltig nyckel\. Kontrollera MISTRAL_API_KEY\./], [400, /^Mistral API: fel 400\./]]) {
+      let fakeCalled = false;
+      const spy = { ...fake(), complete: async () => { fakeCalled = true; return FAKE; } };
+      mockFetch(() => jsonResponse({}, status));
+      await assert.rejects(completeWithFailover({ messages: MESSAGES }, [mistral(), spy]), err => {
+        assert.match(err.message, error);
+        assert.equal(err.status, status);
+        return true;
+      });
+      assert.equal(fakeCalled, false);
+    }
+  });
+
+  test("when every provider fails, the last error is the one reported", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    mockFetch(url => url === MISTRAL ? jsonResponse({}, 429) : jsonResponse({}, 502));
+    const openai = openaiProvider({ OPENAI_API_KEY: "sk-test" });
+    await assert.rejects(completeWithFailover({ messages: MESSAGES }, [mistral(), openai]), { message: /^OpenAI API: fel 502\./ });
+  });
+
+  test("one deadline covers every attempt: after a timeout no provider is tried", async () => {
+    // A request that hangs until it is aborted
+    const calls = mockFetch((url, init) => new Promise((_, reject) =>
+      init.signal.addEventListener("abort", () => reject(abortError()))));
+    const started = Date.now();
+    const openai = openaiProvider({ OPENAI_API_KEY: "sk-test" });
+    await assert.rejects(completeWithFailover({ messages: MESSAGES, deadline: started + 50 }, [mistral(), openai]),
+      { message: /^Mistral API: request timed out\./ });
+    assert.equal(calls.length, 1);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  test("streaming fails over before the first piece of text, not after", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    // Refused before any text: the fake provider streams the reply instead
+    mockFetch(() => jsonResponse({}, 429));
+    let pieces = [];
+    assert.equal(await completeWithFailover({ messages: MESSAGES, onDelta: d => pieces.push(d) }, [mistral(), fake()]), FAKE);
+    assert.equal(pieces.join(""), FAKE);
+
+    // Cut off halfway: the text already shown cannot be taken back
+    const frame = 'data: {"choices":[{"delta":{"content":"{\\"titel\\":"}}]}\n\n';
+    mockFetch(() => new Response(new ReadableStream({
+      start(controller) { controller.enqueue(new TextEncoder().encode(frame)); },
+      pull(controller) { controller.error(new TypeError("terminated")); },
+    })));
+    pieces = [];
+    let fakeCalled = false;
+    const spy = { ...fake(), complete: async () => { fakeCalled = true; return FAKE; } };
+    await assert.rejects(completeWithFailover({ messages: MESSAGES, onDelta: d => pieces.push(d) }, [mistral(), spy]),
+      { message: /^Mistral API: network error\./ });
+    assert.deepEqual(pieces, ['{"titel":']);
+    assert.equal(fakeCalled, false);
+  });
+});
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+describe("getProviders", () => {
+  test("LLM_PROVIDERS in order; unknown names are dropped, none means Mistral", () => {
+    assert.deepEqual(getProviders({ LLM_PROVIDERS: "ollama, fake,Mistral" }).map(p => p.name), ["ollama", "fake", "mistral"]);
+    assert.deepEqual(getProviders({ LLM_PROVIDERS: "claude" }).map(p => p.name), ["mistral"]);
+    assert.deepEqual(getProviders({}).map(p => p.name), ["mistral"]);
+  });
+
+  test("the fake provider answers FAKE_LLM_RESPONSE without the network", async () => {
+    mockFetch(() => { throw new Error("no request expected"); });
+    const [p] = getProviders({ LLM_PROVIDERS: "fake", FAKE_LLM_RESPONSE: '{"titel":"Test"}' });
+    assert.equal(await p.complete({ messages: MESSAGES }), '{"titel":"Test"}');
+  });
+});
+
+// ── Request and reply shapes ──────────────────────────────────────────────────
+describe("OpenAI-compatible provider", () => {
+  const openai = () => openaiProvider({
+    OPENAI_BASE_URL: "https://llm.example.com/v1/", OPENAI_API_KEY: "sk-test",
+    OPENAI_TEXT_MODEL: "text-model", OPENAI_VISION_MODEL: "vision-model",
+  });
+
+  test("posts chat completions with the key, model and JSON mode", async () => {
+    const calls = mockFetch(() => chatReply('{"titel":"Pannkakor"}'));
+    assert.equal(await openai().complete({ messages: MESSAGES }), '{"titel":"Pannkakor"}');
+    assert.equal(calls[0].url, "https://llm.example.com/v1/chat/completions");
+    assert.equal(calls[0].init.headers.Authorization, "Bearer sk-test");
+    assert.deepEqual(calls[0].body, {
+      model: "text-model", messages: MESSAGES, temperature: 0.10, max_tokens: 3500,
+      response_format: { type: "json_object" },
+    });
+
+    await openai().complete({ messages: MESSAGES, vision: true, useJsonMode: false });
+    assert.equal(calls[1].body.model, "vision-model");
+    assert.equal(calls[1].body.response_format, undefined);
+  });
+
+  test("streams server-sent events to onDelta", async () => {
+    const calls = mockFetch(() => chatStream('{"titel":"Pannkakor"}', { size: 5 }));
+    const pieces = [];
+    assert.equal(await openai().complete({ messages: MESSAGES, onDelta: d => pieces.push(d) }), '{"titel":"Pannkakor"}');
+    assert.equal(calls[0].body.stream, true);
+    assert.deepEqual(pieces, ['{"tit', 'el":"', "Pannk", 'akor"', "}"]);
+  });
+
+  test("a reply without text is an error", async () => {
+    mockFetch(() => jsonResponse({ choices: [] }));
+    await assert.rejects(openai().complete({ messages: MESSAGES }), { message: "Could not parse model response." });
+  });
+});
+
+describe("Ollama provider", () => {
+  const ollama = () => ollamaProvider({ OLLAMA_URL: "http://ollama.local:11434/", OLLAMA_TEXT_MODEL: "llama3.1", OLLAMA_VISION_MODEL: "llava" });
+
+  test("posts to /api/chat with images as bare base64 on the message", async () => {
+    const calls = mockFetch(() => jsonResponse({ message: { role: "assistant", content: '{"titel":"Pannkakor"}' } }));
+    const messages = [
+      { role: "system", content: "Translate." },
+      { role: "user", content: [
+        { type: "text", text: "Read the page." },
+        { type: "image_url", image_url: { url: "data:image/jpeg;base64,QUJD" } },
+      ] },
+    ];
+    assert.equal(await ollama().complete({ messages, vision: true }), '{"titel":"Pannkakor"}');
+    assert.equal(calls[0].url, "http://ollama.local:11434/api/chat");
+    assert.deepEqual(calls[0].body, {
+      model: "llava",
+      messages: [{ role: "system", content: "Translate." }, { role: "user", content: "Read the page.", images: ["QUJD"] }],
+      stream: false, options: { temperature: 0.10, num_predict: 3500 }, format: "json",
+    });
+  });
+
+  test("streams one JSON object per line", async () => {
+    const lines = ['{"message":{"content":"{\\"titel\\":"}}', '{"message":{"content":"\\"Pannkakor\\"}"}}', '{"done":true}'];
+    mockFetch(() => new Response(lines.join("\n")));
+    const pieces = [];
+    assert.equal(await ollama().complete({ messages: MESSAGES, onDelta: d => pieces.push(d) }), '{"titel":"Pannkakor"}');
+    assert.deepEqual(pieces, ['{"titel":', '"Pannkakor"}']);
+  });
+
+  test("a bad request is reported at once; busy and server errors let the next provider try", async () => {
+    for (const [status, retryable] of [[400, false], [422, false], [429, true], [503, true]]) {
+      mockFetch(() => jsonResponse({ error: "nope" }, status));
+      await assert.rejects(ollama().complete({ messages: MESSAGES }), err => {
+        assert.equal(err.message, "Ollama API: fel " + status + ".");
+        assert.equal(err.retryable, retryable, String(status));
+        return true;
+      });
+    }
+  });
+
+  test("a missing model says how to pull it, and lets the next provider try", async () => {
+    mockFetch(() => jsonResponse({ error: "model not found" }, 404));
+    await assert.rejects(ollama().complete({ messages: MESSAGES }), err => {
+      assert.equal(err.message, "Ollama API: modellen finns inte. Kor 'ollama pull llama3.1'.");
+      assert.equal(err.retryable, true);
+      return true;
+    });
+  });
+});
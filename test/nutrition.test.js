@@ -0,0 +1,100 @@
+/**
+ * public/nutrition.js — matching ingredients to the food table, weighing
+ * amounts, the estimate per serving at a scale, and what is left out.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const N = require("../public/nutrition");
+
+const PANNKAKOR = {
+  titel: "Pannkakor", _tLang: "Swedish", meta: { portioner: "4 portioner" },
+  ingredienser: [
+    { mangd: "2 ½ dl", ingrediens: "vetemjöl" },
+    { mangd: "6 dl", ingrediens: "mjölk" },
+    { mangd: "3", ingrediens: "ägg" },
+    { mangd: "2 msk", ingrediens: "Smör, smält (till stekning)" },
+    { mangd: "", ingrediens: "salt" },
+  ],
+};
+
+const near = (actual, expected, tolerance = 0.5) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, actual + " ≠ " + expected);
+
+// ── Matching ──────────────────────────────────────────────────────────────────
+describe("matching", () => {
+  test("narrow foods win over broad ones, in Swedish and English", () => {
+    const name = t => (N.matchFood(N.foodName(t)) || {}).namn;
+    assert.equal(name("kokosmjölk"), "Kokosmjölk");
+    assert.equal(name("mjölk"), "Mjölk, 3 %");
+    assert.equal(name("äggulor"), "Äggula");
+    assert.equal(name("vitlöksklyftor, pressade"), "Vitlök");
+    assert.equal(name("gula lökar"), "Gul lök");
+    assert.equal(name("kycklingbuljong"), "Buljong, färdig");
+    assert.equal(name("riven ost"), "Hårdost, 28 %");
+    assert.equal(name("all-purpose flour"), "Vetemjöl");
+    assert.equal(name("färsk basilika"), undefined);
+    assert.equal(name("sockerärtor"), undefined);
+  });
+});
+
+// ── Estimate ──────────────────────────────────────────────────────────────────
+describe("estimate", () => {
+  test("weighs volumes, pieces and spoons and divides by the servings", () => {
+    const est = N.estimate(PANNKAKOR);
+    assert.deepEqual(est.items.map(i => [i.food, Math.round(i.grams)]),
+      [["Vetemjöl", 150], ["Mjölk, 3 %", 618], ["Ägg", 165], ["Smör", 29]]);
+    assert.equal(est.servings, 4);
+    near(est.total.kcal, 150 * 3.43 + 618 * 0.6 + 165 * 1.37 + 28.8 * 7.4);
+    near(est.perServing.kcal, est.total.kcal / 4, 0.01);
+    near(est.perServing.protein, (150 * 10.4 + 618 * 3.4 + 165 * 12.5 + 28.8 * 0.6) / 100 / 4, 0.05);
+  });
+
+  test("weighs every weight unit in grams: kg, hg and g", () => {
+    const est = N.estimate({
+      _tLang: "Swedish", meta: { portioner: "4" },
+      ingredienser: [
+        { mangd: "1 kg", ingrediens: "kycklingfilé" },
+        { mangd: "2 hg", ingrediens: "bacon" },
+        { mangd: "50 g", ingrediens: "smör" },
+      ],
+    });
+    assert.deepEqual(est.items.map(i => [i.food, Math.round(i.grams)]), [["Kycklingfilé", 1000], ["Bacon", 200], ["Smör", 50]]);
+    near(est.total.kcal, 1000 * 1.05 + 200 * 3.3 + 50 * 7.4);
+  });
+
+  test("follows the scale without the rounding of scaled amounts", () => {
+    const one = N.estimate(PANNKAKOR), half = N.estimate(PANNKAKOR, { scale: 0.5 });
+    assert.equal(half.servings, 2);
+    near(half.total.kcal, one.total.kcal / 2, 0.01);
+    near(half.perServing.kcal, one.perServing.kcal, 0.01);
+    // Without servings the values are for the whole recipe
+    const noServings = N.estimate({ ...PANNKAKOR, meta: {} }, { scale: 2 });
+    assert.equal(noServings.perServing, null);
+    near(noServings.total.kcal, one.total.kcal * 2, 0.01);
+  });
+
+  test("lists what it cannot count and what it counted on a guess", () => {
+    const est = N.estimate({
+      _tLang: "German", meta: { portioner: "2" },
+      ingredienser: [
+        { mangd: "", ingrediens: "salt" },
+        { mangd: "1", ingrediens: "Glögg" },
+        { mangd: "1 kruka", ingrediens: "vitlök" },
+        { mangd: "18 cm", ingrediens: "ost" },
+        { mangd: "2–3 dl", ingrediens: "grädde" },
+        { mangd: "1 cup", ingrediens: "Sahne", original: "1 cup heavy cream" },
+      ],
+    });
+    assert.deepEqual(est.missing.map(m => [m.ingrediens, m.reason]),
+      [["salt", "amount"], ["Glögg", "unknown"], ["vitlök", "unit"], ["ost", "unit"]]);
+    assert.deepEqual(est.uncertain.map(m => [m.ingrediens, m.reason]), [["grädde", "range"], ["Sahne", "source"]]);
+    assert.deepEqual(est.items.map(i => Math.round(i.grams)), [250, 237]);
+  });
+
+  test("formats energy whole and grams with the language's decimal mark", () => {
+    assert.equal(N.formatNutrient("kcal", 512.6, "Swedish"), "513 kcal");
+    assert.equal(N.formatNutrient("salt", 1.24, "Swedish"), "1,2 g");
+    assert.equal(N.formatNutrient("salt", 1.24, "English"), "1.2 g");
+    assert.equal(N.formatNutrient("fett", 31.6, "Swedish"), "32 g");
+  });
+});
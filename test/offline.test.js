@@ -0,0 +1,116 @@
+/**
+ * public/offline.js and public/sw.js — the queue of translations asked for
+ * offline, the list of recent translations, and the app shell the service
+ * worker caches.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const O = require("../public/offline");
+
+// The { all, put, delete } store the app backs with IndexedDB
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    all: async () => [...entries.values()],
+    put: async e => { entries.set(e.id, e); },
+    delete: async id => { entries.delete(id); },
+  };
+}
+
+const offline = () => Object.assign(new TypeError("Failed to fetch"), { offline: true });
+const TEXT = { type: "text", content: "\n  Pancakes\n1 cup flour", targetLanguage: "Swedish" };
+const URL_ = { type: "url", url: "https://www.recipes.example.com/pancakes", targetLanguage: "Swedish" };
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+describe("translation queue", () => {
+  test("entries are sent oldest first and leave the queue when answered", async () => {
+    const q = O.createQueue(memoryStore());
+    await q.add(URL_, { srcUrl: URL_.url, now: 2 });
+    await q.add(TEXT, { now: 1 });
+    assert.deepEqual((await q.all()).map(e => e.label), ["Pancakes", "recipes.example.com/pancakes"]);
+
+    const sent = [], done = [];
+    const left = await q.flush(async p => { sent.push(p.type); return { titel: p.type }; },
+      { onDone: (e, recipe) => done.push([e.srcUrl, recipe.titel]) });
+    assert.equal(left, 0);
+    assert.deepEqual(sent, ["text", "url"]);
+    assert.deepEqual(done, [[null, "text"], [URL_.url, "url"]]);
+  });
+
+  test("a network error keeps the rest for later; a refusal drops the entry", async () => {
+    const q = O.createQueue(memoryStore());
+    await q.add(TEXT, { now: 1 });
+    await q.add(URL_, { now: 2 });
+    await q.add({ type: "image", images: [{}, {}] }, { now: 3 });
+    const failed = [];
+    let n = 0;
+    const left = await q.flush(async () => {
+      if (++n === 1) throw new Error("Recipe text too short.");
+      throw offline();
+    }, { onFail: (e, err) => failed.push([e.label, err.message]) });
+    assert.equal(left, 2);
+    assert.deepEqual(failed, [["Pancakes", "Recipe text too short."]]);
+    assert.deepEqual((await q.all()).map(e => e.label), ["recipes.example.com/pancakes", "📷 2"]);
+  });
+
+  test("calls during a run share it, so nothing is sent twice", async () => {
+    const q = O.createQueue(memoryStore());
+    await q.add(TEXT);
+    let calls = 0;
+    const send = () => { calls++; return new Promise(r => setTimeout(() => r({ titel: "x" }), 10)); };
+    assert.deepEqual(await Promise.all([q.flush(send), q.flush(send)]), [0, 0]);
+    assert.equal(calls, 1);
+  });
+
+  test("only failures to reach the server count as offline", () => {
+    assert.equal(O.isNetworkError(offline()), true);
+    assert.equal(O.isNetworkError(new TypeError("NetworkError when attempting to fetch resource.")), true);
+    assert.equal(O.isNetworkError(new TypeError("Cannot read properties of undefined")), false);
+    assert.equal(O.isNetworkError(new Error("Server error 502")), false);
+  });
+});
+
+// ── Recent ────────────────────────────────────────────────────────────────────
+describe("recent translations", () => {
+  const recipe = (titel, lang = "Swedish") => ({ titel, _tLang: lang, ingredienser: [], steg: [] });
+  const at = n => new Date(Date.UTC(2026, 0, 1, 12, n));
+
+  test("newest first, a recipe translated again moves to the top, the oldest go", async () => {
+    const store = memoryStore();
+    await O.addRecent(store, recipe("Soppa"), { now: at(1) });
+    await O.addRecent(store, recipe("Bröd"), { srcUrl: "https://a.example/b", now: at(2) });
+    await O.addRecent(store, recipe("Soppa", "English"), { now: at(3) });
+    await O.addRecent(store, recipe("Soppa"), { now: at(4) });
+    assert.deepEqual((await O.recentList(store)).map(e => e.recipe.titel + "/" + e.recipe._tLang),
+      ["Soppa/Swedish", "Soppa/English", "Bröd/Swedish"]);
+
+    await O.addRecent(store, recipe("Kaka"), { now: at(5), max: 2 });
+    assert.deepEqual((await O.recentList(store)).map(e => e.recipe.titel), ["Kaka", "Soppa"]);
+    assert.equal(store.entries.size, 2);
+  });
+});
+
+// ── App shell ─────────────────────────────────────────────────────────────────
+describe("service worker", () => {
+  const pub = p => path.join(__dirname, "../public", p);
+  const sw = fs.readFileSync(pub("sw.js"), "utf8");
+  const shell = JSON.parse(sw.match(/const SHELL = (\[[\s\S]*?\]);/)[1].replace(/,\s*\]/, "]"));
+
+  test("caches every script and file the page loads, and they all exist", () => {
+    const html = fs.readFileSync(pub("index.html"), "utf8");
+    const loaded = [...html.matchAll(/<(?:script src|link rel="(?:manifest|icon)" href)="([^"]+)"/g)].map(m => m[1]);
+    assert.ok(loaded.length >= 7);
+    for (const file of loaded) assert.ok(shell.includes(file), file + " is not in SHELL");
+    for (const file of shell) if (file !== "/") assert.ok(fs.existsSync(pub(file)), file + " is missing");
+    assert.ok(!/https?:\/\//.test(loaded.join(" ")), "scripts come from other origins");
+  });
+
+  test("the manifest's icons are cached too", () => {
+    const manifest = JSON.parse(fs.readFileSync(pub("manifest.webmanifest"), "utf8"));
+    for (const icon of manifest.icons) assert.ok(shell.includes(icon.src), icon.src);
+    assert.equal(manifest.start_url, "/");
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * public/quantity.js — amounts parsed into numbers, scaled and written back
+ * as text, including the forms regex rewriting used to get wrong: ranges,
+ * mixed and unicode fractions, "ca" prefixes and pan sizes.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const Q = require("../public/quantity");
+
+const q = (min, max, enhet, extra = {}) => ({ min, max, enhet, skalbar: true, prefix: "", suffix: "", ...extra });
+
+// ── Parsing ───────────────────────────────────────────────────────────────────
+describe("parseQuantity", () => {
+  test("plain amounts, decimal commas and counts", () => {
+    assert.deepEqual(Q.parseQuantity("2,4 dl"), q(2.4, 2.4, "dl"));
+    assert.deepEqual(Q.parseQuantity("1.5 cups"), q(1.5, 1.5, "cups"));
+    assert.deepEqual(Q.parseQuantity("200g"), q(200, 200, "g"));
+    assert.deepEqual(Q.parseQuantity("3"), q(3, 3, ""));
+  });
+
+  test("ranges, in either order", () => {
+    assert.deepEqual(Q.parseQuantity("2-3 msk"), q(2, 3, "msk"));
+    assert.deepEqual(Q.parseQuantity("2–3"), q(2, 3, ""));
+    assert.deepEqual(Q.parseQuantity("4 till 2 dl"), q(2, 4, "dl"));
+  });
+
+  test("mixed and unicode fractions", () => {
+    assert.deepEqual(Q.parseQuantity("1 1/2 msk"), q(1.5, 1.5, "msk"));
+    assert.deepEqual(Q.parseQuantity("1½ tsk"), q(1.5, 1.5, "tsk"));
+    assert.deepEqual(Q.parseQuantity("¾ cup"), q(0.75, 0.75, "cup"));
+  });
+
+  test("prefixes and trailing text are kept around the amount", () => {
+    assert.deepEqual(Q.parseQuantity("ca 2 dl"), q(2, 2, "dl", { prefix: "ca " }));
+    assert.deepEqual(Q.parseQuantity("about 1 cup"), q(1, 1, "cup", { prefix: "about " }));
+    assert.deepEqual(Q.parseQuantity("1 burk (400 g)"), q(1, 1, "burk", { suffix: " (400 g)" }));
+    assert.deepEqual(Q.parseQuantity("2 stora"), q(2, 2, "", { suffix: " stora" }));
+  });
+
+  test("sizes and temperatures are not scalable", () => {
+    assert.equal(Q.parseQuantity("18 cm form").skalbar, false);
+    assert.equal(Q.parseQuantity("9 inch").skalbar, false);
+    assert.equal(Q.parseQuantity("200°C").skalbar, false);
+  });
+
+  test("no number: nothing to scale", () => {
+    assert.deepEqual(Q.parseQuantity("efter smak"),
+      { min: null, max: null, enhet: "", skalbar: false, prefix: "efter smak", suffix: "" });
+    assert.equal(Q.parseQuantity("").skalbar, false);
+    assert.equal(Q.parseQuantity("1 lime").enhet, "");
+  });
+});
+
+// ── Scaling ───────────────────────────────────────────────────────────────────
+describe("scaledAmount", () => {
+  const scaled = (mangd, factor, language) => Q.scaledAmount({ mangd }, factor, language);
+
+  test("the forms regex rewriting broke", () => {
+    assert.equal(scaled("2-3 dl", 2), "4–6 dl");
+    assert.equal(scaled("1 1/2 msk", 2), "3 msk");
+    assert.equal(scaled("½ tsk", 3), "1 ½ tsk");
+    assert.equal(scaled("ca 2 dl", 1.5), "ca 3 dl");
+    assert.equal(scaled("1 burk (400 g)", 2), "2 burk (400 g)");
+    assert.equal(scaled("18 cm form", 2), "18 cm form");
+    assert.equal(scaled("efter smak", 2), "efter smak");
+  });
+
+  test("decimals follow the language", () => {
+    assert.equal(scaled("1,1 dl", 2), "2,2 dl");
+    assert.equal(scaled("1.1 cups", 2, "English"), "2.2 cups");
+    assert.equal(scaled("1.1 dl", 2, "Swedish"), "2,2 dl");
+  });
+
+  test("a kvantitet from the server wins over the text", () => {
+    const ing = { mangd: "2 dl", kvantitet: q(2, 2, "dl", { prefix: "ca " }) };
+    assert.equal(Q.scaledAmount(ing, 2), "ca 4 dl");
+    assert.equal(Q.scaledAmount(ing, 1), "2 dl");
+  });
+});
+
+// ── Units after scaling ───────────────────────────────────────────────────────
+describe("normalizing scaled amounts", () => {
+  const scaled = (mangd, factor, language = "Swedish") => Q.scaledAmount({ mangd }, factor, language);
+
+  test("metric amounts move to the unit a cook would use", () => {
+    assert.equal(scaled("8 msk", 2), "2,4 dl");
+    assert.equal(scaled("600 g", 2), "1,2 kg");
+    assert.equal(scaled("5 dl", 2), "1 l");
+    assert.equal(scaled("1 dl", 0.25), "1 ½ msk");
+    assert.equal(scaled("ca 2–3 msk", 4), "ca 1,2–1,8 dl");
+  });
+
+  test("metric amounts are written as decimals, not fractions", () => {
+    assert.equal(scaled("250 ml", 3), "7,5 dl");
+    assert.equal(scaled("1,5 kg", 1.5), "2,3 kg");
+    assert.equal(scaled("250 ml", 3, "English"), "750 ml");
+    assert.equal(scaled("1 ½ msk", 1), "1 ½ msk");
+  });
+
+  test("spoons follow the recipe's language", () => {
+    assert.equal(scaled("8 ss", 2, "Norwegian"), "2,4 dl");
+    assert.equal(scaled("8 EL", 2, "German"), "240 ml");
+    assert.equal(scaled("8 msk", 2, "English"), "16 msk");
+  });
+
+  test("counted things round to halves, then whole numbers", () => {
+    assert.equal(scaled("2", 0.375), "1");
+    assert.equal(scaled("3", 0.5), "1 ½");
+    assert.equal(scaled("4 st", 0.9), "4 st");
+    assert.equal(scaled("1 burk (400 g)", 0.2), "½ burk (400 g)");
+  });
+
+  test("eggs come whole", () => {
+    const egg = (mangd, ingrediens, factor) => Q.scaledAmount({ mangd, ingrediens }, factor, "Swedish");
+    assert.equal(egg("3", "ägg", 0.5), "2");
+    assert.equal(egg("3 st", "stora ägg", 0.5), "2 st");
+    assert.equal(egg("1", "egg", 0.25), "1");
+    assert.equal(egg("3", "Eier", 0.5), "2");
+    assert.equal(egg("3", "lök", 0.5), "1 ½");
+  });
+
+  test("imperial amounts scale without changing unit", () => {
+    assert.equal(scaled("1 cup", 3, "English"), "3 cup");
+    assert.equal(scaled("3/4 cups", 2, "English"), "1 ½ cups");
+  });
+
+  test("the scaled ingredient carries its new kvantitet", () => {
+    const ing = Q.scaleIngredient({ grupp: "", mangd: "8 msk", ingrediens: "mjöl" }, 2, "Swedish");
+    assert.equal(ing.mangd, "2,4 dl");
+    assert.deepEqual(ing.kvantitet, q(2.4, 2.4, "dl"));
+  });
+});
+
+// ── Portions and review ───────────────────────────────────────────────────────
+describe("portions", () => {
+  test("the number of servings a recipe starts with", () => {
+    assert.equal(Q.portionsOf("24 st"), 24);
+    assert.equal(Q.portionsOf("4–6 portioner"), 4);
+    assert.equal(Q.portionsOf("en form"), null);
+  });
+
+  test("24 cookies to 9", () => {
+    assert.equal(Q.scalePortions("24 st", 9 / 24), "9 st");
+    assert.equal(Q.scalePortions("4–6 portioner", 1.5), "6–9 portioner");
+    assert.equal(Q.scalePortions("1 limpa", 0.25), "1 limpa");
+  });
+
+  test("baking times, pan sizes and unscalable amounts are flagged", () => {
+    const review = Q.scaleReview({
+      ingredienser: [{ mangd: "2 dl" }, { mangd: "1 springform, 24 cm" }, { mangd: "24 cm" }],
+      steg: ["Vispa ägg och socker.", "Grädda i ugnen ca 40 min.", "Häll i en form, 20x30 cm.", "Låt vila 30 min."],
+      noteringar: "Passar i en 18 cm form.",
+    });
+    assert.deepEqual(review, { steg: [1, 2], noteringar: true, ingredienser: [2] });
+  });
+});
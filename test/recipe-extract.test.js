@@ -0,0 +1,154 @@
+/**
+ * lib/recipe-extract.js — the recipe read out of a page's structured data:
+ * JSON-LD with HowToSection steps, schema.org microdata, WP Recipe Maker and
+ * Tasty Recipes markup, and plain text when there is none.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractRecipe, htmlToText, formatDuration } = require("../netlify/lib/recipe-extract");
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+const page = body => `<!doctype html><html><head><title>Blog</title></head><body>
+<p>My grandmother always said… (a long story)</p>${body}<div class="comments">Great recipe!</div></body></html>`;
+
+const JSONLD = page(`<script type="application/ld+json">${JSON.stringify({
+  "@context": "https://schema.org",
+  "@graph": [
+    { "@type": "WebPage", name: "Blog" },
+    {
+      "@type": ["Recipe", "NewsArticle"], name: "Lemon &amp; Poppy Seed Cake", recipeYield: ["8", "8 slices"],
+      prepTime: "PT20M", cookTime: "PT1H5M",
+      recipeIngredient: ["2 cups flour", "1 tbsp poppy seeds"],
+      recipeInstructions: [
+        { "@type": "HowToSection", name: "Cake", itemListElement: [
+          { "@type": "HowToStep", text: "Whisk the flour." },
+          { "@type": "HowToStep", text: "Bake for 65 minutes." },
+        ] },
+        { "@type": "HowToSection", name: "Glaze", itemListElement: [{ "@type": "HowToStep", text: "Stir in the lemon juice." }] },
+      ],
+    },
+  ],
+})}</script>`);
+
+const MICRODATA = page(`
+<div itemscope itemtype="https://schema.org/Recipe">
+  <h1 itemprop="name">Oat Cookies</h1>
+  <p itemprop="description">Chewy &amp; quick.</p>
+  <meta itemprop="prepTime" content="PT15M"><time itemprop="cookTime" datetime="PT12M">12 minutes</time>
+  <span itemprop="recipeYield">24 cookies</span>
+  <ul>
+    <li itemprop="recipeIngredient">2 cups <b>oats</b></li>
+    <li itemprop="recipeIngredient">1 egg</li>
+  </ul>
+  <ol itemprop="recipeInstructions"><li>Mix everything.</li><li>Bake at 350&deg;F.</li></ol>
+</div>`);
+
+const WPRM = page(`
+<div class="wprm-recipe-container"><div class="wprm-recipe wprm-recipe-template-x">
+  <h2 class="wprm-recipe-name">Chicken Pie</h2>
+  <div class="wprm-recipe-summary">Weeknight comfort.</div>
+  <span class="wprm-recipe-servings">6</span> <span class="wprm-recipe-servings-unit">servings</span>
+  <div class="wprm-recipe-total_time-container">1 hr 10 mins</div>
+  <div class="wprm-recipe-ingredient-group"><h4 class="wprm-recipe-group-name">Crust</h4><ul>
+    <li class="wprm-recipe-ingredient"><span class="wprm-recipe-ingredient-amount">1 ½</span> cups flour</li>
+    <li class="wprm-recipe-ingredient">½ cup butter</li></ul></div>
+  <div class="wprm-recipe-ingredient-group"><h4 class="wprm-recipe-group-name">Filling</h4><ul>
+    <li class="wprm-recipe-ingredient">2 chicken breasts</li></ul></div>
+  <div class="wprm-recipe-instruction-group"><ul>
+    <li class="wprm-recipe-instruction"><div class="wprm-recipe-instruction-text">Make the crust.</div></li>
+    <li class="wprm-recipe-instruction"><div class="wprm-recipe-instruction-text">Fill and bake.</div></li></ul></div>
+  <div class="wprm-recipe-notes">Freezes well.</div>
+</div></div>`);
+
+const TASTY = page(`
+<div class="tasty-recipes tasty-recipes-12">
+  <h2 class="tasty-recipes-title">Banana Bread</h2>
+  <div class="tasty-recipes-description"><div class="tasty-recipes-description-body"><p>Moist.</p></div></div>
+  <span class="tasty-recipes-yield">1 loaf</span><span class="tasty-recipes-total-time">1 hour</span>
+  <div class="tasty-recipes-ingredients"><div class="tasty-recipes-ingredients-body">
+    <h4>Bread</h4><ul><li>3 bananas</li><li>2 cups flour</li></ul>
+    <h4>Topping</h4><ul><li>1 tbsp sugar</li></ul>
+  </div></div>
+  <div class="tasty-recipes-instructions"><div class="tasty-recipes-instructions-body">
+    <ol><li>Mash the bananas.</li><li>Bake 60 minutes.</li></ol>
+  </div></div>
+  <div class="tasty-recipes-notes"><div class="tasty-recipes-notes-body"><p>Use very ripe bananas.</p></div></div>
+</div>`);
+
+// ── Structured data ───────────────────────────────────────────────────────────
+describe("extractRecipe", () => {
+  test("JSON-LD in a @graph, with steps in HowToSections", () => {
+    const r = extractRecipe(JSONLD);
+    assert.equal(r.method, "jsonld");
+    assert.deepEqual(r.ingredients, ["2 cups flour", "1 tbsp poppy seeds"]);
+    assert.deepEqual(r.steps, ["Whisk the flour.", "Bake for 65 minutes.", "Stir in the lemon juice."]);
+    assert.equal(r.text, [
+      "TITLE: Lemon & Poppy Seed Cake", "YIELD: 8 slices", "PREP TIME: 20 min", "COOK TIME: 1 h 5 min",
+      "", "INGREDIENTS:", "- 2 cups flour", "- 1 tbsp poppy seeds",
+      "", "INSTRUCTIONS:", "CAKE:", "1. Whisk the flour.", "2. Bake for 65 minutes.", "GLAZE:", "3. Stir in the lemon juice.",
+    ].join("\n"));
+  });
+
+  test("microdata, with content and datetime attributes and one list of steps", () => {
+    const r = extractRecipe(MICRODATA);
+    assert.equal(r.method, "microdata");
+    assert.deepEqual(r.ingredients, ["2 cups oats", "1 egg"]);
+    assert.deepEqual(r.steps, ["Mix everything.", "Bake at 350°F."]);
+    assert.match(r.text, /^TITLE: Oat Cookies\nDESCRIPTION: Chewy & quick\.\nYIELD: 24 cookies\nPREP TIME: 15 min\nCOOK TIME: 12 min\n/);
+    assert.doesNotMatch(r.text, /grandmother|Great recipe/);
+  });
+
+  test("WP Recipe Maker, with ingredient groups and notes", () => {
+    const r = extractRecipe(WPRM);
+    assert.equal(r.method, "wprm");
+    assert.deepEqual(r.ingredients, ["1 ½ cups flour", "½ cup butter", "2 chicken breasts"]);
+    assert.deepEqual(r.steps, ["Make the crust.", "Fill and bake."]);
+    assert.equal(r.text, [
+      "TITLE: Chicken Pie", "DESCRIPTION: Weeknight comfort.", "YIELD: 6 servings", "TOTAL TIME: 1 hr 10 mins",
+      "", "INGREDIENTS:", "CRUST:", "- 1 ½ cups flour", "- ½ cup butter", "FILLING:", "- 2 chicken breasts",
+      "", "INSTRUCTIONS:", "1. Make the crust.", "2. Fill and bake.",
+      "", "NOTES: Freezes well.",
+    ].join("\n"));
+  });
+
+  test("Tasty Recipes, with headings as groups", () => {
+    const r = extractRecipe(TASTY);
+    assert.equal(r.method, "tasty");
+    assert.deepEqual(r.ingredients, ["3 bananas", "2 cups flour", "1 tbsp sugar"]);
+    assert.deepEqual(r.steps, ["Mash the bananas.", "Bake 60 minutes."]);
+    assert.match(r.text, /^TITLE: Banana Bread\nDESCRIPTION: Moist\.\nYIELD: 1 loaf\nTOTAL TIME: 1 hour\n/);
+    assert.match(r.text, /\nINGREDIENTS:\nBREAD:\n- 3 bananas\n- 2 cups flour\nTOPPING:\n- 1 tbsp sugar\n/);
+    assert.match(r.text, /\nNOTES: Use very ripe bananas\.$/);
+  });
+
+  test("JSON-LD wins over other markup on the same page", () => {
+    assert.equal(extractRecipe(JSONLD + MICRODATA + WPRM).method, "jsonld");
+    assert.equal(extractRecipe(WPRM + TASTY).method, "wprm");
+  });
+
+  test("structured data without steps or ingredients falls through to text", () => {
+    const broken = page(`<script type="application/ld+json">{"@type":"Recipe","name":"X",</script>
+      <div itemscope itemtype="http://schema.org/Recipe"><span itemprop="recipeIngredient">1 egg</span></div>
+      <div class="tasty-recipes"><h2 class="tasty-recipes-title">Y</h2></div>`);
+    const r = extractRecipe(broken);
+    assert.equal(r.method, "text");
+    assert.equal(r.ingredients, undefined);
+    assert.match(r.text, /My grandmother always said… \(a long story\)/);
+    assert.doesNotMatch(r.text, /<|ld\+json/);
+  });
+});
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+describe("helpers", () => {
+  test("formatDuration turns ISO 8601 into hours and minutes", () => {
+    assert.equal(formatDuration("PT1H30M"), "1 h 30 min");
+    assert.equal(formatDuration("PT90M"), "1 h 30 min");
+    assert.equal(formatDuration("P1DT2H"), "26 h");
+    assert.equal(formatDuration("about an hour"), "about an hour");
+  });
+
+  test("htmlToText drops scripts and styles and decodes entities", () => {
+    assert.equal(htmlToText("<style>p{}</style><p>Salt &amp; pepper&nbsp;&#8211; to&#x20;taste</p><script>x()</script>"),
+      "Salt & pepper – to taste");
+  });
+});
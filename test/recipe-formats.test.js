@@ -0,0 +1,190 @@
+/**
+ * public/recipe-formats.js — every export format read back by its own
+ * reader, plus the parts readers rely on: ingredient line splitting,
+ * ISO 8601 durations and files written by other tools.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const F = require("../public/recipe-formats");
+
+const RECIPE = {
+  titel: "Kanelbullar",
+  beskrivning: "Saftiga bullar med \"riktig\" kanel.",
+  meta: { portioner: "24 st", totaltid: "1 h 30 min", svarighetsgrad: "Medel" },
+  ingredienser: [
+    { grupp: "", mangd: "5 dl", ingrediens: "mjölk" },
+    { grupp: "", mangd: "2,4 dl", ingrediens: "vetemjöl" },
+    { grupp: "", mangd: "", ingrediens: "salt" },
+    { grupp: "Fyllning", mangd: "100 g", ingrediens: "smör, rumsvarmt" },
+    { grupp: "Fyllning", mangd: "1 1/2 msk", ingrediens: "kanel" },
+  ],
+  steg: [
+    "Värm mjölken till 37 °C.",
+    "Grädda i 225 °C i 5-8 min -- håll koll @ slutet, #2 på plåten {ca}.",
+    "Låt svalna 50%.",
+  ],
+  noteringar: "Frys gärna.\nHåller 3 månader.",
+};
+const META   = { source: "https://www.example.com/bullar", fetchedAt: "2026-10-19", language: "Swedish" };
+const LABELS = { ingredients: "Ingredienser", steps: "Gör så här", notes: "Tips & noteringar" };
+
+const withoutGroups = r => ({ ...r, ingredienser: r.ingredienser.map(i => ({ ...i, grupp: "" })) });
+
+// ── Round trips ───────────────────────────────────────────────────────────────
+describe("round trips", () => {
+  test("Markdown", () => {
+    assert.deepEqual(F.fromMarkdown(F.toMarkdown(RECIPE, META, LABELS)), { recipe: RECIPE, meta: META });
+  });
+
+  test("Cooklang", () => {
+    assert.deepEqual(F.fromCooklang(F.toCooklang(RECIPE, META, LABELS)), { recipe: RECIPE, meta: META });
+  });
+
+  test("Paprika JSON", () => {
+    assert.deepEqual(F.fromPaprika(F.toPaprika(RECIPE, META)), { recipe: RECIPE, meta: META });
+  });
+
+  test("Paprika file (gzipped, hashed)", async () => {
+    const bytes = await F.paprikaFile(RECIPE, META);
+    assert.deepEqual([bytes[0], bytes[1]], [0x1f, 0x8b]);
+    assert.deepEqual(await F.readPaprikaFile(bytes), { recipe: RECIPE, meta: META });
+  });
+
+  test("JSON-LD drops groups and difficulty only", () => {
+    const back = F.fromJsonLd(JSON.stringify(F.toJsonLd(RECIPE, META)));
+    assert.deepEqual(back.meta, META);
+    assert.deepEqual(back.recipe, { ...withoutGroups(RECIPE), meta: { ...RECIPE.meta, svarighetsgrad: "" } });
+  });
+
+  test("an empty recipe survives every format", async () => {
+    const empty = F.fromMarkdown(F.toMarkdown({}, {})).recipe;
+    assert.deepEqual(F.fromCooklang(F.toCooklang(empty, {})).recipe, empty);
+    assert.deepEqual(F.fromPaprika(F.toPaprika(empty, {})).recipe, empty);
+    assert.deepEqual(F.fromJsonLd(F.toJsonLd(empty, {})).recipe, empty);
+  });
+});
+
+// ── Output shape ──────────────────────────────────────────────────────────────
+describe("output", () => {
+  test("JSON-LD is a schema.org Recipe with an ISO duration", () => {
+    const ld = F.toJsonLd(RECIPE, META);
+    assert.equal(ld["@context"], "https://schema.org");
+    assert.equal(ld["@type"], "Recipe");
+    assert.equal(ld.totalTime, "PT1H30M");
+    assert.equal(ld.recipeIngredient[0], "5 dl mjölk");
+    assert.deepEqual(ld.recipeInstructions[0], { "@type": "HowToStep", text: "Värm mjölken till 37 °C." });
+    assert.equal(ld.isBasedOn, META.source);
+    assert.equal(ld.inLanguage, "Swedish");
+  });
+
+  test("Markdown front matter is quoted YAML", () => {
+    const md = F.toMarkdown(RECIPE, META, LABELS);
+    assert.match(md, /^---\ntitle: "Kanelbullar"\ndescription: "Saftiga bullar med \\"riktig\\" kanel."\n/);
+    assert.match(md, /\n## Ingredienser\n\n- \*\*5 dl\*\* mjölk\n/);
+    assert.match(md, /\n### Fyllning\n/);
+  });
+
+  test("Cooklang escapes markup in steps and splits quantity from unit", () => {
+    const cook = F.toCooklang(RECIPE, META, LABELS);
+    assert.match(cook, /^@vetemjöl\{2,4%dl\}$/m);
+    assert.match(cook, /^@kanel\{1 1\/2%msk\}$/m);
+    assert.match(cook, /^@salt\{\}$/m);
+    assert.match(cook, /^= Fyllning$/m);
+    assert.match(cook, /\\-- håll koll \\@ slutet, \\#2 på plåten \\\{ca\\\}/);
+    assert.match(cook, /^> Håller 3 månader\.$/m);
+  });
+
+  test("the nutrition estimate is written per serving, not read back", () => {
+    const nutrition = { perServing: true, kcal: 212.4, protein: 4.26, fett: 8.1, kolhydrater: 29.55, salt: 0.3, text: "Energi 212 kcal · Salt 0,3 g" };
+    const ld = F.toJsonLd(RECIPE, { ...META, nutrition });
+    assert.deepEqual(ld.nutrition, {
+      "@type": "NutritionInformation", calories: "212 kcal", proteinContent: "4.3 g",
+      fatContent: "8.1 g", carbohydrateContent: "29.6 g", sodiumContent: "0.1 g",
+    });
+    assert.equal(F.toJsonLd(RECIPE, { ...META, nutrition: { ...nutrition, perServing: false } }).nutrition, undefined);
+    // The caveat that the values are unverified goes with them
+    assert.equal(F.toJsonLd(RECIPE, { ...META, nutrition: { ...nutrition, note: "Ej verifierade värden." } }).nutrition.description,
+      "Ej verifierade värden.");
+    assert.equal(F.toPaprika(RECIPE, { ...META, nutrition }).nutritional_info, nutrition.text);
+    const md = F.toMarkdown(RECIPE, { ...META, nutrition }, LABELS);
+    assert.match(md, /\nnutrition: "Energi 212 kcal · Salt 0,3 g"\n/);
+    assert.deepEqual(F.fromMarkdown(md).meta, META);
+  });
+
+  test("exportRecipe names the file after the title", async () => {
+    const { blob, filename } = await F.exportRecipe("cooklang", RECIPE, META, LABELS);
+    assert.equal(filename, "kanelbullar.cook");
+    assert.equal(await blob.text(), F.toCooklang(RECIPE, META, LABELS));
+    await assert.rejects(F.exportRecipe("docx", RECIPE, META), { message: "Unknown format: docx" });
+  });
+});
+
+// ── Readers ───────────────────────────────────────────────────────────────────
+describe("readers", () => {
+  test("ingredient lines split at the quantity and a known unit", () => {
+    assert.deepEqual(F.splitIngredientLine("2,4 dl vetemjöl"), { grupp: "", mangd: "2,4 dl", ingrediens: "vetemjöl" });
+    assert.deepEqual(F.splitIngredientLine("1 1/2 cups sugar"), { grupp: "", mangd: "1 1/2 cups", ingrediens: "sugar" });
+    assert.deepEqual(F.splitIngredientLine("2 stora ägg"), { grupp: "", mangd: "2", ingrediens: "stora ägg" });
+    assert.deepEqual(F.splitIngredientLine("salt efter smak"), { grupp: "", mangd: "", ingrediens: "salt efter smak" });
+  });
+
+  test("durations", () => {
+    assert.equal(F.toIsoDuration("45 minuter"), "PT45M");
+    assert.equal(F.toIsoDuration("1 timme och 15 min"), "PT1H15M");
+    assert.equal(F.toIsoDuration("2 hours"), "PT2H");
+    assert.equal(F.toIsoDuration("över natten"), null);
+    assert.equal(F.toIsoDuration("ca 30 min"), null);
+    assert.equal(F.fromIsoDuration("PT90M"), "1 h 30 min");
+    assert.equal(F.fromIsoDuration("P1DT2H"), "26 h");
+    assert.equal(F.fromIsoDuration("över natten"), "över natten");
+  });
+
+  test("JSON-LD from a recipe site: @graph, sections and arrays", () => {
+    const { recipe, meta } = F.fromJsonLd({
+      "@context": "https://schema.org",
+      "@graph": [
+        { "@type": "WebPage", name: "Page" },
+        { "@type": ["Recipe"], name: "Cookies", recipeYield: ["24", "24 cookies"], totalTime: "PT25M",
+          url: "https://example.com/cookies",
+          recipeIngredient: ["1 cup flour", "2 eggs"],
+          recipeInstructions: [
+            { "@type": "HowToSection", name: "Dough", itemListElement: [{ "@type": "HowToStep", text: "Mix." }] },
+            "Bake.",
+          ] },
+      ],
+    });
+    assert.equal(recipe.titel, "Cookies");
+    assert.equal(recipe.meta.portioner, "24");
+    assert.equal(recipe.meta.totaltid, "25 min");
+    assert.deepEqual(recipe.ingredienser.map(i => i.mangd), ["1 cup", "2"]);
+    assert.deepEqual(recipe.steg, ["Mix.", "Bake."]);
+    assert.equal(meta.source, "https://example.com/cookies");
+    assert.throws(() => F.fromJsonLd({ "@type": "WebPage" }), { message: "No schema.org Recipe found." });
+  });
+
+  test("Cooklang written by hand: inline ingredients, comments, old metadata", () => {
+    const { recipe, meta } = F.fromCooklang([
+      ">> source: https://cooklang.org/",
+      ">> servings: 2",
+      "Crack @eggs{3} into a bowl -- a comment",
+      "and whisk with @salt.",
+      "",
+      "Fry in #pan{} for ~{2%minutes}.",
+    ].join("\n"));
+    assert.equal(meta.source, "https://cooklang.org/");
+    assert.equal(recipe.meta.portioner, "2");
+    assert.deepEqual(recipe.steg, ["Crack eggs into a bowl and whisk with salt.", "Fry in pan for 2 minutes."]);
+    assert.deepEqual(recipe.ingredienser, [
+      { grupp: "", mangd: "3", ingrediens: "eggs" },
+      { grupp: "", mangd: "", ingrediens: "salt" },
+    ]);
+  });
+
+  test("Markdown without front matter reads the title and description from the body", () => {
+    const { recipe } = F.fromMarkdown("# Soppa\n\nVarm och god.\n\n## Ingredienser\n\n- **1 l** vatten\n\n## Gör så här\n\n1. Koka.\n");
+    assert.equal(recipe.titel, "Soppa");
+    assert.equal(recipe.beskrivning, "Varm och god.");
+    assert.deepEqual(recipe.ingredienser, [{ grupp: "", mangd: "1 l", ingrediens: "vatten" }]);
+    assert.deepEqual(recipe.steg, ["Koka."]);
+  });
+});
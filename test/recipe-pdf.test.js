@@ -0,0 +1,285 @@
+/**
+ * public/recipe-pdf.js — TrueType parsing and subsetting, line layout with
+ * measured widths, Arabic joining and right-to-left order, and the PDF it
+ * writes. The font is a small one built here, with a GSUB table for the
+ * Arabic forms and the lam-alef ligature.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const P = require("../public/recipe-pdf");
+const { FONTS } = require("../scripts/fetch-fonts");
+
+// ── Test font ─────────────────────────────────────────────────────────────────
+const U16 = n => [(n >> 8) & 255, n & 255];
+const U32 = n => [...U16(n >>> 16), ...U16(n & 0xFFFF)];
+const TAG = t => [...t].map(c => c.charCodeAt(0));
+
+// gid: [code point, advance]; 13 is a composite of 2 and 14
+const GLYPHS = [
+  [null, 500], [0x20, 250], [0x61, 500], [0x57, 1000],
+  [0x628, 600], [null, 400], [null, 450], [null, 350],   // beh: isol, init, fina, medi
+  [0x627, 300], [null, 320],                             // alef, alef fina
+  [0x644, 400], [null, 380], [null, 550],                // lam, lam init, lam-alef
+  [0xE4, 500], [null, 0],                                // ä, diaeresis
+  [0x915, 500], [0x93F, 200],                            // ka, vowel sign i
+  [0x31, 500], [0x2E, 250], [0x28, 300], [0x29, 300],
+];
+const GID = { a: 2, W: 3, beh: 4, behInit: 5, behFina: 6, behMedi: 7, alef: 8, alefFina: 9,
+  lam: 10, lamInit: 11, lamAlef: 12, aUml: 13, diaeresis: 14, ka: 15, iSign: 16 };
+
+const simpleGlyph = () => [...U16(1), 0, 0, 0, 0, ...U16(100), ...U16(100), ...U16(0), ...U16(0), 1, 0, 0, 0, 0, 0];
+const compositeGlyph = parts => [...U16(0xFFFF), 0, 0, 0, 0, ...U16(100), ...U16(100),
+  ...parts.flatMap((g, i) => [...U16(0x0003 | (i < parts.length - 1 ? 0x0020 : 0)), ...U16(g), 0, 0, 0, 0])];
+
+const coverage = gids => [...U16(1), ...U16(gids.length), ...gids.flatMap(U16)];
+function singleSubst(map) {
+  const from = Object.keys(map).map(Number).sort((a, b) => a - b);
+  return [...U16(2), ...U16(6 + from.length * 2), ...U16(from.length), ...from.flatMap(g => U16(map[g])), ...coverage(from)];
+}
+const singleDelta = (gids, delta) => [...U16(1), ...U16(6), ...U16(delta & 0xFFFF), ...coverage(gids)];
+function ligatureSubst(first, rest, lig) {
+  const ligSet = [...U16(1), ...U16(4), ...U16(lig), ...U16(rest.length + 1), ...rest.flatMap(U16)];
+  return [...U16(1), ...U16(8 + ligSet.length), ...U16(1), ...U16(8), ...ligSet, ...coverage([first])];
+}
+function offsetList(items, header = []) {
+  let off = header.length + 2 + items.length * 2;
+  const offsets = items.map(it => { const o = off; off += it.length; return o; });
+  return [...header, ...U16(items.length), ...offsets.flatMap(U16), ...items.flat()];
+}
+const lookup = (type, subtables) => offsetList(subtables, [...U16(type), ...U16(0)]);
+
+function gsubTable() {
+  const features = [["init", [0]], ["medi", [1]], ["fina", [2]], ["rlig", [3]]];
+  const lookups = [
+    lookup(1, [singleSubst({ [GID.beh]: GID.behInit, [GID.lam]: GID.lamInit })]),
+    lookup(1, [singleSubst({ [GID.beh]: GID.behMedi })]),
+    lookup(1, [singleSubst({ [GID.beh]: GID.behFina }), singleDelta([GID.alef], 1)]),
+    lookup(4, [ligatureSubst(GID.lamInit, [GID.alefFina], GID.lamAlef)]),
+  ];
+  const langSys = [...U16(0), ...U16(0xFFFF), ...U16(features.length), ...features.flatMap((_, i) => U16(i))];
+  const scriptList = [...U16(1), ...TAG("arab"), ...U16(8), ...U16(4), ...U16(0), ...langSys];
+  const tables = features.map(([, ls]) => [...U16(0), ...U16(ls.length), ...ls.flatMap(U16)]);
+  let off = 2 + features.length * 6;
+  const featureList = [...U16(features.length)];
+  features.forEach(([tag], i) => { featureList.push(...TAG(tag), ...U16(off)); off += tables[i].length; });
+  featureList.push(...tables.flat());
+  const lookupList = offsetList(lookups);
+  return [...U32(0x00010000), ...U16(10), ...U16(10 + scriptList.length),
+    ...U16(10 + scriptList.length + featureList.length), ...scriptList, ...featureList, ...lookupList];
+}
+
+function cmapTable() {
+  const map = {};
+  GLYPHS.forEach(([cp], gid) => { if (cp != null) map[cp] = gid; });
+  const cps = Object.keys(map).map(Number).sort((a, b) => a - b).concat(0xFFFF);
+  const deltas = cps.map(c => (c === 0xFFFF ? 1 : map[c] - c) & 0xFFFF);
+  const sub = [...U16(4), ...U16(16 + cps.length * 8), ...U16(0), ...U16(cps.length * 2), ...U16(0), ...U16(0), ...U16(0),
+    ...cps.flatMap(U16), ...U16(0), ...cps.flatMap(U16), ...deltas.flatMap(U16), ...cps.flatMap(() => U16(0))];
+  return [...U16(0), ...U16(1), ...U16(3), ...U16(1), ...U32(12), ...sub];
+}
+
+function buildFont() {
+  const glyphs = GLYPHS.map((_, gid) => gid === GID.aUml ? compositeGlyph([GID.a, GID.diaeresis])
+    : gid === 1 ? [] : simpleGlyph()).map(g => g.concat(Array((4 - g.length % 4) % 4).fill(0)));
+  const loca = [];
+  let at = 0;
+  for (const g of glyphs) { loca.push(...U32(at)); at += g.length; }
+  loca.push(...U32(at));
+  const name = TAG("TestSans").flatMap(c => [0, c]);
+  const tables = {
+    head: [...U32(0x00010000), ...U32(0), ...U32(0), ...U32(0x5F0F3CF5), ...U16(0), ...U16(1000), ...Array(16).fill(0),
+      ...U16(0), ...U16(0xFF38), ...U16(1000), ...U16(900), ...U16(0), ...U16(8), ...U16(2), ...U16(1), ...U16(0)],
+    hhea: [...U32(0x00010000), ...U16(900), ...U16(0xFF38), ...Array(26).fill(0), ...U16(GLYPHS.length)],
+    maxp: [...U32(0x00005000), ...U16(GLYPHS.length)],
+    hmtx: GLYPHS.flatMap(([, adv]) => [...U16(adv), ...U16(0)]),
+    loca, glyf: glyphs.flat(), cmap: cmapTable(), GSUB: gsubTable(),
+    name: [...U16(0), ...U16(1), ...U16(18), ...U16(3), ...U16(1), ...U16(0x409), ...U16(6), ...U16(name.length), ...U16(0), ...name],
+  };
+  const tags = Object.keys(tables).sort();
+  let offset = 12 + tags.length * 16;
+  const dir = [...U32(0x00010000), ...U16(tags.length), 0, 0, 0, 0, 0, 0], body = [];
+  for (const tag of tags) {
+    const t = tables[tag].concat(Array((4 - tables[tag].length % 4) % 4).fill(0));
+    dir.push(...TAG(tag), ...U32(0), ...U32(offset), ...U32(tables[tag].length));
+    body.push(...t);
+    offset += t.length;
+  }
+  return Uint8Array.from(dir.concat(body));
+}
+
+const FONT = P.parseFont(buildFont());
+
+const gids = line => line.tokens.flatMap(t => t.runs.flatMap(r => r.glyphs.map(g => g.gid)));
+const layout = (text, opts = {}) => P.layoutParagraph(text, { fonts: [FONT], size: 10, width: 1000, ...opts });
+
+// ── Fonts ─────────────────────────────────────────────────────────────────────
+describe("fonts", () => {
+  test("parseFont reads metrics, cmap and name", () => {
+    assert.equal(FONT.name, "TestSans");
+    assert.equal(FONT.unitsPerEm, 1000);
+    assert.equal(FONT.numGlyphs, GLYPHS.length);
+    assert.equal(FONT.cmap.get(0x57), GID.W);
+    assert.equal(FONT.cmap.get(0x644), GID.lam);
+    assert.equal(FONT.advances[GID.W], 1000);
+  });
+
+  test("WOFF and CFF fonts are turned away", () => {
+    assert.throws(() => P.parseFont(Uint8Array.from([...TAG("wOFF"), ...Array(20).fill(0)])), /WOFF fonts are not supported/);
+    assert.throws(() => P.parseFont(Uint8Array.from([...TAG("OTTO"), ...Array(20).fill(0)])), /CFF-based/);
+  });
+
+  test("subsetting keeps used glyphs and composite parts at their ids", () => {
+    const file = P.subsetFont(FONT, [GID.a, GID.aUml]);
+    const sub = P.parseFont(file);
+    assert.equal(sub.numGlyphs, GID.diaeresis + 1);
+    const hasOutline = g => sub.loca[g + 1] > sub.loca[g];
+    assert.deepEqual([0, GID.a, GID.aUml, GID.diaeresis].map(hasOutline), [true, true, true, true]);
+    assert.deepEqual([GID.W, GID.beh, GID.lamAlef].map(hasOutline), [false, false, false]);
+    assert.equal(sub.advances[GID.W], 1000);
+
+    let sum = 0;
+    for (let i = 0; i < file.length; i += 4) sum = (sum + new DataView(file.buffer).getUint32(i)) >>> 0;
+    assert.equal(sum, 0xB1B0AFBA);
+  });
+
+  test("the build fetches every font file the PDF asks for", () => {
+    assert.deepEqual(FONTS.map(([file]) => file).sort(), Object.values(P.FONT_FILES).sort());
+  });
+
+  // The files are only there after `npm run fonts`
+  const fetched = Object.values(P.FONT_FILES).every(file => fs.existsSync(path.join(__dirname, "../public/fonts", file)));
+  test("the site serves every font file itself, each covering its script", { skip: !fetched && "run npm run fonts" }, () => {
+    const samples = { base: "ÅЖΩ", arabic: "ب", devanagari: "आ", thai: "ท", japanese: "の", chinese: "饺", korean: "김" };
+    assert.deepEqual(Object.keys(P.FONT_FILES).sort(), Object.keys(samples).sort());
+    for (const [key, file] of Object.entries(P.FONT_FILES)) {
+      const font = P.parseFont(new Uint8Array(fs.readFileSync(path.join(__dirname, "../public/fonts", file))));
+      for (const ch of samples[key]) assert.ok(font.cmap.get(ch.codePointAt(0)), key + ": " + ch);
+    }
+  });
+
+  test("fontsFor picks the fonts a text needs", () => {
+    assert.deepEqual(P.fontsFor("Kanelbullar"), ["base"]);
+    assert.deepEqual(P.fontsFor("فطائر 200 g"), ["base", "arabic"]);
+    assert.deepEqual(P.fontsFor("饺子", "Japanese"), ["base", "japanese"]);
+    assert.deepEqual(P.fontsFor("饺子", "Chinese"), ["base", "chinese"]);
+    assert.deepEqual(P.fontsFor("김치"), ["base", "korean"]);
+    assert.deepEqual(P.fontsFor("ผัดไทย आटा"), ["base", "devanagari", "thai"]);
+  });
+});
+
+// ── Layout ────────────────────────────────────────────────────────────────────
+describe("layout", () => {
+  test("lines break by measured width, not character count", () => {
+    // "aaaa" is 20 pt and "WWWW" 40 pt wide at 10 pt
+    const narrow = layout("aaaa aaaa aaaa aaaa", { width: 70 });
+    const wide   = layout("WWWW WWWW WWWW WWWW", { width: 70 });
+    assert.equal(narrow.length, 2);
+    assert.equal(wide.length, 4);
+    assert.ok([...narrow, ...wide].every(l => l.width <= 70));
+    assert.equal(narrow[0].width, 20 * 3 + 2.5 * 2);
+  });
+
+  test("punctuation stays with its word; an overlong word breaks anywhere", () => {
+    assert.deepEqual(layout("aaaa (aaaa).", { width: 40 }).map(l => l.tokens.map(t => t.text).join("")), ["aaaa", "(aaaa)."]);
+    assert.equal(layout("WWWWWWWWWW", { width: 35 }).length, 4);
+  });
+
+  test("characters a font lacks fall back to the next font", () => {
+    const latinOnly = { ...FONT, cmap: new Map([[0x61, GID.a], [0x20, 1]]) };
+    const [line] = P.layoutParagraph("a ب", { fonts: [latinOnly, FONT], size: 10, width: 500 });
+    assert.deepEqual(line.tokens.flatMap(t => t.runs.map(r => r.font)), [0, 0, 1]);
+  });
+
+  test("Arabic letters take their joining forms, lam-alef ligates", () => {
+    assert.deepEqual(gids(layout("ببب")[0]), [GID.behFina, GID.behMedi, GID.behInit]);
+    assert.deepEqual(gids(layout("بب ب")[0]), [GID.beh, 1, GID.behFina, GID.behInit]);
+    assert.deepEqual(gids(layout("لا")[0]), [GID.lamAlef]);
+  });
+
+  test("right-to-left lines reverse words but keep numbers left-to-right", () => {
+    const [line] = layout("ب 11 (با).", { rtl: true });
+    assert.deepEqual(line.tokens.map(t => t.text), [".", ")", "با", "(", " ", "11", " ", "ب"]);
+    // Brackets in right-to-left text are drawn mirrored
+    assert.equal(gids(line)[1], FONT.cmap.get(0x28));
+  });
+
+  test("Devanagari vowel sign i is drawn before its consonant", () => {
+    assert.deepEqual(gids(layout("कि")[0]), [GID.iSign, GID.ka]);
+  });
+});
+
+// ── PDF ───────────────────────────────────────────────────────────────────────
+// Object dictionaries and inflated streams of a PDF
+function readPdf(bytes) {
+  const text = Buffer.from(bytes).toString("latin1");
+  const streams = [];
+  const re = /<< ((?:[^<>]|<<[^]*?>>|<[0-9A-F]*>)*?) >>\nstream\n/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const length = +m[1].match(/\/Length (\d+)/)[1];
+    const raw = Buffer.from(bytes.subarray(re.lastIndex, re.lastIndex + length));
+    streams.push({ dict: m[1], data: /FlateDecode/.test(m[1]) ? zlib.inflateSync(raw) : raw });
+  }
+  return { text, streams };
+}
+
+// Text placements in the content streams: { size, x, y }
+function placements(pdf) {
+  return pdf.streams.flatMap(s => [...s.data.toString("latin1").matchAll(/BT \/F\d+ ([\d.]+) Tf ([\d.]+) ([\d.]+) Td/g)])
+    .map(m => ({ size: +m[1], x: +m[2], y: +m[3] }));
+}
+
+const RECIPE = {
+  titel: "aaa",
+  meta: { portioner: "1" },
+  ingredienser: [{ grupp: "", mangd: "1", ingrediens: "aaaa" }],
+  steg: ["WWW aaaa.", "aaaa."],
+  noteringar: "aaa",
+};
+const LABELS = { ingredients: "aaaa", steps: "WW", notes: "aa" };
+
+describe("recipePdf", () => {
+  test("embeds a subset Type0 font with a ToUnicode map", async () => {
+    const pdf = readPdf(await P.recipePdf(RECIPE, { fonts: [FONT], labels: LABELS }));
+    assert.match(pdf.text, /^%PDF-1\.7/);
+    assert.match(pdf.text, /\/Subtype \/Type0 \/BaseFont \/[A-Z]{6}\+TestSans \/Encoding \/Identity-H/);
+    assert.match(pdf.text, /\/CIDToGIDMap \/Identity/);
+    const fontFile = pdf.streams.find(s => /Length1/.test(s.dict));
+    const sub = P.parseFont(new Uint8Array(fontFile.data));
+    assert.equal(sub.loca[GID.beh + 1] > sub.loca[GID.beh], false);
+    const toUnicode = pdf.streams.find(s => /beginbfchar/.test(s.data)).data.toString();
+    assert.match(toUnicode, /<0002> <0061>/);
+    assert.match(toUnicode, /<0003> <0057>/);
+  });
+
+  test("two columns put the ingredients beside the steps", async () => {
+    const headings = async columns => placements(readPdf(await P.recipePdf(RECIPE, { fonts: [FONT], labels: LABELS, columns })))
+      .filter(p => p.size === 13);
+    const [ingredients, steps] = await headings(true);
+    assert.equal(ingredients.y, steps.y);
+    assert.ok(ingredients.x < steps.x);
+    const [single1, single2] = await headings(false);
+    assert.ok(single1.y > single2.y);
+    assert.equal(single1.x, single2.x);
+  });
+
+  test("right-to-left recipes are right-aligned with mirrored columns", async () => {
+    const arabic = { ...RECIPE, titel: "باب", steg: ["لا ب."] };
+    const [ingredients, steps] = placements(readPdf(await P.recipePdf(arabic, { fonts: [FONT], labels: LABELS, columns: true })))
+      .filter(p => p.size === 13);
+    assert.ok(ingredients.x > steps.x);
+  });
+
+  test("long recipes continue on new pages", async () => {
+    const long = { ...RECIPE, steg: Array(80).fill("aaaa aaaa aaaa") };
+    const pdf = readPdf(await P.recipePdf(long, { fonts: [FONT], labels: LABELS }));
+    assert.match(pdf.text, /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 3/);
+  });
+
+  test("needs at least one font", async () => {
+    await assert.rejects(P.recipePdf(RECIPE, { fonts: [] }), { message: "No fonts to embed." });
+  });
+});
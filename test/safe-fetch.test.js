@@ -0,0 +1,137 @@
+/**
+ * lib/safe-fetch.js — address classification, per-hop redirect checks,
+ * content-type filter and body size cap.
+ */
+const { test, describe, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockFetch, restoreFetch, mockDns, restoreDns, redirectResponse, htmlResponse } = require("./helpers");
+const { isPrivateAddress, assertSafeUrl, fetchPageHtml } = require("../netlify/lib/safe-fetch");
+
+const BLOCKED = "URL points to a blocked or private address.";
+
+afterEach(() => { restoreFetch(); restoreDns(); });
+
+describe("isPrivateAddress", () => {
+  const blocked = [
+    "0.0.0.0", "10.0.0.1", "100.64.0.1", "100.100.100.200", "127.0.0.1", "127.255.255.254",
+    "169.254.169.254", "172.16.0.1", "172.31.255.255", "192.0.0.170", "192.168.1.1",
+    "198.18.0.1", "224.0.0.251", "255.255.255.255",
+    "::", "::1", "fc00::1", "fd12:3456::1", "fe80::1", "fe80::1%eth0", "ff02::1",
+    "::ffff:127.0.0.1", "::ffff:a9fe:a9fe", "::10.0.0.1", "64:ff9b::a9fe:a9fe", "2002:0a00:0001::1",
+    "2001:db8::1", "", "not-an-ip",
+  ];
+  const allowed = ["8.8.8.8", "93.184.215.14", "172.32.0.1", "100.128.0.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"];
+
+  for (const ip of blocked) test("blocks " + (ip || "(empty)"), () => assert.equal(isPrivateAddress(ip), true));
+  for (const ip of allowed) test("allows " + ip, () => assert.equal(isPrivateAddress(ip), false));
+});
+
+describe("assertSafeUrl", () => {
+  test("decimal, octal and hex IPv4 literals are normalized and blocked", () => {
+    for (const url of ["https://2130706433/", "https://017700000001/", "https://0x7f.1/", "https://127.1/", "https://0xa9.0xfe.0xa9.0xfe/"])
+      assert.throws(() => assertSafeUrl(url), { message: BLOCKED }, url);
+  });
+
+  test("IPv6 literals are blocked", () => {
+    for (const url of ["https://[::1]/", "https://[::ffff:127.0.0.1]/", "https://[fe80::1]/", "https://[fd00::1]/"])
+      assert.throws(() => assertSafeUrl(url), { message: BLOCKED }, url);
+  });
+
+  test("blocked hostnames, with or without a trailing dot", () => {
+    for (const url of ["https://localhost/", "https://localhost./", "https://metadata.google.internal/", "https://nas.local/"])
+      assert.throws(() => assertSafeUrl(url), { message: BLOCKED }, url);
+  });
+
+  test("credentials in the URL are rejected", () => {
+    assert.throws(() => assertSafeUrl("https://user:pw@example.com/"), { message: "URL must not contain credentials." });
+  });
+
+  test("public HTTPS URLs pass", () => {
+    assert.equal(assertSafeUrl("https://example.com/recipe?id=1").hostname, "example.com");
+  });
+});
+
+describe("fetchPageHtml", () => {
+  const URL1 = "https://recipes.example.com/a";
+
+  test("blocks a host when any resolved address is private", async () => {
+    mockDns(() => ["93.184.215.14", "10.0.0.8"]);
+    const calls = mockFetch(() => htmlResponse("<p>x</p>"));
+    await assert.rejects(fetchPageHtml(URL1), { message: BLOCKED });
+    assert.equal(calls.length, 0);
+  });
+
+  test("blocks a host resolving to an IPv6-mapped private address", async () => {
+    mockDns(() => "::ffff:169.254.169.254");
+    mockFetch(() => htmlResponse("<p>x</p>"));
+    await assert.rejects(fetchPageHtml(URL1), { message: BLOCKED });
+  });
+
+  test("follows redirects by hand and checks every hop", async () => {
+    mockDns(host => host === "evil.example.com" ? "192.168.0.10" : "93.184.215.14");
+    const calls = mockFetch(url => {
+      if (url === URL1) return redirectResponse("/b");
+      if (url === "https://recipes.example.com/b") return redirectResponse("https://evil.example.com/c", 301);
+      throw new Error("must not fetch " + url);
+    });
+    await assert.rejects(fetchPageHtml(URL1), { message: "Unsafe redirect: " + BLOCKED });
+    assert.deepEqual(calls.map(c => c.url), [URL1, "https://recipes.example.com/b"]);
+    assert.ok(calls.every(c => c.init.redirect === "manual"));
+  });
+
+  test("rejects a redirect to plain HTTP", async () => {
+    mockDns();
+    mockFetch(() => redirectResponse("http://recipes.example.com/a"));
+    await assert.rejects(fetchPageHtml(URL1), { message: "Unsafe redirect: Only HTTPS URLs are allowed." });
+  });
+
+  test("returns the final page after a safe redirect", async () => {
+    mockDns();
+    mockFetch(url => url === URL1 ? redirectResponse("https://www.example.com/a") : htmlResponse("<h1>Ok</h1>"));
+    assert.equal(await fetchPageHtml(URL1), "<h1>Ok</h1>");
+  });
+
+  test("stops after the hop limit", async () => {
+    mockDns();
+    let n = 0;
+    const calls = mockFetch(() => redirectResponse("/loop" + (++n)));
+    await assert.rejects(fetchPageHtml(URL1), { message: "URL redirected too many times." });
+    assert.equal(calls.length, 6);
+  });
+
+  test("rejects non-HTML content types", async () => {
+    mockDns();
+    for (const type of ["application/json", "image/png", "text/plain", "application/octet-stream"]) {
+      mockFetch(() => htmlResponse("x", { type }));
+      await assert.rejects(fetchPageHtml(URL1), { message: "URL is not an HTML page." }, type);
+    }
+  });
+
+  test("accepts XHTML and pages without a content type", async () => {
+    mockDns();
+    mockFetch(() => htmlResponse("<p>x</p>", { type: "application/xhtml+xml; charset=utf-8" }));
+    assert.equal(await fetchPageHtml(URL1), "<p>x</p>");
+    mockFetch(() => new Response(new TextEncoder().encode("<p>y</p>")));
+    assert.equal(await fetchPageHtml(URL1), "<p>y</p>");
+  });
+
+  test("cuts the body off at the byte cap while streaming", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    mockDns();
+    let pulled = 0;
+    const stream = new ReadableStream({
+      pull(controller) { pulled++; controller.enqueue(new TextEncoder().encode("a".repeat(1000))); },
+    });
+    mockFetch(() => new Response(stream, { headers: { "content-type": "text/html" } }));
+    const html = await fetchPageHtml(URL1, { maxBytes: 2500 });
+    assert.equal(html.length, 2500);
+    assert.ok(pulled < 10, "stream was read to the end");
+  });
+
+  test("does not split a multi-byte character at the cap", async () => {
+    mockDns();
+    mockFetch(() => htmlResponse("åäö".repeat(10)));
+    const html = await fetchPageHtml(URL1, { maxBytes: 5 });
+    assert.equal(html, "åä");
+  });
+});
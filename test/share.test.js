@@ -0,0 +1,149 @@
+/**
+ * /api/share and /r/<id> — creating a link from a sanitised recipe, the
+ * read-only page with its Open Graph tags, expiry, deleting with the owner's
+ * key, the stores behind it and the page's own scale and read-aloud script.
+ */
+const { test, describe, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs/promises");
+const os   = require("os");
+const path = require("path");
+const { freshRequire, event, parse, makeToken, RECIPE } = require("./helpers");
+const { createMemoryShareStore, createFileShareStore, shareStoreKind } = require("../netlify/lib/share-store");
+const SharePage = require("../public/share-page");
+
+process.env.TOKEN_SECRET = "test-secret";
+process.env.SHARE_STORE  = "memory";
+
+let share;
+beforeEach(() => { share = freshRequire("netlify/functions/share.js"); });
+
+function post(body) {
+  return share.handler(event({ body: { token: makeToken(), recipe: RECIPE, ...body } }));
+}
+
+function remove(body) {
+  return share.handler(event({ method: "DELETE", body }));
+}
+
+function view(id) {
+  return share.handler({ ...event({ method: "GET", headers: { host: "recept.example" } }), path: "/r/" + id, queryStringParameters: { id } });
+}
+
+// ── Links ─────────────────────────────────────────────────────────────────────
+describe("POST /api/share", () => {
+  test("stores the recipe under a short id and serves it as a page", async () => {
+    const data = parse(await post({
+      recipe: { ...RECIPE, titel: "Pannkakor <script>", extra: "dropped" },
+      srcUrl: "https://www.example.com/pancakes", language: "Swedish", lang: "sv-SE",
+    }));
+    assert.equal(data.ok, true);
+    assert.match(data.id, /^[A-Za-z0-9_-]{16}$/);
+    assert.equal(data.url, "/r/" + data.id);
+    assert.equal(data.expiresAt, null);
+
+    const res = await view(data.id);
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Content-Type"], /^text\/html/);
+    const html = res.body;
+    assert.match(html, /<html lang="sv-SE">/);
+    assert.match(html, /<meta property="og:title" content="Pannkakor &lt;script&gt;">/);
+    assert.match(html, /<meta property="og:description" content="Tunna pannkakor.">/);
+    assert.match(html, new RegExp(`<meta property="og:url" content="https://recept.example/r/${data.id}">`));
+    assert.match(html, /<li data-i="0"><span class="amount">1 cup<\/span> vetemjöl<\/li>/);
+    assert.match(html, /<a href="https:\/\/www.example.com\/pancakes" rel="noopener nofollow">example.com<\/a>/);
+    assert.ok(!html.includes("<script>") && !html.includes("dropped"));
+    // The script's data cannot close its own tag
+    const json = /<script type="application\/json" id="share-data">([^<]*)<\/script>/.exec(html)[1];
+    assert.equal(JSON.parse(json).recipe.titel, "Pannkakor <script>");
+  });
+
+  test("input is checked before anything is stored", async () => {
+    assert.equal(parse(await post({ recipe: { titel: "Tom" } })).error, "Invalid recipe.");
+    assert.equal(parse(await post({ expiresInDays: 400 })).error, "Expiry must be 1-365 days.");
+    assert.equal(parse(await post({ expiresInDays: "7" })).error, "Expiry must be 1-365 days.");
+    assert.equal((await share.handler(event({ body: { recipe: RECIPE } }))).statusCode, 403);
+    // Not a web address: no source link
+    const { id } = parse(await post({ srcUrl: "javascript:alert(1)" }));
+    assert.ok(!(await view(id)).body.includes("javascript:"));
+  });
+
+  test("labels from the request are text on the page, never markup", async () => {
+    const { DEFAULT_LABELS } = require("../netlify/lib/share");
+    const hostile = "<img src=x onerror=alert(document.cookie)>";
+    const labels = Object.fromEntries(Object.keys(DEFAULT_LABELS).map(k => [k, hostile]));
+    const { id } = parse(await post({ labels, srcUrl: "https://www.example.com/pancakes", expiresInDays: 7,
+      recipe: { ...RECIPE, noteringar: "Servera varm." } }));
+    const html = (await view(id)).body;
+    assert.ok(!html.includes("<img"));
+    // Three headings, source, expiry and the app's name in og:site_name and the footer
+    assert.equal(html.split("&lt;img src=x onerror=alert(document.cookie)&gt;").length - 1, 7);
+  });
+
+  test("a link with an expiry says until when", async () => {
+    const before = Date.now();
+    const data = parse(await post({ expiresInDays: 7 }));
+    const expires = Date.parse(data.expiresAt);
+    assert.ok(expires >= before + 7 * 86_400_000 && expires <= Date.now() + 7 * 86_400_000);
+    assert.match((await view(data.id)).body, new RegExp("Länken gäller till " + data.expiresAt.slice(0, 10)));
+  });
+});
+
+describe("DELETE /api/share", () => {
+  test("only the owner's key deletes the link", async () => {
+    const { id, deleteKey } = parse(await post({}));
+    assert.equal((await remove({ id, deleteKey: "x".repeat(32) })).statusCode, 403);
+    assert.equal((await view(id)).statusCode, 200);
+    assert.equal(parse(await remove({ id, deleteKey })).ok, true);
+    const gone = await view(id);
+    assert.equal(gone.statusCode, 404);
+    assert.match(gone.body, /Receptet finns inte/);
+    assert.equal((await remove({ id, deleteKey })).statusCode, 404);
+    assert.equal((await view("../../etc")).statusCode, 404);
+  });
+});
+
+// ── Stores ────────────────────────────────────────────────────────────────────
+describe("share stores", () => {
+  test("records without a ttl last; with one they expire", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), "share-test-"));
+    try {
+      for (const store of [createMemoryShareStore(), createFileShareStore({ dir })]) {
+        await store.set("share/a", { n: 1 }, null);
+        await store.set("share/b", { n: 2 }, 0.001);
+        await new Promise(r => setTimeout(r, 10));
+        assert.deepEqual(await store.get("share/a"), { n: 1 });
+        assert.equal(await store.get("share/b"), null);
+        await store.delete("share/a");
+        assert.equal(await store.get("share/a"), null);
+      }
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("deployed functions default to Blobs, local runs to files", () => {
+    assert.equal(shareStoreKind({}), "file");
+    assert.equal(shareStoreKind({ NETLIFY_DEV: "true", AWS_LAMBDA_FUNCTION_NAME: "share" }), "file");
+    assert.equal(shareStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "share" }), "blobs");
+    assert.equal(shareStoreKind({ NETLIFY_BLOBS_CONTEXT: "x" }), "blobs");
+    assert.equal(shareStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "share", SHARE_STORE: "Memory" }), "memory");
+  });
+});
+
+// ── Page script ───────────────────────────────────────────────────────────────
+describe("public/share-page.js", () => {
+  test("reads the recipe aloud line by line at the chosen scale", () => {
+    const labels = { ingredients: "Ingredienser", steps: "Gör så här", stepWord: "Steg", notes: "Tips" };
+    const recipe = { ...RECIPE, ingredienser: [{ mangd: "2 dl", ingrediens: "mjölk" }, { mangd: "", ingrediens: "salt" }] };
+    assert.deepEqual(SharePage.segments(recipe, labels, { scale: 2, language: "Swedish" }), [
+      { text: "Pannkakor", target: null },
+      { text: "Ingredienser", target: null },
+      { text: "4 dl mjölk", target: "i0" },
+      { text: "salt", target: "i1" },
+      { text: "Gör så här", target: null },
+      { text: "Steg 1. Vispa ihop allt.", target: "s0" },
+      { text: "Steg 2. Stek i smör.", target: "s1" },
+    ]);
+  });
+});
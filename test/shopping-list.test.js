@@ -0,0 +1,120 @@
+/**
+ * public/shopping-list.js — merging recipes into one list with amounts
+ * summed across units, store sections, staples, and the text, print and
+ * link forms of a list.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const S = require("../public/shopping-list");
+
+const BULLAR = {
+  titel: "Kanelbullar", _tLang: "Swedish",
+  ingredienser: [
+    { grupp: "", mangd: "5 dl", ingrediens: "mjölk" },
+    { grupp: "", mangd: "150 g", ingrediens: "smör" },
+    { grupp: "", mangd: "", ingrediens: "salt" },
+    { grupp: "Fyllning", mangd: "2 msk", ingrediens: "Smör, rumsvarmt" },
+    { grupp: "", mangd: "1", ingrediens: "ägg (till pensling)" },
+  ],
+};
+const SOPPA = {
+  titel: "Löksoppa", _tLang: "Swedish",
+  ingredienser: [
+    { grupp: "", mangd: "3", ingrediens: "gula lökar" },
+    { grupp: "", mangd: "2 dl", ingrediens: "mjölk" },
+    { grupp: "", mangd: "1 burk (400 g)", ingrediens: "krossade tomater" },
+    { grupp: "", mangd: "1 kg", ingrediens: "smör" },
+  ],
+};
+
+const byKey = list => Object.fromEntries(list.items.map(i => [i.key, S.formatAmount(i, list.language)]));
+
+// ── Merging ───────────────────────────────────────────────────────────────────
+describe("addRecipe", () => {
+  test("identical ingredients merge, with amounts summed per unit", () => {
+    const list = S.addRecipe(S.addRecipe(null, BULLAR), SOPPA);
+    assert.deepEqual(list.recipes, ["Kanelbullar", "Löksoppa"]);
+    assert.deepEqual(byKey(list), {
+      "mjölk": "7 dl",
+      "smör": "1,2 kg + 2 msk",
+      "salt": "",
+      "ägg": "1",
+      "gula lökar": "3",
+      "krossade tomater": "1 burk",
+    });
+    assert.deepEqual(list.items.find(i => i.key === "mjölk").recipes, ["Kanelbullar", "Löksoppa"]);
+  });
+
+  test("volumes in different units are summed as one", () => {
+    const list = S.addRecipe(null, { titel: "A", ingredienser: [
+      { mangd: "2 msk", ingrediens: "olja" }, { mangd: "1 dl", ingrediens: "olja" }, { mangd: "1 tsk", ingrediens: "olja" },
+    ] }, { language: "Swedish" });
+    assert.deepEqual(byKey(list), { "olja": "1,4 dl" });
+  });
+
+  test("a bare count and pieces in st are summed as one", () => {
+    const list = S.addRecipe(S.addRecipe(null, { titel: "A", ingredienser: [{ mangd: "3", ingrediens: "ägg" }] }),
+      { titel: "B", ingredienser: [{ mangd: "2 st", ingrediens: "ägg" }, { mangd: "1 stk", ingrediens: "ägg" }] },
+      { language: "Swedish", scale: 2 });
+    assert.deepEqual(byKey(list), { "ägg": "9" });
+  });
+
+  test("amounts follow each recipe's portion factor", () => {
+    const list = S.addRecipe(S.addRecipe(null, BULLAR, { scale: 2 }), SOPPA, { scale: 0.5 });
+    assert.equal(byKey(list)["mjölk"], "1,1 l");
+    assert.equal(byKey(list)["gula lökar"], "1 ½");
+  });
+
+  test("adding does not change the list it started from", () => {
+    const first = S.addRecipe(null, BULLAR);
+    const before = JSON.stringify(first);
+    S.addRecipe(first, SOPPA);
+    assert.equal(JSON.stringify(first), before);
+  });
+});
+
+// ── Sections ──────────────────────────────────────────────────────────────────
+describe("sections", () => {
+  test("ingredients land in the store's sections", () => {
+    const sections = ["vetemjöl", "mjölk", "kokosmjölk", "krossade tomater", "gul lök", "paprikapulver", "röd paprika",
+      "kycklingfilé", "fryst spenat", "flingsalt", "parmesanost", "surdegsbröd", "ljus"].map(S.sectionOf);
+    assert.deepEqual(sections, ["skafferi", "mejeri", "skafferi", "skafferi", "frukt", "kryddor", "frukt",
+      "kott", "frys", "kryddor", "mejeri", "brod", "ovrigt"]);
+  });
+
+  test("pepper the spice and pepper the vegetable", () => {
+    const sections = ["pepper", "black pepper", "freshly ground white pepper", "red pepper flakes", "svartpeppar",
+      "red bell pepper", "green peppers", "yellow pepper"].map(S.sectionOf);
+    assert.deepEqual(sections, ["kryddor", "kryddor", "kryddor", "kryddor", "kryddor", "frukt", "frukt", "frukt"]);
+  });
+
+  test("grouped in store order, with staples hidden on request", () => {
+    const list = S.addRecipe(S.addRecipe(null, BULLAR), SOPPA);
+    assert.deepEqual(S.bySection(list).map(g => g.section), ["frukt", "mejeri", "skafferi", "kryddor"]);
+    const hidden = S.bySection(list, { hideStaples: true });
+    assert.ok(!hidden.some(g => g.items.some(i => i.key === "salt")));
+  });
+});
+
+// ── Export ────────────────────────────────────────────────────────────────────
+describe("export", () => {
+  const list = { ...S.addRecipe(null, BULLAR), checked: { "mjölk": true } };
+
+  test("plain text with ticked items", () => {
+    assert.equal(S.toText(list, { title: "Inköpslista", hideStaples: true }),
+      "Inköpslista\nKanelbullar\n\nMEJERI\n☑ 5 dl mjölk\n☐ 150 g + 2 msk smör\n☐ 1 ägg");
+  });
+
+  test("the print page escapes names", () => {
+    const html = S.printHtml(S.addRecipe(null, { titel: "<b>", ingredienser: [{ mangd: "1", ingrediens: "fisk & <chips>" }] }), { title: "Lista" });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<li><b>1<\/b> fisk &amp; &lt;chips&gt;<\/li>/);
+    assert.match(html, /<p>&lt;b&gt;<\/p>/);
+  });
+
+  test("a shared link reads back as the same list", () => {
+    const back = S.decodeList(S.encodeList(list));
+    assert.deepEqual(back, { ...list, items: list.items.map(i => ({ ...i, recipes: [] })) });
+    assert.throws(() => S.decodeList("not-a-list"), { message: "Not a shopping list." });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * lib/state-store.js — the memory, file and Blobs stores, and nonce/rate
+ * state shared between function instances.
+ */
+const { test, describe, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const { freshRequire, event, parse, makeToken, mockFetch, restoreFetch, chatReply, RECIPE } = require("./helpers");
+const {
+  createMemoryStateStore, createFileStateStore, createBlobsStateStore, stateStoreKind,
+} = require("../netlify/lib/state-store");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "state-test-"));
+}
+
+// In-memory stand-in for a Netlify Blobs store with ETag preconditions
+function fakeBlobs({ raceOnce = false } = {}) {
+  const blobs = new Map(); // key -> { data, etag }
+  let version = 0, raced = !raceOnce;
+  return {
+    blobs,
+    async getWithMetadata(key) {
+      const b = blobs.get(key);
+      return b ? { data: JSON.parse(b.data), etag: b.etag, metadata: {} } : null;
+    },
+    async setJSON(key, data, opts = {}) {
+      if (!raced) { // another instance writes between our read and write
+        raced = true;
+        blobs.set(key, { data: JSON.stringify({ count: 5, expires: Date.now() + 60_000 }), etag: "e" + (++version) });
+      }
+      const cur = blobs.get(key);
+      if (opts.onlyIfNew && cur) return { modified: false };
+      if (opts.onlyIfMatch && (!cur || cur.etag !== opts.onlyIfMatch)) return { modified: false };
+      blobs.set(key, { data: JSON.stringify(data), etag: "e" + (++version) });
+      return { modified: true, etag: "e" + version };
+    },
+  };
+}
+
+for (const [name, make, parallel] of [
+  ["memory", () => createMemoryStateStore(), 20],
+  ["file",   () => createFileStateStore({ dir: tmpDir() }), 20],
+  ["blobs",  () => createBlobsStateStore({ blobs: fakeBlobs() }), 5],
+]) {
+  describe(name + " store", () => {
+    test("counts hits per key", async () => {
+      const s = make();
+      assert.equal(await s.hit("a", 60), 1);
+      assert.equal(await s.hit("a", 60), 2);
+      assert.equal(await s.hit("b", 60), 1);
+    });
+
+    test("starts over when the entry has expired", async () => {
+      const s = make();
+      assert.equal(await s.hit("a", 0.05), 1);
+      await new Promise(r => setTimeout(r, 80));
+      assert.equal(await s.hit("a", 60), 1);
+    });
+
+    test("parallel hits each get their own count", async () => {
+      const s = make();
+      const counts = await Promise.all(Array.from({ length: parallel }, () => s.hit("nonce/x", 60)));
+      assert.deepEqual(counts.sort((a, b) => a - b), Array.from({ length: parallel }, (_, i) => i + 1));
+    });
+  });
+}
+
+describe("memory store limits", () => {
+  test("drops the oldest entries beyond maxEntries", async () => {
+    const s = createMemoryStateStore({ maxEntries: 3 });
+    for (const k of ["a", "b", "c", "d"]) await s.hit(k, 60);
+    assert.equal(await s.hit("a", 60), 1);
+    assert.equal(await s.hit("d", 60), 2);
+  });
+});
+
+describe("file store", () => {
+  test("two store objects on one directory share counts", async () => {
+    const dir = tmpDir();
+    const a = createFileStateStore({ dir }), b = createFileStateStore({ dir });
+    const counts = await Promise.all([a.hit("k", 60), b.hit("k", 60), a.hit("k", 60), b.hit("k", 60)]);
+    assert.deepEqual(counts.sort(), [1, 2, 3, 4]);
+  });
+
+  test("keys cannot escape the directory", async () => {
+    const dir = tmpDir();
+    await createFileStateStore({ dir }).hit("../../etc/x", 60);
+    assert.deepEqual(fs.readdirSync(dir).length, 1);
+  });
+
+  test("a stale lock left by a crashed writer is taken over", async () => {
+    const dir = tmpDir();
+    const s = createFileStateStore({ dir });
+    await s.hit("k", 60);
+    const lock = path.join(dir, fs.readdirSync(dir)[0] + ".lock");
+    fs.writeFileSync(lock, "");
+    const old = new Date(Date.now() - 10_000);
+    fs.utimesSync(lock, old, old);
+    assert.equal(await s.hit("k", 60), 2);
+  });
+});
+
+describe("blobs store", () => {
+  test("re-reads and retries when another writer got there first", async () => {
+    const blobs = fakeBlobs({ raceOnce: true });
+    const s = createBlobsStateStore({ blobs });
+    assert.equal(await s.hit("k", 60), 6);
+  });
+
+  test("gives up under constant contention", async () => {
+    const s = createBlobsStateStore({ blobs: { getWithMetadata: async () => null, setJSON: async () => ({ modified: false }) } });
+    await assert.rejects(s.hit("k", 60), { message: "State store contention." });
+  });
+});
+
+describe("store selection", () => {
+  test("Blobs when deployed, memory under netlify dev and in tests, STATE_STORE wins", () => {
+    assert.equal(stateStoreKind({}), "memory");
+    assert.equal(stateStoreKind({ NETLIFY_DEV: "true", AWS_LAMBDA_FUNCTION_NAME: "translate" }), "memory");
+    assert.equal(stateStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "translate" }), "blobs");
+    assert.equal(stateStoreKind({ NETLIFY_BLOBS_CONTEXT: "x" }), "blobs");
+    assert.equal(stateStoreKind({ AWS_LAMBDA_FUNCTION_NAME: "translate", STATE_STORE: "File" }), "file");
+  });
+});
+
+// ── Across function instances ─────────────────────────────────────────────────
+describe("shared between instances", () => {
+  const saved = { ...process.env };
+  afterEach(() => { process.env = { ...saved }; restoreFetch(); });
+
+  function useFileStore() {
+    Object.assign(process.env, {
+      STATE_STORE: "file", STATE_STORE_DIR: tmpDir(), TOKEN_SECRET: "shared-secret",
+      MISTRAL_API_KEY: "k", LLM_PROVIDERS: "mistral", TRANSLATION_CACHE: "off",
+    });
+  }
+
+  test("a nonce used on one instance is rejected on another", async () => {
+    useFileStore();
+    mockFetch(() => chatReply(JSON.stringify(RECIPE)));
+    const a = freshRequire("netlify/functions/translate.js");
+    const b = freshRequire("netlify/functions/translate.js");
+    assert.notEqual(a, b);
+
+    const token = makeToken();
+    const body = { token, type: "text", content: "Pancakes: 1 cup flour, 2 eggs. Fry." };
+    assert.equal((await a.handler(event({ body }))).statusCode, 200);
+    const replay = await b.handler(event({ body }));
+    assert.equal(replay.statusCode, 403);
+  });
+
+  test("token issuance is limited per client across instances", async () => {
+    useFileStore();
+    const a = freshRequire("netlify/functions/token.js");
+    const b = freshRequire("netlify/functions/token.js");
+    const ip = "198.51.100.77";
+    for (let i = 0; i < 10; i++)
+      assert.equal((await (i % 2 ? a : b).handler(event({ method: "GET", ip }))).statusCode, 200);
+    const res = await a.handler(event({ method: "GET", ip }));
+    assert.equal(res.statusCode, 429);
+    assert.equal(parse(res).error, "For manga anrop. Vanta en minut.");
+  });
+
+  test("a failing store rejects tokens but does not block on rate limits", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const { verifyToken, createRateLimiter } = freshRequire("netlify/lib/security.js");
+    process.env.TOKEN_SECRET = "shared-secret";
+    const broken = { hit: async () => { throw new Error("down"); } };
+    assert.equal(await verifyToken(makeToken(), { store: broken }), false);
+    assert.equal(await createRateLimiter({ name: "x", store: broken }).check("1.2.3.4"), true);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Streaming mode of /api/translate — server-sent events for progress,
+ * partial recipes and the final result — and lib/streaming.js's partial
+ * JSON parser. The Mistral API is mocked with a chunked event stream.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  freshRequire, event, parse, makeToken,
+  mockFetch, restoreFetch, mockDns, restoreDns,
+  jsonResponse, htmlResponse, chatReply, chatStream, RECIPE,
+} = require("./helpers");
+const { parsePartialJson } = require("../netlify/lib/streaming");
+
+process.env.TOKEN_SECRET      = "test-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "off";
+
+const MISTRAL  = "https://api.mistral.ai/v1/chat/completions";
+const PAGE_URL = "https://recipes.example.com/pancakes";
+const TEXT     = "Pancakes\n1 cup flour\n2 eggs\nWhisk everything and fry in butter.";
+
+let translate;
+beforeEach(() => {
+  translate = freshRequire("netlify/functions/translate.js");
+  mockDns();
+});
+afterEach(() => { restoreFetch(); restoreDns(); });
+
+function post(body, opts = {}) {
+  return translate.handler(event({ ...opts, body: { token: makeToken(), ...body } }));
+}
+
+// Reads a streamed response body to the end and splits it into events
+async function readEvents(res) {
+  let raw = "";
+  for await (const chunk of res.body) raw += chunk;
+  return raw.split("\n\n").filter(Boolean).map(frame => {
+    const [, name] = frame.match(/^event: (.+)$/m);
+    const [, data] = frame.match(/^data: (.+)$/m);
+    return { event: name, data: JSON.parse(data) };
+  });
+}
+
+// ── parsePartialJson ──────────────────────────────────────────────────────────
+describe("parsePartialJson", () => {
+  test("nothing usable yet", () => {
+    assert.equal(parsePartialJson(""), null);
+    assert.equal(parsePartialJson("Sure, here"), null);
+  });
+
+  test("leaves out a string still being written", () => {
+    assert.deepEqual(parsePartialJson('{"titel":"Pann'), {});
+    assert.deepEqual(parsePartialJson('{"titel":"Pannkakor","beskr'), { titel: "Pannkakor" });
+  });
+
+  test("closes open arrays and objects", () => {
+    assert.deepEqual(
+      parsePartialJson('{"titel":"A","ingredienser":[{"mangd":"1 cup","ingrediens":"mjöl"},{"mangd":"2'),
+      { titel: "A", ingredienser: [{ mangd: "1 cup", ingrediens: "mjöl" }, {}] });
+    assert.deepEqual(parsePartialJson('{"steg":["Vispa.","Stek'), { steg: ["Vispa."] });
+  });
+
+  test("brackets, commas and escaped quotes inside strings do not count", () => {
+    assert.deepEqual(parsePartialJson('{"titel":"a, [b] {c} \\"d\\"","x'), { titel: 'a, [b] {c} "d"' });
+  });
+
+  test("text around the object is ignored", () => {
+    assert.deepEqual(parsePartialJson('```json\n{"titel":"A"}\n```'), { titel: "A" });
+  });
+
+  test("a complete object parses whole", () => {
+    assert.deepEqual(parsePartialJson(JSON.stringify(RECIPE)), RECIPE);
+  });
+});
+
+// ── Streaming responses ───────────────────────────────────────────────────────
+describe("streaming mode", () => {
+  test("text: progress, growing partials, then the converted result", async () => {
+    const calls = mockFetch(url => {
+      if (url === MISTRAL) return chatStream(JSON.stringify(RECIPE));
+      throw new Error("unexpected fetch " + url);
+    });
+    const res = await post({ type: "text", content: TEXT, stream: true });
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Content-Type"], /^text\/event-stream/);
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "http://localhost:8888");
+    assert.equal(calls[0].body.stream, true);
+
+    const events = await readEvents(res);
+    assert.deepEqual(events.filter(e => e.event === "progress").map(e => e.data.stage), ["translating", "validating"]);
+
+    const partials = events.filter(e => e.event === "partial").map(e => e.data);
+    assert.ok(partials.length > 2, "expected several partial events");
+    assert.equal(partials[0].titel, "Pannkakor");
+    const counts = partials.map(p => p.ingredienser.length + p.steg.length);
+    assert.deepEqual(counts, counts.slice().sort((a, b) => a - b));
+    assert.ok(partials.every(p => p.ingredienser.every(i => i.ingrediens)));
+    assert.equal(partials.find(p => p.ingredienser.length).ingredienser[0].mangd, "2,4 dl");
+
+    const last = events.at(-1);
+    assert.equal(last.event, "result");
+    assert.equal(last.data.ok, true);
+    assert.equal(last.data.recipe.ingredienser[0].mangd, "2,4 dl");
+    assert.equal(last.data.recipe.ingredienser[0].mangdOriginal, "1 cup");
+  });
+
+  test("Accept: text/event-stream also selects streaming", async () => {
+    mockFetch(() => chatStream(JSON.stringify(RECIPE)));
+    const res = await post({ type: "text", content: TEXT }, { headers: { accept: "text/event-stream" } });
+    assert.equal((await readEvents(res)).at(-1).event, "result");
+  });
+
+  test("URL input reports fetching and extracting first", async () => {
+    mockFetch(url => url === PAGE_URL
+      ? htmlResponse("<main><h1>Pancakes</h1><p>" + "Whisk flour, eggs and milk, then fry in butter. ".repeat(4) + "</p></main>")
+      : chatStream(JSON.stringify(RECIPE)));
+    const events = await readEvents(await post({ type: "url", url: PAGE_URL, stream: true }));
+    assert.deepEqual(events.filter(e => e.event === "progress").map(e => e.data.stage),
+      ["fetching", "extracting", "translating", "validating"]);
+    assert.equal(events.at(-1).data.extraction, "text");
+  });
+
+  test("a failed translation ends with a sanitized error event", async () => {
+    mockFetch(() => jsonResponse({ message: "Unauthorized" }, 401));
+    const events = await readEvents(await post({ type: "text", content: TEXT, stream: true }));
+    assert.equal(events.at(-1).event, "error");
+    assert.equal(events.at(-1).data.ok, false);
+    assert.match(events.at(-1).data.error, /^Mistral API:/);
+  });
+
+  test("a reply that fails validation ends with an error event", async () => {
+    mockFetch(() => chatStream(JSON.stringify({ ...RECIPE, steg: [] })));
+    const events = await readEvents(await post({ type: "text", content: TEXT, stream: true }));
+    assert.deepEqual(events.at(-1), { event: "error", data: { ok: false, error: "Recipe missing steps." } });
+  });
+
+  test("guard failures stay plain JSON", async () => {
+    const res = await translate.handler(event({ body: { type: "text", content: TEXT, stream: true } }));
+    assert.equal(res.statusCode, 403);
+    assert.equal(parse(res).error, "Invalid or expired request token.");
+  });
+
+  test("without stream the JSON response is unchanged", async () => {
+    const calls = mockFetch(() => chatReply(JSON.stringify(RECIPE)));
+    const res = await post({ type: "text", content: TEXT });
+    assert.equal(res.headers["Content-Type"], "application/json");
+    assert.equal(parse(res).recipe.titel, "Pannkakor");
+    assert.equal(calls[0].body.stream, undefined);
+  });
+});
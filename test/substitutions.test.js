@@ -0,0 +1,74 @@
+/**
+ * public/substitutions.js — hard-to-find ingredients, replacements for the
+ * recipe's amount, applying one, and the names the system prompt fixes.
+ */
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const S = require("../public/substitutions");
+const { buildSystemPrompt } = require("../netlify/lib/translation");
+
+const KAKA = {
+  titel: "Pumpakaka", _tLang: "Swedish",
+  ingredienser: [
+    { grupp: "", mangd: "2 dl", ingrediens: "självjäsande vetemjöl", original: "1 cup self-rising flour" },
+    { grupp: "", mangd: "1 burk", ingrediens: "pumpapuré på burk" },
+    { grupp: "", mangd: "8", ingrediens: "digestive-liknande kex", original: "8 graham crackers" },
+    { grupp: "", mangd: "", ingrediens: "half-and-half" },
+    { grupp: "", mangd: "1 tsk", ingrediens: "kanel" },
+    { grupp: "", mangd: "3 dl", ingrediens: "grahamsmjöl" },
+  ],
+  warnings: [{ code: "abbreviation", field: "ingredienser[4].ingrediens", term: "tsk" }],
+};
+
+// ── Suggestions ───────────────────────────────────────────────────────────────
+describe("substitutions", () => {
+  test("finds hard-to-find ingredients by name or source line and converts the amount", () => {
+    const subs = S.suggest(KAKA);
+    assert.deepEqual(subs.map(s => [s.index, s.id, s.text]), [
+      [0, "self-rising-flour", "2 dl vetemjöl + 1 ½ tsk bakpulver + 1 krm salt"],
+      [1, "canned-pumpkin", "430 g butternutpumpa, ugnsbakad och mixad"],
+      [2, "graham-crackers", "8 digestivekex"],
+      [3, "half-and-half", ""],
+    ]);
+    // Without an amount only the rule is given
+    assert.equal(subs[3].lines, null);
+    assert.equal(subs[3].ratio, "1 dl → ½ dl mjölk + ½ dl vispgrädde");
+  });
+
+  test("ranges stay in one unit", () => {
+    const [s] = S.suggest({ ingredienser: [{ mangd: "1–2 dl", ingrediens: "half-and-half" }] });
+    assert.equal(s.text, "½–1 dl mjölk + ½–1 dl vispgrädde");
+  });
+
+  test("half a deciliter is written as a volume, not in spoons", () => {
+    const [s] = S.suggest({ ingredienser: [{ mangd: "1 dl", ingrediens: "half-and-half" }] });
+    assert.equal(s.text, "½ dl mjölk + ½ dl vispgrädde");
+  });
+
+  test("only Swedish recipes get suggestions", () => {
+    assert.deepEqual(S.suggest({ ...KAKA, _tLang: "German" }), []);
+  });
+
+  test("applying replaces the line, keeps the source line and moves warnings along", () => {
+    const out = S.applySubstitution(KAKA, 0);
+    assert.deepEqual(out.ingredienser.slice(0, 3).map(i => [i.mangd, i.ingrediens, i.ersatt, i.original]), [
+      ["2 dl", "vetemjöl", "self-rising-flour", "1 cup self-rising flour"],
+      ["1 ½ tsk", "bakpulver", "self-rising-flour", undefined],
+      ["1 krm", "salt", "self-rising-flour", undefined],
+    ]);
+    assert.equal(out.ingredienser[1].kvantitet.min, 1.5);
+    assert.equal(out.ingredienser.length, KAKA.ingredienser.length + 2);
+    assert.equal(out.warnings[0].field, "ingredienser[6].ingrediens");
+    // Replaced lines are not suggested again; nothing to apply leaves the recipe as it was
+    assert.deepEqual(S.suggest(out).map(s => s.id), ["canned-pumpkin", "graham-crackers", "half-and-half"]);
+    assert.equal(S.applySubstitution(out, 5), out);
+  });
+
+  test("the Swedish system prompt names every entry the way the app recognises it", () => {
+    const prompt = buildSystemPrompt("Swedish", "metric");
+    for (const s of S.SUBSTITUTES) {
+      assert.ok(prompt.includes(s.en + " -> " + s.namn), s.id);
+      assert.ok(s.re.test(s.namn.toLowerCase()) && s.re.test(s.en.toLowerCase()), s.id);
+    }
+  });
+});
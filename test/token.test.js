@@ -0,0 +1,107 @@
+/**
+ * /api/token handler and the token → translate round trip with real HMAC
+ * signing.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { freshRequire, event, parse, mockFetch, restoreFetch, chatReply, RECIPE } = require("./helpers");
+
+process.env.TOKEN_SECRET      = "round-trip-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "off";
+
+const TEXT = "Pancakes\n1 cup flour\n2 eggs\nWhisk everything and fry in butter.";
+
+let token, translate;
+beforeEach(() => {
+  token     = freshRequire("netlify/functions/token.js");
+  translate = require("../netlify/functions/translate.js");
+});
+afterEach(restoreFetch);
+
+async function issue(headers) {
+  const res = await token.handler(event({ method: "GET", headers }));
+  return { res, data: parse(res) };
+}
+
+describe("/api/token", () => {
+  test("POST is 405", async () => {
+    const res = await token.handler(event({ method: "POST", body: {} }));
+    assert.equal(res.statusCode, 405);
+  });
+
+  test("foreign origin is 403", async () => {
+    const { res, data } = await issue({ origin: "https://evil.example" });
+    assert.equal(res.statusCode, 403);
+    assert.equal(data.error, "Forbidden");
+  });
+
+  test("requests without an origin are served", async () => {
+    const { res } = await issue({ origin: "" });
+    assert.equal(res.statusCode, 200);
+  });
+
+  test("issues a signed, short-lived token that is never cached", async () => {
+    const { res, data } = await issue();
+    assert.equal(res.statusCode, 200);
+    assert.match(res.headers["Cache-Control"], /no-store/);
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "http://localhost:8888");
+
+    const { nonce, exp, sig } = data.token;
+    assert.match(nonce, /^[0-9a-f]{32}$/);
+    const ttl = exp - Math.floor(Date.now() / 1000);
+    assert.ok(ttl > 290 && ttl <= 300, "ttl " + ttl);
+    const expected = crypto.createHmac("sha256", "round-trip-secret").update(`${nonce}:${exp}`).digest("hex");
+    assert.equal(sig, expected);
+  });
+
+  test("every token has its own nonce", async () => {
+    const a = (await issue()).data.token, b = (await issue()).data.token;
+    assert.notEqual(a.nonce, b.nonce);
+  });
+
+  test("issues a null token when TOKEN_SECRET is unset", async () => {
+    delete process.env.TOKEN_SECRET;
+    try {
+      const { res, data } = await issue();
+      assert.equal(res.statusCode, 200);
+      assert.equal(data.token, null);
+    } finally {
+      process.env.TOKEN_SECRET = "round-trip-secret";
+    }
+  });
+});
+
+describe("token → translate round trip", () => {
+  test("an issued token is accepted once", async () => {
+    mockFetch(() => chatReply(JSON.stringify(RECIPE)));
+    const { data } = await issue();
+
+    const first = await translate.handler(event({ body: { token: data.token, type: "text", content: TEXT } }));
+    assert.equal(first.statusCode, 200);
+    assert.equal(parse(first).recipe.titel, "Pannkakor");
+
+    const replay = await translate.handler(event({ body: { token: data.token, type: "text", content: TEXT } }));
+    assert.equal(replay.statusCode, 403);
+  });
+
+  test("a token signed with another secret is rejected", async () => {
+    const { data } = await issue();
+    process.env.TOKEN_SECRET = "rotated-secret";
+    try {
+      const res = await translate.handler(event({ body: { token: data.token, type: "text", content: TEXT } }));
+      assert.equal(res.statusCode, 403);
+    } finally {
+      process.env.TOKEN_SECRET = "round-trip-secret";
+    }
+  });
+
+  test("a tampered expiry is rejected", async () => {
+    const { data } = await issue();
+    const token = { ...data.token, exp: data.token.exp + 5 };
+    const res = await translate.handler(event({ body: { token, type: "text", content: TEXT } }));
+    assert.equal(res.statusCode, 403);
+  });
+});
@@ -0,0 +1,626 @@
+/**
+ * /api/translate handler — every guard, every error path and the happy
+ * paths for text, URL and image input. fetch is mocked for both the recipe
+ * page and the Mistral API.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  freshRequire, event, parse, makeToken,
+  mockFetch, restoreFetch, mockDns, restoreDns,
+  redirectResponse, jsonResponse, htmlResponse, chatReply, abortError, RECIPE,
+} = require("./helpers");
+
+process.env.TOKEN_SECRET      = "test-secret";
+process.env.MISTRAL_API_KEY   = "test-key";
+process.env.LLM_PROVIDERS     = "mistral";
+process.env.TRANSLATION_CACHE = "off";
+
+const MISTRAL  = "https://api.mistral.ai/v1/chat/completions";
+const PAGE_URL = "https://recipes.example.com/pancakes";
+const TEXT     = "Pancakes\n1 cup flour\n2 eggs\nWhisk everything and fry in butter.";
+
+let translate;
+beforeEach(() => {
+  translate = freshRequire("netlify/functions/translate.js");
+  mockDns();
+});
+afterEach(() => { restoreFetch(); restoreDns(); });
+
+// POST with a fresh valid token unless the body says otherwise
+function post(body, opts = {}) {
+  return translate.handler(event({ ...opts, body: { token: makeToken(), ...body } }));
+}
+
+function mistralReturns(content) {
+  return mockFetch(url => {
+    if (url === MISTRAL) return chatReply(typeof content === "string" ? content : JSON.stringify(content));
+    throw new Error("unexpected fetch " + url);
+  });
+}
+
+async function expectError(res, status, error) {
+  assert.equal(res.statusCode, status);
+  const data = parse(res);
+  assert.equal(data.ok, false);
+  if (error instanceof RegExp) assert.match(data.error, error);
+  else assert.equal(data.error, error);
+}
+
+// ── Request guards ────────────────────────────────────────────────────────────
+describe("request guards", () => {
+  test("OPTIONS preflight answers 204 with CORS headers", async () => {
+    const res = await translate.handler(event({ method: "OPTIONS" }));
+    assert.equal(res.statusCode, 204);
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "http://localhost:8888");
+    assert.equal(res.headers["Access-Control-Allow-Methods"], "POST, OPTIONS");
+  });
+
+  test("GET is 405", async () => {
+    await expectError(await translate.handler(event({ method: "GET" })), 405, "Method not allowed");
+  });
+
+  test("wrong Content-Type is 415", async () => {
+    const res = await translate.handler(event({ body: "{}", headers: { "content-type": "text/plain" } }));
+    await expectError(res, 415, "Content-Type must be application/json");
+  });
+
+  test("oversized body is 413", async () => {
+    const res = await translate.handler(event({ body: "x".repeat(5_500_001) }));
+    await expectError(res, 413, "Request too large.");
+  });
+
+  test("foreign origin is 403", async () => {
+    const res = await translate.handler(event({ body: {}, headers: { origin: "https://evil.example" } }));
+    await expectError(res, 403, "Forbidden");
+  });
+
+  test("allowed referer passes when origin is foreign", async () => {
+    mistralReturns(RECIPE);
+    const res = await post({ type: "text", content: TEXT },
+      { headers: { origin: "https://evil.example", referer: "http://localhost:8888/" } });
+    assert.equal(res.statusCode, 200);
+  });
+
+  test("invalid JSON is 400", async () => {
+    await expectError(await translate.handler(event({ body: "{not json" })), 400, "Invalid JSON body");
+  });
+});
+
+// ── HMAC token ────────────────────────────────────────────────────────────────
+describe("token verification", () => {
+  const TOKEN_ERROR = "Invalid or expired request token.";
+
+  test("missing token is 403", async () => {
+    const res = await translate.handler(event({ body: { type: "text", content: TEXT } }));
+    await expectError(res, 403, TOKEN_ERROR);
+  });
+
+  test("wrong signature is 403", async () => {
+    await expectError(await post({ token: makeToken("other-secret"), type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("non-hex signature is 403", async () => {
+    const token = { ...makeToken(), sig: "zz" };
+    await expectError(await post({ token, type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("malformed nonce is 403", async () => {
+    const token = makeToken(undefined, { nonce: "short" });
+    await expectError(await post({ token, type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("expired token is 403", async () => {
+    const token = makeToken(undefined, { exp: Math.floor(Date.now() / 1000) - 1 });
+    await expectError(await post({ token, type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("token expiring too far in the future is 403", async () => {
+    const token = makeToken(undefined, { exp: Math.floor(Date.now() / 1000) + 3600 });
+    await expectError(await post({ token, type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("a nonce cannot be replayed", async () => {
+    mistralReturns(RECIPE);
+    const token = makeToken();
+    assert.equal((await post({ token, type: "text", content: TEXT })).statusCode, 200);
+    await expectError(await post({ token, type: "text", content: TEXT }), 403, TOKEN_ERROR);
+  });
+
+  test("check is skipped when TOKEN_SECRET is unset", async () => {
+    mistralReturns(RECIPE);
+    delete process.env.TOKEN_SECRET;
+    try {
+      const res = await translate.handler(event({ body: { type: "text", content: TEXT } }));
+      assert.equal(res.statusCode, 200);
+    } finally {
+      process.env.TOKEN_SECRET = "test-secret";
+    }
+  });
+});
+
+// ── Input validation ──────────────────────────────────────────────────────────
+describe("input validation", () => {
+  const img = { mime: "image/jpeg", b64: "AAAA" };
+
+  test("unknown type is 400", async () => {
+    await expectError(await post({ type: "pdf" }), 400, "type must be text, url or image");
+  });
+
+  test("text shorter than 20 characters is 400", async () => {
+    await expectError(await post({ type: "text", content: "too short" }), 400, "Recipe text too short.");
+  });
+
+  test("text over 60 000 characters is 400", async () => {
+    await expectError(await post({ type: "text", content: "a".repeat(60_001) }), 400,
+      "Input too long (max 60 000 characters).");
+  });
+
+  test("missing URL is 400", async () => {
+    await expectError(await post({ type: "url" }), 400, "Invalid URL.");
+  });
+
+  test("image request without images is 400", async () => {
+    await expectError(await post({ type: "image", images: [] }), 400, "No images received.");
+  });
+
+  test("more than four images is 400", async () => {
+    await expectError(await post({ type: "image", images: [img, img, img, img, img] }), 400, "Max 4 bilder.");
+  });
+
+  test("images over 5 MB in total are 400", async () => {
+    const big = { mime: "image/png", b64: "A".repeat(2_600_000) };
+    await expectError(await post({ type: "image", images: [big, big] }), 400, "Bilderna ar for stora.");
+  });
+
+  test("unsupported image type is 400", async () => {
+    await expectError(await post({ type: "image", images: [{ mime: "image/svg+xml", b64: "AAAA" }] }), 400,
+      "Unsupported image type.");
+  });
+});
+
+// ── Rate limit ────────────────────────────────────────────────────────────────
+describe("rate limit", () => {
+  test("the ninth request in a minute from one IP is 429", async () => {
+    mistralReturns(RECIPE);
+    for (let i = 0; i < 8; i++)
+      assert.equal((await post({ type: "text", content: TEXT + i }, { ip: "198.51.100.7" })).statusCode, 200);
+    const res = await post({ type: "text", content: TEXT }, { ip: "198.51.100.7" });
+    await expectError(res, 429, "For manga anrop. Vanta en minut.");
+    assert.equal(res.headers["Retry-After"], "60");
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "http://localhost:8888");
+  });
+
+  test("other IPs are not affected", async () => {
+    mistralReturns(RECIPE);
+    for (let i = 0; i < 9; i++) await post({ type: "text", content: TEXT + i }, { ip: "198.51.100.8" });
+    assert.equal((await post({ type: "text", content: TEXT }, { ip: "198.51.100.9" })).statusCode, 200);
+  });
+
+  test("invalid requests do not use up the limit", async () => {
+    mistralReturns(RECIPE);
+    for (let i = 0; i < 10; i++) await post({ type: "text", content: "short" }, { ip: "198.51.100.10" });
+    assert.equal((await post({ type: "text", content: TEXT }, { ip: "198.51.100.10" })).statusCode, 200);
+  });
+});
+
+// ── SSRF ──────────────────────────────────────────────────────────────────────
+describe("SSRF protection", () => {
+  const BLOCKED = "URL points to a blocked or private address.";
+  const cases = [
+    ["http://example.com/recipe", "Only HTTPS URLs are allowed."],
+    ["not a url", "Invalid URL format."],
+    ["https://localhost/recipe", BLOCKED],
+    ["https://printer.local/", BLOCKED],
+    ["https://db.internal/", BLOCKED],
+    ["https://127.0.0.1/", BLOCKED],
+    ["https://10.0.0.5/", BLOCKED],
+    ["https://172.16.0.1/", BLOCKED],
+    ["https://192.168.1.1/", BLOCKED],
+    ["https://0.0.0.0/", BLOCKED],
+    ["https://169.254.169.254/latest/meta-data/", BLOCKED],
+    ["https://metadata.google.internal/computeMetadata/v1/", BLOCKED],
+    ["https://100.100.100.200/", BLOCKED],
+    ["https://2130706433/", BLOCKED],
+    ["https://0x7f.0.0.1/", BLOCKED],
+    ["https://[::1]/", BLOCKED],
+    ["https://[::ffff:169.254.169.254]/", BLOCKED],
+    ["https://[fd12:3456::1]/", BLOCKED],
+  ];
+
+  for (const [url, error] of cases) {
+    test("rejects " + url, async () => {
+      const calls = mockFetch(() => { throw new Error("must not fetch"); });
+      await expectError(await post({ type: "url", url }), 500, error);
+      assert.equal(calls.length, 0);
+    });
+  }
+
+  test("rejects a public name that resolves to a private address", async () => {
+    mockDns(() => "169.254.169.254");
+    const calls = mockFetch(() => { throw new Error("must not fetch"); });
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, BLOCKED);
+    assert.equal(calls.length, 0);
+  });
+
+  test("rejects a redirect to a private address", async () => {
+    const calls = mockFetch(url => {
+      if (url === PAGE_URL) return redirectResponse("https://169.254.169.254/latest/");
+      throw new Error("unexpected fetch " + url);
+    });
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500,
+      "Unsafe redirect: URL points to a blocked or private address.");
+    assert.equal(calls.length, 1);
+  });
+});
+
+// ── Model output handling ─────────────────────────────────────────────────────
+describe("model output", () => {
+  test("accepts JSON wrapped in a markdown fence", async () => {
+    mistralReturns("```json\n" + JSON.stringify(RECIPE) + "\n```");
+    const res = await post({ type: "text", content: TEXT, measurementSystem: "imperial" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(parse(res).recipe.titel, "Pannkakor");
+  });
+
+  test("accepts JSON surrounded by chatter", async () => {
+    mistralReturns("Sure! Here is the recipe: " + JSON.stringify(RECIPE) + " Enjoy.");
+    const res = await post({ type: "text", content: TEXT, measurementSystem: "imperial" });
+    assert.equal(parse(res).recipe.titel, "Pannkakor");
+  });
+
+  test("garbage output is a 500 with a parse error", async () => {
+    mistralReturns("I cannot help with that { nope");
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Could not parse model response.");
+  });
+
+  test("empty choices are a 500 with a parse error", async () => {
+    mockFetch(() => jsonResponse({ choices: [] }));
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Could not parse model response.");
+  });
+
+  for (const [field, value, error] of [
+    ["titel", " ", "Recipe missing title."],
+    ["ingredienser", [], "Recipe missing ingredients."],
+    ["steg", "Stir.", "Recipe missing steps."],
+  ]) {
+    test("incomplete recipe (" + field + ") is a 500", async () => {
+      mistralReturns({ ...RECIPE, [field]: value });
+      await expectError(await post({ type: "text", content: TEXT }), 500, error);
+    });
+  }
+
+  test("non-object JSON is a 500", async () => {
+    mistralReturns("[1, 2, 3]");
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Recipe missing title.");
+  });
+
+  test("long fields and lists are truncated", async () => {
+    mistralReturns({
+      ...RECIPE,
+      titel: "T".repeat(500),
+      beskrivning: "B".repeat(5000),
+      detectedLanguage: "L".repeat(100),
+      noteringar: "N".repeat(5000),
+      meta: { portioner: "P".repeat(300), totaltid: "Z".repeat(300), svarighetsgrad: "S".repeat(300) },
+      ingredienser: Array.from({ length: 250 }, () => ({ grupp: "G".repeat(300), mangd: "M".repeat(300), ingrediens: "I".repeat(300) })),
+      steg: Array.from({ length: 150 }, () => "s".repeat(3000)),
+    });
+    const res = await post({ type: "text", content: TEXT, measurementSystem: "imperial" });
+    const r = parse(res).recipe;
+    assert.equal(r.titel.length, 200);
+    assert.equal(r.beskrivning.length, 1000);
+    assert.equal(r.detectedLanguage.length, 50);
+    assert.equal(r.noteringar.length, 2000);
+    assert.deepEqual([r.meta.portioner.length, r.meta.totaltid.length, r.meta.svarighetsgrad.length], [100, 100, 50]);
+    assert.equal(r.ingredienser.length, 200);
+    const { grupp, mangd, ingrediens } = r.ingredienser[0];
+    assert.deepEqual([grupp.length, mangd.length, ingrediens.length], [100, 100, 200]);
+    assert.equal(r.steg.length, 100);
+    assert.equal(r.steg[0].length, 2000);
+  });
+
+  test("unexpected fields are dropped", async () => {
+    mistralReturns({ ...RECIPE, html: "<script>alert(1)</script>" });
+    const res = await post({ type: "text", content: TEXT });
+    assert.equal(parse(res).recipe.html, undefined);
+  });
+});
+
+// ── Upstream failures and error sanitizing ────────────────────────────────────
+describe("upstream errors", () => {
+  const cases = [
+    [402, {}, /^Mistral API: gratiskvoten ar slut\./],
+    [200, null, /^Could not parse model response\.$/],
+    [429, {}, /^Mistral API: for manga anrop\./],
+    [401, {}, /^Mistral API: ogiltig nyckel\. Kontrollera MISTRAL_API_KEY\.$/],
+    [503, {}, /^Mistral API: fel 503\.$/],
+    [400, { error: { code: "usage_exceeded" } }, /^Mistral API: gratiskvoten ar slut\./],
+  ];
+  for (const [status, data, error] of cases) {
+    test("Mistral HTTP " + status + (data?.error ? " " + data.error.code : "") + " is reported", async () => {
+      mockFetch(() => status === 200 ? new Response("not json", { status }) : jsonResponse(data, status));
+      await expectError(await post({ type: "text", content: TEXT }), 500, error);
+    });
+  }
+
+  test("Mistral timeout is reported", async () => {
+    mockFetch(() => { throw abortError(); });
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Mistral API: request timed out.");
+  });
+
+  test("Mistral network error is reported", async () => {
+    mockFetch(() => { throw new TypeError("fetch failed"); });
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Mistral API: network error.");
+  });
+
+  test("missing API key is reported", async () => {
+    delete process.env.MISTRAL_API_KEY;
+    try {
+      await expectError(await post({ type: "text", content: TEXT }), 500, "Mistral API: MISTRAL_API_KEY not configured.");
+    } finally {
+      process.env.MISTRAL_API_KEY = "test-key";
+    }
+  });
+
+  test("page HTTP error is reported", async () => {
+    mockFetch(() => htmlResponse("Not found", { status: 404 }));
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "Could not fetch page (HTTP 404).");
+  });
+
+  test("page timeout is reported", async () => {
+    mockFetch(() => { throw abortError(); });
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "URL fetch timed out.");
+  });
+
+  test("non-HTML page is reported", async () => {
+    mockFetch(() => htmlResponse("%PDF-1.7", { type: "application/pdf" }));
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "URL is not an HTML page.");
+  });
+
+  test("unknown host is reported", async () => {
+    mockDns(() => { throw new Error("ENOTFOUND"); });
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "Could not fetch URL (host not found).");
+  });
+
+  test("page network error is reported", async () => {
+    mockFetch(() => { throw new TypeError("getaddrinfo ENOTFOUND recipes.example.com"); });
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "Could not fetch URL.");
+  });
+
+  test("an empty page is reported", async () => {
+    mockFetch(() => htmlResponse("<html><body><p>Hi</p></body></html>"));
+    await expectError(await post({ type: "url", url: PAGE_URL }), 500, "Page appears empty or could not be read.");
+  });
+
+  test("internal errors are not leaked", async (t) => {
+    t.mock.method(console, "error", () => {});
+    mistralReturns({ ...RECIPE, ingredienser: [null] });
+    await expectError(await post({ type: "text", content: TEXT }), 500, "Translation failed. Please try again.");
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+// ── Happy paths ───────────────────────────────────────────────────────────────
+describe("happy paths", () => {
+  test("text is translated and converted to metric", async () => {
+    const calls = mistralReturns(RECIPE);
+    const res = await post({ type: "text", content: TEXT, targetLanguage: "Swedish" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Access-Control-Allow-Origin"], "http://localhost:8888");
+    const data = parse(res);
+    assert.equal(data.ok, true);
+    assert.equal(data.recipe.titel, "Pannkakor");
+    assert.equal(data.recipe.ingredienser[0].mangd, "2,4 dl");
+    assert.equal(data.recipe.ingredienser[0].mangdOriginal, "1 cup");
+
+    assert.equal(calls.length, 1);
+    const req = calls[0];
+    assert.equal(req.init.headers.Authorization, "Bearer test-key");
+    assert.equal(req.body.model, "mistral-small-latest");
+    assert.deepEqual(req.body.response_format, { type: "json_object" });
+    assert.match(req.body.messages[0].content, /Translate recipes into Swedish/);
+    assert.match(req.body.messages[1].content, /1 cup flour/);
+  });
+
+  test("imperial keeps the model's units", async () => {
+    mistralReturns(RECIPE);
+    const res = await post({ type: "text", content: TEXT, measurementSystem: "imperial" });
+    assert.equal(parse(res).recipe.ingredienser[0].mangd, "1 cup");
+  });
+
+  test("amounts are parsed after conversion; the model's own kvantitet is replaced", async () => {
+    const fake = { min: 99, max: 99, enhet: "kg", skalbar: true, prefix: "", suffix: "" };
+    mistralReturns({ ...RECIPE, ingredienser: RECIPE.ingredienser.map(i => ({ ...i, kvantitet: fake })) });
+    const [flour, eggs] = parse(await post({ type: "text", content: TEXT })).recipe.ingredienser;
+    assert.deepEqual(flour.kvantitet, { min: 2.4, max: 2.4, enhet: "dl", skalbar: true, prefix: "", suffix: "" });
+    assert.deepEqual(eggs.kvantitet, { min: 2, max: 2, enhet: "", skalbar: true, prefix: "", suffix: "" });
+  });
+
+  test("source language is passed to the model", async () => {
+    const calls = mistralReturns(RECIPE);
+    await post({ type: "text", content: TEXT, sourceLanguage: "German", targetLanguage: "Norwegian" });
+    assert.match(calls[0].body.messages[1].content, /^The source recipe is in German\. Translate this recipe to Norwegian\./);
+  });
+
+  test("URL with JSON-LD is extracted before translating", async () => {
+    const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+      "@context": "https://schema.org", "@type": "Recipe", name: "Pancakes",
+      recipeIngredient: ["1 cup flour", "2 eggs"],
+      recipeInstructions: [{ "@type": "HowToStep", text: "Whisk everything." }, { "@type": "HowToStep", text: "Fry in butter." }],
+    })}</script></head><body>Lots of blog text</body></html>`;
+    const calls = mockFetch(url => url === PAGE_URL ? htmlResponse(html) : chatReply(JSON.stringify(RECIPE)));
+    const res = await post({ type: "url", url: PAGE_URL });
+    assert.equal(res.statusCode, 200);
+    const data = parse(res);
+    assert.equal(data.extraction, "jsonld");
+    assert.equal(data.recipe.titel, "Pannkakor");
+
+    assert.deepEqual(calls.map(c => c.url), [PAGE_URL, MISTRAL]);
+    const prompt = calls[1].body.messages[1].content;
+    assert.match(prompt, /TITLE: Pancakes/);
+    assert.match(prompt, /- 1 cup flour/);
+    assert.doesNotMatch(prompt, /Lots of blog text/);
+  });
+
+  test("URL without structured data falls back to page text", async () => {
+    const html = "<html><body><h1>Pancakes</h1><p>" + "Mix one cup of flour with two eggs and fry. ".repeat(5) + "</p></body></html>";
+    mockFetch(url => url === PAGE_URL ? htmlResponse(html) : chatReply(JSON.stringify(RECIPE)));
+    const res = await post({ type: "url", url: PAGE_URL });
+    assert.equal(res.statusCode, 200);
+    assert.equal(parse(res).extraction, "text");
+  });
+
+  test("images are sent to the vision model", async () => {
+    const calls = mistralReturns(RECIPE);
+    const res = await post({ type: "image", images: [{ mime: "image/png", b64: "iVBORw0KGgo=" }] });
+    assert.equal(res.statusCode, 200);
+    assert.equal(parse(res).recipe.titel, "Pannkakor");
+
+    const body = calls[0].body;
+    assert.equal(body.model, "pixtral-12b");
+    const parts = body.messages[1].content;
+    assert.equal(parts[0].type, "image_url");
+    assert.equal(parts[0].image_url.url, "data:image/png;base64,iVBORw0KGgo=");
+    assert.equal(parts[1].type, "text");
+  });
+});
+
+// ── Source lines ──────────────────────────────────────────────────────────────
+describe("source lines", () => {
+  test("each line keeps its source; copies are matched back to the user's own text", async () => {
+    const content = "Crêpes\n1 cup flour\n2 large eggs\n1 stick butter, melted\nWhisk everything.\nFry in the butter.";
+    mistralReturns({ ...RECIPE,
+      ingredienser: [
+        { grupp: "", mangd: "1 cup", ingrediens: "vetemjöl", original: "1 cup flour" },
+        { grupp: "", mangd: "2 stora", ingrediens: "ägg", original: "2 large eggs" },
+        { grupp: "", mangd: "1 stick", ingrediens: "smält smör", original: "1 stick butter melted" },
+      ],
+      steg: [{ text: "Vispa ihop allt.", original: "Whisk everything" }, { text: "Stek i smöret.", original: "Fry it." }],
+    });
+    const recipe = parse(await post({ type: "text", content: "Cr pes\n" + content.split("\n").slice(1).join("\n") })).recipe;
+    assert.deepEqual(recipe.ingredienser.map(i => i.original), ["1 cup flour", "2 large eggs", "1 stick butter, melted"]);
+    assert.equal(recipe.ingredienser[0].mangd, "2,4 dl");
+    assert.deepEqual(recipe.steg, ["Vispa ihop allt.", "Stek i smöret."]);
+    // A copy that matches no line well enough is kept as the model wrote it
+    assert.deepEqual(recipe.stegOriginal, ["Whisk everything.", "Fry it."]);
+    assert.equal(recipe.originalText, undefined);
+  });
+
+  test("URL recipes pair structured lines by position and keep the extracted text", async () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      "@type": "Recipe", name: "Pancakes",
+      recipeIngredient: ["1 cup flour", "2 eggs"],
+      recipeInstructions: ["Whisk everything.", "Fry in butter."],
+    })}</script>`;
+    mockFetch(url => url === PAGE_URL ? htmlResponse(html) : chatReply(JSON.stringify(RECIPE)));
+    const { recipe } = parse(await post({ type: "url", url: PAGE_URL }));
+    assert.deepEqual(recipe.ingredienser.map(i => i.original), ["1 cup flour", "2 eggs"]);
+    assert.deepEqual(recipe.stegOriginal, ["Whisk everything.", "Fry in butter."]);
+    assert.match(recipe.originalText, /^TITLE: Pancakes\n[\s\S]*- 1 cup flour/);
+  });
+
+  test("without anything to go on there are no source fields", async () => {
+    mistralReturns(RECIPE);
+    const recipe = parse(await post({ type: "image", images: [{ mime: "image/png", b64: "iVBORw0KGgo=" }] })).recipe;
+    assert.equal(recipe.stegOriginal, undefined);
+    assert.ok(recipe.ingredienser.every(i => !("original" in i)));
+  });
+});
+
+
+// ── Quality checks ────────────────────────────────────────────────────────────
+describe("quality checks", () => {
+  const { checkRecipe } = require("../netlify/lib/quality");
+  const SLOPPY = {
+    ...RECIPE,
+    ingredienser: [
+      { grupp: "", mangd: "2 msk", ingrediens: "socker" },
+      { grupp: "", mangd: "en cup", ingrediens: "vetemjöl" },
+    ],
+    steg: ["Preheat ugnen till 350°F.", "Salta q.s. och stek i 1 msk smör."],
+  };
+  const FIXED = {
+    ...SLOPPY,
+    ingredienser: [
+      { grupp: "", mangd: "2 msk", ingrediens: "socker" },
+      { grupp: "", mangd: "1 cup", ingrediens: "vetemjöl" },
+    ],
+    steg: ["Sätt ugnen på 350°F.", "Salta efter smak och stek i en matsked smör."],
+  };
+
+  test("finds abbreviations, English words and units the converter could not handle", () => {
+    const shaped = { ...SLOPPY, ingredienser: SLOPPY.ingredienser.map(i => ({ ...i })) };
+    const problems = checkRecipe(shaped, { targetLanguage: "Swedish", measurementSystem: "metric" });
+    assert.deepEqual(problems.map(p => [p.code, p.field, p.term]), [
+      ["abbreviation", "steg[1]", "q.s."],
+      ["abbreviation", "steg[1]", "msk"],
+      ["untranslated", "steg[0]", "Preheat"],
+      ["imperial", "ingredienser[1].mangd", "cup"],
+    ]);
+    // Amounts in the units the converter itself writes ("2 msk", "2,4 dl") are fine
+    assert.deepEqual(checkRecipe(FIXED, { targetLanguage: "Swedish" }), []);
+    // English is fine in an English recipe; imperial units in imperial mode
+    assert.deepEqual(checkRecipe({ ...SLOPPY, steg: ["Preheat the oven."] }, { targetLanguage: "English", measurementSystem: "imperial" }), []);
+  });
+
+  test("a broken reply gets one repair call and is replaced by the fix", async () => {
+    let n = 0;
+    const calls = mockFetch(url => {
+      if (url === MISTRAL) return chatReply(JSON.stringify(++n === 1 ? SLOPPY : FIXED));
+      throw new Error("unexpected fetch " + url);
+    });
+    const { recipe } = parse(await post({ type: "text", content: TEXT }));
+    assert.equal(calls.length, 2);
+    const ask = calls[1].body.messages[1].content;
+    assert.match(ask, /steg\[1\]: "msk" is an abbreviation/);
+    assert.doesNotMatch(ask, /mangd: "msk"/);
+    assert.match(ask, /steg\[0\]: "Preheat" is not translated/);
+    assert.match(ask, /RECIPE:\nPancakes/);
+    assert.equal(recipe.steg[0], "Sätt ugnen på 175°C.");
+    assert.equal(recipe.warnings, undefined);
+  });
+
+  test("what the repair leaves wrong comes back as warnings", async () => {
+    const calls = mistralReturns(SLOPPY);
+    const { recipe } = parse(await post({ type: "text", content: TEXT }));
+    assert.equal(calls.length, 2);
+    assert.deepEqual(recipe.warnings.map(w => w.code), ["abbreviation", "abbreviation", "untranslated", "imperial"]);
+    assert.equal(recipe.steg[1], "Salta q.s. och stek i 1 msk smör.");
+  });
+
+  test("with too little time before the deadline the reply is not repaired", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const calls = mistralReturns(SLOPPY);
+    const { translateText } = require("../netlify/lib/translation");
+    const stages = [];
+    const { recipe } = await translateText({ type: "text", content: TEXT }, "Swedish", "auto", "metric",
+      { deadline: Date.now() + 5000, onStage: s => stages.push(s) });
+    assert.equal(calls.length, 1);
+    assert.deepEqual(stages, ["translating", "validating"]);
+    assert.deepEqual(recipe.warnings.map(w => w.code), ["abbreviation", "abbreviation", "untranslated", "imperial"]);
+  });
+
+  test("structured page data sets the expected number of lines", async () => {
+    const html = `<script type="application/ld+json">${JSON.stringify({
+      "@type": "Recipe", name: "Pancakes",
+      recipeIngredient: ["1 cup flour", "2 eggs", "1 pinch salt"],
+      recipeInstructions: ["Whisk everything.", "Fry in butter."],
+    })}</script>`;
+    const calls = mockFetch(url => url === PAGE_URL ? htmlResponse(html) : chatReply(JSON.stringify(RECIPE)));
+    const { recipe } = parse(await post({ type: "url", url: PAGE_URL }));
+    assert.equal(calls.filter(c => c.url === MISTRAL).length, 2);
+    assert.deepEqual(recipe.warnings, [{ code: "count", field: "ingredienser", expected: 3, found: 2 }]);
+  });
+
+  test("a failed repair keeps the first translation", async () => {
+    let n = 0;
+    mockFetch(url => {
+      if (url === MISTRAL) return ++n === 1 ? chatReply(JSON.stringify(SLOPPY)) : jsonResponse({}, 500);
+      throw new Error("unexpected fetch " + url);
+    });
+    const res = await post({ type: "text", content: TEXT });
+    assert.equal(res.statusCode, 200);
+    assert.equal(parse(res).recipe.warnings.length, 4);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * /api/tts handler and lib/tts-providers.js — the guards it shares with
+ * /api/translate, token reuse for one recipe's segments, voices, the local
+ * stand-in and how Azure failures reach the client as error codes.
+ */
+const { test, describe, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { freshRequire, event, parse, makeToken, mockFetch, restoreFetch, abortError } = require("./helpers");
+const { pickVoice, buildSsml, localProvider } = require("../netlify/lib/tts-providers");
+
+process.env.TOKEN_SECRET = "test-secret";
+
+const AZURE = "https://swedencentral.tts.speech.microsoft.com/cognitiveservices/v1";
+const TTS_ENV = ["TTS_PROVIDER", "AZURE_SPEECH_KEY", "AZURE_SPEECH_REGION"];
+
+let tts;
+beforeEach(() => {
+  tts = freshRequire("netlify/functions/tts.js");
+  for (const k of TTS_ENV) delete process.env[k];
+  process.env.TTS_PROVIDER = "local";
+});
+afterEach(() => {
+  restoreFetch();
+  for (const k of TTS_ENV) delete process.env[k];
+});
+
+function post(body, opts = {}) {
+  return tts.handler(event({ ...opts, body: { token: makeToken(), text: "Vispa ihop allt.", lang: "sv-SE", ...body } }));
+}
+
+async function expectError(res, status, code, error) {
+  assert.equal(res.statusCode, status);
+  const data = parse(res);
+  assert.deepEqual([data.ok, data.code], [false, code]);
+  if (error) assert.match(data.error, error);
+}
+
+// ── Guards ────────────────────────────────────────────────────────────────────
+describe("request guards", () => {
+  test("OPTIONS preflight answers 204; other methods and bodies are refused", async () => {
+    const pre = await tts.handler(event({ method: "OPTIONS" }));
+    assert.equal(pre.statusCode, 204);
+    assert.equal(pre.headers["Access-Control-Allow-Methods"], "POST, OPTIONS");
+    await expectError(await tts.handler(event({ method: "GET" })), 405, "bad_request");
+    await expectError(await tts.handler(event({ body: {}, headers: { "content-type": "text/plain" } })), 415, "bad_request");
+    await expectError(await tts.handler(event({ body: "{not json" })), 400, "bad_request", /^Invalid JSON body$/);
+  });
+
+  test("a foreign origin is 403", async () => {
+    await expectError(await post({}, { headers: { origin: "https://evil.example", referer: "" } }), 403, "forbidden", /^Forbidden$/);
+  });
+
+  test("a missing, forged or expired token is 403", async () => {
+    const expired = makeToken(undefined, { exp: Math.floor(Date.now() / 1000) - 1 });
+    for (const token of [undefined, makeToken("wrong-secret"), expired])
+      await expectError(await post({ token }), 403, "forbidden", /^Invalid or expired request token\.$/);
+  });
+
+  test("one token reads a whole recipe: up to 60 segments, then 403", async () => {
+    const token = makeToken();
+    for (let i = 0; i < 60; i++) assert.equal((await post({ token, text: "Steg " + i })).statusCode, 200, "use " + (i + 1));
+    await expectError(await post({ token }), 403, "forbidden");
+  });
+
+  test("text is required and at most 3000 characters", async () => {
+    await expectError(await post({ text: "   " }), 400, "bad_request", /^No text received\.$/);
+    await expectError(await post({ text: 42 }), 400, "bad_request");
+    await expectError(await post({ text: "a".repeat(3001) }), 400, "bad_request", /^Text too long/);
+    assert.equal((await post({ text: "a".repeat(3000) })).statusCode, 200);
+  });
+
+  test("a language without a voice is unsupported_language", async () => {
+    for (const lang of ["xx-YY", "klingon", "", undefined])
+      await expectError(await post({ lang }), 400, "unsupported_language", /^Unsupported language\.$/);
+  });
+});
+
+// ── Providers ─────────────────────────────────────────────────────────────────
+describe("providers", () => {
+  test("without TTS_PROVIDER or an Azure key, the client is told TTS is not configured", async () => {
+    delete process.env.TTS_PROVIDER;
+    await expectError(await post({}), 503, "not_configured", /no speech provider configured/);
+    process.env.TTS_PROVIDER = "polly";
+    await expectError(await post({}), 503, "not_configured", /unknown provider/);
+  });
+
+  test("the local provider returns base64 MP3 audio and the voice", async () => {
+    const calls = mockFetch(() => { throw new Error("no request expected"); });
+    const res = await post({ lang: "sv" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers["Cache-Control"], "no-store");
+    const data = parse(res);
+    assert.equal(data.voice, "sv-SE-SofieNeural");
+    const audio = Buffer.from(data.audio, "base64");
+    assert.deepEqual(audio, await localProvider.synthesize({}));
+    assert.deepEqual([...audio.subarray(0, 2)], [0xff, 0xfb]); // MPEG frame sync
+    assert.equal(calls.length, 0);
+  });
+
+  test("pickVoice matches exactly first, then by primary language", () => {
+    assert.deepEqual(pickVoice("en-gb"), { lang: "en-GB", voice: "en-GB-SoniaNeural" });
+    assert.deepEqual(pickVoice("pt"), { lang: "pt-PT", voice: "pt-PT-RaquelNeural" });
+    assert.deepEqual(pickVoice("de-AT"), { lang: "de-DE", voice: "de-DE-KatjaNeural" });
+    assert.equal(pickVoice("sv_SE"), null);
+  });
+});
+
+describe("Azure provider", () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = "azure";
+    process.env.AZURE_SPEECH_KEY = "azure-key";
+  });
+
+  test("sends SSML with the voice and escaped text, returns the MP3", async () => {
+    const calls = mockFetch(() => new Response(Buffer.from("ID3 mp3 bytes")));
+    const res = await post({ text: "Salt & peppar <efter smak>", lang: "sv-SE" });
+    assert.equal(res.statusCode, 200);
+    assert.equal(Buffer.from(parse(res).audio, "base64").toString(), "ID3 mp3 bytes");
+    assert.equal(calls[0].url, AZURE);
+    assert.equal(calls[0].init.headers["Ocp-Apim-Subscription-Key"], "azure-key");
+    assert.equal(calls[0].body, buildSsml("Salt & peppar <efter smak>", "sv-SE", "sv-SE-SofieNeural"));
+    assert.match(calls[0].body, /<voice name="sv-SE-SofieNeural">Salt &amp; peppar &lt;efter smak&gt;<\/voice>/);
+  });
+
+  test("Azure failures reach the client as status and code", async () => {
+    for (const [answer, status, code, error] of [
+      [() => new Response("", { status: 429 }), 429, "rate_limited", /^TTS: for manga anrop/],
+      [() => new Response("", { status: 401 }), 503, "not_configured", /AZURE_SPEECH_KEY/],
+      [() => new Response("", { status: 403 }), 503, "not_configured", /AZURE_SPEECH_KEY/],
+      [() => new Response("", { status: 500 }), 502, "upstream", /^TTS: fel 500\.$/],
+      [() => new Response(""), 502, "upstream", /^TTS: empty audio\.$/],
+      [() => { throw abortError(); }, 504, "timeout", /^TTS: request timed out\.$/],
+      [() => { throw new TypeError("fetch failed"); }, 502, "network", /^TTS: network error\.$/],
+    ]) {
+      mockFetch(answer);
+      await expectError(await post({}), status, code, error);
+    }
+  });
+
+  test("no request goes out without a key or with an odd region", async () => {
+    const calls = mockFetch(() => new Response("x"));
+    delete process.env.AZURE_SPEECH_KEY;
+    await expectError(await post({}), 503, "not_configured", /AZURE_SPEECH_KEY not configured/);
+    process.env.AZURE_SPEECH_KEY = "azure-key";
+    process.env.AZURE_SPEECH_REGION = "evil.example/";
+    await expectError(await post({}), 503, "not_configured", /invalid AZURE_SPEECH_REGION/);
+    assert.equal(calls.length, 0);
+  });
+});